@@ -10,6 +10,7 @@ const { changeSymbol } = require('./skills/change-symbol');
 const { changeTimeframe } = require('./skills/change-timeframe');
 const { getChartData } = require('./skills/get-chart-data');
 const { setChartType, setPriceScale, setTimezone, exportChartData, takeScreenshot } = require('./skills/set-chart-type');
+const { resolveChartType } = require('./lib/chart-types');
 
 // Strategy Management
 const { addStrategy } = require('./skills/add-strategy');
@@ -45,7 +46,13 @@ const { getSavedScripts } = require('./skills/get-saved-scripts');
 const { getTechnicalAnalysis } = require('./skills/get-technical-analysis');
 const { searchMarket } = require('./skills/search-market');
 const { getQuote } = require('./skills/get-quote');
+const { watchQuotes } = require('./skills/stream-quotes');
+const { watchBars } = require('./skills/stream-bars');
+const { streamQuotes, streamBars } = require('./lib/stream');
 const { getIndicatorDetails } = require('./skills/get-indicator-details');
+const { getIndicatorValues } = require('./skills/get-indicator-values');
+const { getIndicatorGraphics } = require('./skills/get-indicator-graphics');
+const { getBuiltInIndicator, getVolumeProfile } = require('./skills/get-builtin-indicator');
 const { getMarketInfo } = require('./skills/get-market-info');
 const { replayChart } = require('./skills/replay-chart');
 const { fetchMoreData } = require('./skills/fetch-more-data');
@@ -54,7 +61,13 @@ const { getUserInfo } = require('./skills/get-user-info');
 const { getChartDrawings } = require('./skills/get-chart-drawings');
 const { deepBacktest } = require('./skills/deep-backtest');
 const { backtest } = require('./skills/backtest');
+const { monteCarlo } = require('./skills/monte-carlo');
+const { simulateTrades } = require('./lib/monte-carlo');
+const { compareReports } = require('./skills/compare-reports');
 const { getStrategyParams } = require('./lib/params');
+const { extendedMetrics } = require('./lib/metrics');
+const { renderTearsheet } = require('./lib/tearsheet');
+const { checkSnapshot } = require('./lib/regression');
 
 // Study Limits
 const { getUserStudyLimits, countStudiesOnChart, checkStudyCapacity } = require('./lib/study-limits');
@@ -73,6 +86,7 @@ module.exports = {
   setTimezone,
   exportChartData,
   takeScreenshot,
+  resolveChartType,
 
   // Strategy Management
   addStrategy,
@@ -126,7 +140,15 @@ module.exports = {
   getTechnicalAnalysis,
   searchMarket,
   getQuote,
+  watchQuotes,
+  streamQuotes,
+  watchBars,
+  streamBars,
   getIndicatorDetails,
+  getIndicatorValues,
+  getIndicatorGraphics,
+  getBuiltInIndicator,
+  getVolumeProfile,
   getMarketInfo,
   replayChart,
   fetchMoreData,
@@ -136,6 +158,12 @@ module.exports = {
   deepBacktest,
   backtest,
   getStrategyParams,
+  extendedMetrics,
+  monteCarlo,
+  simulateTrades,
+  compareReports,
+  renderTearsheet,
+  checkSnapshot,
 
   // Study Limits
   getUserStudyLimits,
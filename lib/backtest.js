@@ -5,6 +5,8 @@
  */
 
 const { fetchStrategyReport, fetchDeepBacktest, detectPlan, close } = require('./ws-client');
+const { shouldSave, saveResults, runFromReport } = require('./results-store');
+const { extendedMetrics } = require('./metrics');
 
 /** Plan-based default bar limits matching TradingView's "range from chart" behavior */
 const PLAN_BAR_LIMITS = {
@@ -126,11 +128,21 @@ function parseRange(range, timeframe, plan) {
  * @param {Object} [options]
  * @param {string} [options.timeframe='D'] - Chart timeframe
  * @param {string|number|Object} [options.range='chart'] - Range preset, bar count, or {from, to}
+ * @param {number} [options.to] - Last bar (unix seconds) of a preset or bar-count range; default now.
+ *   Pins the bars so a rerun sees the same history
  * @param {Object} [options.params] - Strategy parameter overrides
- * @returns {Promise<{success:boolean, message:string, mode?:string, range?:Object, report?:Object}>}
+ * @param {string} [options.chartType] - Backtest on a custom chart type ('Renko', 'HeikinAshi', ...; regular mode only)
+ * @param {Object} [options.chartInputs] - Chart type inputs (see lib/chart-types)
+ * @param {boolean} [options.save] - Store the run in the results database (default: TV_SAVE_RESULTS)
+ * @param {boolean|Object} [options.extendedMetrics] - Attach CAGR, Calmar, SQN, ... (lib/metrics); an object
+ *   is passed on as its options, e.g. { initialCapital: 10000 }
+ * @returns {Promise<{success:boolean, message:string, mode?:string, range?:Object, report?:Object, saved?:Object,
+ *   extendedMetrics?:import('./metrics').ExtendedMetrics}>}
  */
 async function backtest(scriptId, symbol = 'BINANCE:BTCUSDT', options = {}) {
-  const { timeframe = 'D', range = 'chart', params } = options;
+  const {
+    timeframe = 'D', range = 'chart', to, params, save, chartType, chartInputs,
+  } = options;
 
   try {
     const plan = await detectPlan();
@@ -140,6 +152,12 @@ async function backtest(scriptId, symbol = 'BINANCE:BTCUSDT', options = {}) {
     let mode;
 
     if (parsed.mode === 'deep') {
+      if (chartType) {
+        return {
+          success: false,
+          message: 'Deep backtests run on regular candles only. Use a bar count or "chart", "7d"... range with a chartType.',
+        };
+      }
       if (plan !== 'pro_premium') {
         return {
           success: false,
@@ -160,17 +178,37 @@ async function backtest(scriptId, symbol = 'BINANCE:BTCUSDT', options = {}) {
       report = await fetchStrategyReport(scriptId, symbol, {
         timeframe,
         range: parsed.bars,
+        to,
         params,
+        chartType,
+        chartInputs,
       });
     }
 
+    const resolvedRange = parsed.mode === 'deep'
+      ? { from: parsed.from, to: parsed.to }
+      : { bars: parsed.bars, ...(to && { to }) };
+
+    const saved = shouldSave(save)
+      ? await saveResults(runFromReport({
+        kind: mode === 'deep' ? 'deep-backtest' : 'backtest',
+        scriptId,
+        symbol,
+        timeframe,
+        range: resolvedRange,
+        params,
+        meta: chartType ? { preset: range, chartType, chartInputs } : { preset: range },
+      }, report))
+      : undefined;
+
     return {
       success: true,
       message: `${mode === 'deep' ? 'Deep backtest' : 'Backtest'} completed: ${report.trades?.length || 0} trades`,
       mode,
-      range: parsed.mode === 'deep'
-        ? { from: parsed.from, to: parsed.to }
-        : { bars: parsed.bars },
+      range: resolvedRange,
+      chartType,
+      saved,
+      extendedMetrics: options.extendedMetrics ? extendedMetrics(report, options.extendedMetrics) : undefined,
       report: {
         performance: report.performance || {},
         trades: report.trades || [],
@@ -0,0 +1,359 @@
+/**
+ * Local OHLCV bar store with incremental sync.
+ *
+ * One JSON file per symbol + timeframe + session + adjustment, under data/bars/
+ * (TV_BARS_DIR to override):
+ *
+ *   { symbol, timeframe, session, adjustment, syncedAt, start, gaps: [{from, to}], bars: [{time, open, high, low, close, volume}, ...] }
+ *
+ * Bars are stored oldest first. `start` is set once the first bar of the market's history
+ * is stored, so older bars are never asked for again. A sync only downloads what is missing:
+ *   - the tail: bars from the last stored one on (that bar is refetched — it may have
+ *     still been forming), walking back with fetchMore until it meets the stored bars.
+ *     If it can't within `maxBars`, a second walk of at most `maxBars` fills the hole from
+ *     its far end; whatever is still missing is stored in `gaps` (bars between `from` and
+ *     `to` are missing) and walked again on the next sync. Stored bars are kept.
+ *   - the head: when more bars are asked for than stored, the bars before the first one.
+ *
+ * getChartData and the data-export workflow read through the cache with `cache: true`
+ * or TV_BAR_CACHE=1; workflows/sync-bars.js keeps a symbol universe up to date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getClient } = require('./ws-client');
+
+const DEFAULT_BARS_DIR = path.join(__dirname, '..', 'data', 'bars');
+
+/** Most bars one sync walks back to reach the stored bars */
+const DEFAULT_MAX_BARS = 5000;
+
+/** Seconds without new bars after a fetchMore before giving up on older data */
+const STALL_TIMEOUT = 5;
+
+const UNIT_SECONDS = { S: 1, '': 60, D: 86400, W: 604800, M: 2592000 };
+
+/**
+ * Length of one bar in seconds ('1S', '5', '60', 'D', '1W', '3M', ...).
+ * Months count as 30 days.
+ * @param {string} timeframe
+ * @returns {number}
+ */
+function timeframeSeconds(timeframe) {
+  const match = /^(\d*)([SDWM]?)$/i.exec(String(timeframe));
+  if (!match) throw new Error(`Invalid timeframe "${timeframe}"`);
+  return (parseInt(match[1], 10) || 1) * UNIT_SECONDS[match[2].toUpperCase()];
+}
+
+/**
+ * Should bars be read through the cache? Explicit option wins, then TV_BAR_CACHE.
+ * @param {boolean} [option]
+ * @returns {boolean}
+ */
+function shouldUseCache(option) {
+  if (option !== undefined) return !!option;
+  return ['1', 'true', 'yes'].includes(String(process.env.TV_BAR_CACHE || '').toLowerCase());
+}
+
+/**
+ * How long stored bars are served without syncing: one bar, at most an hour.
+ * @param {string} timeframe
+ * @returns {number} Seconds
+ */
+function defaultMaxAge(timeframe) {
+  return Math.min(timeframeSeconds(timeframe), 3600);
+}
+
+function normalizeKey({ symbol, timeframe = 'D', session = 'regular', adjustment = 'splits' }) {
+  if (!symbol) throw new Error('Bar cache key requires a symbol');
+  return { symbol, timeframe: String(timeframe), session, adjustment };
+}
+
+/**
+ * Merge two bar arrays (oldest first) by time; `fresh` wins on equal times.
+ * @param {Object[]} cached
+ * @param {Object[]} fresh
+ * @returns {Object[]}
+ */
+function mergeBars(cached, fresh) {
+  const byTime = new Map(cached.map(b => [b.time, b]));
+  for (const bar of fresh) byTime.set(bar.time, bar);
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
+// ─── Store ───────────────────────────────────────────────────────────────────
+
+/**
+ * File store for bar series.
+ * @param {string} [dir]
+ */
+function createBarStore(dir = process.env.TV_BARS_DIR || DEFAULT_BARS_DIR) {
+  const safe = (s) => String(s).replace(/[^\w.-]/g, '_');
+  const fileFor = (key) => {
+    const { symbol, timeframe, session, adjustment } = normalizeKey(key);
+    return path.join(dir, safe(symbol), `${safe(timeframe)}_${safe(session)}_${safe(adjustment)}.json`);
+  };
+
+  return {
+    location: dir,
+
+    /** @returns {Object|null} Stored series, or null */
+    read(key) {
+      const file = fileFor(key);
+      if (!fs.existsSync(file)) return null;
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf-8'));
+      } catch (e) {
+        return null; // A corrupt file is refetched
+      }
+    },
+
+    write(series) {
+      const file = fileFor(series);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      // Write then rename, so a crash never leaves a half-written series
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(series));
+      fs.renameSync(tmp, file);
+    },
+
+    remove(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+
+    /** @returns {Object[]} Summary of every stored series (no bars) */
+    list() {
+      if (!fs.existsSync(dir)) return [];
+      const summaries = [];
+      for (const symbolDir of fs.readdirSync(dir)) {
+        const full = path.join(dir, symbolDir);
+        if (!fs.statSync(full).isDirectory()) continue;
+        for (const file of fs.readdirSync(full).filter(f => f.endsWith('.json'))) {
+          try {
+            const { bars, ...series } = JSON.parse(fs.readFileSync(path.join(full, file), 'utf-8'));
+            summaries.push({
+              ...series,
+              count: bars.length,
+              from: bars.length > 0 ? bars[0].time : null,
+              to: bars.length > 0 ? bars[bars.length - 1].time : null,
+            });
+          } catch (e) {
+            // Skip unreadable files
+          }
+        }
+      }
+      return summaries;
+    },
+  };
+}
+
+let _store = null;
+
+/** Shared bar store (re-created when TV_BARS_DIR changes) */
+function getBarStore() {
+  const dir = process.env.TV_BARS_DIR || DEFAULT_BARS_DIR;
+  if (!_store || _store.location !== dir) _store = createBarStore(dir);
+  return _store;
+}
+
+// ─── Network ─────────────────────────────────────────────────────────────────
+
+/**
+ * Download bars. With `since`, keeps calling fetchMore until the oldest bar is at or
+ * before `since` (or `maxBars` is reached, or no older bars come).
+ *
+ * @param {string} symbol
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {string} [options.session='regular'] - 'regular' or 'extended'
+ * @param {string} [options.adjustment='splits'] - 'splits' or 'dividends'
+ * @param {number} [options.range=100] - Bars in the first load
+ * @param {number} [options.to] - Last bar time (unix seconds). Default: latest
+ * @param {number} [options.since] - Walk back until this time is covered
+ * @param {number} [options.maxBars=5000] - Stop walking back after this many bars
+ * @returns {Promise<Object[]>} Bars, oldest first
+ */
+async function fetchBars(symbol, options = {}) {
+  const {
+    timeframe = 'D', session = 'regular', adjustment = 'splits',
+    range = 100, to, since, maxBars = DEFAULT_MAX_BARS,
+  } = options;
+  const client = await getClient();
+
+  return new Promise((resolve, reject) => {
+    const chart = new client.Session.Chart();
+    let resolved = false;
+    let known = 0;
+    let stallTimer = null;
+
+    const finish = (error) => {
+      if (resolved) return;
+      resolved = true;
+      clearTimeout(timeout);
+      clearTimeout(stallTimer);
+      const bars = chart.periods.map(p => ({
+        time: p.time,
+        open: p.open,
+        high: p.max,
+        low: p.min,
+        close: p.close,
+        volume: p.volume,
+      })).reverse();
+      chart.delete();
+      if (error) reject(error);
+      else resolve(bars);
+    };
+
+    const timeout = setTimeout(() => finish(new Error('Bar fetch timed out (60s)')), 60000);
+
+    chart.onError((...err) => finish(new Error(`Chart error: ${err.join(' ')}`)));
+
+    chart.onUpdate(() => {
+      if (resolved) return;
+      const { periods } = chart;
+      if (periods.length === 0 || periods.length === known) return;
+      known = periods.length;
+      clearTimeout(stallTimer);
+
+      const oldest = periods[periods.length - 1].time;
+      if (since === undefined || oldest <= since || periods.length >= maxBars) {
+        finish();
+        return;
+      }
+      chart.fetchMore(Math.min(Math.max(range, 100), maxBars - periods.length));
+      stallTimer = setTimeout(() => finish(), STALL_TIMEOUT * 1000);
+    });
+
+    chart.setMarket(symbol, {
+      timeframe, range, to, session, adjustment,
+    });
+  });
+}
+
+// ─── Sync ────────────────────────────────────────────────────────────────────
+
+/**
+ * Walk back from the far end of a hole in the stored bars.
+ * @returns {Promise<{bars: Object[], gap: {from: number, to: number}|null}>} Bars from
+ *   `gap.from` on, and the part of the hole still missing (null once closed)
+ */
+async function fillGap(symbol, fetchOptions, gap, maxBars) {
+  const hole = Math.ceil((gap.to - gap.from) / timeframeSeconds(fetchOptions.timeframe));
+  const walked = (await fetchBars(symbol, {
+    ...fetchOptions, range: Math.min(hole, maxBars), to: gap.to - 1, since: gap.from, maxBars,
+  })).filter(b => b.time < gap.to);
+  const bars = walked.filter(b => b.time >= gap.from);
+  if (walked.length > 0 && walked[0].time <= gap.from) return { bars, gap: null };
+  return { bars, gap: { from: gap.from, to: bars.length > 0 ? bars[0].time : gap.to } };
+}
+
+/**
+ * Bring a stored series up to date and make sure it holds at least `count` bars.
+ *
+ * @param {string} symbol
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {string} [options.session='regular']
+ * @param {string} [options.adjustment='splits']
+ * @param {number} [options.count=100] - Bars the series should hold
+ * @param {number} [options.maxBars=5000] - Most bars to walk back for the tail
+ * @returns {Promise<{series: Object, fetched: number, added: number, gaps: {from: number, to: number}[]}>}
+ *   `gaps` are the holes in the stored bars this sync couldn't close, oldest first
+ */
+async function syncBars(symbol, options = {}) {
+  const { count = 100, maxBars = DEFAULT_MAX_BARS } = options;
+  const key = normalizeKey({ ...options, symbol });
+  const fetchOptions = { timeframe: key.timeframe, session: key.session, adjustment: key.adjustment };
+  const store = getBarStore();
+  const series = store.read(key) || { ...key, start: false, bars: [] };
+  const before = series.bars.length;
+  let fetched = 0;
+  const gaps = [];
+
+  if (series.bars.length === 0) {
+    const bars = await fetchBars(symbol, { ...fetchOptions, range: count });
+    fetched += bars.length;
+    series.bars = bars;
+    series.start = bars.length < count;
+  } else {
+    // Tail: from the last stored bar to now
+    const last = series.bars[series.bars.length - 1].time;
+    const behind = Math.ceil((Date.now() / 1000 - last) / timeframeSeconds(key.timeframe)) + 1;
+    const tail = await fetchBars(symbol, {
+      ...fetchOptions, range: Math.min(Math.max(behind, 2), maxBars), since: last, maxBars,
+    });
+    fetched += tail.length;
+    series.bars = mergeBars(series.bars, tail);
+
+    // Holes left by earlier syncs, then the one between the stored bars and the tail
+    const holes = [...(series.gaps || [])];
+    if (tail.length > 0 && tail[0].time > last) holes.push({ from: last, to: tail[0].time });
+    for (const hole of holes) {
+      const fill = await fillGap(symbol, fetchOptions, hole, maxBars);
+      fetched += fill.bars.length;
+      series.bars = mergeBars(series.bars, fill.bars);
+      if (fill.gap) gaps.push(fill.gap);
+    }
+  }
+  series.gaps = gaps;
+
+  // Head: older bars when more are wanted
+  const missing = count - series.bars.length;
+  if (missing > 0 && !series.start && series.bars.length > 0) {
+    const first = series.bars[0].time;
+    const head = (await fetchBars(symbol, { ...fetchOptions, range: missing, to: first - 1 }))
+      .filter(b => b.time < first);
+    fetched += head.length;
+    series.bars = mergeBars(head, series.bars);
+    series.start = head.length < missing;
+  }
+
+  series.syncedAt = new Date().toISOString();
+  store.write(series);
+
+  return {
+    series, fetched, added: series.bars.length - before, gaps,
+  };
+}
+
+/**
+ * Get the latest `count` bars, from the store when it is fresh and holds enough bars,
+ * otherwise after syncing it.
+ *
+ * @param {string} symbol
+ * @param {Object} [options] - syncBars options, plus:
+ * @param {number} [options.maxAge] - Seconds a sync stays fresh. Default: one bar, at most an hour
+ * @returns {Promise<{bars: Object[], source: 'cache'|'sync', fetched: number, gaps: Object[]}>}
+ *   Bars newest first, like fetchChartData; `gaps` are the holes still in the stored bars
+ */
+async function getBars(symbol, options = {}) {
+  const { count = 100 } = options;
+  const key = normalizeKey({ ...options, symbol });
+  const maxAge = options.maxAge ?? defaultMaxAge(key.timeframe);
+  const stored = getBarStore().read(key);
+
+  const fresh = stored && stored.syncedAt
+    && Date.now() - Date.parse(stored.syncedAt) < maxAge * 1000
+    && (stored.bars.length >= count || stored.start);
+  if (fresh) {
+    return {
+      bars: stored.bars.slice(-count).reverse(), source: 'cache', fetched: 0, gaps: stored.gaps || [],
+    };
+  }
+
+  const { series, fetched, gaps } = await syncBars(symbol, options);
+  return {
+    bars: series.bars.slice(-count).reverse(), source: 'sync', fetched, gaps,
+  };
+}
+
+module.exports = {
+  timeframeSeconds,
+  shouldUseCache,
+  mergeBars,
+  createBarStore,
+  getBarStore,
+  fetchBars,
+  syncBars,
+  getBars,
+};
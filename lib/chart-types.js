@@ -0,0 +1,122 @@
+/**
+ * Custom chart types (Heikin Ashi, Renko, Line Break, Kagi, Point & Figure, Range) and
+ * validation of their inputs.
+ *
+ * TradingView builds these bars server-side from the chart's regular candles: the chart
+ * session's `setMarket(symbol, {type, inputs})` wraps the symbol in a BarSet* study (see
+ * ChartTypes in tradingview-api-reference/src/chart/session.js). The server answers bad
+ * inputs with an opaque series error, so they are checked here first.
+ *
+ * Used by fetchChartData / fetchStrategyReport in ws-client.js (`chartType`, `chartInputs`).
+ */
+
+const SOURCES = ['open', 'high', 'low', 'close', 'hl2', 'hlc3', 'ohlc4'];
+const STYLES = ['ATR', 'Traditional'];
+
+/**
+ * Inputs per chart type: `{type, default, options?, min?, integer?}`. Defaults match the
+ * TradingView chart settings dialog.
+ */
+const CHART_TYPES = {
+  HeikinAshi: {},
+  Renko: {
+    style: { type: 'string', default: 'ATR', options: STYLES },
+    boxSize: { type: 'number', default: 3, min: 0, exclusiveMin: true },
+    atrLength: { type: 'number', default: 14, min: 1, integer: true },
+    source: { type: 'string', default: 'close', options: SOURCES },
+    sources: { type: 'string', default: 'Close', options: ['Close', 'OHLC'] },
+    wicks: { type: 'boolean', default: true },
+  },
+  LineBreak: {
+    source: { type: 'string', default: 'close', options: SOURCES },
+    lb: { type: 'number', default: 3, min: 1, integer: true },
+  },
+  Kagi: {
+    style: { type: 'string', default: 'ATR', options: STYLES },
+    atrLength: { type: 'number', default: 14, min: 1, integer: true },
+    reversalAmount: { type: 'number', default: 1, min: 0, exclusiveMin: true },
+    source: { type: 'string', default: 'close', options: SOURCES },
+  },
+  PointAndFigure: {
+    style: { type: 'string', default: 'ATR', options: STYLES },
+    boxSize: { type: 'number', default: 1, min: 0, exclusiveMin: true },
+    atrLength: { type: 'number', default: 14, min: 1, integer: true },
+    reversalAmount: { type: 'number', default: 3, min: 1, integer: true },
+    sources: { type: 'string', default: 'Close', options: ['Close', 'HL'] },
+    oneStepBackBuilding: { type: 'boolean', default: false },
+  },
+  Range: {
+    range: { type: 'number', default: 1, min: 0, exclusiveMin: true },
+    phantomBars: { type: 'boolean', default: false },
+  },
+};
+
+/** Lower-cased aliases → chart type */
+const ALIASES = {
+  heikinashi: 'HeikinAshi',
+  'heikin-ashi': 'HeikinAshi',
+  ha: 'HeikinAshi',
+  renko: 'Renko',
+  linebreak: 'LineBreak',
+  'line-break': 'LineBreak',
+  kagi: 'Kagi',
+  pointandfigure: 'PointAndFigure',
+  'point-and-figure': 'PointAndFigure',
+  pnf: 'PointAndFigure',
+  range: 'Range',
+};
+
+/**
+ * Resolve a chart type name and validate its inputs, filling in the defaults.
+ * Passing `boxSize` without `style` selects the 'Traditional' (fixed box) style.
+ *
+ * @param {string} chartType - 'Renko', 'pnf', 'heikin-ashi', ... (case-insensitive)
+ * @param {Object} [inputs] - Type-specific inputs, e.g. { style: 'Traditional', boxSize: 50 }
+ * @returns {{type: string, inputs: Object}} Canonical type name (a key of CHART_TYPES) and full inputs
+ * @throws {Error} Unknown type, unknown input, or an invalid value
+ */
+function resolveChartType(chartType, inputs = {}) {
+  const type = CHART_TYPES[chartType] ? chartType : ALIASES[String(chartType).toLowerCase()];
+  if (!type) {
+    throw new Error(`Unknown chart type "${chartType}". Supported: ${Object.keys(CHART_TYPES).join(', ')}`);
+  }
+
+  const spec = CHART_TYPES[type];
+  const unknown = Object.keys(inputs || {}).filter(key => !spec[key]);
+  if (unknown.length > 0) {
+    const allowed = Object.keys(spec);
+    throw new Error(`${type} has no input(s) ${unknown.join(', ')}`
+      + (allowed.length > 0 ? ` (inputs: ${allowed.join(', ')})` : ' (it takes no inputs)'));
+  }
+
+  const resolved = {};
+  for (const [key, rule] of Object.entries(spec)) {
+    let value = inputs?.[key];
+    if (value === undefined) {
+      value = key === 'style' && inputs?.boxSize !== undefined ? 'Traditional' : rule.default;
+    }
+    if (rule.type === 'number' && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      value = Number(value);
+    }
+    if (rule.type === 'boolean' && (value === 'true' || value === 'false')) value = value === 'true';
+
+    const name = `${type} ${key}`;
+    if (typeof value !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+      throw new Error(`${name}: expected a ${rule.type}, got ${JSON.stringify(value)}`);
+    }
+    if (rule.options) {
+      const match = rule.options.find(o => o.toLowerCase() === value.toLowerCase());
+      if (!match) throw new Error(`${name}: "${value}" is not one of ${rule.options.join(', ')}`);
+      value = match;
+    }
+    if (rule.integer && !Number.isInteger(value)) throw new Error(`${name}: expected an integer, got ${value}`);
+    if (rule.min !== undefined && (rule.exclusiveMin ? value <= rule.min : value < rule.min)) {
+      throw new Error(`${name}: must be ${rule.exclusiveMin ? 'greater than' : 'at least'} ${rule.min}, got ${value}`);
+    }
+    resolved[key] = value;
+  }
+
+  return { type, inputs: resolved };
+}
+
+module.exports = { CHART_TYPES, resolveChartType };
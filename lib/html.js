@@ -0,0 +1,79 @@
+/**
+ * Minimal helpers for self-contained HTML reports (no external assets or scripts),
+ * so a report can be opened straight from disk or attached to a message.
+ */
+
+/**
+ * Escape text for HTML element content and attribute values.
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Map t ∈ [0, 1] to a red → yellow → green background color.
+ * @param {number} t - 0 = worst, 1 = best
+ * @returns {string} CSS hsl() color
+ */
+function colorScale(t) {
+  const clamped = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+  return `hsl(${Math.round(clamped * 120)}, 65%, 72%)`;
+}
+
+/**
+ * Format a number for display (locale-independent, trimmed decimals).
+ * @param {*} value
+ * @param {number} [digits=2]
+ * @returns {string}
+ */
+function formatNumber(value, digits = 2) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value === undefined || value === null ? '' : String(value);
+  return Number.isInteger(value) ? String(value) : value.toFixed(digits);
+}
+
+const BASE_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; color: #1f2933; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 24px 0 8px; }
+  .meta { color: #616e7c; font-size: 13px; margin-bottom: 16px; }
+  table { border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid #d9e2ec; padding: 4px 8px; text-align: right; white-space: nowrap; }
+  th { background: #f0f4f8; font-weight: 600; }
+`;
+
+/**
+ * Wrap body HTML in a complete, self-contained page.
+ * @param {Object} options
+ * @param {string} options.title - Page title (escaped)
+ * @param {string} options.body - Body HTML (not escaped)
+ * @param {string} [options.style] - Extra CSS
+ * @returns {string}
+ */
+function renderPage({ title, body, style = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${BASE_STYLE}${style}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  colorScale,
+  formatNumber,
+  renderPage,
+};
@@ -0,0 +1,292 @@
+/**
+ * Job queue for long-running work (sweeps, deep backtests).
+ * A submitted job gets an ID right away; callers poll `get(id)` for status and progress,
+ * may `cancel(id)`, and read the result once the job is `done` or `failed`.
+ *
+ * Jobs are dispatched by type to registered handlers, so a job is fully described by
+ * its type + params. With a `dir`, every job is persisted as <dir>/<id>.json; on the
+ * next start, queued jobs are queued again and interrupted ones are restarted (sweeps
+ * resume from their run journal). Jobs run in submission order, bounded overall and
+ * per TradingView account — concurrent sweeps on one account compete for the same
+ * plan connection limit.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_JOBS_DIR = path.join(__dirname, '..', 'data', 'jobs');
+
+const JOB_STATUSES = ['queued', 'running', 'done', 'failed', 'cancelled'];
+const FINISHED = new Set(['done', 'failed', 'cancelled']);
+
+/** Minimum gap between progress writes to disk (ms) */
+const PROGRESS_FLUSH_INTERVAL = 2000;
+
+/**
+ * Key identifying the TradingView account in use (a hash of the session cookie —
+ * the session itself is never written to job files). 'anonymous' without credentials.
+ * @returns {string}
+ */
+function accountKey() {
+  try {
+    const { getCredentials } = require('./ws-client');
+    const { session } = getCredentials();
+    return crypto.createHash('sha256').update(session).digest('hex').slice(0, 12);
+  } catch (e) {
+    return 'anonymous';
+  }
+}
+
+/**
+ * Percent complete and ETA from a job's progress. Combos reused from a journal
+ * (`resumed`) finish instantly, so they are left out of the rate.
+ */
+function withEta(job, update) {
+  const progress = { ...job.progress, ...update };
+  const { done, total } = progress;
+  if (Number.isFinite(done) && Number.isFinite(total) && total > 0) {
+    progress.percent = Math.round((done / total) * 1000) / 10;
+    const worked = done - (progress.resumed || 0);
+    const elapsed = (Date.now() - Date.parse(job.startedAt)) / 1000;
+    progress.etaSeconds = worked > 0 && done < total
+      ? Math.round((elapsed / worked) * (total - done))
+      : (done >= total ? 0 : null);
+  }
+  return progress;
+}
+
+/**
+ * Create a job queue.
+ *
+ * @param {Object} options
+ * @param {Object<string, (params: Object, ctx: {signal: AbortSignal, progress: (update: Object) => void, job: Object}) => Promise<Object>>} options.handlers
+ *   Job type → handler. A handler's return value becomes the job's `result`; a result
+ *   with `success: false` marks the job failed. After a cancel request the job ends `cancelled`.
+ * @param {string} [options.dir] - Persist jobs here (omit for in-memory only)
+ * @param {number} [options.concurrency=1] - Jobs running at once, across all accounts
+ * @param {number} [options.perAccount=1] - Jobs running at once on one TradingView account
+ * @param {number} [options.maxFinished=100] - Finished jobs kept (oldest dropped first, from disk too)
+ * @returns {{submit: Function, get: Function, list: Function, cancel: Function, stats: Function, idle: Function}}
+ */
+function createJobQueue(options = {}) {
+  const {
+    handlers = {},
+    dir,
+    concurrency = 1,
+    perAccount = 1,
+    maxFinished = 100,
+  } = options;
+
+  const jobs = new Map();
+  const pending = [];
+  const controllers = new Map();
+  const lastFlush = new Map();
+  let idleWaiters = [];
+
+  const jobFile = (id) => path.join(dir, `${id}.json`);
+
+  function persist(job) {
+    if (!dir) return;
+    lastFlush.set(job.id, Date.now());
+    const file = jobFile(job.id);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter(j => FINISHED.has(j.status));
+    for (const job of finished.slice(0, Math.max(0, finished.length - maxFinished))) {
+      jobs.delete(job.id);
+      lastFlush.delete(job.id);
+      if (dir) fs.rmSync(jobFile(job.id), { force: true });
+    }
+  }
+
+  const runningOn = (account) => [...controllers.keys()].filter(id => jobs.get(id).account === account).length;
+
+  function finish(job, fields) {
+    Object.assign(job, fields, { finishedAt: new Date().toISOString() });
+    controllers.delete(job.id);
+    persist(job);
+    prune();
+  }
+
+  function start(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.attempts = (job.attempts || 0) + 1;
+    job.progress = null;
+    persist(job);
+
+    const progress = (update) => {
+      job.progress = withEta(job, update);
+      if (Date.now() - (lastFlush.get(job.id) || 0) >= PROGRESS_FLUSH_INTERVAL) persist(job);
+    };
+
+    Promise.resolve()
+      .then(() => handlers[job.type](job.params, { signal: controller.signal, progress, job }))
+      .then((result) => {
+        const failed = result && result.success === false;
+        let status = failed ? 'failed' : 'done';
+        if (job.cancelRequested || result?.cancelled) status = 'cancelled';
+        finish(job, { status, result, error: failed ? (result.error || result.message) : null });
+      }, (error) => {
+        finish(job, { status: job.cancelRequested ? 'cancelled' : 'failed', error: error.message });
+      })
+      .catch((error) => {
+        // finish() itself failed (e.g. the job file can't be written): free the slot anyway
+        console.error(`[jobs] Job ${job.id} (${job.type}) failed: ${error.message}`);
+        Object.assign(job, { status: 'failed', error: error.message, finishedAt: new Date().toISOString() });
+        controllers.delete(job.id);
+      })
+      .finally(next);
+  }
+
+  function next() {
+    for (let i = 0; i < pending.length && controllers.size < concurrency;) {
+      const job = pending[i];
+      if (runningOn(job.account) < perAccount) {
+        pending.splice(i, 1);
+        start(job);
+      } else {
+        i++;
+      }
+    }
+    if (pending.length === 0 && controllers.size === 0) {
+      idleWaiters.forEach(resolve => resolve());
+      idleWaiters = [];
+    }
+  }
+
+  /**
+   * Queue a job.
+   * @param {string} type - Registered handler name, e.g. 'optimize', 'backtest'
+   * @param {Object} params - Handler input (must be JSON-serializable to survive restarts)
+   * @param {Object} [submitOptions]
+   * @param {string} [submitOptions.account] - Account key for the per-account limit (default: current credentials)
+   * @returns {Object} The job
+   */
+  function submit(type, params, submitOptions = {}) {
+    if (!handlers[type]) {
+      throw new Error(`Unknown job type "${type}". Use: ${Object.keys(handlers).join(', ')}`);
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      account: submitOptions.account || accountKey(),
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      attempts: 0,
+      progress: null,
+      cancelRequested: false,
+      result: null,
+      error: null,
+    };
+    jobs.set(job.id, job);
+    pending.push(job);
+    persist(job);
+    next();
+    return job;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  /**
+   * Jobs newest first, without their results.
+   * @param {Object} [filter]
+   * @param {string} [filter.status]
+   * @param {string} [filter.type]
+   * @returns {Object[]}
+   */
+  function list(filter = {}) {
+    return [...jobs.values()]
+      .filter(j => (!filter.status || j.status === filter.status) && (!filter.type || j.type === filter.type))
+      .reverse()
+      .map(({ result, ...summary }) => summary);
+  }
+
+  /**
+   * Cancel a job. A queued job is cancelled at once; a running job is signalled and
+   * becomes `cancelled` when its handler returns (a sweep stops after the backtests in flight).
+   * @param {string} id
+   * @returns {Object|null} The job, or null if unknown
+   */
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || FINISHED.has(job.status)) return job || null;
+
+    job.cancelRequested = true;
+    const queuedAt = pending.indexOf(job);
+    if (queuedAt >= 0) {
+      pending.splice(queuedAt, 1);
+      finish(job, { status: 'cancelled' });
+      next();
+    } else {
+      persist(job);
+      controllers.get(id)?.abort();
+    }
+    return job;
+  }
+
+  function stats() {
+    const counts = Object.fromEntries(JOB_STATUSES.map(s => [s, 0]));
+    for (const job of jobs.values()) counts[job.status]++;
+    return { concurrency, perAccount, ...counts };
+  }
+
+  /** Resolves once nothing is queued or running */
+  function idle() {
+    if (pending.length === 0 && controllers.size === 0) return Promise.resolve();
+    return new Promise(resolve => idleWaiters.push(resolve));
+  }
+
+  // Reload persisted jobs; queued and interrupted ones run again, oldest first
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stored = fs.readdirSync(dir)
+      .filter(f => f.endsWith('.json'))
+      .map((f) => {
+        try { return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf-8')); } catch (e) { return null; }
+      })
+      .filter(job => job && job.id && JOB_STATUSES.includes(job.status))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+    for (const job of stored) {
+      jobs.set(job.id, job);
+      if (FINISHED.has(job.status)) continue;
+      if (job.cancelRequested || !handlers[job.type]) {
+        finish(job, {
+          status: job.cancelRequested ? 'cancelled' : 'failed',
+          error: job.cancelRequested ? null : `No handler for job type "${job.type}"`,
+        });
+        continue;
+      }
+      job.status = 'queued';
+      persist(job);
+      pending.push(job);
+    }
+    prune();
+    next();
+  }
+
+  return { submit, get, list, cancel, stats, idle };
+}
+
+module.exports = {
+  DEFAULT_JOBS_DIR,
+  JOB_STATUSES,
+  accountKey,
+  createJobQueue,
+};
@@ -0,0 +1,161 @@
+/**
+ * Run journal for resumable optimization sweeps.
+ * Each journal is an append-only JSONL file at runs/<runId>.jsonl, keyed by
+ * script ID + symbol + timeframe + range + param space + search settings (the run ID)
+ * and param combo (each line):
+ *
+ *   { "type": "run",    "runId": "...", "scriptId": "...", "options": {...}, "startedAt": "..." }
+ *   { "type": "result", "key": "{\"in_0\":14}", "result": {...}, "time": "..." }
+ *
+ * A "run" line is appended every time a sweep starts, so the journal also records
+ * the options needed to resume it (`--resume <runId>`). Results are flushed per combo,
+ * so a sweep that dies halfway loses at most the combos that were in flight.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_JOURNAL_DIR = path.join(__dirname, '..', 'runs');
+
+/**
+ * JSON.stringify with sorted object keys, so equal objects always produce the same string.
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Key for a single param combo (in_XX keys → values).
+ * @param {Object} params
+ * @returns {string}
+ */
+function comboKey(params) {
+  return stableStringify(params);
+}
+
+/**
+ * Derive a deterministic run ID, so rerunning the same sweep reuses its journal.
+ * A different param space or search is a different sweep, and gets its own journal.
+ * @param {Object} spec
+ * @param {string} spec.scriptId
+ * @param {string} spec.symbol
+ * @param {string} spec.timeframe
+ * @param {*} spec.range - Bar count or date range
+ * @param {Array<{key: string, values: Array}>} [spec.space] - Normalized param space (buildParamSpace)
+ * @param {Object} [spec.search] - Search settings (strategy, budget, seed, ...)
+ * @returns {string} 12-char hex ID
+ */
+function createRunId({
+  scriptId, symbol, timeframe, range, space = [], search = null,
+}) {
+  const params = space.map(p => [p.key, p.values]);
+  return crypto.createHash('sha1')
+    .update(stableStringify({
+      scriptId, symbol, timeframe, range, params, search,
+    }))
+    .digest('hex')
+    .slice(0, 12);
+}
+
+function journalPath(runId, dir = DEFAULT_JOURNAL_DIR) {
+  if (!/^[\w-]+$/.test(runId)) throw new Error(`Invalid run ID "${runId}"`);
+  return path.join(dir, `${runId}.jsonl`);
+}
+
+/**
+ * Read a journal from disk.
+ * Unparseable lines (e.g. a partial write from a crash) are skipped.
+ *
+ * @param {string} runId
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Journal directory (default: runs/)
+ * @returns {{runId: string, header: Object|null, results: Map<string, Object>}|null} null if no journal exists
+ */
+function readJournal(runId, options = {}) {
+  const file = journalPath(runId, options.dir);
+  if (!fs.existsSync(file)) return null;
+
+  let header = null;
+  const results = new Map();
+
+  for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (e) {
+      continue;
+    }
+    if (entry.type === 'run') header = entry;
+    else if (entry.type === 'result') results.set(entry.key, entry.result);
+  }
+
+  return { runId, header, results };
+}
+
+/**
+ * Open (or create) a journal and record the start of a sweep.
+ * Later results for the same combo replace earlier ones when the journal is read back.
+ *
+ * @param {string} runId
+ * @param {Object} header - Sweep description: { scriptId, options }
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Journal directory (default: runs/)
+ * @returns {{runId: string, file: string, results: Map<string, Object>, completed: (params: Object) => Object|null, append: (result: Object) => void}}
+ */
+function openJournal(runId, header, options = {}) {
+  const dir = options.dir || DEFAULT_JOURNAL_DIR;
+  const file = journalPath(runId, dir);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const existing = readJournal(runId, { dir });
+  const results = existing ? existing.results : new Map();
+
+  fs.appendFileSync(file, JSON.stringify({
+    type: 'run',
+    runId,
+    ...header,
+    startedAt: new Date().toISOString(),
+  }) + '\n');
+
+  return {
+    runId,
+    file,
+    results,
+
+    /** Previously journaled result for a combo, if it completed without error */
+    completed(params) {
+      const result = results.get(comboKey(params));
+      return result && !result.error ? result : null;
+    },
+
+    append(result) {
+      const key = comboKey(result.params);
+      results.set(key, result);
+      fs.appendFileSync(file, JSON.stringify({
+        type: 'result',
+        key,
+        result,
+        time: new Date().toISOString(),
+      }) + '\n');
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_JOURNAL_DIR,
+  stableStringify,
+  comboKey,
+  createRunId,
+  readJournal,
+  openJournal,
+};
@@ -0,0 +1,166 @@
+/**
+ * Extended performance metrics derived from a StrategyReport: the ratios TradingView's
+ * Strategy Tester doesn't show (CAGR, Calmar, MAR, Ulcer index, SQN, ...).
+ *
+ * They are computed from the closed-trade equity curve: `report.history.equity` (the
+ * cumulative net profit after each closed trade) placed at each trade's exit time, and
+ * starting from the initial capital at the start of the backtest range. Drawdowns are
+ * therefore closed-trade drawdowns, smaller than TradingView's intra-trade
+ * `maxStrategyDrawDown`.
+ */
+
+const YEAR_MS = 365.25 * 86400 * 1000;
+
+const round = v => (Number.isFinite(v) ? Math.round(v * 100) / 100 : null);
+
+/**
+ * @typedef {Object} ExtendedMetrics
+ * @prop {number|null} initialCapital - From `options.initialCapital`, else netProfit / netProfitPercent
+ * @prop {{from:number, to:number}} period - Backtest range (ms), as report.settings.dateRange.backtest
+ * @prop {number} years
+ * @prop {number|null} cagr - Compound annual growth rate, %
+ * @prop {number} maxDrawdown - Largest peak-to-trough fall of the closed-trade equity
+ * @prop {number|null} maxDrawdownPercent - Same, % of the peak equity
+ * @prop {number|null} calmar - CAGR / max drawdown % over the last 36 months
+ * @prop {number|null} mar - CAGR / max drawdown % over the whole range
+ * @prop {number|null} ulcerIndex - Root mean square of the drawdown % at each equity point
+ * @prop {number|null} expectancy - Average net profit per trade
+ * @prop {number|null} expectancyRatio - Expectancy in units of the average loss (R multiples)
+ * @prop {number|null} sqn - System Quality Number: √trades × mean profit / stdev of profits
+ * @prop {number|null} recoveryFactor - Net profit / max drawdown
+ * @prop {number|null} exposure - % of the range with a position open (overlapping trades count once)
+ * @prop {number} maxConsecutiveWins
+ * @prop {number} maxConsecutiveLosses
+ */
+
+/**
+ * Compute extended metrics for a strategy report.
+ *
+ * @param {import('../tradingview-api-reference/src/chart/study').StrategyReport} report
+ * @param {Object|boolean} [options] - `true` is the same as no options
+ * @param {number} [options.initialCapital] - Needed when the report's netProfitPercent is 0 or missing
+ * @returns {ExtendedMetrics}
+ */
+function extendedMetrics(report, options = {}) {
+  const { initialCapital: capital } = options && typeof options === 'object' ? options : {};
+  const trades = (report.trades || [])
+    .filter(t => Number.isFinite(t.exit?.time) && Number.isFinite(t.profit?.v))
+    .sort((a, b) => a.exit.time - b.exit.time);
+  const profits = trades.map(t => t.profit.v);
+
+  const initialCapital = capital ?? reportCapital(report);
+
+  const range = report.settings?.dateRange?.backtest;
+  const period = {
+    from: range?.from ?? trades.reduce((min, t) => Math.min(min, t.entry.time), Infinity),
+    to: range?.to ?? trades[trades.length - 1]?.exit.time,
+  };
+  if (!Number.isFinite(period.from)) period.from = undefined;
+  const years = period.from !== undefined && period.to !== undefined ? (period.to - period.from) / YEAR_MS : 0;
+
+  // Closed-trade equity curve: cumulative net profit at each exit
+  const equity = report.history?.equity?.length === trades.length
+    ? report.history.equity
+    : profits.reduce((curve, p) => [...curve, (curve[curve.length - 1] || 0) + p], []);
+  const curve = [{ time: period.from, value: 0 }, ...trades.map((t, i) => ({ time: t.exit.time, value: equity[i] }))];
+  const netProfit = equity.length > 0 ? equity[equity.length - 1] : 0;
+
+  const whole = drawdowns(curve, initialCapital);
+  const last36 = drawdowns(curve.filter(p => p.time === undefined || p.time >= period.to - 3 * YEAR_MS), initialCapital);
+
+  const cagr = initialCapital && years > 0 && initialCapital + netProfit > 0
+    ? (((initialCapital + netProfit) / initialCapital) ** (1 / years) - 1) * 100
+    : null;
+
+  const mean = profits.length > 0 ? profits.reduce((s, p) => s + p, 0) / profits.length : null;
+  const losses = profits.filter(p => p < 0);
+  const avgLoss = losses.length > 0 ? -losses.reduce((s, p) => s + p, 0) / losses.length : null;
+  const stdev = profits.length > 1
+    ? Math.sqrt(profits.reduce((s, p) => s + (p - mean) ** 2, 0) / (profits.length - 1))
+    : null;
+
+  return {
+    initialCapital: round(initialCapital),
+    period,
+    years: round(years),
+    cagr: round(cagr),
+    maxDrawdown: round(whole.max),
+    maxDrawdownPercent: round(whole.maxPercent),
+    calmar: round(cagr !== null && last36.maxPercent ? cagr / last36.maxPercent : null),
+    mar: round(cagr !== null && whole.maxPercent ? cagr / whole.maxPercent : null),
+    ulcerIndex: round(whole.ulcer),
+    expectancy: round(mean),
+    expectancyRatio: round(mean !== null && avgLoss ? mean / avgLoss : null),
+    sqn: round(stdev ? (Math.sqrt(profits.length) * mean) / stdev : null),
+    recoveryFactor: round(whole.max > 0 ? netProfit / whole.max : null),
+    exposure: round(years > 0 ? (timeInMarket(report.trades || []) / (period.to - period.from)) * 100 : null),
+    maxConsecutiveWins: longestStreak(profits, p => p > 0),
+    maxConsecutiveLosses: longestStreak(profits, p => p < 0),
+  };
+}
+
+/**
+ * Initial capital of a report's strategy, from its net profit and net profit %.
+ * @param {Object} report - StrategyReport
+ * @returns {number|null} null when netProfitPercent is 0 or missing
+ */
+function reportCapital(report) {
+  const all = report.performance?.all || {};
+  return all.netProfitPercent ? all.netProfit / (all.netProfitPercent / 100) : null;
+}
+
+/**
+ * Drawdowns of an equity curve (values are net profit, added to `capital` for percentages).
+ * @param {Array<{value:number}>} curve
+ * @param {number|null} capital
+ * @returns {{max:number, maxPercent:number|null, ulcer:number|null}}
+ */
+function drawdowns(curve, capital) {
+  let peak = -Infinity;
+  let max = 0;
+  let maxPercent = 0;
+  let squares = 0;
+  curve.forEach(({ value }) => {
+    peak = Math.max(peak, value);
+    max = Math.max(max, peak - value);
+    if (capital) {
+      const percent = ((peak - value) / (capital + peak)) * 100;
+      maxPercent = Math.max(maxPercent, percent);
+      squares += percent ** 2;
+    }
+  });
+  return {
+    max,
+    maxPercent: capital ? maxPercent : null,
+    ulcer: capital && curve.length > 0 ? Math.sqrt(squares / curve.length) : null,
+  };
+}
+
+/** Total time (ms) covered by at least one trade */
+function timeInMarket(trades) {
+  const spans = trades
+    .filter(t => Number.isFinite(t.entry?.time) && Number.isFinite(t.exit?.time))
+    .map(t => [t.entry.time, t.exit.time])
+    .sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let end = -Infinity;
+  spans.forEach(([from, to]) => {
+    if (to <= end) return;
+    total += to - Math.max(from, end);
+    end = to;
+  });
+  return total;
+}
+
+/** Longest run of consecutive values matching `test` */
+function longestStreak(values, test) {
+  let best = 0;
+  let run = 0;
+  values.forEach((v) => {
+    run = test(v) ? run + 1 : 0;
+    best = Math.max(best, run);
+  });
+  return best;
+}
+
+module.exports = { extendedMetrics, reportCapital };
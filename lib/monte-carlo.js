@@ -0,0 +1,197 @@
+/**
+ * Monte Carlo resampling of a backtest's trade list.
+ *
+ * A backtest is one ordering of its trades; the same trades in another order can have a
+ * much deeper drawdown. Each simulated run replays the trades' net profits (fixed
+ * position size, no compounding) from the account size:
+ *   - `shuffle`: the same trades in a random order (final equity never changes)
+ *   - `bootstrap`: as many trades drawn at random with replacement
+ * and, with `skipProbability`, drops each trade with that probability (missed signals,
+ * downtime). Runs are seeded, so a simulation can be reproduced.
+ */
+
+const { createRng } = require('./search');
+
+const METHODS = ['shuffle', 'bootstrap'];
+const DEFAULT_PERCENTILES = [5, 25, 50, 75, 95];
+
+const round = v => (Number.isFinite(v) ? Math.round(v * 100) / 100 : null);
+
+/**
+ * @typedef {Object} Distribution
+ * @prop {number} mean
+ * @prop {number} min
+ * @prop {number} max
+ * @prop {Object<string, number>} percentiles - { p5, p25, p50, ... }
+ * @prop {Array<{from:number, to:number, count:number}>} histogram
+ */
+
+/**
+ * Simulate `runs` resampled equity paths.
+ *
+ * @param {number[]} profits - Net profit of each closed trade, oldest first
+ * @param {Object} options
+ * @param {number} options.accountSize - Starting equity
+ * @param {number} [options.runs=1000]
+ * @param {'shuffle'|'bootstrap'} [options.method='shuffle']
+ * @param {number} [options.skipProbability=0] - Chance (0-1) that a trade is not taken
+ * @param {number} [options.ruinPercent=100] - Loss (% of the account size) that counts as ruin
+ * @param {number[]} [options.percentiles=[5, 25, 50, 75, 95]]
+ * @param {number} [options.bins=20] - Histogram bins per distribution
+ * @param {number} [options.seed] - Default: current time
+ * @param {boolean} [options.includeSamples=false] - Also return every run's values
+ * @returns {{runs:number, method:string, skipProbability:number, accountSize:number, ruinLevel:number,
+ *   seed:number, trades:number, probabilityOfRuin:number, original:Object, maxDrawdown:Distribution, maxDrawdownPercent:Distribution,
+ *   finalEquity:Distribution, longestLosingStreak:Distribution, samples?:Object[]}}
+ *   `probabilityOfRuin` is the share of runs (0-1) whose equity fell to `ruinLevel`
+ */
+function simulateTrades(profits, options) {
+  const {
+    accountSize,
+    runs = 1000,
+    method = 'shuffle',
+    skipProbability = 0,
+    ruinPercent = 100,
+    percentiles = DEFAULT_PERCENTILES,
+    bins = 20,
+    seed = Date.now(),
+    includeSamples = false,
+  } = options;
+
+  if (!METHODS.includes(method)) throw new Error(`Unknown method "${method}" (${METHODS.join(', ')})`);
+  if (!(accountSize > 0)) throw new Error(`accountSize must be positive, got ${accountSize}`);
+  if (!Number.isInteger(runs) || runs < 1) throw new Error(`runs must be a positive integer, got ${runs}`);
+  if (!(skipProbability >= 0 && skipProbability < 1)) throw new Error(`skipProbability must be in [0, 1), got ${skipProbability}`);
+  if (!(ruinPercent > 0 && ruinPercent <= 100)) throw new Error(`ruinPercent must be in (0, 100], got ${ruinPercent}`);
+  if (!Array.isArray(percentiles) || !percentiles.every(p => typeof p === 'number' && p >= 0 && p <= 100)) {
+    throw new Error(`percentiles must be numbers in [0, 100], got ${JSON.stringify(percentiles)}`);
+  }
+  if (!Number.isInteger(bins) || bins < 1) throw new Error(`bins must be a positive integer, got ${bins}`);
+  if (profits.length === 0) throw new Error('No closed trades to resample');
+
+  const rng = createRng(seed);
+  const ruinLevel = accountSize * (1 - ruinPercent / 100);
+  const n = profits.length;
+  const sequence = new Float64Array(n);
+  const columns = {
+    maxDrawdown: new Float64Array(runs),
+    maxDrawdownPercent: new Float64Array(runs),
+    finalEquity: new Float64Array(runs),
+    longestLosingStreak: new Float64Array(runs),
+  };
+  let ruined = 0;
+
+  for (let run = 0; run < runs; run++) {
+    if (method === 'shuffle') {
+      sequence.set(profits);
+      for (let i = n - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        [sequence[i], sequence[j]] = [sequence[j], sequence[i]];
+      }
+    } else {
+      for (let i = 0; i < n; i++) sequence[i] = profits[Math.floor(rng() * n)];
+    }
+
+    const path = replay(sequence, accountSize, ruinLevel, skipProbability > 0 ? () => rng() < skipProbability : null);
+    columns.maxDrawdown[run] = path.maxDrawdown;
+    columns.maxDrawdownPercent[run] = path.maxDrawdownPercent;
+    columns.finalEquity[run] = path.finalEquity;
+    columns.longestLosingStreak[run] = path.longestLosingStreak;
+    if (path.ruined) ruined++;
+  }
+
+  const original = replay(profits, accountSize, ruinLevel, null);
+  const result = {
+    runs,
+    method,
+    skipProbability,
+    accountSize,
+    ruinLevel: round(ruinLevel),
+    seed,
+    trades: n,
+    probabilityOfRuin: Math.round((ruined / runs) * 10000) / 10000,
+    original: {
+      maxDrawdown: round(original.maxDrawdown),
+      maxDrawdownPercent: round(original.maxDrawdownPercent),
+      finalEquity: round(original.finalEquity),
+      longestLosingStreak: original.longestLosingStreak,
+      ruined: original.ruined,
+    },
+  };
+  for (const [name, values] of Object.entries(columns)) {
+    result[name] = distribution(values, percentiles, bins);
+  }
+  if (includeSamples) {
+    result.samples = Array.from({ length: runs }, (_, i) => ({
+      maxDrawdown: round(columns.maxDrawdown[i]),
+      maxDrawdownPercent: round(columns.maxDrawdownPercent[i]),
+      finalEquity: round(columns.finalEquity[i]),
+      longestLosingStreak: columns.longestLosingStreak[i],
+    }));
+  }
+  return result;
+}
+
+/**
+ * Walk one trade sequence from `accountSize`.
+ * @param {ArrayLike<number>} sequence - Trade profits
+ * @param {number} accountSize
+ * @param {number} ruinLevel - Equity at or below which the account is ruined
+ * @param {(() => boolean)|null} skip - Returns true to skip the next trade
+ */
+function replay(sequence, accountSize, ruinLevel, skip) {
+  let equity = accountSize;
+  let peak = accountSize;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  let streak = 0;
+  let longestLosingStreak = 0;
+  let ruined = false;
+
+  for (let i = 0; i < sequence.length; i++) {
+    if (skip && skip()) continue;
+    const profit = sequence[i];
+    equity += profit;
+    if (equity > peak) peak = equity;
+    maxDrawdown = Math.max(maxDrawdown, peak - equity);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, ((peak - equity) / peak) * 100);
+    streak = profit < 0 ? streak + 1 : 0;
+    longestLosingStreak = Math.max(longestLosingStreak, streak);
+    if (equity <= ruinLevel) ruined = true;
+  }
+  return {
+    maxDrawdown, maxDrawdownPercent, finalEquity: equity, longestLosingStreak, ruined,
+  };
+}
+
+/**
+ * Summary, percentiles (nearest rank) and histogram of a sample.
+ * @param {Float64Array} values
+ * @param {number[]} percentiles
+ * @param {number} bins
+ * @returns {Distribution}
+ */
+function distribution(values, percentiles, bins) {
+  const sorted = Float64Array.from(values).sort();
+  const min = sorted[0];
+  const max = sorted[sorted.length - 1];
+  const mean = sorted.reduce((s, v) => s + v, 0) / sorted.length;
+
+  const result = { mean: round(mean), min: round(min), max: round(max), percentiles: {} };
+  percentiles.forEach((p) => {
+    const rank = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    result.percentiles[`p${p}`] = round(sorted[rank]);
+  });
+
+  const width = (max - min) / bins;
+  const counts = new Array(width > 0 ? bins : 1).fill(0);
+  sorted.forEach((v) => { counts[width > 0 ? Math.min(bins - 1, Math.floor((v - min) / width)) : 0] += 1; });
+  result.histogram = counts.map((count, i) => ({
+    from: round(min + i * width),
+    to: round(width > 0 ? min + (i + 1) * width : max),
+    count,
+  }));
+  return result;
+}
+
+module.exports = { simulateTrades, METHODS };
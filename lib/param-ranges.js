@@ -0,0 +1,283 @@
+/**
+ * Parameter-range DSL for the optimizer — a Node port of the extension's
+ * `getParamValues` / `generateComboAtIndex` (shared/script.ts).
+ *
+ * A range spec describes the candidate values for one strategy input:
+ *
+ *   [7, 14, 21]                                          specific values
+ *   14                                                   locked value
+ *   { min: 5, max: 50, step: 5 }                         numeric range (alias for single mode)
+ *   { mode: 'single', start: 5, end: 50, increment: 5,
+ *     avoidRanges: [{ start: 20, end: 30 }] }            numeric range minus excluded bands
+ *   { mode: 'clustered', clusters: [{ start: 5, end: 10, increment: 1 },
+ *                                   { start: 40, end: 60, increment: 5 }] }
+ *   { mode: 'specific', specificValues: [7, 14, 21] }
+ *   { mode: 'locked', lockedValue: 14 }
+ *   { values: ['EMA', 'SMA'] }                           checkbox / dropdown values
+ *   { sessionStartFrom: '0930', sessionStartTo: '1030', sessionStartIncrement: 30,
+ *     sessionEndFrom: '1500', sessionEndTo: '1600', sessionEndIncrement: 60 }
+ *                                                        session start × end times
+ *
+ * Specs are validated against the input's type (as reported by getStrategyParams)
+ * and every value is coerced with coerceValue. Combos are generated lazily by
+ * index, so a space with millions of combos is never materialized.
+ */
+
+const { coerceValue, buildKeyMap } = require('./params');
+
+const NUMERIC_TYPES = new Set(['integer', 'float']);
+
+/** DSL `type` (extension naming) → accepted TradingView input types */
+const DSL_TYPES = {
+  integer: NUMERIC_TYPES,
+  float: NUMERIC_TYPES,
+  checkbox: new Set(['bool']),
+  session: new Set(['session']),
+};
+
+/**
+ * Generate values for a numeric range. Index-based stepping avoids float drift.
+ * @returns {number[]}
+ */
+function generateRangeValues(start, end, increment, type) {
+  const s = parseFloat(String(start ?? '0'));
+  const e = parseFloat(String(end ?? '0'));
+  const step = parseFloat(String(increment ?? '1'));
+  if (Number.isNaN(s) || Number.isNaN(e) || Number.isNaN(step) || step <= 0 || e < s) return null;
+
+  const count = Math.floor((e - s) / step + 1e-9) + 1;
+  return Array.from({ length: count }, (_, i) => {
+    const v = s + i * step;
+    return type === 'integer' ? Math.round(v) : Number(v.toFixed(4));
+  });
+}
+
+function isInAvoidRange(value, avoidRanges) {
+  return avoidRanges.some((range) => {
+    const start = parseFloat(String(range.start));
+    const end = parseFloat(String(range.end));
+    return !Number.isNaN(start) && !Number.isNaN(end) && value >= start && value <= end;
+  });
+}
+
+/** "HH:MM" or "HHMM" → minutes since midnight */
+function timeToMinutes(time) {
+  const clean = String(time).replace(':', '').padStart(4, '0');
+  return parseInt(clean.substring(0, 2), 10) * 60 + parseInt(clean.substring(2, 4), 10);
+}
+
+/** "HHMM" strings from `from` to `to` (inclusive) every `incrementMinutes` */
+function generateSessionTimes(from, to, incrementMinutes) {
+  const startMins = timeToMinutes(from);
+  const endMins = timeToMinutes(to);
+  const step = Number(incrementMinutes);
+  if (Number.isNaN(startMins) || Number.isNaN(endMins) || !(step > 0) || endMins < startMins) return [];
+
+  const times = [];
+  for (let m = startMins; m <= endMins; m += step) {
+    times.push(`${String(Math.floor(m / 60)).padStart(2, '0')}${String(m % 60).padStart(2, '0')}`);
+  }
+  return times;
+}
+
+/** Comma-separated string ("EMA, SMA") → trimmed list, as the extension accepts for dropdowns */
+const toList = values => (Array.isArray(values) ? values : String(values).split(',').map(v => v.trim()));
+
+/**
+ * Normalize a spec to a DSL object with a mode. Like the extension, a spec with a `type`
+ * dispatches on the type first: session specs are always start × end times, checkbox and
+ * dropdown specs are their `values` unless locked, and only integer/float specs use the
+ * numeric modes. Specs without a type fall back to the shorthands (array, scalar,
+ * {min,max,step}, ...).
+ */
+function normalizeSpec(spec) {
+  if (Array.isArray(spec)) return { mode: 'specific', specificValues: spec };
+  if (spec === null || typeof spec !== 'object') return { mode: 'locked', lockedValue: spec };
+
+  if (spec.type === 'session') return { ...spec, mode: 'session' };
+  if (spec.type === 'checkbox' || spec.type === 'dropdown') {
+    if (spec.mode === 'locked' && spec.lockedValue !== undefined) return { ...spec, mode: 'locked' };
+    return { ...spec, mode: 'specific', specificValues: spec.values === undefined ? [] : toList(spec.values) };
+  }
+  if (spec.mode) return spec;
+
+  if (spec.min !== undefined || spec.max !== undefined) {
+    return { ...spec, mode: 'single', start: spec.min, end: spec.max, increment: spec.step };
+  }
+  if (spec.lockedValue !== undefined) return { ...spec, mode: 'locked' };
+  if (spec.specificValues) return { ...spec, mode: 'specific' };
+  if (spec.values) return { ...spec, mode: 'specific', specificValues: toList(spec.values) };
+  if (spec.clusters) return { ...spec, mode: 'clustered' };
+  if (Object.keys(spec).some(k => k.startsWith('session'))) return { ...spec, mode: 'session' };
+  return { ...spec, mode: 'single' };
+}
+
+/**
+ * Candidate values for one strategy input.
+ *
+ * @param {Object} param - Input description: { id, name, type, options? } (a getStrategyParams entry or indicator input)
+ * @param {*} spec - Range spec (see module docs)
+ * @returns {Array} Coerced, de-duplicated values (never empty)
+ * @throws {Error} If the spec doesn't fit the input's type or produces no values
+ */
+function getParamValues(param, spec) {
+  const name = (param.name || param.id || '').trim();
+  const type = param.type;
+  const fail = (msg) => { throw new Error(`Parameter "${name}": ${msg}`); };
+
+  if (spec && typeof spec === 'object' && !Array.isArray(spec) && spec.type) {
+    const accepted = DSL_TYPES[spec.type];
+    const ok = spec.type === 'dropdown' ? !!(param.options && param.options.length) : accepted && accepted.has(type);
+    if (!ok) fail(`range type "${spec.type}" does not match input type "${type}"`);
+  }
+
+  const s = normalizeSpec(spec);
+  let raw;
+
+  switch (s.mode) {
+    case 'locked':
+      if (s.lockedValue === undefined) fail('locked mode requires lockedValue');
+      raw = [s.lockedValue];
+      break;
+
+    case 'specific':
+      if (!Array.isArray(s.specificValues) || s.specificValues.length === 0) {
+        fail('specific mode requires a non-empty specificValues (or values) array');
+      }
+      raw = s.specificValues;
+      break;
+
+    case 'single':
+    case 'clustered': {
+      if (!NUMERIC_TYPES.has(type)) fail(`${s.mode} ranges only apply to integer/float inputs (type: ${type})`);
+      const ranges = s.mode === 'single'
+        ? [{ start: s.start, end: s.end, increment: s.increment }]
+        : (Array.isArray(s.clusters) && s.clusters.length > 0 ? s.clusters : fail('clustered mode requires clusters'));
+
+      raw = [];
+      for (const r of ranges) {
+        const values = generateRangeValues(r.start, r.end, r.increment, type);
+        if (!values) fail(`invalid range ${JSON.stringify(r)}`);
+        raw.push(...values);
+      }
+      // Avoid ranges only apply to a single range, as in the extension
+      if (s.mode === 'single' && Array.isArray(s.avoidRanges) && s.avoidRanges.length > 0) {
+        raw = raw.filter(v => !isInAvoidRange(v, s.avoidRanges));
+      }
+      if (s.mode === 'clustered') raw.sort((a, b) => a - b);
+      break;
+    }
+
+    case 'session': {
+      if (type !== 'session') fail(`session ranges only apply to session inputs (type: ${type})`);
+      const startTimes = generateSessionTimes(
+        s.sessionStartFrom ?? '0900', s.sessionStartTo ?? s.sessionStartFrom ?? '0900', s.sessionStartIncrement ?? 60
+      );
+      const endTimes = generateSessionTimes(
+        s.sessionEndFrom ?? '1600', s.sessionEndTo ?? s.sessionEndFrom ?? '1600', s.sessionEndIncrement ?? 60
+      );
+      raw = [];
+      for (const start of startTimes) {
+        for (const end of endTimes) {
+          if (timeToMinutes(start) < timeToMinutes(end)) raw.push(`${start}-${end}`);
+        }
+      }
+      break;
+    }
+
+    default:
+      fail(`unknown range mode "${s.mode}" (use single, clustered, specific, locked)`);
+  }
+
+  let values = raw.map(v => coerceValue(v, type, name));
+
+  // Dropdowns: resolve to the exact option value, reject anything else
+  if (param.options && param.options.length > 0) {
+    values = values.map((v) => {
+      if (param.options.includes(v)) return v;
+      const match = param.options.find(o => String(o).trim().toLowerCase() === String(v).trim().toLowerCase());
+      if (match === undefined) fail(`${JSON.stringify(v)} is not one of ${JSON.stringify(param.options)}`);
+      return match;
+    });
+  }
+
+  values = [...new Set(values)];
+  if (values.length === 0) fail(`range ${JSON.stringify(spec)} produces no values`);
+  return values;
+}
+
+/**
+ * Resolve a ranges object to a search space, validating each spec against its input.
+ * Keys may be input names, in_XX IDs, numeric shorthand, or inline IDs.
+ *
+ * @param {Array<Object>|Object} params - getStrategyParams() list, or an indicator's inputs object (keyed by in_XX)
+ * @param {Object<string, *>} ranges - { "Param Name": spec, ... }
+ * @returns {Array<{key: string, name: string, values: Array}>} One entry per parameter, in `ranges` order
+ */
+function buildParamSpace(params, ranges) {
+  const inputs = Array.isArray(params)
+    ? Object.fromEntries(params.map(p => [p.id, p]))
+    : params;
+  const keyMap = buildKeyMap(inputs);
+
+  return Object.entries(ranges).map(([key, spec]) => {
+    const id = keyMap.get(key.trim());
+    if (!id) {
+      throw new Error(`Unknown parameter "${key}". Use get-indicator-details to list available parameters.`);
+    }
+    const input = inputs[id];
+    return { key: id, name: (input.name || id).trim(), values: getParamValues({ id, ...input }, spec) };
+  });
+}
+
+/**
+ * Number of combos in a space.
+ * @param {Array<{values: Array}>} space
+ * @returns {number}
+ */
+function spaceSize(space) {
+  return space.reduce((n, p) => n * p.values.length, 1);
+}
+
+/**
+ * Combo at a grid index (mixed radix). The last parameter changes fastest, so the
+ * first one changes slowest — same order as the extension and a nested-loop grid.
+ *
+ * @param {Array<{key: string, values: Array}>} space
+ * @param {number} index - 0 ≤ index < spaceSize(space)
+ * @returns {Object} { key: value, ... }
+ */
+function generateComboAtIndex(space, index) {
+  const combo = {};
+  let remaining = index;
+  for (let i = space.length - 1; i >= 0; i--) {
+    const { key, values } = space[i];
+    combo[key] = values[remaining % values.length];
+    remaining = Math.floor(remaining / values.length);
+  }
+  // Keep keys in space order
+  return Object.fromEntries(space.map(p => [p.key, combo[p.key]]));
+}
+
+/**
+ * Lazily iterate the combos of a space in grid order.
+ * @param {Array<{key: string, values: Array}>} space
+ * @param {Object} [options]
+ * @param {number} [options.start=0] - First index
+ * @param {number} [options.end] - Stop before this index (default: spaceSize)
+ * @returns {Generator<Object>}
+ */
+function* iterateCombos(space, options = {}) {
+  const end = Math.min(options.end ?? Infinity, spaceSize(space));
+  for (let i = options.start || 0; i < end; i++) {
+    yield generateComboAtIndex(space, i);
+  }
+}
+
+module.exports = {
+  getParamValues,
+  buildParamSpace,
+  spaceSize,
+  generateComboAtIndex,
+  iterateCombos,
+};
@@ -0,0 +1,209 @@
+/**
+ * Connection pool and bounded job runner for parallel WebSocket work.
+ * Spreads jobs (e.g. optimizer backtests) across N authenticated clients,
+ * bounded by the plan's max_connections, with back-pressure, per-job timeouts and retries.
+ */
+
+const { createClient } = require('./ws-client');
+
+let _cachedConnectionLimit = null;
+
+/**
+ * Get the number of simultaneous WebSocket connections allowed by the user's plan.
+ * Read from the JWT `max_connections` claim (see get-user-info#decodeMembership).
+ * Cached after first call. Falls back to 1 if the plan can't be decoded.
+ * @returns {Promise<number>}
+ */
+async function getConnectionLimit() {
+  if (_cachedConnectionLimit !== null) return _cachedConnectionLimit;
+
+  try {
+    const { getUserInfo } = require('../skills/get-user-info');
+    const info = await getUserInfo();
+    const max = info.success ? Number(info.user?.limits?.maxConnections) : NaN;
+    if (max > 0) {
+      _cachedConnectionLimit = max;
+      return _cachedConnectionLimit;
+    }
+  } catch (e) {
+    // Fall through to default
+  }
+
+  _cachedConnectionLimit = 1;
+  return _cachedConnectionLimit;
+}
+
+/**
+ * Create a pool of authenticated WebSocket clients.
+ * Clients are created lazily on first acquire(). A client whose socket has closed
+ * is dropped on the next acquire() and replaced with a fresh login.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.size=1] - Max number of clients (connections)
+ * @param {string} [options.server] - WS server; auto-detected from plan when omitted
+ * @returns {{size: number, acquire: () => Promise<Object>, release: (client: Object, options?: {replace?: boolean}) => void, close: () => Promise<void>}}
+ */
+function createClientPool(options = {}) {
+  const size = Math.max(1, Math.floor(options.size || 1));
+  const clients = new Set();
+  const idle = [];
+  const waiting = [];
+  let pending = 0;
+  let closed = false;
+
+  function wakeNext() {
+    const next = waiting.shift();
+    if (next) next();
+  }
+
+  async function acquire() {
+    if (closed) throw new Error('Client pool is closed');
+
+    while (idle.length > 0) {
+      const client = idle.pop();
+      if (client.isOpen) return client;
+      // Dead socket — drop it so a replacement can be created
+      clients.delete(client);
+    }
+
+    if (clients.size + pending < size) {
+      pending++;
+      try {
+        const client = await createClient({ server: options.server });
+        clients.add(client);
+        return client;
+      } catch (error) {
+        // Free the slot for anyone queued behind this login
+        wakeNext();
+        throw error;
+      } finally {
+        pending--;
+      }
+    }
+
+    await new Promise((resolve) => waiting.push(resolve));
+    return acquire();
+  }
+
+  /**
+   * Return a client to the pool. With `replace`, the client is closed instead (e.g. it
+   * may still be busy with a job that timed out) and the next acquire() logs in afresh.
+   */
+  function release(client, { replace = false } = {}) {
+    if (closed || replace) {
+      clients.delete(client);
+      client.end();
+    } else if (clients.has(client)) {
+      idle.push(client);
+    }
+    wakeNext();
+  }
+
+  async function close() {
+    closed = true;
+    const all = [...clients];
+    clients.clear();
+    idle.length = 0;
+    while (waiting.length > 0) wakeNext();
+    await Promise.all(all.map(c => c.end()));
+  }
+
+  return { size, acquire, release, close };
+}
+
+/**
+ * Run a promise with a timeout.
+ * @param {Promise<T>} promise
+ * @param {number} ms - Timeout in ms (0 = no timeout)
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<T>}
+ * @template T
+ */
+function withTimeout(promise, ms, message) {
+  if (!ms) return promise;
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a worker over every item of `source` with bounded concurrency.
+ * Items are pulled from the iterable only when a worker slot frees up, so lazy
+ * generators are never materialized ahead of the workers (back-pressure).
+ * An attempt that rejects or exceeds `timeout` is retried with exponential backoff;
+ * once retries are exhausted the item's result comes from `onFailure`. A timed-out
+ * attempt's signal is aborted, so the worker can drop whatever it still holds.
+ * When `signal` aborts, no further items are pulled; jobs already in flight finish and
+ * the results so far are returned.
+ *
+ * @param {Iterable<T>} source - Array or (lazy) iterable of job items
+ * @param {(item: T, attempt: number, signal: AbortSignal) => Promise<R>} worker - Job function
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - Max jobs in flight
+ * @param {number} [options.timeout=0] - Per-attempt timeout in ms (0 = none)
+ * @param {number} [options.retries=0] - Extra attempts after a failure
+ * @param {number} [options.retryDelay=1000] - Base backoff in ms, doubled each retry
+ * @param {(item: T, error: Error) => R} [options.onFailure] - Result for an item that failed every attempt
+ * @param {(result: R, item: T, index: number) => void} [options.onResult] - Called as each job settles
+ * @param {AbortSignal} [options.signal] - Stop pulling new items once aborted
+ * @returns {Promise<R[]>} Results in source order
+ * @template T, R
+ */
+async function runPool(source, worker, options = {}) {
+  const {
+    concurrency = 1,
+    timeout = 0,
+    retries = 0,
+    retryDelay = 1000,
+    onFailure = (item, error) => ({ error: error.message }),
+    onResult,
+    signal,
+  } = options;
+
+  const iterator = source[Symbol.iterator]();
+  const results = [];
+  let nextIndex = 0;
+
+  async function runItem(item) {
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      try {
+        return await withTimeout(worker(item, attempt, controller.signal), timeout, `Job timed out (${timeout / 1000}s)`);
+      } catch (error) {
+        controller.abort(error);
+        if (attempt >= retries) return onFailure(item, error);
+        await sleep(retryDelay * 2 ** attempt);
+      }
+    }
+  }
+
+  async function lane() {
+    while (!signal?.aborted) {
+      const { value: item, done } = iterator.next();
+      if (done) return;
+      const index = nextIndex++;
+      const result = await runItem(item);
+      results[index] = result;
+      if (onResult) onResult(result, item, index);
+    }
+  }
+
+  const lanes = [];
+  for (let i = 0; i < Math.max(1, concurrency); i++) lanes.push(lane());
+  await Promise.all(lanes);
+
+  return results;
+}
+
+module.exports = {
+  getConnectionLimit,
+  createClientPool,
+  runPool,
+  withTimeout,
+};
@@ -0,0 +1,235 @@
+/**
+ * Multi-objective ranking for optimizer results: hard constraints, weighted
+ * composite scores and the Pareto front.
+ *
+ * Metrics are read from the result itself (netProfit, maxDrawdownPercent, ...) and
+ * fall back to `result.performance` (the full `performance.all` of the report), so
+ * any strategy-report metric can be used.
+ */
+
+/** Metrics where a smaller value is better. Everything else is maximized. */
+const LOWER_IS_BETTER = new Set([
+  'maxDrawdown',
+  'maxDrawdownPercent',
+  'maxStrategyDrawDown',
+  'maxStrategyDrawDownPercent',
+  'grossLoss',
+  'grossLossPercent',
+  'numberOfLosingTrades',
+  'largestLosingTrade',
+  'largestLosingTradePercent',
+  'avgLosingTrade',
+  'avgLosingTradePercent',
+  'commissionPaid',
+  'maxContractsHeld',
+]);
+
+/**
+ * Read a metric from a result.
+ * @param {Object} result - Optimizer result
+ * @param {string} metric
+ * @returns {number|undefined} undefined when missing or not a finite number
+ */
+function getMetric(result, metric) {
+  const value = result[metric] !== undefined ? result[metric] : result.performance?.[metric];
+  return Number.isFinite(value) ? value : undefined;
+}
+
+/**
+ * Default optimization direction for a metric.
+ * @param {string} metric
+ * @returns {'min'|'max'}
+ */
+function metricDirection(metric) {
+  return LOWER_IS_BETTER.has(metric) ? 'min' : 'max';
+}
+
+/**
+ * Comparator that orders results best-first by one metric. Missing values sort last.
+ * @param {string} metric
+ * @param {'min'|'max'} [direction] - Default: metricDirection(metric)
+ * @returns {(a: Object, b: Object) => number}
+ */
+function compareBy(metric, direction = metricDirection(metric)) {
+  const sign = direction === 'min' ? 1 : -1;
+  return (a, b) => {
+    const av = getMetric(a, metric);
+    const bv = getMetric(b, metric);
+    if (av === undefined) return bv === undefined ? 0 : 1;
+    if (bv === undefined) return -1;
+    return sign * (av - bv);
+  };
+}
+
+/**
+ * Normalize objectives to a list.
+ * Accepts { metric: weight } or [{ metric, weight?, direction? }].
+ * @param {Object|Array} objectives
+ * @returns {{metric: string, weight: number, direction: 'min'|'max'}[]}
+ */
+function normalizeObjectives(objectives) {
+  const list = Array.isArray(objectives)
+    ? objectives.map(o => (typeof o === 'string' ? { metric: o } : o))
+    : Object.entries(objectives || {}).map(([metric, weight]) => ({ metric, weight }));
+
+  return list.map((o) => {
+    const weight = o.weight === undefined ? 1 : Number(o.weight);
+    if (!o.metric || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Invalid objective ${JSON.stringify(o)}: expected { metric, weight ≥ 0 }`);
+    }
+    const direction = o.direction || metricDirection(o.metric);
+    if (direction !== 'min' && direction !== 'max') {
+      throw new Error(`Invalid objective direction "${direction}" for ${o.metric} (use "min" or "max")`);
+    }
+    return { metric: o.metric, weight, direction };
+  });
+}
+
+/**
+ * Split results by hard constraints.
+ * Constraints are { metric: { min?, max? } } with inclusive bounds, e.g.
+ * { totalTrades: { min: 30 }, maxDrawdownPercent: { max: 20 } }.
+ * A result missing a constrained metric fails that constraint.
+ *
+ * @param {Object[]} results
+ * @param {Object<string, {min?: number, max?: number}>} [constraints]
+ * @returns {{passed: Object[], rejected: Object[]}}
+ */
+function applyConstraints(results, constraints = {}) {
+  const checks = Object.entries(constraints);
+  for (const [metric, bounds] of checks) {
+    if (!bounds || typeof bounds !== 'object' || (bounds.min === undefined && bounds.max === undefined)) {
+      throw new Error(`Invalid constraint for ${metric}: expected { min?, max? }, got ${JSON.stringify(bounds)}`);
+    }
+  }
+
+  const passed = [];
+  const rejected = [];
+  for (const result of results) {
+    const ok = checks.every(([metric, { min, max }]) => {
+      const value = getMetric(result, metric);
+      return value !== undefined && (min === undefined || value >= min) && (max === undefined || value <= max);
+    });
+    (ok ? passed : rejected).push(result);
+  }
+  return { passed, rejected };
+}
+
+/**
+ * Weighted composite score per result, in [0, 1].
+ * Each metric is min-max normalized across `results` (flipped for 'min' metrics),
+ * then combined with the normalized weights. A missing metric scores 0 for that term.
+ *
+ * @param {Object[]} results
+ * @param {Object|Array} objectives - See normalizeObjectives
+ * @returns {number[]} One score per result, same order
+ */
+function compositeScores(results, objectives) {
+  const list = normalizeObjectives(objectives);
+  const totalWeight = list.reduce((sum, o) => sum + o.weight, 0);
+  if (list.length === 0 || totalWeight === 0) throw new Error('At least one objective with a positive weight is required');
+
+  const scores = new Array(results.length).fill(0);
+  for (const { metric, weight, direction } of list) {
+    const values = results.map(r => getMetric(r, metric));
+    const finite = values.filter(v => v !== undefined);
+    if (finite.length === 0) continue;
+    const lo = Math.min(...finite);
+    const hi = Math.max(...finite);
+
+    values.forEach((v, i) => {
+      if (v === undefined) return;
+      // All equal → every result is equally good on this metric
+      let norm = hi === lo ? 1 : (v - lo) / (hi - lo);
+      if (direction === 'min') norm = hi === lo ? 1 : 1 - norm;
+      scores[i] += norm * (weight / totalWeight);
+    });
+  }
+  return scores;
+}
+
+/**
+ * Pareto front: results not dominated on the given metrics. A result dominates
+ * another if it is at least as good on every metric and strictly better on one.
+ * Results missing any of the metrics are excluded.
+ *
+ * @param {Object[]} results
+ * @param {Array<string|{metric: string, direction?: 'min'|'max'}>} metrics
+ * @returns {Object[]} Front members, ordered best-first by the first metric
+ */
+function paretoFront(results, metrics) {
+  if (!Array.isArray(metrics) || metrics.length === 0) throw new Error('Pareto front requires at least one metric');
+  const list = metrics.map((m) => {
+    const { metric, direction = metricDirection(metric) } = typeof m === 'string' ? { metric: m } : (m || {});
+    if (!metric || typeof metric !== 'string') {
+      throw new Error(`Invalid Pareto metric ${JSON.stringify(m)}: expected a name or { metric, direction? }`);
+    }
+    if (direction !== 'min' && direction !== 'max') {
+      throw new Error(`Invalid Pareto direction "${direction}" for ${metric} (use "min" or "max")`);
+    }
+    return { metric, sign: direction === 'min' ? -1 : 1 };
+  });
+
+  // Oriented so that larger is always better
+  const points = results
+    .map(r => ({ r, v: list.map(({ metric, sign }) => sign * getMetric(r, metric)) }))
+    .filter(p => p.v.every(x => !Number.isNaN(x)));
+
+  const dominates = (a, b) => a.every((x, i) => x >= b[i]) && a.some((x, i) => x > b[i]);
+
+  // Sweep in order of the first metric: only earlier points can dominate later ones
+  // (ties broken by the sum of the others, so a dominating point always comes first)
+  const rest = (p) => p.v.slice(1).reduce((sum, x) => sum + x, 0);
+  points.sort((a, b) => b.v[0] - a.v[0] || rest(b) - rest(a));
+  const front = [];
+  for (const p of points) {
+    if (!front.some(f => dominates(f.v, p.v))) front.push(p);
+  }
+  return front.map(p => p.r);
+}
+
+/**
+ * Rank optimizer results: apply constraints, sort by `sortBy`, and optionally add
+ * composite-score ranking and a Pareto front.
+ *
+ * @param {Object[]} results - Successful optimizer results
+ * @param {Object} [options]
+ * @param {string} [options.sortBy='netProfit']
+ * @param {Object} [options.constraints] - See applyConstraints
+ * @param {Object|Array} [options.objectives] - See normalizeObjectives; adds `composite`
+ * @param {Array} [options.pareto] - Pareto metrics (default: objective metrics, if any); adds `pareto`
+ * @returns {{ranked: Object[], rejected: Object[], composite?: Object[], pareto?: Object[]}}
+ */
+function rankResults(results, options = {}) {
+  const { sortBy = 'netProfit', constraints, objectives } = options;
+  const { passed, rejected } = applyConstraints(results, constraints);
+
+  const output = {
+    ranked: [...passed].sort(compareBy(sortBy)),
+    rejected,
+  };
+
+  if (objectives) {
+    const scores = compositeScores(passed, objectives);
+    output.composite = passed
+      .map((r, i) => ({ ...r, score: scores[i] }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  const pareto = options.pareto || (objectives && normalizeObjectives(objectives).map(o => ({ metric: o.metric, direction: o.direction })));
+  if (pareto) output.pareto = paretoFront(passed, pareto);
+
+  return output;
+}
+
+module.exports = {
+  LOWER_IS_BETTER,
+  getMetric,
+  metricDirection,
+  compareBy,
+  normalizeObjectives,
+  applyConstraints,
+  compositeScores,
+  paretoFront,
+  rankResults,
+};
@@ -0,0 +1,102 @@
+/**
+ * Golden-snapshot checks for strategy backtests: compare a fresh report against a
+ * recorded one and describe any drift in trades or key metrics as readable lines.
+ * Catches TradingView data revisions and unintended script edits. The runner
+ * (snapshot / verify over a config of cases) is workflows/regression.js.
+ */
+
+const { diffReports, flattenPerformance } = require('./report-diff');
+const { formatNumber } = require('./html');
+
+/** Metrics checked when a case doesn't list its own (see flattenPerformance for names) */
+const DEFAULT_METRICS = ['netProfit', 'totalTrades', 'percentProfitable', 'profitFactor', 'maxStrategyDrawDown', 'sharpeRatio'];
+
+/**
+ * Allowed drift of one metric.
+ * @param {number|string|Object} tolerance - Absolute number, relative 'N%', or { metric: ..., default: ... }
+ * @param {string} metric
+ * @param {number} expected - Recorded value (base of a relative tolerance)
+ * @returns {number}
+ */
+function metricTolerance(tolerance, metric, expected) {
+  const value = tolerance !== null && typeof tolerance === 'object'
+    ? (tolerance[metric] ?? tolerance.default ?? 0)
+    : tolerance;
+  if (typeof value === 'string' && value.trim().endsWith('%')) {
+    return (Math.abs(expected) * parseFloat(value)) / 100;
+  }
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new Error(`Invalid tolerance for ${metric}: ${JSON.stringify(value)}`);
+  return number;
+}
+
+/** 'YYYY-MM-DD HH:MM' (UTC) */
+const formatTime = ms => (Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 16).replace('T', ' ') : '?');
+
+const signed = v => `${v > 0 ? '+' : ''}${formatNumber(v)}`;
+
+/**
+ * Compare a report against its snapshot.
+ *
+ * @param {Object} expected - Recorded report ({trades, performance})
+ * @param {Object} actual - Fresh report
+ * @param {Object} [options]
+ * @param {string[]} [options.metrics=DEFAULT_METRICS] - Metrics that must not drift
+ * @param {number|string|Object} [options.metricTolerance=0] - Per metric: absolute, 'N%' of the recorded value,
+ *   or { metric: tolerance, default: tolerance }
+ * @param {number} [options.tolerance=1e-6] - Trade price / quantity / profit tolerance
+ * @param {number} [options.timeTolerance=0] - Trade entry time tolerance (ms)
+ * @param {number} [options.maxLines=20] - Trade differences listed before "... and N more"
+ * @returns {{pass:boolean, trades:Object, attribution:Object, drift:Object[], lines:string[]}}
+ */
+function checkSnapshot(expected, actual, options = {}) {
+  const {
+    metrics = DEFAULT_METRICS,
+    metricTolerance: tolerance = 0,
+    maxLines = 20,
+    ...diffOptions
+  } = options;
+
+  const diff = diffReports(expected, actual, { ...diffOptions, differencesOnly: true });
+  const perfExpected = flattenPerformance(expected.performance);
+  const perfActual = flattenPerformance(actual.performance);
+
+  const drift = [];
+  metrics.forEach((metric) => {
+    const e = perfExpected[metric] ?? null;
+    const a = perfActual[metric] ?? null;
+    if (e === null && a === null) return;
+    const allowed = e === null ? 0 : metricTolerance(tolerance, metric, e);
+    if (e === null || a === null || Math.abs(a - e) > allowed) {
+      drift.push({
+        metric, expected: e, actual: a, delta: e !== null && a !== null ? a - e : null, tolerance: allowed,
+      });
+    }
+  });
+
+  const lines = drift.map(d => `${d.metric}: ${formatNumber(d.expected)} → ${formatNumber(d.actual)}`
+    + `${d.delta === null ? '' : ` (${signed(d.delta)}, tolerance ${Math.round(d.tolerance * 1e6) / 1e6})`}`);
+
+  const describe = t => `${t.side} ${formatTime(t.entryTime)} @ ${formatNumber(t.entryPrice)}, profit ${formatNumber(t.profit)}`;
+  diff.trades.slice(0, maxLines).forEach((row) => {
+    if (row.status === 'added') lines.push(`+ ${describe(row.b)}`);
+    else if (row.status === 'removed') lines.push(`- ${describe(row.a)}`);
+    else {
+      const changes = Object.entries(row.changes).map(([field, { a, b }]) => (/Time$/.test(field)
+        ? `${field} ${formatTime(a)} → ${formatTime(b)}`
+        : `${field} ${formatNumber(a)} → ${formatNumber(b)}`));
+      lines.push(`~ ${row.a.side} ${formatTime(row.a.entryTime)}: ${changes.join(', ')}`);
+    }
+  });
+  if (diff.trades.length > maxLines) lines.push(`... and ${diff.trades.length - maxLines} more trade differences`);
+
+  return {
+    pass: diff.summary.identical && drift.length === 0,
+    trades: diff.summary,
+    attribution: diff.attribution,
+    drift,
+    lines,
+  };
+}
+
+module.exports = { checkSnapshot, metricTolerance, DEFAULT_METRICS };
@@ -0,0 +1,261 @@
+/**
+ * Trade-by-trade diff of two strategy reports.
+ *
+ * Trades are aligned by side and entry time (within `timeTolerance`), in order, so
+ * pyramided entries on the same bar pair up one by one. Each aligned pair is `matched`
+ * when entry, exit, quantity and profit agree (within `tolerance`) and `changed`
+ * otherwise; the rest are `added` (only in B) or `removed` (only in A). The net profit
+ * difference is then attributed to those groups, with whatever trades can't explain
+ * (open P&L, a different capital base, ...) left as `unexplained`.
+ *
+ * Also reads TradingView's "List of trades" CSV export, so a WebSocket backtest can be
+ * checked against the Strategy Tester UI.
+ */
+
+/** Fields compared on aligned trades: [name, getter] */
+const TRADE_FIELDS = [
+  ['entryPrice', t => t.entry?.value],
+  ['exitTime', t => t.exit?.time],
+  ['exitPrice', t => t.exit?.value],
+  ['quantity', t => t.quantity],
+  ['profit', t => t.profit?.v],
+  ['entrySignal', t => t.entry?.name],
+  ['exitSignal', t => t.exit?.name],
+];
+
+const round = v => (Number.isFinite(v) ? Math.round(v * 100) / 100 : null);
+
+/** Closed and open trades, oldest first (reports list them newest first) */
+const chronological = trades => (trades || [])
+  .filter(t => Number.isFinite(t.entry?.time))
+  .slice()
+  .sort((a, b) => a.entry.time - b.entry.time || (a.exit?.time ?? Infinity) - (b.exit?.time ?? Infinity));
+
+const profitOf = t => (Number.isFinite(t?.profit?.v) ? t.profit.v : 0);
+
+/** Compact, flat view of a trade for the diff output */
+const compact = t => ({
+  side: t.entry.type,
+  entryTime: t.entry.time,
+  entryPrice: t.entry.value,
+  entrySignal: t.entry.name,
+  exitTime: t.exit?.time,
+  exitPrice: t.exit?.value,
+  exitSignal: t.exit?.name,
+  quantity: t.quantity,
+  profit: t.profit?.v,
+});
+
+/**
+ * Flatten a report's performance into { metric: number }: `performance.all` under its own
+ * keys, `long`/`short` as `long.<key>`/`short.<key>`, plus top-level numbers (drawdown,
+ * Sharpe, ...). Saved runs (lib/results-store) already have a flat summary.
+ * @param {Object} [performance]
+ * @returns {Object<string, number>}
+ */
+function flattenPerformance(performance = {}) {
+  const flat = {};
+  const add = (prefix, obj) => Object.entries(obj || {}).forEach(([key, value]) => {
+    if (typeof value === 'number') flat[`${prefix}${key}`] = value;
+  });
+  add('', performance.all);
+  add('long.', performance.long);
+  add('short.', performance.short);
+  add('', performance);
+  return flat;
+}
+
+/**
+ * Diff two reports.
+ *
+ * @param {Object} a - Report ({trades, performance}) — the baseline
+ * @param {Object} b - Report to compare against the baseline
+ * @param {Object} [options]
+ * @param {number} [options.timeTolerance=0] - Max entry time difference (ms) for two trades to align
+ * @param {number} [options.tolerance=1e-6] - Max absolute difference for prices, quantities and profits to count as equal
+ * @param {boolean} [options.compareSignals=true] - Treat different entry/exit signal names as a change
+ * @param {boolean} [options.differencesOnly=false] - Leave matched trades out of `trades`
+ * @returns {{summary:Object, attribution:Object, trades:Object[], performance:Object[]}}
+ */
+function diffReports(a, b, options = {}) {
+  const {
+    timeTolerance = 0, tolerance = 1e-6, compareSignals = true, differencesOnly = false,
+  } = options;
+
+  const fields = compareSignals ? TRADE_FIELDS : TRADE_FIELDS.filter(([name]) => !name.endsWith('Signal'));
+  const equal = (x, y) => (typeof x === 'number' && typeof y === 'number' ? Math.abs(x - y) <= tolerance : (x ?? null) === (y ?? null));
+
+  // Align per side with two pointers over entry time
+  const rows = [];
+  for (const side of ['long', 'short']) {
+    const left = chronological(a.trades).filter(t => t.entry.type === side);
+    const right = chronological(b.trades).filter(t => t.entry.type === side);
+    let i = 0;
+    let j = 0;
+    while (i < left.length || j < right.length) {
+      const ta = left[i];
+      const tb = right[j];
+      if (ta && tb && Math.abs(ta.entry.time - tb.entry.time) <= timeTolerance) {
+        const changes = {};
+        fields.forEach(([name, get]) => {
+          if (!equal(get(ta), get(tb))) changes[name] = { a: get(ta) ?? null, b: get(tb) ?? null };
+        });
+        if (ta.entry.time !== tb.entry.time) changes.entryTime = { a: ta.entry.time, b: tb.entry.time };
+        const changed = Object.keys(changes).length > 0;
+        rows.push({
+          status: changed ? 'changed' : 'matched',
+          a: compact(ta),
+          b: compact(tb),
+          profitDelta: round(profitOf(tb) - profitOf(ta)),
+          ...(changed && { changes }),
+        });
+        i++;
+        j++;
+      } else if (ta && (!tb || ta.entry.time < tb.entry.time)) {
+        rows.push({ status: 'removed', a: compact(ta), profitDelta: round(-profitOf(ta)) });
+        i++;
+      } else {
+        rows.push({ status: 'added', b: compact(tb), profitDelta: round(profitOf(tb)) });
+        j++;
+      }
+    }
+  }
+  const time = r => (r.a || r.b).entryTime;
+  rows.sort((x, y) => time(x) - time(y));
+
+  const counts = { matched: 0, changed: 0, added: 0, removed: 0 };
+  const attribution = { changed: 0, added: 0, removed: 0 };
+  rows.forEach((r) => {
+    counts[r.status] += 1;
+    if (r.status !== 'matched') attribution[r.status] += r.profitDelta;
+  });
+
+  const perfA = flattenPerformance(a.performance);
+  const perfB = flattenPerformance(b.performance);
+  const tradeTotal = trades => (trades || []).reduce((sum, t) => sum + profitOf(t), 0);
+  const netProfitDelta = Number.isFinite(perfA.netProfit) && Number.isFinite(perfB.netProfit)
+    ? perfB.netProfit - perfA.netProfit
+    : tradeTotal(b.trades) - tradeTotal(a.trades);
+  const explained = attribution.changed + attribution.added + attribution.removed;
+
+  const performance = [...new Set([...Object.keys(perfA), ...Object.keys(perfB)])].map((metric) => {
+    const va = perfA[metric] ?? null;
+    const vb = perfB[metric] ?? null;
+    const delta = va !== null && vb !== null ? vb - va : null;
+    return {
+      metric,
+      a: va,
+      b: vb,
+      delta: delta === null ? null : Math.round(delta * 1e6) / 1e6,
+      deltaPercent: delta !== null && va ? round((delta / Math.abs(va)) * 100) : null,
+    };
+  });
+
+  return {
+    summary: {
+      tradesA: (a.trades || []).length,
+      tradesB: (b.trades || []).length,
+      ...counts,
+      identical: counts.changed + counts.added + counts.removed === 0,
+    },
+    attribution: {
+      netProfitDelta: round(netProfitDelta),
+      changed: round(attribution.changed),
+      added: round(attribution.added),
+      removed: round(attribution.removed),
+      unexplained: round(netProfitDelta - explained),
+    },
+    trades: differencesOnly ? rows.filter(r => r.status !== 'matched') : rows,
+    performance,
+  };
+}
+
+/**
+ * UTC ms of a wall-clock time in an IANA time zone.
+ * @param {number[]} parts - [year, month (1-12), day, hour, minute]
+ * @param {string} timeZone
+ */
+function zonedTimeToUtc([year, month, day, hour, minute], timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  if (timeZone === 'UTC') return wall;
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+  });
+  const offset = (ms) => {
+    const p = Object.fromEntries(format.formatToParts(ms).map(({ type, value }) => [type, Number(value)]));
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - ms;
+  };
+  // Second pass settles times next to a DST change
+  const guess = wall - offset(wall);
+  return wall - offset(guess);
+}
+
+/**
+ * Parse TradingView's "List of trades" CSV export (Strategy Tester → Export) into report
+ * trades, newest first like a report. Columns are found by header name, so older
+ * ("Profit", "Contracts") and newer ("Net P&L", "Position size (qty)") exports both work.
+ * Quoted fields and thousands separators are not expected (the export uses neither).
+ *
+ * @param {string} csv - File contents
+ * @param {Object} [options]
+ * @param {string} [options.timeZone='UTC'] - Time zone the chart was in when exported (IANA name)
+ * @returns {Object[]} Trades: { entry: {type, name, value, time}, exit?, quantity, profit: {v, p} }
+ */
+function tradesFromCsv(csv, options = {}) {
+  const { timeZone = 'UTC' } = options;
+  const lines = csv.replace(/^﻿/, '').trim().split(/\r?\n/);
+  const header = lines[0].split(',').map(h => h.trim());
+  const column = (pattern) => {
+    const index = header.findIndex(h => pattern.test(h));
+    return index === -1 ? null : index;
+  };
+  const cols = {
+    number: column(/^Trade #/i),
+    type: column(/^Type$/i),
+    date: column(/^Date/i),
+    signal: column(/^Signal$/i),
+    price: column(/^Price/i),
+    quantity: column(/^(Contracts|Quantity|Position size \(qty\))/i),
+    profit: column(/^(Profit|Net P&L) [^%]*$/i),
+    profitPercent: column(/^(Profit|Net P&L) %$/i),
+  };
+  ['number', 'type', 'date', 'price'].forEach((key) => {
+    if (cols[key] === null) throw new Error(`Not a TradingView trade list: no "${key}" column in "${lines[0]}"`);
+  });
+
+  const number = v => (v === undefined || v.trim() === '' ? undefined : Number(v));
+  const parseDate = (value) => {
+    const m = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(value.trim());
+    if (!m) throw new Error(`Unrecognized date "${value}"`);
+    return zonedTimeToUtc(m.slice(1).map(Number), timeZone);
+  };
+
+  const trades = new Map();
+  lines.slice(1).forEach((line) => {
+    const cells = line.split(',');
+    const id = cells[cols.number].trim();
+    const [kind, side] = cells[cols.type].trim().toLowerCase().split(/\s+/);
+    const trade = trades.get(id) || { number: Number(id), quantity: undefined, profit: undefined };
+    const leg = {
+      name: cols.signal === null ? undefined : cells[cols.signal].trim(),
+      value: number(cells[cols.price]),
+      time: parseDate(cells[cols.date]),
+    };
+    if (kind === 'entry') trade.entry = { type: side, ...leg };
+    // Open trades are exported with an "Open" exit signal and no exit yet
+    else if (leg.name !== 'Open') trade.exit = leg;
+    if (cols.quantity !== null) trade.quantity = trade.quantity ?? number(cells[cols.quantity]);
+    const v = cols.profit === null ? undefined : number(cells[cols.profit]);
+    if (v !== undefined && trade.profit === undefined) {
+      trade.profit = { v, p: cols.profitPercent === null ? undefined : number(cells[cols.profitPercent]) };
+    }
+    trades.set(id, trade);
+  });
+
+  return [...trades.values()]
+    .filter(t => t.entry)
+    .sort((x, y) => y.number - x.number)
+    .map(({ number: _, ...t }) => t);
+}
+
+module.exports = { diffReports, flattenPerformance, tradesFromCsv };
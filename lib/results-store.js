@@ -0,0 +1,449 @@
+/**
+ * Results database for backtests and sweeps.
+ *
+ * Stores runs (script, symbol, timeframe, range, params, performance summary),
+ * their trades and equity series. Backend is picked from the environment:
+ *   - DATABASE_URL set → Postgres (tables are created on first use)
+ *   - otherwise        → JSON file store under data/results/ (TV_RESULTS_DIR to override)
+ *
+ * Saving is opt-in per call (`save: true` on backtest, deepBacktest, strategyBacktest,
+ * optimizeStrategy) or globally via TV_SAVE_RESULTS=1.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { metricDirection } = require('./ranking');
+
+const DEFAULT_RESULTS_DIR = path.join(__dirname, '..', 'data', 'results');
+
+/**
+ * @typedef {Object} RunRecord
+ * @prop {string} [id] - Generated when omitted
+ * @prop {string} [parentId] - Sweep run this combo belongs to
+ * @prop {'backtest'|'deep-backtest'|'strategy-backtest'|'optimize'|'optimize-combo'|string} kind
+ * @prop {string} scriptId
+ * @prop {string} [symbol]
+ * @prop {string} [timeframe]
+ * @prop {*} [range] - Bar count, preset or { from, to }
+ * @prop {Object} [params] - Strategy parameters
+ * @prop {Object} [performance] - Flat performance summary (performance.all + drawdown)
+ * @prop {Object[]} [trades] - Strategy report trades
+ * @prop {number[]} [equity] - Equity series (report.history.equity)
+ * @prop {Object} [meta] - Anything else (mode, currency, sweep settings, ...)
+ * @prop {string} [createdAt]
+ */
+
+/**
+ * Should results be saved? Explicit option wins, then TV_SAVE_RESULTS.
+ * @param {boolean} [option]
+ * @returns {boolean}
+ */
+function shouldSave(option) {
+  if (option !== undefined) return !!option;
+  return ['1', 'true', 'yes'].includes(String(process.env.TV_SAVE_RESULTS || '').toLowerCase());
+}
+
+/**
+ * Flatten a strategy report's performance into one summary object.
+ * @param {Object} performance - report.performance
+ * @returns {Object}
+ */
+function summarizePerformance(performance = {}) {
+  return {
+    ...(performance.all || {}),
+    maxDrawdown: performance.maxStrategyDrawDown,
+    maxDrawdownPercent: performance.maxStrategyDrawDownPercent,
+    sharpeRatio: performance.sharpeRatio,
+    sortinoRatio: performance.sortinoRatio,
+  };
+}
+
+/**
+ * Build a run record from a strategy report (as returned by fetchStrategyReport,
+ * fetchDeepBacktest, or a skill's `report` field).
+ *
+ * @param {Object} run - RunRecord fields other than performance/trades/equity
+ * @param {Object} report - { performance, trades, history, currency }
+ * @returns {RunRecord}
+ */
+function runFromReport(run, report = {}) {
+  return {
+    ...run,
+    performance: summarizePerformance(report.performance),
+    trades: report.trades || [],
+    equity: report.history?.equity || [],
+    meta: { currency: report.currency || '', ...run.meta },
+  };
+}
+
+function normalizeRun(run) {
+  if (!run || !run.kind || !run.scriptId) throw new Error('Run requires kind and scriptId');
+  return {
+    id: run.id || crypto.randomUUID(),
+    parentId: run.parentId || null,
+    kind: run.kind,
+    scriptId: run.scriptId,
+    symbol: run.symbol || null,
+    timeframe: run.timeframe || null,
+    range: run.range ?? null,
+    params: run.params || {},
+    performance: run.performance || {},
+    meta: run.meta || {},
+    createdAt: run.createdAt || new Date().toISOString(),
+    trades: run.trades || [],
+    equity: run.equity || [],
+  };
+}
+
+/** Summary row (no trades/equity) used for listing and ranking */
+const toSummary = ({ trades, equity, ...summary }) => ({
+  ...summary,
+  tradeCount: trades.length,
+});
+
+/**
+ * Sort + limit summaries by a performance metric (direction from lib/ranking).
+ */
+function sortByMetric(rows, metric, limit) {
+  const sign = metricDirection(metric) === 'min' ? 1 : -1;
+  return rows
+    .filter(r => Number.isFinite(r.performance?.[metric]))
+    .sort((a, b) => sign * (a.performance[metric] - b.performance[metric]))
+    .slice(0, limit);
+}
+
+// ─── JSON file store ─────────────────────────────────────────────────────────
+
+/**
+ * File store: data/results/index.jsonl holds one summary line per run; each run's
+ * trades and equity live in data/results/runs/<id>.json.
+ * @param {string} [dir]
+ */
+function createFileStore(dir = process.env.TV_RESULTS_DIR || DEFAULT_RESULTS_DIR) {
+  const indexFile = path.join(dir, 'index.jsonl');
+  const runsDir = path.join(dir, 'runs');
+  const runFile = (id) => {
+    if (!/^[\w-]+$/.test(id)) throw new Error(`Invalid run ID "${id}"`);
+    return path.join(runsDir, `${id}.json`);
+  };
+
+  function readIndex() {
+    if (!fs.existsSync(indexFile)) return [];
+    const rows = [];
+    for (const line of fs.readFileSync(indexFile, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        rows.push(JSON.parse(line));
+      } catch (e) {
+        // Skip a partial line from an interrupted write
+      }
+    }
+    return rows;
+  }
+
+  return {
+    backend: 'file',
+    location: dir,
+
+    async saveRuns(runs) {
+      fs.mkdirSync(runsDir, { recursive: true });
+      const records = runs.map(normalizeRun);
+      for (const record of records) {
+        if (record.trades.length > 0 || record.equity.length > 0) {
+          fs.writeFileSync(runFile(record.id), JSON.stringify({ trades: record.trades, equity: record.equity }));
+        }
+      }
+      fs.appendFileSync(indexFile, records.map(r => JSON.stringify(toSummary(r))).join('\n') + '\n');
+      return records.map(r => r.id);
+    },
+
+    async getRun(id) {
+      const summary = readIndex().find(r => r.id === id);
+      if (!summary) return null;
+      const file = runFile(id);
+      const detail = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : {};
+      return { ...summary, trades: detail.trades || [], equity: detail.equity || [] };
+    },
+
+    async listRuns(filter = {}) {
+      const { limit = 50 } = filter;
+      return readIndex()
+        .filter(r => matches(r, filter))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .slice(0, limit);
+    },
+
+    async bestRuns(filter = {}) {
+      const { metric = 'netProfit', limit = 10 } = filter;
+      return sortByMetric(readIndex().filter(r => matches(r, filter)), metric, limit);
+    },
+
+    async close() {},
+  };
+}
+
+function matches(row, filter) {
+  return ['scriptId', 'symbol', 'timeframe', 'kind', 'parentId']
+    .every(k => filter[k] === undefined || row[k] === filter[k]);
+}
+
+// ─── Postgres store ──────────────────────────────────────────────────────────
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS tv_runs (
+  id          TEXT PRIMARY KEY,
+  parent_id   TEXT REFERENCES tv_runs(id) ON DELETE CASCADE,
+  kind        TEXT NOT NULL,
+  script_id   TEXT NOT NULL,
+  symbol      TEXT,
+  timeframe   TEXT,
+  range       JSONB,
+  params      JSONB NOT NULL DEFAULT '{}',
+  performance JSONB NOT NULL DEFAULT '{}',
+  meta        JSONB NOT NULL DEFAULT '{}',
+  trade_count INTEGER NOT NULL DEFAULT 0,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS tv_runs_lookup ON tv_runs (script_id, symbol, timeframe);
+CREATE INDEX IF NOT EXISTS tv_runs_parent ON tv_runs (parent_id);
+CREATE TABLE IF NOT EXISTS tv_trades (
+  run_id TEXT NOT NULL REFERENCES tv_runs(id) ON DELETE CASCADE,
+  seq    INTEGER NOT NULL,
+  trade  JSONB NOT NULL,
+  PRIMARY KEY (run_id, seq)
+);
+CREATE TABLE IF NOT EXISTS tv_equity (
+  run_id TEXT NOT NULL REFERENCES tv_runs(id) ON DELETE CASCADE,
+  seq    INTEGER NOT NULL,
+  value  DOUBLE PRECISION,
+  PRIMARY KEY (run_id, seq)
+);
+`;
+
+const COLUMNS = {
+  scriptId: 'script_id', symbol: 'symbol', timeframe: 'timeframe', kind: 'kind', parentId: 'parent_id',
+};
+
+function rowToSummary(row) {
+  return {
+    id: row.id,
+    parentId: row.parent_id,
+    kind: row.kind,
+    scriptId: row.script_id,
+    symbol: row.symbol,
+    timeframe: row.timeframe,
+    range: row.range,
+    params: row.params,
+    performance: row.performance,
+    meta: row.meta,
+    createdAt: row.created_at instanceof Date ? row.created_at.toISOString() : row.created_at,
+    tradeCount: row.trade_count,
+  };
+}
+
+/** WHERE clause + values for a filter */
+function whereClause(filter, values = []) {
+  const conditions = Object.entries(COLUMNS)
+    .filter(([key]) => filter[key] !== undefined)
+    .map(([key, column]) => {
+      values.push(filter[key]);
+      return `${column} = $${values.length}`;
+    });
+  return { sql: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', values };
+}
+
+/**
+ * Postgres store (uses the `pg` dependency).
+ * @param {string} connectionString
+ */
+function createPostgresStore(connectionString) {
+  const { Pool } = require('pg');
+  // allowExitOnIdle: CLIs exit once queries finish, without an explicit closeStore()
+  const pool = new Pool({ connectionString, allowExitOnIdle: true });
+  let ready = null;
+  const init = () => {
+    if (!ready) ready = pool.query(SCHEMA).catch((error) => { ready = null; throw error; });
+    return ready;
+  };
+
+  return {
+    backend: 'postgres',
+    location: connectionString.replace(/\/\/[^@]*@/, '//***@'),
+
+    async saveRuns(runs) {
+      await init();
+      const records = runs.map(normalizeRun);
+      const db = await pool.connect();
+      try {
+        await db.query('BEGIN');
+        for (const r of records) {
+          await db.query(
+            `INSERT INTO tv_runs (id, parent_id, kind, script_id, symbol, timeframe, range, params, performance, meta, trade_count, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+            [r.id, r.parentId, r.kind, r.scriptId, r.symbol, r.timeframe, JSON.stringify(r.range),
+              JSON.stringify(r.params), JSON.stringify(r.performance), JSON.stringify(r.meta), r.trades.length, r.createdAt]
+          );
+          if (r.trades.length > 0) {
+            await db.query(
+              `INSERT INTO tv_trades (run_id, seq, trade)
+               SELECT $1::text, t.ord - 1, t.trade FROM jsonb_array_elements($2::jsonb) WITH ORDINALITY AS t(trade, ord)`,
+              [r.id, JSON.stringify(r.trades)]
+            );
+          }
+          if (r.equity.length > 0) {
+            await db.query(
+              `INSERT INTO tv_equity (run_id, seq, value)
+               SELECT $1::text, e.ord - 1, e.value FROM unnest($2::float8[]) WITH ORDINALITY AS e(value, ord)`,
+              [r.id, r.equity]
+            );
+          }
+        }
+        await db.query('COMMIT');
+      } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+      } finally {
+        db.release();
+      }
+      return records.map(r => r.id);
+    },
+
+    async getRun(id) {
+      await init();
+      const { rows } = await pool.query('SELECT * FROM tv_runs WHERE id = $1', [id]);
+      if (rows.length === 0) return null;
+      const trades = await pool.query('SELECT trade FROM tv_trades WHERE run_id = $1 ORDER BY seq', [id]);
+      const equity = await pool.query('SELECT value FROM tv_equity WHERE run_id = $1 ORDER BY seq', [id]);
+      return {
+        ...rowToSummary(rows[0]),
+        trades: trades.rows.map(r => r.trade),
+        equity: equity.rows.map(r => r.value),
+      };
+    },
+
+    async listRuns(filter = {}) {
+      await init();
+      const { sql, values } = whereClause(filter);
+      values.push(filter.limit || 50);
+      const { rows } = await pool.query(
+        `SELECT * FROM tv_runs ${sql} ORDER BY created_at DESC LIMIT $${values.length}`, values
+      );
+      return rows.map(rowToSummary);
+    },
+
+    async bestRuns(filter = {}) {
+      await init();
+      const { metric = 'netProfit', limit = 10 } = filter;
+      const { sql, values } = whereClause(filter);
+      values.push(metric);
+      const metricParam = `$${values.length}`;
+      values.push(limit);
+      const order = metricDirection(metric) === 'min' ? 'ASC' : 'DESC';
+      const numeric = `(performance->>${metricParam})`;
+      const { rows } = await pool.query(
+        `SELECT * FROM tv_runs ${sql ? `${sql} AND` : 'WHERE'} ${numeric} ~ '^-?[0-9.]+(e[-+]?[0-9]+)?$'
+         ORDER BY ${numeric}::float8 ${order} LIMIT $${values.length}`,
+        values
+      );
+      return rows.map(rowToSummary);
+    },
+
+    async close() {
+      await pool.end();
+    },
+  };
+}
+
+// ─── Shared instance ─────────────────────────────────────────────────────────
+
+let _store = null;
+
+/**
+ * Get the shared results store (Postgres when DATABASE_URL is set, else the file store).
+ * @returns {ReturnType<typeof createFileStore>}
+ */
+function getStore() {
+  if (!_store) {
+    _store = process.env.DATABASE_URL
+      ? createPostgresStore(process.env.DATABASE_URL)
+      : createFileStore();
+  }
+  return _store;
+}
+
+/**
+ * Save runs without failing the caller: a database problem shouldn't lose a backtest
+ * that already finished. Returns the saved IDs, or the error message.
+ *
+ * @param {RunRecord|RunRecord[]} runs - First run is the parent when saving a sweep
+ * @returns {Promise<{ids: string[], backend: string}|{error: string}>}
+ */
+async function saveResults(runs) {
+  try {
+    const store = getStore();
+    const ids = await store.saveRuns(Array.isArray(runs) ? runs : [runs]);
+    return { ids, backend: store.backend };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+/**
+ * Best runs for a script (optionally on a symbol/timeframe), by a performance metric.
+ * Lower-is-better metrics (drawdown, losses) sort ascending.
+ *
+ * @param {Object} filter
+ * @param {string} [filter.scriptId]
+ * @param {string} [filter.symbol]
+ * @param {string} [filter.timeframe]
+ * @param {string} [filter.kind] - e.g. 'backtest', 'optimize-combo'
+ * @param {string} [filter.metric='netProfit']
+ * @param {number} [filter.limit=10]
+ * @returns {Promise<Object[]>} Run summaries (no trades/equity)
+ */
+function bestRuns(filter = {}) {
+  return getStore().bestRuns(filter);
+}
+
+/**
+ * Most recent runs matching a filter.
+ * @param {Object} [filter] - { scriptId, symbol, timeframe, kind, parentId, limit=50 }
+ * @returns {Promise<Object[]>}
+ */
+function listRuns(filter = {}) {
+  return getStore().listRuns(filter);
+}
+
+/**
+ * Full run including trades and equity series.
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+function getRun(id) {
+  return getStore().getRun(id);
+}
+
+/** Close the shared store (ends the Postgres pool) */
+async function closeStore() {
+  if (_store) {
+    const store = _store;
+    _store = null;
+    await store.close();
+  }
+}
+
+module.exports = {
+  DEFAULT_RESULTS_DIR,
+  shouldSave,
+  summarizePerformance,
+  runFromReport,
+  createFileStore,
+  createPostgresStore,
+  getStore,
+  saveResults,
+  bestRuns,
+  listRuns,
+  getRun,
+  closeStore,
+};
@@ -0,0 +1,255 @@
+/**
+ * Robustness analysis for optimizer results: is the best combo a lone spike, or
+ * does its neighbourhood perform too?
+ *
+ * Works on the full result set of a sweep (optimizeStrategy with `includeResults`,
+ * or a run journal). Each parameter's tested values are sorted, and a "step" is a
+ * move to the adjacent tested value — so ±1 step means the next lower/higher value.
+ * Failed runs and runs without trades carry no metric and are skipped.
+ */
+
+const { getMetric, metricDirection } = require('./ranking');
+const { comboKey } = require('./journal');
+const { escapeHtml, colorScale, formatNumber, renderPage } = require('./html');
+
+const compareValues = (a, b) => (typeof a === 'number' && typeof b === 'number'
+  ? a - b
+  : String(a).localeCompare(String(b)));
+
+/**
+ * Derive the sorted tested values for each parameter from a result set.
+ * @param {Object[]} results
+ * @param {Object<string, string>} [names] - in_XX → human-readable name
+ * @returns {Array<{key: string, name: string, values: Array}>}
+ */
+function extractSpace(results, names = {}) {
+  const valuesByKey = new Map();
+  for (const r of results) {
+    for (const [key, value] of Object.entries(r.params || {})) {
+      if (!valuesByKey.has(key)) valuesByKey.set(key, new Set());
+      valuesByKey.get(key).add(value);
+    }
+  }
+  return [...valuesByKey.entries()].map(([key, set]) => ({
+    key,
+    name: names[key] || key,
+    values: [...set].sort(compareValues),
+  }));
+}
+
+/** Index results by combo key → metric value (only results that carry the metric) */
+function indexResults(results, metric) {
+  const index = new Map();
+  for (const r of results) {
+    if (r.error || !r.params) continue;
+    const value = getMetric(r, metric);
+    if (value !== undefined) index.set(comboKey(r.params), { result: r, value });
+  }
+  return index;
+}
+
+/** Resolve a parameter by in_XX key or name */
+function findParam(space, keyOrName) {
+  const param = space.find(p => p.key === keyOrName || p.name === keyOrName || p.name.trim() === String(keyOrName).trim());
+  if (!param) {
+    throw new Error(`Unknown parameter "${keyOrName}". Available: ${space.map(p => p.name).join(', ')}`);
+  }
+  return param;
+}
+
+const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+
+/**
+ * Per-parameter sensitivity: the metric averaged over all results sharing each value.
+ * `spread` is the gap between the best and worst value's mean; `share` is that spread
+ * as a fraction of all parameters' spreads (which parameter moves the metric most).
+ *
+ * @param {Object[]} results
+ * @param {string} metric
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.names] - in_XX → name
+ * @returns {Array<{key, name, spread, share, values: Array<{value, mean, best, count}>}>} Most sensitive first
+ */
+function parameterSensitivity(results, metric, options = {}) {
+  const space = extractSpace(results, options.names);
+  const index = indexResults(results, metric);
+  const better = metricDirection(metric) === 'min' ? Math.min : Math.max;
+
+  const sensitivity = space.map((param) => {
+    const values = param.values.map((value) => {
+      const metrics = [...index.values()]
+        .filter(({ result }) => result.params[param.key] === value)
+        .map(({ value: v }) => v);
+      return metrics.length > 0
+        ? { value, mean: mean(metrics), best: better(...metrics), count: metrics.length }
+        : { value, mean: null, best: null, count: 0 };
+    });
+    const means = values.filter(v => v.count > 0).map(v => v.mean);
+    const spread = means.length > 1 ? Math.max(...means) - Math.min(...means) : 0;
+    return { key: param.key, name: param.name, spread, values };
+  });
+
+  const total = sensitivity.reduce((s, p) => s + p.spread, 0);
+  sensitivity.forEach((p) => { p.share = total > 0 ? p.spread / total : 0; });
+  return sensitivity.sort((a, b) => b.spread - a.spread);
+}
+
+/**
+ * Neighbourhood stability: for each of the top results, compare its metric with the
+ * combos one step away on each parameter (all others unchanged).
+ * `degradation` is how much worse the neighbour average is, relative to the combo
+ * (0 = neighbours just as good, 0.5 = neighbours 50% worse). Results are then re-ranked
+ * by `robustScore` — the mean of the combo and its neighbours — which favours plateaus
+ * over spikes.
+ *
+ * @param {Object[]} results
+ * @param {string} metric
+ * @param {Object} [options]
+ * @param {number} [options.top=10] - How many of the best results to analyze
+ * @param {Object<string, string>} [options.names] - in_XX → name
+ * @returns {Array<{params, paramsNamed, value, neighbours, neighbourMean, worstNeighbour, degradation, robustScore}>}
+ */
+function neighbourhoodStability(results, metric, options = {}) {
+  const { top = 10 } = options;
+  const space = extractSpace(results, options.names);
+  const index = indexResults(results, metric);
+  const sign = metricDirection(metric) === 'min' ? -1 : 1;
+
+  const ranked = [...index.values()].sort((a, b) => sign * (b.value - a.value)).slice(0, top);
+
+  return ranked.map(({ result, value }) => {
+    const neighbours = [];
+    for (const param of space) {
+      const i = param.values.indexOf(result.params[param.key]);
+      for (const j of [i - 1, i + 1]) {
+        if (i < 0 || j < 0 || j >= param.values.length) continue;
+        const hit = index.get(comboKey({ ...result.params, [param.key]: param.values[j] }));
+        if (hit) neighbours.push({ param: param.name, value: param.values[j], metric: hit.value });
+      }
+    }
+
+    const metrics = neighbours.map(n => n.metric);
+    const neighbourMean = metrics.length > 0 ? mean(metrics) : null;
+    const worstNeighbour = metrics.length > 0 ? (sign > 0 ? Math.min(...metrics) : Math.max(...metrics)) : null;
+    const degradation = neighbourMean !== null && value !== 0
+      ? sign * (value - neighbourMean) / Math.abs(value)
+      : null;
+
+    return {
+      params: result.params,
+      paramsNamed: Object.fromEntries(space.map(p => [p.name, result.params[p.key]])),
+      value,
+      neighbours,
+      neighbourMean,
+      worstNeighbour,
+      degradation,
+      robustScore: mean([value, ...metrics]),
+    };
+  }).sort((a, b) => sign * (b.robustScore - a.robustScore));
+}
+
+/**
+ * 2-D heatmap matrix of a metric over two parameters. When the sweep varied other
+ * parameters too, each cell aggregates over them.
+ *
+ * @param {Object[]} results
+ * @param {string} metric
+ * @param {string} xParam - Column parameter (name or in_XX)
+ * @param {string} yParam - Row parameter (name or in_XX)
+ * @param {Object} [options]
+ * @param {'best'|'mean'} [options.aggregate='best'] - How to combine cells across other parameters
+ * @param {Object<string, string>} [options.names] - in_XX → name
+ * @returns {{metric, aggregate, x: {key, name, values}, y: {key, name, values}, cells: (number|null)[][], min, max, direction}}
+ */
+function heatmapMatrix(results, metric, xParam, yParam, options = {}) {
+  const { aggregate = 'best' } = options;
+  if (aggregate !== 'best' && aggregate !== 'mean') {
+    throw new Error(`Unknown aggregate "${aggregate}" (use "best" or "mean")`);
+  }
+  const space = extractSpace(results, options.names);
+  const x = findParam(space, xParam);
+  const y = findParam(space, yParam);
+  if (x.key === y.key) throw new Error('Heatmap needs two different parameters');
+
+  const direction = metricDirection(metric);
+  const buckets = y.values.map(() => x.values.map(() => []));
+  for (const { result, value } of indexResults(results, metric).values()) {
+    const xi = x.values.indexOf(result.params[x.key]);
+    const yi = y.values.indexOf(result.params[y.key]);
+    if (xi >= 0 && yi >= 0) buckets[yi][xi].push(value);
+  }
+
+  const combine = aggregate === 'mean' ? mean : (xs) => (direction === 'min' ? Math.min(...xs) : Math.max(...xs));
+  const cells = buckets.map(row => row.map(xs => (xs.length > 0 ? combine(xs) : null)));
+  const filled = cells.flat().filter(v => v !== null);
+
+  return {
+    metric,
+    aggregate,
+    direction,
+    x: { key: x.key, name: x.name, values: x.values },
+    y: { key: y.key, name: y.name, values: y.values },
+    cells,
+    min: filled.length > 0 ? Math.min(...filled) : null,
+    max: filled.length > 0 ? Math.max(...filled) : null,
+  };
+}
+
+const csvField = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+/**
+ * Heatmap as CSV: first row is x values, first column is y values; empty cells for untested combos.
+ * @param {ReturnType<typeof heatmapMatrix>} matrix
+ * @returns {string}
+ */
+function heatmapToCsv(matrix) {
+  const header = [`${matrix.y.name} \\ ${matrix.x.name}`, ...matrix.x.values].map(csvField).join(',');
+  const rows = matrix.y.values.map((yv, yi) => [yv, ...matrix.cells[yi].map(v => (v === null ? '' : v))]
+    .map(csvField).join(','));
+  return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Heatmap as a self-contained HTML page (inline CSS, no scripts).
+ * Cells are colored red (worst) → green (best), respecting the metric's direction.
+ *
+ * @param {ReturnType<typeof heatmapMatrix>} matrix
+ * @param {Object} [options]
+ * @param {string} [options.title]
+ * @param {string} [options.subtitle] - e.g. script, symbol and timeframe
+ * @returns {string}
+ */
+function heatmapToHtml(matrix, options = {}) {
+  const title = options.title || `${matrix.metric}: ${matrix.y.name} × ${matrix.x.name}`;
+  const { min, max } = matrix;
+  const shade = (v) => {
+    if (v === null) return '#fff';
+    const t = max === min ? 1 : (v - min) / (max - min);
+    return colorScale(matrix.direction === 'min' ? 1 - t : t);
+  };
+
+  const head = `<tr><th>${escapeHtml(matrix.y.name)} \\ ${escapeHtml(matrix.x.name)}</th>${
+    matrix.x.values.map(v => `<th>${escapeHtml(v)}</th>`).join('')}</tr>`;
+  const rows = matrix.y.values.map((yv, yi) => `<tr><th>${escapeHtml(yv)}</th>${
+    matrix.cells[yi].map(v => `<td style="background:${shade(v)}">${escapeHtml(formatNumber(v))}</td>`).join('')}</tr>`);
+
+  const body = `<h1>${escapeHtml(title)}</h1>
+<div class="meta">${options.subtitle ? `${escapeHtml(options.subtitle)} · ` : ''}${
+  escapeHtml(matrix.aggregate === 'mean' ? 'Mean' : 'Best')} ${escapeHtml(matrix.metric)} per cell (${
+  matrix.direction === 'min' ? 'lower' : 'higher'} is better) · range ${escapeHtml(formatNumber(min))} – ${escapeHtml(formatNumber(max))}</div>
+<table>
+${head}
+${rows.join('\n')}
+</table>`;
+
+  return renderPage({ title, body, style: 'td { min-width: 48px; }' });
+}
+
+module.exports = {
+  extractSpace,
+  parameterSensitivity,
+  neighbourhoodStability,
+  heatmapMatrix,
+  heatmapToCsv,
+  heatmapToHtml,
+};
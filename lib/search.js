@@ -0,0 +1,365 @@
+/**
+ * Search strategies for the optimizer beyond the full Cartesian grid:
+ * random sampling, a genetic algorithm, and a TPE-like surrogate-model search.
+ *
+ * All strategies work on a discrete space — one list of candidate values per
+ * parameter — and represent a combo as a genome of value indexes. The objective
+ * evaluates a batch of combos (in parallel, via the optimizer's connection pool)
+ * and returns one score per combo: higher is better, -Infinity for failed runs.
+ * A combo is never evaluated twice, and no strategy exceeds its evaluation budget.
+ */
+
+const { spaceSize, generateComboAtIndex } = require('./param-ranges');
+
+/**
+ * @typedef {Array<{key: string, values: Array}>} SearchSpace
+ * @typedef {(combos: Object[]) => Promise<number[]>} Objective
+ */
+
+/**
+ * Seeded pseudo-random generator (mulberry32), so searches are reproducible.
+ * @param {number} [seed] - Default: current time
+ * @returns {() => number} Uniform float in [0, 1)
+ */
+function createRng(seed = Date.now()) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const randInt = (rng, n) => Math.floor(rng() * n);
+
+/** Convert a genome (value indexes) to a param combo */
+function toCombo(space, genome) {
+  const combo = {};
+  space.forEach((p, i) => { combo[p.key] = p.values[genome[i]]; });
+  return combo;
+}
+
+const genomeKey = (genome) => genome.join(',');
+
+/** The space with each parameter's values replaced by their indexes — its combos are genomes */
+function indexSpace(space) {
+  return space.map((p, i) => ({ key: i, values: p.values.map((_, j) => j) }));
+}
+
+/**
+ * Decode a grid index into a genome (same order as the grid's Cartesian product).
+ * @param {SearchSpace} positions - From indexSpace()
+ */
+function genomeAtIndex(positions, index) {
+  return Object.values(generateComboAtIndex(positions, index));
+}
+
+/**
+ * Shared bookkeeping for all strategies: dedupes genomes, caches scores,
+ * records evaluation history and enforces the budget.
+ */
+function createTracker(space, objective, budget) {
+  const scores = new Map();
+  const history = [];
+
+  return {
+    scores,
+    history,
+
+    get remaining() {
+      return budget - history.length;
+    },
+
+    has(genome) {
+      return scores.has(genomeKey(genome));
+    },
+
+    /**
+     * Score a batch of genomes, evaluating only those not seen before (within budget).
+     * Genomes left unevaluated because the budget ran out score -Infinity.
+     */
+    async evaluate(genomes) {
+      const fresh = [];
+      const freshKeys = new Set();
+      for (const genome of genomes) {
+        const key = genomeKey(genome);
+        if (scores.has(key) || freshKeys.has(key)) continue;
+        if (history.length + fresh.length >= budget) break;
+        fresh.push(genome);
+        freshKeys.add(key);
+      }
+
+      if (fresh.length > 0) {
+        const batchScores = await objective(fresh.map(g => toCombo(space, g)));
+        fresh.forEach((genome, i) => {
+          const score = Number.isFinite(batchScores[i]) ? batchScores[i] : -Infinity;
+          scores.set(genomeKey(genome), score);
+          history.push({ genome, score });
+        });
+      }
+
+      return genomes.map(g => (scores.has(genomeKey(g)) ? scores.get(genomeKey(g)) : -Infinity));
+    },
+  };
+}
+
+/**
+ * Pick up to `count` random genomes not yet evaluated.
+ * Draws a random grid index and probes forward to the next unseen one,
+ * so it terminates even when most of the space is already covered.
+ */
+function sampleUnseen(space, tracker, count, rng, exclude = new Set()) {
+  const total = spaceSize(space);
+  const positions = indexSpace(space);
+  const picked = [];
+  const pickedKeys = new Set(exclude);
+
+  while (picked.length < count && tracker.scores.size + pickedKeys.size < total) {
+    const start = randInt(rng, total);
+    for (let probe = 0; probe < total; probe++) {
+      const genome = genomeAtIndex(positions, (start + probe) % total);
+      const key = genomeKey(genome);
+      if (!tracker.scores.has(key) && !pickedKeys.has(key)) {
+        picked.push(genome);
+        pickedKeys.add(key);
+        break;
+      }
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Uniform random sampling without replacement.
+ *
+ * @param {SearchSpace} space
+ * @param {Objective} objective
+ * @param {Object} [options]
+ * @param {number} [options.budget=100] - Max evaluations
+ * @param {number} [options.batchSize=1] - Combos evaluated in parallel per round
+ * @param {() => number} [options.rng]
+ * @returns {Promise<{evaluations: number}>}
+ */
+async function randomSearch(space, objective, options = {}) {
+  const { budget = 100, batchSize = 1, rng = createRng() } = options;
+  const tracker = createTracker(space, objective, budget);
+
+  while (tracker.remaining > 0) {
+    const batch = sampleUnseen(space, tracker, Math.min(batchSize, tracker.remaining), rng);
+    if (batch.length === 0) break;
+    await tracker.evaluate(batch);
+  }
+
+  return { evaluations: tracker.history.length };
+}
+
+/**
+ * Genetic algorithm: tournament selection, uniform crossover, and mutation that
+ * either steps a gene to a neighbouring value (values are ordered) or re-draws it.
+ * Each generation is evaluated as one parallel batch. Stops when the budget is
+ * spent or three generations in a row produce no unseen offspring.
+ *
+ * @param {SearchSpace} space
+ * @param {Objective} objective
+ * @param {Object} [options]
+ * @param {number} [options.budget=100] - Max evaluations
+ * @param {number} [options.populationSize=20]
+ * @param {number} [options.eliteCount=2] - Best genomes carried over unchanged
+ * @param {number} [options.tournamentSize=3]
+ * @param {number} [options.crossoverRate=0.9]
+ * @param {number} [options.mutationRate] - Per-gene probability (default: 1 / number of params)
+ * @param {() => number} [options.rng]
+ * @returns {Promise<{evaluations: number, generations: number}>}
+ */
+async function geneticSearch(space, objective, options = {}) {
+  const {
+    budget = 100,
+    populationSize = 20,
+    eliteCount = 2,
+    tournamentSize = 3,
+    crossoverRate = 0.9,
+    mutationRate = 1 / Math.max(1, space.length),
+    rng = createRng(),
+  } = options;
+  const tracker = createTracker(space, objective, budget);
+
+  const mutate = (genome) => genome.map((gene, i) => {
+    if (rng() >= mutationRate) return gene;
+    const n = space[i].values.length;
+    if (n < 2) return gene;
+    if (rng() < 0.5) {
+      const step = rng() < 0.5 ? -1 : 1;
+      return Math.min(n - 1, Math.max(0, gene + step));
+    }
+    return randInt(rng, n);
+  });
+
+  const crossover = (a, b) => (rng() < crossoverRate
+    ? a.map((gene, i) => (rng() < 0.5 ? gene : b[i]))
+    : [...a]);
+
+  let population = sampleUnseen(space, tracker, Math.min(populationSize, tracker.remaining), rng);
+  let generations = 0;
+  let stale = 0;
+
+  while (population.length > 0 && tracker.remaining > 0 && stale < 3) {
+    const before = tracker.history.length;
+    const scores = await tracker.evaluate(population);
+    generations++;
+    stale = tracker.history.length === before ? stale + 1 : 0;
+
+    const ranked = population
+      .map((genome, i) => ({ genome, score: scores[i] }))
+      .sort((a, b) => b.score - a.score);
+
+    const tournament = () => {
+      let best = ranked[randInt(rng, ranked.length)];
+      for (let i = 1; i < tournamentSize; i++) {
+        const challenger = ranked[randInt(rng, ranked.length)];
+        if (challenger.score > best.score) best = challenger;
+      }
+      return best.genome;
+    };
+
+    const next = ranked.slice(0, eliteCount).map(r => r.genome);
+    const nextKeys = new Set(next.map(genomeKey));
+
+    for (let attempts = 0; next.length < populationSize && attempts < populationSize * 10; attempts++) {
+      let child = mutate(crossover(tournament(), tournament()));
+      // Nudge duplicates of already-scored genomes towards unexplored neighbours
+      for (let i = 0; i < 3 && tracker.has(child); i++) child = mutate(child);
+      const key = genomeKey(child);
+      if (nextKeys.has(key)) continue;
+      next.push(child);
+      nextKeys.add(key);
+    }
+
+    population = next;
+  }
+
+  return { evaluations: tracker.history.length, generations };
+}
+
+/**
+ * TPE-like surrogate-model search (Tree-structured Parzen Estimator on a discrete space).
+ * After random warm-up samples, evaluated combos are split into "good" (top `gamma`
+ * fraction) and "bad". Each parameter gets a smoothed Parzen density over its values
+ * for both groups — a kernel that also credits neighbouring values, since values are
+ * ordered. Candidates are drawn from the good densities and the ones maximizing
+ * l(x)/g(x) are evaluated next.
+ *
+ * @param {SearchSpace} space
+ * @param {Objective} objective
+ * @param {Object} [options]
+ * @param {number} [options.budget=100] - Max evaluations
+ * @param {number} [options.batchSize=1] - Combos evaluated in parallel per round
+ * @param {number} [options.initialSamples] - Random warm-up evaluations (default: max(10, batchSize))
+ * @param {number} [options.gamma=0.25] - Fraction of evaluations treated as "good"
+ * @param {number} [options.candidates=24] - Candidates drawn per proposed combo
+ * @param {() => number} [options.rng]
+ * @returns {Promise<{evaluations: number}>}
+ */
+async function tpeSearch(space, objective, options = {}) {
+  const {
+    budget = 100,
+    batchSize = 1,
+    gamma = 0.25,
+    candidates = 24,
+    rng = createRng(),
+  } = options;
+  const initialSamples = options.initialSamples || Math.max(10, batchSize);
+  const tracker = createTracker(space, objective, budget);
+
+  // Warm-up: random samples to seed the densities
+  while (tracker.history.length < Math.min(initialSamples, budget)) {
+    const count = Math.min(batchSize, initialSamples - tracker.history.length, tracker.remaining);
+    const batch = sampleUnseen(space, tracker, count, rng);
+    if (batch.length === 0) break;
+    await tracker.evaluate(batch);
+  }
+
+  // Smoothed Parzen density over one parameter's value indexes
+  const density = (paramIndex, genomes) => {
+    const n = space[paramIndex].values.length;
+    const weights = new Array(n).fill(1 / n); // uniform prior
+    for (const genome of genomes) {
+      const v = genome[paramIndex];
+      weights[v] += 1;
+      if (v > 0) weights[v - 1] += 0.5;
+      if (v < n - 1) weights[v + 1] += 0.5;
+    }
+    const sum = weights.reduce((a, b) => a + b, 0);
+    return weights.map(w => w / sum);
+  };
+
+  const sampleFrom = (probs) => {
+    let r = rng();
+    for (let i = 0; i < probs.length; i++) {
+      r -= probs[i];
+      if (r <= 0) return i;
+    }
+    return probs.length - 1;
+  };
+
+  while (tracker.remaining > 0) {
+    const sorted = [...tracker.history].sort((a, b) => b.score - a.score);
+    const nGood = Math.max(1, Math.ceil(gamma * sorted.length));
+    const good = sorted.slice(0, nGood).map(h => h.genome);
+    const bad = sorted.slice(nGood).map(h => h.genome);
+
+    const l = space.map((p, i) => density(i, good));
+    const g = space.map((p, i) => density(i, bad));
+
+    const count = Math.min(batchSize, tracker.remaining);
+    const proposals = [];
+    const proposalKeys = new Set();
+
+    for (let k = 0; k < count; k++) {
+      let best = null;
+      let bestRatio = -Infinity;
+      for (let c = 0; c < candidates; c++) {
+        const genome = space.map((p, i) => sampleFrom(l[i]));
+        const key = genomeKey(genome);
+        if (tracker.has(genome) || proposalKeys.has(key)) continue;
+        const ratio = genome.reduce((sum, v, i) => sum + Math.log(l[i][v]) - Math.log(g[i][v]), 0);
+        if (ratio > bestRatio) {
+          best = genome;
+          bestRatio = ratio;
+        }
+      }
+      if (best) {
+        proposals.push(best);
+        proposalKeys.add(genomeKey(best));
+      }
+    }
+
+    // Densities collapsed onto seen combos — keep exploring at random
+    if (proposals.length < count) {
+      proposals.push(...sampleUnseen(space, tracker, count - proposals.length, rng, proposalKeys));
+    }
+    if (proposals.length === 0) break;
+
+    await tracker.evaluate(proposals);
+  }
+
+  return { evaluations: tracker.history.length };
+}
+
+const SEARCH_STRATEGIES = {
+  random: randomSearch,
+  genetic: geneticSearch,
+  bayesian: tpeSearch,
+  tpe: tpeSearch,
+};
+
+module.exports = {
+  SEARCH_STRATEGIES,
+  createRng,
+  spaceSize,
+  randomSearch,
+  geneticSearch,
+  tpeSearch,
+};
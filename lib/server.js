@@ -0,0 +1,322 @@
+/**
+ * REST API over the WebSocket/HTTP skills, for services that can't require() this package.
+ * Quick calls (quotes, chart data, indicator metadata) answer inline; sweeps always run
+ * as queued jobs (lib/jobs.js), and backtests can too with `"async": true`. Jobs are
+ * persisted under data/jobs/ and picked up again after a restart.
+ *
+ * Every route except GET /health needs the API key in an `x-api-key` header
+ * (or `Authorization: Bearer <key>`). Responses are the skills' own
+ * `{success, message, ...}` objects; a skill-level failure is returned as 502.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { createJobQueue, DEFAULT_JOBS_DIR } = require('./jobs');
+const { backtest } = require('./backtest');
+const { getStrategyParams } = require('./params');
+const { getQuote } = require('../skills/get-quote');
+const { getChartData } = require('../skills/get-chart-data');
+const { getIndicatorDetails } = require('../skills/get-indicator-details');
+const { getTechnicalAnalysis } = require('../skills/get-technical-analysis');
+const { searchMarket } = require('../skills/search-market');
+const { getMarketInfo } = require('../skills/get-market-info');
+const { optimizeStrategy } = require('../workflows/optimize-strategy');
+const { applyConstraints, compositeScores, paretoFront } = require('./ranking');
+
+const DEFAULT_PORT = 3000;
+const MAX_CHART_BARS = 20000;
+const TIMEFRAME_PATTERN = /^(\d+[SDWM]?|[DWM])$/;
+
+/** Optimizer options a client may set (everything else — journal dir, run IDs — stays server-side) */
+const OPTIMIZE_OPTIONS = [
+  'symbol', 'timeframe', 'paramRanges', 'range', 'to', 'sortBy', 'concurrency', 'search',
+  'maxEvaluations', 'seed', 'searchOptions', 'objectives', 'constraints', 'pareto', 'save',
+];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function requireString(value, name) {
+  if (typeof value !== 'string' || value.trim() === '') throw badRequest(`"${name}" is required`);
+  return value.trim();
+}
+
+function checkSymbol(value, name = 'symbol') {
+  const symbol = requireString(value, name);
+  if (symbol.length > 100 || /\s/.test(symbol)) throw badRequest(`Invalid ${name} "${symbol}"`);
+  return symbol;
+}
+
+function checkTimeframe(value) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string' || !TIMEFRAME_PATTERN.test(value)) {
+    throw badRequest(`Invalid timeframe ${JSON.stringify(value)} (e.g. "1", "60", "240", "D", "W")`);
+  }
+  return value;
+}
+
+function checkInteger(value, name, min, max) {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw badRequest(`"${name}" must be an integer from ${min} to ${max}`);
+  return n;
+}
+
+function checkObject(value, name, { required = false } = {}) {
+  if (value === undefined && !required) return undefined;
+  if (!isPlainObject(value) || (required && Object.keys(value).length === 0)) {
+    throw badRequest(`"${name}" must be a${required ? ' non-empty' : 'n'} object`);
+  }
+  return value;
+}
+
+function checkString(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value !== 'string' || value.trim() === '') throw badRequest(`"${name}" must be a non-empty string`);
+  return value;
+}
+
+function checkBoolean(value, name) {
+  if (value !== undefined && typeof value !== 'boolean') throw badRequest(`"${name}" must be true or false`);
+  return value;
+}
+
+/** A seed or timestamp: any non-negative integer (Date.now() seeds are well past 2^32) */
+function checkWholeNumber(value, name) {
+  if (value !== undefined && (!Number.isSafeInteger(value) || value < 0)) {
+    throw badRequest(`"${name}" must be a non-negative integer`);
+  }
+  return value;
+}
+
+/** Objectives (an object or a list), constraints and Pareto metrics, checked by the code that ranks the results */
+function checkRanking({ objectives, constraints, pareto }) {
+  try {
+    if (objectives) compositeScores([], objectives);
+    if (constraints) applyConstraints([], constraints);
+    if (pareto) paretoFront([], pareto);
+  } catch (error) {
+    throw badRequest(error.message);
+  }
+}
+
+/** Range as accepted by lib/backtest: preset string, bar count, or {from, to} */
+function checkRange(value) {
+  if (value === undefined) return undefined;
+  if (typeof value === 'string' && value.trim() !== '') return value.trim();
+  if (Number.isInteger(value) && value > 0) return value;
+  if (isPlainObject(value) && value.from) return value;
+  throw badRequest('"range" must be a preset ("chart", "30d", "max"...), a bar count, or {"from", "to"}');
+}
+
+/** Compare API keys in constant time */
+function keyMatches(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+const send = (res, result, okStatus = 200) => res.status(result.success === false ? 502 : okStatus).json(result);
+
+const jobLinks = (job) => ({ ...job, links: { self: `/jobs/${job.id}`, cancel: `/jobs/${job.id}/cancel` } });
+
+/** Job handlers: params are the validated request body, so queued jobs can be replayed after a restart */
+const JOB_HANDLERS = {
+  backtest: ({ scriptId, symbol, ...options }) => backtest(scriptId, symbol, options),
+  optimize: ({ scriptId, ...options }, { signal, progress }) => optimizeStrategy(scriptId, {
+    ...options,
+    signal,
+    onProgress: progress,
+  }),
+};
+
+const envInt = (name) => (process.env[name] ? parseInt(process.env[name], 10) : undefined);
+
+/**
+ * Create the API app. Call `.listen(port)` on the result to serve it.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.apiKey=process.env.TV_API_KEY] - Required; requests must present it
+ * @param {ReturnType<typeof createJobQueue>} [options.queue] - Job queue (default: persisted under `jobsDir`)
+ * @param {string} [options.jobsDir=TV_JOBS_DIR or data/jobs] - Where the default queue persists jobs
+ * @returns {import('express').Express} App, with `app.locals.queue` set to the job queue
+ */
+function createServer(options = {}) {
+  const apiKey = options.apiKey || process.env.TV_API_KEY;
+  if (!apiKey) {
+    throw new Error('API key required: set TV_API_KEY (or pass options.apiKey)');
+  }
+  const queue = options.queue || createJobQueue({
+    handlers: JOB_HANDLERS,
+    dir: options.jobsDir || process.env.TV_JOBS_DIR || DEFAULT_JOBS_DIR,
+    concurrency: envInt('TV_JOBS_CONCURRENCY'),
+    perAccount: envInt('TV_JOBS_PER_ACCOUNT'),
+  });
+
+  const app = express();
+  app.disable('x-powered-by');
+  app.locals.queue = queue;
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({ success: true, message: 'ok', jobs: queue.stats() });
+  });
+
+  app.use((req, res, next) => {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const given = req.get('x-api-key') || bearer?.[1];
+    if (!given || !keyMatches(given, apiKey)) {
+      res.status(401).json({ success: false, message: 'Missing or invalid API key' });
+      return;
+    }
+    next();
+  });
+
+  // --- Market data ---
+
+  app.get('/quote/:symbol', async (req, res) => {
+    const symbol = checkSymbol(req.params.symbol);
+    const { session } = req.query;
+    if (session !== undefined && session !== 'regular' && session !== 'extended') {
+      throw badRequest('"session" must be "regular" or "extended"');
+    }
+    send(res, await getQuote(symbol, { session }));
+  });
+
+  app.get('/chart-data', async (req, res) => {
+    const symbol = checkSymbol(req.query.symbol);
+    const timeframe = checkTimeframe(req.query.timeframe) || 'D';
+    const count = checkInteger(req.query.count, 'count', 1, MAX_CHART_BARS) || 100;
+    send(res, await getChartData(symbol, { count, timeframe }));
+  });
+
+  app.get('/market-info/:symbol', async (req, res) => {
+    send(res, await getMarketInfo(checkSymbol(req.params.symbol)));
+  });
+
+  app.get('/technical-analysis/:symbol', async (req, res) => {
+    send(res, await getTechnicalAnalysis(checkSymbol(req.params.symbol)));
+  });
+
+  app.get('/search', async (req, res) => {
+    const query = requireString(req.query.q, 'q');
+    const offset = checkInteger(req.query.offset, 'offset', 0, 10000);
+    send(res, await searchMarket(query, { filter: req.query.filter, offset }));
+  });
+
+  // --- Indicators & strategies ---
+
+  app.get('/indicators/:id', async (req, res) => {
+    const scriptId = requireString(req.params.id, 'id');
+    const version = req.query.version || 'last';
+    send(res, await getIndicatorDetails(scriptId, { version }));
+  });
+
+  app.get('/indicators/:id/params', async (req, res) => {
+    const scriptId = requireString(req.params.id, 'id');
+    try {
+      const params = await getStrategyParams(scriptId);
+      res.json({ success: true, message: `${params.length} parameters for ${scriptId}`, scriptId, params });
+    } catch (error) {
+      send(res, { success: false, message: 'Error getting strategy params', error: error.message });
+    }
+  });
+
+  app.post('/backtest', async (req, res) => {
+    const body = checkObject(req.body, 'body', { required: true });
+    const scriptId = requireString(body.scriptId, 'scriptId');
+    const symbol = body.symbol === undefined ? undefined : checkSymbol(body.symbol);
+    const options = {
+      timeframe: checkTimeframe(body.timeframe),
+      range: checkRange(body.range),
+      params: checkObject(body.params, 'params'),
+      save: body.save,
+    };
+
+    if (body.async) {
+      const job = queue.submit('backtest', { scriptId, symbol, ...options });
+      res.status(202).json({ success: true, message: 'Backtest queued', job: jobLinks(job) });
+      return;
+    }
+    send(res, await backtest(scriptId, symbol, options));
+  });
+
+  app.post('/optimize', async (req, res) => {
+    const body = checkObject(req.body, 'body', { required: true });
+    const scriptId = requireString(body.scriptId, 'scriptId');
+    checkObject(body.paramRanges, 'paramRanges', { required: true });
+    if (body.symbol !== undefined) checkSymbol(body.symbol);
+    checkTimeframe(body.timeframe);
+    checkInteger(body.maxEvaluations, 'maxEvaluations', 1, 100000);
+    checkInteger(body.concurrency, 'concurrency', 1, 50);
+    for (const name of ['searchOptions', 'constraints']) checkObject(body[name], name);
+    checkRange(body.range);
+    checkWholeNumber(body.to, 'to');
+    checkString(body.sortBy, 'sortBy');
+    checkWholeNumber(body.seed, 'seed');
+    checkBoolean(body.save, 'save');
+    checkRanking(body);
+
+    const options = Object.fromEntries(OPTIMIZE_OPTIONS.filter(k => body[k] !== undefined).map(k => [k, body[k]]));
+    // Fix a search's seed now: the job's params are replayed after a restart, and the
+    // same seed keeps the same run journal, so the sweep resumes instead of starting over
+    if (options.search !== undefined && options.search !== 'grid' && options.seed === undefined) options.seed = Date.now();
+    const job = queue.submit('optimize', { scriptId, ...options });
+    res.status(202).json({ success: true, message: 'Optimization queued', job: jobLinks(job) });
+  });
+
+  // --- Jobs ---
+
+  app.get('/jobs', (req, res) => {
+    const jobs = queue.list({ status: req.query.status, type: req.query.type });
+    res.json({ success: true, message: `${jobs.length} jobs`, stats: queue.stats(), jobs });
+  });
+
+  app.get('/jobs/:id', (req, res) => {
+    const job = queue.get(req.params.id);
+    if (!job) {
+      res.status(404).json({ success: false, message: `Job "${req.params.id}" not found` });
+      return;
+    }
+    res.json({ success: true, message: `Job ${job.status}`, job });
+  });
+
+  app.post('/jobs/:id/cancel', (req, res) => {
+    const job = queue.cancel(req.params.id);
+    if (!job) {
+      res.status(404).json({ success: false, message: `Job "${req.params.id}" not found` });
+      return;
+    }
+    const message = job.status === 'running'
+      ? 'Cancel requested; the job stops after the work in flight'
+      : `Job ${job.status}`;
+    res.json({ success: true, message, job: jobLinks(job) });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ success: false, message: `No route for ${req.method} ${req.path}` });
+  });
+
+  // Validation errors (and malformed JSON bodies) carry a 4xx status; anything else is a bug.
+  // Express only treats a handler as error middleware when it takes all four arguments.
+  app.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status < 500 ? error.message : 'Internal server error',
+      error: status < 500 ? undefined : error.message,
+    });
+  });
+
+  return app;
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  createServer,
+};
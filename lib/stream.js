@@ -0,0 +1,444 @@
+/**
+ * Live market data streams over one WebSocket session.
+ *
+ * A quote stream keeps a single QuoteSession open with one Market per symbol and emits
+ * normalized partial updates — only the fields that changed — as events and as an
+ * async iterator:
+ *
+ *   const stream = streamQuotes(['BINANCE:BTCUSDT', 'NASDAQ:AAPL'], ['lastPrice', 'bid', 'ask']);
+ *   for await (const { symbol, changes } of stream) { ... }      // break / abort → cleanup
+ *
+ * A bar stream keeps one ChartSession open, backfills history, then emits the forming
+ * bar's updates and a separate event when a bar closes:
+ *
+ *   const bars = streamBars('BINANCE:BTCUSDT', '60', { backfill: 200 });
+ *   bars.on('barClose', (bar) => { ... });                         // Signal logic on closed bars
+ *
+ * Streams run on the shared client (or `options.client`), which reconnects and
+ * resubscribes by itself when the socket drops.
+ */
+
+const { EventEmitter } = require('events');
+const { getClient } = require('./ws-client');
+
+/** Normalized quote field → TradingView quote field */
+const QUOTE_FIELDS = {
+  lastPrice: 'lp',
+  change: 'ch',
+  changePercent: 'chp',
+  volume: 'volume',
+  open: 'open_price',
+  high: 'high_price',
+  low: 'low_price',
+  prevClose: 'prev_close_price',
+  bid: 'bid',
+  ask: 'ask',
+  description: 'description',
+  exchange: 'exchange',
+  type: 'type',
+  currency: 'currency_code',
+  isTradable: 'is_tradable',
+  session: 'current_session',
+  // Fundamentals (stocks)
+  marketCap: 'market_cap_basic',
+  peRatio: 'price_earnings_ttm',
+  eps: 'earnings_per_share_basic_ttm',
+  beta: 'beta_1_year',
+  dividendYield: 'dividends_yield',
+  sector: 'sector',
+  industry: 'industry',
+  country: 'country_code',
+};
+
+/** Fields streamed when none are given */
+const DEFAULT_QUOTE_FIELDS = ['lastPrice', 'bid', 'ask', 'volume', 'change', 'changePercent'];
+
+/**
+ * Normalize raw quote data (a full snapshot or a partial `qsd` update).
+ * @param {Object} data - TradingView quote fields
+ * @param {string[]} [fields] - Normalized fields to keep (default: all)
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only keep fields present in `data`
+ * @returns {Object}
+ */
+function normalizeQuote(data, fields = Object.keys(QUOTE_FIELDS), options = {}) {
+  const quote = {};
+  for (const field of fields) {
+    const raw = QUOTE_FIELDS[field];
+    if (options.partial && !(raw in data)) continue;
+    quote[field] = data[raw];
+  }
+  return quote;
+}
+
+function validateFields(fields) {
+  if (fields === 'all') return Object.keys(QUOTE_FIELDS);
+  const list = fields && fields.length > 0 ? fields : DEFAULT_QUOTE_FIELDS;
+  const unknown = list.filter(f => !QUOTE_FIELDS[f]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown quote field(s): ${unknown.join(', ')}. Valid: ${Object.keys(QUOTE_FIELDS).join(', ')}`);
+  }
+  return list;
+}
+
+/**
+ * Make a stream async-iterable. `take()` returns the next unread item, or undefined when
+ * there is none; iteration ends once the stream is closed and nothing is left to take.
+ * Leaving a `for await` loop closes the stream.
+ * @param {EventEmitter & {ready: Promise, closed: boolean, close: () => void}} stream
+ * @param {() => *} take
+ * @returns {() => void} Call when an item was added or the stream closed
+ */
+function attachIterator(stream, take) {
+  const waiting = new Set();
+
+  stream[Symbol.asyncIterator] = () => ({
+    async next() {
+      await stream.ready;
+      let item = take();
+      while (item === undefined && !stream.closed) {
+        await new Promise((resolve) => { waiting.add(resolve); });
+        item = take();
+      }
+      return item === undefined ? { done: true, value: undefined } : { done: false, value: item };
+    },
+    async return() {
+      stream.close();
+      return { done: true, value: undefined };
+    },
+    [Symbol.asyncIterator]() { return this; },
+  });
+
+  return () => {
+    waiting.forEach(resolve => resolve());
+    waiting.clear();
+  };
+}
+
+/**
+ * @typedef {Object} QuoteUpdate
+ * @prop {string} symbol
+ * @prop {number} time - Receive time (ms)
+ * @prop {Object} changes - Normalized fields in this update
+ * @prop {Object} quote - Latest value of every streamed field
+ */
+
+/**
+ * Stream live quotes for a set of symbols.
+ *
+ * Events: `data` (QuoteUpdate), `loaded` (symbol — its first snapshot is in),
+ * `symbolError` ({symbol, error} — the symbol is dropped), `error` (Error — the session
+ * couldn't start; the stream closes), `close`.
+ *
+ * Iterating the stream yields the same updates. Updates the consumer hasn't read yet
+ * are coalesced per symbol, so a slow consumer sees the latest values instead of a
+ * growing backlog. Leaving the loop closes the stream.
+ *
+ * @param {string[]} symbols - e.g. ['BINANCE:BTCUSDT', 'NASDAQ:AAPL']
+ * @param {string[]|'all'} [fields] - Normalized fields (see QUOTE_FIELDS). Default: lastPrice, bid, ask, volume, change, changePercent
+ * @param {Object} [options]
+ * @param {string} [options.session='regular'] - 'regular' or 'extended'
+ * @param {AbortSignal} [options.signal] - Closes the stream when aborted
+ * @param {Object} [options.client] - Client to stream on (default: the shared client)
+ * @returns {EventEmitter & {
+ *   add: (symbols: string|string[]) => void,
+ *   remove: (symbols: string|string[]) => void,
+ *   close: () => void,
+ *   symbols: string[],
+ *   quotes: Object<string, Object>,
+ *   closed: boolean,
+ *   ready: Promise<void>,
+ *   [Symbol.asyncIterator]: () => AsyncIterator<QuoteUpdate>,
+ * }}
+ */
+function streamQuotes(symbols = [], fields, options = {}) {
+  const { session = 'regular', signal } = options;
+  const wanted = validateFields(fields);
+  const stream = new EventEmitter();
+
+  const markets = new Map();
+  const quotes = {};
+  let quoteSession = null;
+  let closed = false;
+
+  // Symbols with an unread update, in arrival order
+  const pending = new Map();
+  const notify = attachIterator(stream, () => {
+    const next = pending.entries().next();
+    if (next.done) return undefined;
+    pending.delete(next.value[0]);
+    return next.value[1];
+  });
+
+  function onUpdate(symbol, data) {
+    const changes = normalizeQuote(data, wanted, { partial: true });
+    if (Object.keys(changes).length === 0) return;
+    quotes[symbol] = { ...quotes[symbol], ...changes };
+    const update = {
+      symbol, time: Date.now(), changes, quote: { ...quotes[symbol] },
+    };
+    stream.emit('data', update);
+
+    const unread = pending.get(symbol);
+    pending.set(symbol, unread ? { ...update, changes: { ...unread.changes, ...changes } } : update);
+    notify();
+  }
+
+  function subscribe(symbol) {
+    if (markets.has(symbol) || closed) return;
+    const market = new quoteSession.Market(symbol, session);
+    markets.set(symbol, market);
+    // Market.onData gets the merged quote; the stream wants only this packet's fields
+    let previous = {};
+    market.onData((data) => {
+      const delta = {};
+      for (const [key, value] of Object.entries(data)) {
+        if (previous[key] !== value) delta[key] = value;
+      }
+      previous = { ...data };
+      onUpdate(symbol, delta);
+    });
+    market.onLoaded(() => stream.emit('loaded', symbol));
+    market.onError((message, data) => {
+      unsubscribe(symbol);
+      const reason = data?.[1]?.errmsg;
+      stream.emit('symbolError', { symbol, error: reason ? `${message}: ${reason}` : String(message) });
+    });
+  }
+
+  function unsubscribe(symbol) {
+    const market = markets.get(symbol);
+    if (!market) return;
+    market.close();
+    markets.delete(symbol);
+    delete quotes[symbol];
+    pending.delete(symbol);
+  }
+
+  const toList = (s) => [].concat(s).filter(Boolean);
+  let queued = toList(symbols);
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    signal?.removeEventListener('abort', close);
+    if (quoteSession) {
+      // `quotes` keeps the last values
+      markets.forEach(market => market.close());
+      markets.clear();
+      quoteSession.delete();
+    }
+    pending.clear();
+    notify();
+    stream.emit('close');
+  }
+
+  stream.ready = (options.client ? Promise.resolve(options.client) : getClient())
+    .then((client) => {
+      if (closed) return;
+      quoteSession = new client.Session.Quote({
+        customFields: [...new Set(wanted.map(f => QUOTE_FIELDS[f]))],
+      });
+      queued.forEach(subscribe);
+      queued = [];
+    })
+    .catch((error) => {
+      if (stream.listenerCount('error') > 0) stream.emit('error', error);
+      close();
+      throw error;
+    });
+  stream.ready.catch(() => {}); // Surfaced through `error` / the iterator
+
+  Object.defineProperties(stream, {
+    symbols: { get: () => (quoteSession ? [...markets.keys()] : [...queued]) },
+    quotes: { get: () => ({ ...quotes }) },
+    closed: { get: () => closed },
+  });
+
+  stream.add = (more) => {
+    for (const symbol of toList(more)) {
+      if (quoteSession) subscribe(symbol);
+      else if (!queued.includes(symbol)) queued.push(symbol);
+    }
+  };
+
+  stream.remove = (less) => {
+    for (const symbol of toList(less)) {
+      if (quoteSession) unsubscribe(symbol);
+      else queued = queued.filter(s => s !== symbol);
+    }
+  };
+
+  stream.close = close;
+
+  if (signal) {
+    if (signal.aborted) close();
+    else signal.addEventListener('abort', close, { once: true });
+  }
+
+  return stream;
+}
+
+/** ChartSession period → OHLCV bar, as returned by fetchChartData */
+const toBar = (p) => ({
+  time: p.time, open: p.open, high: p.max, low: p.min, close: p.close, volume: p.volume,
+});
+
+const sameBar = (a, b) => ['time', 'open', 'high', 'low', 'close', 'volume'].every(k => a[k] === b[k]);
+
+/**
+ * @typedef {Object} BarEvent
+ * @prop {'barUpdate'|'barClose'} type - The forming bar changed / a bar closed
+ * @prop {{time: number, open: number, high: number, low: number, close: number, volume: number}} bar
+ */
+
+/**
+ * Stream live bars for one symbol: backfill the last `backfill` bars, then emit every
+ * change of the forming bar and, when a new period starts, the bar that just closed.
+ *
+ * Events: `backfill` (bars, oldest first — once, before any other bar event),
+ * `barUpdate` (bar — the forming bar changed), `barClose` (bar — final values of a bar
+ * whose period ended; always before the `barUpdate` of the bar that replaced it),
+ * `error` (Error), `close`.
+ *
+ * Iterating the stream yields BarEvents. Unread updates of the same forming bar are
+ * merged into the latest one; closes are never dropped. After a reconnect, bars that
+ * closed while the socket was down are emitted as closes, in order.
+ *
+ * @param {string} symbol - e.g. 'BINANCE:BTCUSDT'
+ * @param {string} [timeframe='D']
+ * @param {Object} [options]
+ * @param {number} [options.backfill=100] - Historical bars loaded first (and kept in `bars`)
+ * @param {string} [options.session] - 'regular' or 'extended'
+ * @param {string} [options.adjustment] - 'splits' or 'dividends'
+ * @param {AbortSignal} [options.signal] - Closes the stream when aborted
+ * @param {Object} [options.client] - Client to stream on (default: the shared client)
+ * @returns {EventEmitter & {
+ *   close: () => void,
+ *   bars: Object[],
+ *   closed: boolean,
+ *   ready: Promise<Object[]>,
+ *   [Symbol.asyncIterator]: () => AsyncIterator<BarEvent>,
+ * }} `bars` holds the last `backfill` bars, oldest first, the forming bar last;
+ *   `ready` resolves with the backfill (empty if the stream closed before it arrived)
+ */
+function streamBars(symbol, timeframe = 'D', options = {}) {
+  const {
+    backfill = 100, session, adjustment, signal,
+  } = options;
+  const stream = new EventEmitter();
+  const keep = Math.max(1, backfill);
+
+  let chart = null;
+  let closed = false;
+  let bars = [];
+  const queue = [];
+  const notify = attachIterator(stream, () => queue.shift());
+
+  function push(type, bar) {
+    const last = queue[queue.length - 1];
+    if (type === 'barUpdate' && last?.type === 'barUpdate' && last.bar.time === bar.time) {
+      last.bar = bar;
+    } else {
+      queue.push({ type, bar });
+    }
+    stream.emit(type, bar);
+    notify();
+  }
+
+  function close() {
+    if (closed) return;
+    closed = true;
+    signal?.removeEventListener('abort', close);
+    if (chart) chart.delete();
+    queue.length = 0;
+    // Closed before the backfill arrived: settle with what there is (nothing)
+    loaded([...bars]);
+    notify();
+    stream.emit('close');
+  }
+
+  let loaded;
+  let failed;
+  stream.ready = new Promise((resolve, reject) => { loaded = resolve; failed = reject; });
+  stream.ready.catch(() => {}); // Surfaced through `error` / the iterator
+
+  function fail(error) {
+    if (stream.listenerCount('error') > 0) stream.emit('error', error);
+    failed(error);
+    close();
+  }
+
+  function onPrices() {
+    const periods = chart.periods;
+    if (periods.length === 0) return;
+
+    if (bars.length === 0) {
+      bars = periods.slice(0, keep).reverse().map(toBar);
+      stream.emit('backfill', [...bars]);
+      loaded([...bars]);
+      return;
+    }
+
+    const forming = bars[bars.length - 1];
+    const newest = toBar(periods[0]);
+    if (newest.time < forming.time) return;
+
+    if (newest.time > forming.time) {
+      // Every bar from the old forming one up to the new one has closed
+      const closes = periods
+        .filter(p => p.time >= forming.time && p.time < newest.time)
+        .reverse()
+        .map(toBar);
+      for (const bar of closes) {
+        if (bar.time === forming.time) bars[bars.length - 1] = bar;
+        else bars.push(bar);
+        push('barClose', bar);
+      }
+      bars.push(newest);
+      bars = bars.slice(-keep);
+      push('barUpdate', newest);
+      return;
+    }
+
+    if (!sameBar(newest, forming)) {
+      bars[bars.length - 1] = newest;
+      push('barUpdate', newest);
+    }
+  }
+
+  (options.client ? Promise.resolve(options.client) : getClient())
+    .then((client) => {
+      if (closed) return;
+      chart = new client.Session.Chart();
+      chart.onError((...err) => fail(new Error(`Chart error: ${err.join(' ')}`)));
+      chart.onUpdate((changes) => {
+        if (!closed && changes.includes('$prices')) onPrices();
+      });
+      chart.setMarket(symbol, {
+        timeframe, range: keep, session, adjustment,
+      });
+    })
+    .catch(fail);
+
+  Object.defineProperties(stream, {
+    bars: { get: () => [...bars] },
+    closed: { get: () => closed },
+  });
+  stream.close = close;
+
+  if (signal) {
+    if (signal.aborted) close();
+    else signal.addEventListener('abort', close, { once: true });
+  }
+
+  return stream;
+}
+
+module.exports = {
+  QUOTE_FIELDS,
+  DEFAULT_QUOTE_FIELDS,
+  normalizeQuote,
+  streamQuotes,
+  streamBars,
+};
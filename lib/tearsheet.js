@@ -0,0 +1,270 @@
+/**
+ * Backtest tearsheet: one self-contained HTML page (inline SVG charts, no scripts or
+ * external assets) with the equity and drawdown curves, monthly returns, the
+ * all/long/short breakdown, the parameters used and the trade list — something to
+ * share with people who won't read the JSON.
+ *
+ * Curves are the closed-trade equity: the initial capital plus each trade's net profit
+ * at its exit time (see lib/metrics.js).
+ */
+
+const { escapeHtml, colorScale, formatNumber, renderPage } = require('./html');
+const { reportCapital } = require('./metrics');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/** [label, performance key, scale] rows of the all/long/short table */
+const BREAKDOWN_ROWS = [
+  ['Net profit', 'netProfit'],
+  ['Net profit %', 'netProfitPercent'],
+  ['Gross profit', 'grossProfit'],
+  ['Gross loss', 'grossLoss'],
+  ['Total trades', 'totalTrades'],
+  ['Winning trades', 'numberOfWiningTrades'],
+  ['Losing trades', 'numberOfLosingTrades'],
+  ['Percent profitable', 'percentProfitable', 100],
+  ['Profit factor', 'profitFactor'],
+  ['Avg trade', 'avgTrade'],
+  ['Avg winning trade', 'avgWinTrade'],
+  ['Avg losing trade', 'avgLosTrade'],
+  ['Ratio avg win / avg loss', 'ratioAvgWinAvgLoss'],
+  ['Largest winning trade', 'largestWinTrade'],
+  ['Largest losing trade', 'largestLosTrade'],
+  ['Avg bars in trade', 'avgBarsInTrade'],
+  ['Commission paid', 'commissionPaid'],
+];
+
+/** 'YYYY-MM-DD HH:MM' (UTC) of a ms timestamp */
+const formatTime = ms => (Number.isFinite(ms) ? new Date(ms).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+/**
+ * Closed trades oldest first, with the equity after each one.
+ * @param {Object} report - StrategyReport
+ * @param {number} capital - Initial capital
+ * @returns {{trades: Object[], points: Array<{time:number, equity:number, drawdownPercent:number}>}}
+ */
+function equityCurve(report, capital) {
+  const trades = (report.trades || [])
+    .filter(t => Number.isFinite(t.exit?.time) && Number.isFinite(t.profit?.v))
+    .sort((a, b) => a.exit.time - b.exit.time);
+  const start = report.settings?.dateRange?.backtest?.from ?? trades[0]?.entry.time;
+
+  let equity = capital;
+  let peak = capital;
+  const points = [{ time: start, equity, drawdownPercent: 0 }];
+  trades.forEach((t) => {
+    equity += t.profit.v;
+    peak = Math.max(peak, equity);
+    points.push({ time: t.exit.time, equity, drawdownPercent: peak > 0 ? ((equity - peak) / peak) * 100 : 0 });
+  });
+  return { trades, points };
+}
+
+/**
+ * Monthly returns (% of the equity at the start of each month) by year, from closed trades.
+ * @param {Object[]} trades - Closed trades, oldest first
+ * @param {number} capital - Initial capital
+ * @returns {Array<{year:number, months:Array<number|null>, total:number}>}
+ */
+function monthlyReturns(trades, capital) {
+  const years = new Map();
+  let equity = capital;
+  let yearStart = capital;
+  let current = null;
+  trades.forEach((t) => {
+    const date = new Date(t.exit.time);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    if (!years.has(year)) {
+      years.set(year, { year, months: new Array(12).fill(null), profits: new Array(12).fill(0), starts: new Array(12).fill(null), total: 0 });
+      yearStart = equity;
+    }
+    const row = years.get(year);
+    if (current !== `${year}-${month}`) {
+      current = `${year}-${month}`;
+      row.starts[month] = equity;
+    }
+    row.profits[month] += t.profit.v;
+    equity += t.profit.v;
+    row.total = yearStart > 0 ? ((equity - yearStart) / yearStart) * 100 : null;
+  });
+
+  return [...years.values()].map(({ year, profits, starts, total }) => ({
+    year,
+    months: profits.map((p, m) => (starts[m] > 0 ? (p / starts[m]) * 100 : null)),
+    total,
+  }));
+}
+
+/**
+ * Line (or area) chart as inline SVG.
+ * @param {Array<{time:number, value:number}>} points - Oldest first
+ * @param {Object} [options]
+ * @param {string} [options.color='#2962ff']
+ * @param {boolean} [options.area=false] - Fill between the line and zero / the lowest value
+ * @param {string} [options.unit=''] - Appended to the axis labels
+ * @param {boolean} [options.step=false] - Hold each value until the next point
+ * @returns {string}
+ */
+function svgChart(points, options = {}) {
+  const {
+    color = '#2962ff', area = false, unit = '', step = false,
+  } = options;
+  const width = 900;
+  const height = 220;
+  const pad = { left: 70, right: 10, top: 10, bottom: 24 };
+  if (points.length < 2) return '<p class="meta">Not enough trades to chart.</p>';
+
+  const t0 = points[0].time;
+  const t1 = points[points.length - 1].time;
+  let lo = Math.min(...points.map(p => p.value));
+  let hi = Math.max(...points.map(p => p.value));
+  if (area) hi = Math.max(hi, 0);
+  if (hi === lo) { hi += 1; lo -= 1; }
+  const x = t => pad.left + ((t - t0) / (t1 - t0 || 1)) * (width - pad.left - pad.right);
+  const y = v => pad.top + ((hi - v) / (hi - lo)) * (height - pad.top - pad.bottom);
+  const xy = (t, v) => `${x(t).toFixed(1)},${y(v).toFixed(1)}`;
+
+  const coords = [];
+  points.forEach((p, i) => {
+    if (step && i > 0) coords.push(xy(p.time, points[i - 1].value));
+    coords.push(xy(p.time, p.value));
+  });
+  const base = area ? y(Math.min(Math.max(0, lo), hi)) : null;
+  const fill = area
+    ? `<polygon points="${x(t0).toFixed(1)},${base.toFixed(1)} ${coords.join(' ')} ${x(t1).toFixed(1)},${base.toFixed(1)}" fill="${color}" fill-opacity="0.25" />`
+    : '';
+  const label = v => `${formatNumber(v)}${unit}`;
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg" role="img">
+<line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${height - pad.bottom}" stroke="#9aa5b1" />
+<line x1="${pad.left}" y1="${height - pad.bottom}" x2="${width - pad.right}" y2="${height - pad.bottom}" stroke="#9aa5b1" />
+<text x="${pad.left - 6}" y="${pad.top + 10}" text-anchor="end">${escapeHtml(label(hi))}</text>
+<text x="${pad.left - 6}" y="${height - pad.bottom}" text-anchor="end">${escapeHtml(label(lo))}</text>
+<text x="${pad.left}" y="${height - 6}">${escapeHtml(formatTime(t0).slice(0, 10))}</text>
+<text x="${width - pad.right}" y="${height - 6}" text-anchor="end">${escapeHtml(formatTime(t1).slice(0, 10))}</text>
+${fill}
+<polyline points="${coords.join(' ')}" fill="none" stroke="${color}" stroke-width="1.5" />
+</svg>`;
+}
+
+/**
+ * Render a backtest tearsheet.
+ *
+ * @param {Object} data
+ * @param {Object} data.report - Backtest report ({performance, trades, settings, currency}), e.g. backtest().report
+ * @param {string} [data.title] - Default: the script ID
+ * @param {string} [data.scriptId]
+ * @param {string} [data.symbol]
+ * @param {string} [data.timeframe]
+ * @param {string} [data.range] - Description of the range, e.g. '365d' or '2024-01-01 → 2024-12-31'
+ * @param {Array<{name:string, value:*, defaultValue?:*}>} [data.params] - Parameter set used
+ * @param {Object} [data.extendedMetrics] - lib/metrics extendedMetrics() of the report
+ * @param {Object} [options]
+ * @param {number} [options.initialCapital] - Default: derived from the report
+ * @param {number} [options.maxTrades=1000] - Trades listed (the most recent ones)
+ * @param {Date} [options.generatedAt=new Date()]
+ * @returns {string} HTML
+ */
+function renderTearsheet(data, options = {}) {
+  const { report } = data;
+  const { maxTrades = 1000, generatedAt = new Date() } = options;
+  const perf = report.performance || {};
+  const all = perf.all || {};
+  const currency = report.currency ? ` ${report.currency}` : '';
+  const capital = options.initialCapital ?? reportCapital(report) ?? 0;
+  const title = data.title || data.scriptId || 'Backtest';
+
+  const { trades, points } = equityCurve(report, capital);
+  const money = v => (Number.isFinite(v) ? `${formatNumber(v)}${currency}` : '');
+  const percent = v => (Number.isFinite(v) ? `${formatNumber(v)}%` : '');
+
+  // Headline numbers
+  const ext = data.extendedMetrics || {};
+  const cards = [
+    ['Net profit', `${money(all.netProfit)} (${percent(all.netProfitPercent)})`],
+    ['Total trades', formatNumber(all.totalTrades)],
+    ['Percent profitable', percent(Number.isFinite(all.percentProfitable) ? all.percentProfitable * 100 : null)],
+    ['Profit factor', formatNumber(all.profitFactor, 3)],
+    ['Max drawdown', `${money(perf.maxStrategyDrawDown)} (${percent(perf.maxStrategyDrawDownPercent)})`],
+    ['Sharpe ratio', formatNumber(perf.sharpeRatio, 3)],
+    ['Sortino ratio', formatNumber(perf.sortinoRatio, 3)],
+    ['Buy & hold return', money(perf.buyHoldReturn)],
+    ['CAGR', percent(ext.cagr)],
+    ['Calmar', formatNumber(ext.calmar)],
+    ['SQN', formatNumber(ext.sqn)],
+    ['Exposure', percent(ext.exposure)],
+  ].filter(([, value]) => value && !/^\s*\(\)$/.test(value))
+    .map(([label, value]) => `<div class="card"><div class="label">${escapeHtml(label)}</div><div class="value">${escapeHtml(value)}</div></div>`)
+    .join('\n');
+
+  // Monthly returns, colored relative to the largest move
+  const monthly = monthlyReturns(trades, capital);
+  const largest = Math.max(1e-9, ...monthly.flatMap(r => r.months.filter(Number.isFinite).map(Math.abs)));
+  const cell = v => (Number.isFinite(v)
+    ? `<td style="background:${colorScale(0.5 + v / largest / 2)}">${escapeHtml(percent(v))}</td>`
+    : '<td></td>');
+  const monthlyTable = monthly.length > 0
+    ? `<table>
+<tr><th>Year</th>${MONTHS.map(m => `<th>${m}</th>`).join('')}<th>Year</th></tr>
+${monthly.map(r => `<tr><th>${r.year}</th>${r.months.map(cell).join('')}<td><b>${escapeHtml(percent(r.total))}</b></td></tr>`).join('\n')}
+</table>`
+    : '<p class="meta">No closed trades.</p>';
+
+  const breakdown = `<table>
+<tr><th></th><th>All</th><th>Long</th><th>Short</th></tr>
+${BREAKDOWN_ROWS.map(([label, key, scale = 1]) => `<tr><th>${escapeHtml(label)}</th>${['all', 'long', 'short'].map((side) => {
+    const v = perf[side]?.[key];
+    return `<td>${escapeHtml(Number.isFinite(v) ? formatNumber(v * scale) : '')}</td>`;
+  }).join('')}</tr>`).join('\n')}
+</table>`;
+
+  const params = (data.params || []).length > 0
+    ? `<table class="left">
+<tr><th>Parameter</th><th>Value</th><th>Default</th></tr>
+${data.params.map(p => `<tr${p.defaultValue !== undefined && p.value !== p.defaultValue ? ' class="changed"' : ''}><th>${escapeHtml(p.name)}</th><td>${escapeHtml(p.value)}</td><td>${escapeHtml(p.defaultValue)}</td></tr>`).join('\n')}
+</table>`
+    : '<p class="meta">Default parameters.</p>';
+
+  const listed = trades.slice(-maxTrades);
+  const firstNumber = trades.length - listed.length + 1;
+  const tradeRows = listed.map((t, i) => `<tr class="${t.profit.v >= 0 ? 'win' : 'loss'}"><td>${firstNumber + i}</td><td class="left">${escapeHtml(t.entry.type)}</td><td class="left">${escapeHtml(t.entry.name)}</td><td>${escapeHtml(formatTime(t.entry.time))}</td><td>${escapeHtml(formatNumber(t.entry.value))}</td><td>${escapeHtml(formatTime(t.exit.time))}</td><td>${escapeHtml(formatNumber(t.exit.value))}</td><td>${escapeHtml(formatNumber(t.quantity))}</td><td>${escapeHtml(formatNumber(t.profit.v))}</td><td>${escapeHtml(percent(t.profit.p))}</td><td>${escapeHtml(formatNumber(t.cumulative?.v))}</td><td>${escapeHtml(formatNumber(t.runup?.v))}</td><td>${escapeHtml(formatNumber(t.drawdown?.v))}</td></tr>`).join('\n');
+
+  const meta = [data.scriptId, data.symbol, data.timeframe, data.range, capital ? `initial capital ${money(capital)}` : null, `generated ${formatTime(generatedAt.getTime())} UTC`]
+    .filter(Boolean).join(' · ');
+
+  return renderPage({
+    title: `Tearsheet — ${title}`,
+    body: `<h1>${escapeHtml(title)}</h1>
+<div class="meta">${escapeHtml(meta)}</div>
+<div class="cards">${cards}</div>
+<h2>Equity</h2>
+${svgChart(points.map(p => ({ time: p.time, value: p.equity })), { step: true, unit: currency })}
+<h2>Drawdown</h2>
+${svgChart(points.map(p => ({ time: p.time, value: p.drawdownPercent })), { color: '#d64545', area: true, step: true, unit: '%' })}
+<h2>Monthly returns</h2>
+${monthlyTable}
+<h2>Performance: all / long / short</h2>
+${breakdown}
+<h2>Parameters</h2>
+${params}
+<h2>Trades${listed.length < trades.length ? ` (last ${listed.length} of ${trades.length})` : ` (${trades.length})`}</h2>
+<table>
+<tr><th>#</th><th>Type</th><th>Signal</th><th>Entry time</th><th>Entry price</th><th>Exit time</th><th>Exit price</th><th>Qty</th><th>Profit</th><th>Profit %</th><th>Cumulative</th><th>Run-up</th><th>Drawdown</th></tr>
+${tradeRows}
+</table>`,
+    style: `
+  .cards { display: flex; flex-wrap: wrap; gap: 8px; }
+  .card { border: 1px solid #d9e2ec; border-radius: 4px; padding: 8px 12px; min-width: 130px; }
+  .card .label { font-size: 11px; color: #616e7c; }
+  .card .value { font-size: 15px; font-weight: 600; }
+  .chart { width: 100%; max-width: 900px; height: auto; font-size: 11px; fill: #616e7c; }
+  .left, table.left td { text-align: left; }
+  tr.changed th, tr.changed td { background: #fff8e1; }
+  tr.win td:nth-child(9) { color: #1f7a3a; }
+  tr.loss td:nth-child(9) { color: #b42318; }
+`,
+  });
+}
+
+module.exports = { renderTearsheet, monthlyReturns, equityCurve };
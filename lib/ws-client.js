@@ -1,7 +1,9 @@
 const TradingView = require('../tradingview-api-reference/main');
+const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const { applyParams } = require('./params');
+const { resolveChartType } = require('./chart-types');
 
 const ROOT_DIR = path.join(__dirname, '..');
 const DEFAULT_COOKIES_PATH = path.join(ROOT_DIR, 'cookies.json');
@@ -10,6 +12,82 @@ const RAW_COOKIES_PATH = path.join(ROOT_DIR, 'www.tradingview.com_cookies.json')
 let _client = null;
 let _clientReady = null;
 
+/** WebSocket base URL override (set by useMockServer) */
+let _wsEndpoint;
+let _mockInterceptor = null;
+
+/**
+ * Send all TradingView traffic to another server — the local mock server used by
+ * the tests (test/mock-server). WebSocket clients connect to `url` (http → ws), and
+ * HTTP requests to https://<sub>.tradingview.com/<path> go to <url>/<sub>/<path>.
+ * Also enabled by the TV_MOCK_URL env var. Pass null to restore the real endpoints.
+ * @param {string|null} url - e.g. 'http://127.0.0.1:8080'
+ */
+function useMockServer(url) {
+  if (_mockInterceptor !== null) axios.interceptors.request.eject(_mockInterceptor);
+  _mockInterceptor = null;
+  _wsEndpoint = undefined;
+  if (!url) return;
+
+  const base = url.replace(/\/+$/, '');
+  _wsEndpoint = base.replace(/^http/, 'ws');
+  _mockInterceptor = axios.interceptors.request.use((config) => {
+    const match = /^https:\/\/(?:([\w-]+)\.)?tradingview\.com(\/.*)?$/.exec(config.url || '');
+    if (match) config.url = `${base}/${match[1] || 'www'}${match[2] || '/'}`;
+    return config;
+  });
+}
+
+if (process.env.TV_MOCK_URL) useMockServer(process.env.TV_MOCK_URL);
+
+/** Cassette directory for new clients (set by recordTraffic) */
+let _recordDir = null;
+/** Cassettes the next clients replay, in order (set by replayTraffic) */
+let _replayQueue = [];
+
+/**
+ * Record the WebSocket traffic of every client created from now on to a JSONL
+ * cassette in `dir` (<time>-<server>-<id>.jsonl, auth token redacted).
+ * Also enabled by the TV_RECORD env var. Pass null to stop.
+ * @param {string|null} dir
+ */
+function recordTraffic(dir) {
+  _recordDir = dir || null;
+  if (_recordDir) fs.mkdirSync(_recordDir, { recursive: true });
+}
+
+/**
+ * Replay recorded cassettes instead of connecting: each client created from now on
+ * takes the next cassette, in the order the clients were recorded. HTTP requests
+ * (indicator metadata, login) are not part of a cassette.
+ * Also enabled by the TV_REPLAY env var (comma-separated paths). Pass null to stop.
+ * @param {string|string[]|null} files
+ */
+function replayTraffic(files) {
+  _replayQueue = [].concat(files || []);
+}
+
+if (process.env.TV_RECORD) recordTraffic(process.env.TV_RECORD);
+if (process.env.TV_REPLAY) replayTraffic(process.env.TV_REPLAY.split(',').filter(Boolean));
+
+/**
+ * Client options for the recording/replay setup
+ * @param {string} server - WS server the client connects to
+ * @returns {{server: string, record?: string, replay?: Object}}
+ */
+function trafficOptions(server) {
+  if (_replayQueue.length > 0) {
+    const replay = TradingView.cassette.readCassette(_replayQueue.shift());
+    return { server: replay.header.server, replay };
+  }
+  if (_recordDir) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const id = Math.random().toString(36).slice(2, 8);
+    return { server, record: path.join(_recordDir, `${stamp}-${server}-${id}.jsonl`) };
+  }
+  return { server };
+}
+
 /** Pro plans that should use the prodata server */
 const PRO_PLANS = new Set(['pro', 'pro_plus', 'pro_premium', 'trial']);
 
@@ -79,32 +157,67 @@ function getCredentials() {
 }
 
 /**
- * Get or create an authenticated WebSocket client.
- * Returns a promise that resolves when the client is logged in.
- * @returns {Promise<InstanceType<typeof TradingView.Client>>}
+ * Create a new authenticated WebSocket client (not cached).
+ * Used by getClient() for the shared client and by lib/pool.js for pooled connections.
+ * @param {Object} [options]
+ * @param {string} [options.server] - WS server ('data', 'prodata', 'history-data'). Default: auto-detected from plan
+ * @param {boolean|Object} [options.reconnect=false] - Reconnect on drop and recreate live sessions
+ *   (true, or {retries, delay, maxDelay} — see the Client's ReconnectOptions)
+ * @param {number} [options.loginTimeout=10000] - Give up (and end the client) if it isn't logged in after this many ms
+ * @returns {Promise<InstanceType<typeof TradingView.Client>>} Resolves when the client is logged in
  */
-async function getClient() {
-  if (_client && _clientReady) return _clientReady;
-
+async function createClient(options = {}) {
   const { session, signature } = getCredentials();
-  const server = await detectServer(session, signature);
-  _client = new TradingView.Client({ token: session, signature, server });
+  const server = options.server
+    || (_replayQueue.length > 0 ? 'data' : await detectServer(session, signature));
+  const client = new TradingView.Client({
+    token: session, signature, reconnect: options.reconnect, endpoint: _wsEndpoint,
+    ...trafficOptions(server),
+  });
+
+  const loginTimeout = options.loginTimeout ?? 10000;
 
-  _clientReady = new Promise((resolve, reject) => {
+  return new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
-      reject(new Error('WebSocket client login timed out (10s)'));
-    }, 10000);
+      client.end(); // Don't leave a half-connected client (and its reconnects) behind
+      reject(new Error(`WebSocket client login timed out (${loginTimeout / 1000}s)`));
+    }, loginTimeout);
 
-    _client.onLogged(() => {
+    client.onLogged(() => {
       clearTimeout(timeout);
-      resolve(_client);
+      resolve(client);
     });
 
-    _client.onError((...err) => {
+    client.onError((...err) => {
       clearTimeout(timeout);
+      if (!client.isLogged) client.end(); // Nobody holds a client that never logged in — stop its reconnects
       reject(new Error(`WebSocket client error: ${err.join(' ')}`));
     });
   });
+}
+
+/**
+ * Get or create an authenticated WebSocket client.
+ * Returns a promise that resolves when the client is logged in.
+ * The shared client reconnects by itself when the socket drops (sessions keep
+ * receiving data once it's back); a client that gave up reconnecting is replaced.
+ * @returns {Promise<InstanceType<typeof TradingView.Client>>}
+ */
+async function getClient() {
+  if (_client && !_client.isOpen && !_client.isReconnecting) {
+    _client = null;
+    _clientReady = null;
+  }
+  if (_clientReady) return _clientReady;
+
+  _clientReady = createClient({ reconnect: true }).then((client) => {
+    _client = client;
+    return client;
+  }, (error) => {
+    // Don't cache a failed login — the next call retries
+    _clientReady = null;
+    throw error;
+  });
 
   return _clientReady;
 }
@@ -115,10 +228,13 @@ async function getClient() {
  * @param {Object} [options]
  * @param {string} [options.timeframe='D'] - Timeframe: '1','5','15','60','240','D','W','M'
  * @param {number} [options.range=100] - Number of candles
+ * @param {string} [options.chartType] - Custom chart type: 'HeikinAshi', 'Renko', 'LineBreak', 'Kagi', 'PointAndFigure', 'Range'
+ * @param {Object} [options.chartInputs] - Chart type inputs, e.g. { style: 'Traditional', boxSize: 50 } (see lib/chart-types)
  * @returns {Promise<Array<{time:number,open:number,high:number,low:number,close:number,volume:number}>>}
  */
 async function fetchChartData(symbol, options = {}) {
   const { timeframe = 'D', range = 100 } = options;
+  const custom = chartTypeOptions(options);
   const client = await getClient();
 
   return new Promise((resolve, reject) => {
@@ -160,10 +276,23 @@ async function fetchChartData(symbol, options = {}) {
       }
     });
 
-    chart.setMarket(symbol, { timeframe, range });
+    chart.setMarket(symbol, { timeframe, range, ...custom });
   });
 }
 
+/**
+ * setMarket options for a custom chart type (validated), or none for regular candles
+ * @param {{chartType?: string, chartInputs?: Object}} options
+ * @returns {{type?: string, inputs?: Object}}
+ */
+function chartTypeOptions({ chartType, chartInputs }) {
+  if (!chartType) {
+    if (chartInputs) throw new Error('chartInputs needs a chartType');
+    return {};
+  }
+  return resolveChartType(chartType, chartInputs);
+}
+
 /**
  * Fetch strategy report via WebSocket by loading an indicator as a Study.
  * @param {string} scriptId - e.g. 'PUB;xxxxx' or 'STD;xxx'
@@ -171,11 +300,15 @@ async function fetchChartData(symbol, options = {}) {
  * @param {Object} [options]
  * @param {string} [options.timeframe='D']
  * @param {number} [options.range=1000]
+ * @param {number} [options.to] - Last bar timestamp (unix seconds). Default: now
  * @param {Object} [options.params] - Strategy parameter overrides { "paramName": value }
+ * @param {string} [options.chartType] - Run on a custom chart type (e.g. 'Renko'), as in fetchChartData
+ * @param {Object} [options.chartInputs] - Chart type inputs
  * @returns {Promise<import('../tradingview-api-reference/src/chart/study').StrategyReport>}
  */
 async function fetchStrategyReport(scriptId, symbol, options = {}) {
-  const { timeframe = 'D', range = 1000, params } = options;
+  const { timeframe = 'D', range = 1000, to, params } = options;
+  const custom = chartTypeOptions(options);
   const { session, signature } = getCredentials();
 
   const indicator = await TradingView.getIndicator(scriptId, 'last', session, signature);
@@ -207,7 +340,9 @@ async function fetchStrategyReport(scriptId, symbol, options = {}) {
       }
     });
 
-    chart.setMarket(symbol, { timeframe, range });
+    chart.setMarket(symbol, {
+      timeframe, range, to, ...custom,
+    });
 
     chart.onSymbolLoaded(() => {
       study = new chart.Study(indicator);
@@ -233,6 +368,146 @@ async function fetchStrategyReport(scriptId, symbol, options = {}) {
   });
 }
 
+/**
+ * Load an indicator as a Study on a fresh chart and read it once the study completes.
+ * `read(study, chart)` runs before the chart is deleted; its result is what resolves.
+ * @param {string|InstanceType<typeof TradingView.BuiltInIndicator>} script - Pine script ID, or a built-in indicator
+ * @param {string} symbol
+ * @param {{timeframe?: string, range?: number, to?: number, params?: Object}} options - `params` apply to Pine scripts
+ * @param {string} what - Fetch name for the timeout error
+ * @param {(study: Object, chart: Object) => T} read
+ * @returns {Promise<T>}
+ * @template T
+ */
+async function loadIndicatorStudy(script, symbol, options, what, read) {
+  const { timeframe = 'D', range = 100, to, params } = options;
+
+  let indicator = script;
+  if (typeof script === 'string') {
+    const { session, signature } = getCredentials();
+    indicator = await TradingView.getIndicator(script, 'last', session, signature);
+    indicator.setType('Script@tv-scripting-101!');
+    applyParams(indicator, params);
+  }
+
+  const client = await getClient();
+
+  return new Promise((resolve, reject) => {
+    const chart = new client.Session.Chart();
+    let resolved = false;
+
+    const timeout = setTimeout(() => {
+      if (!resolved) {
+        resolved = true;
+        chart.delete();
+        reject(new Error(`${what} fetch timed out (30s)`));
+      }
+    }, 30000);
+
+    chart.onError((...err) => {
+      if (!resolved) {
+        resolved = true;
+        clearTimeout(timeout);
+        chart.delete();
+        reject(new Error(`Chart error: ${err.join(' ')}`));
+      }
+    });
+
+    chart.setMarket(symbol, { timeframe, range, to });
+
+    chart.onSymbolLoaded(() => {
+      const study = new chart.Study(indicator);
+      study.onError((...err) => {
+        if (!resolved) {
+          resolved = true;
+          clearTimeout(timeout);
+          chart.delete();
+          reject(new Error(`Study error: ${err.join(' ')}`));
+        }
+      });
+      study.onReady(() => {
+        if (resolved) return;
+        resolved = true;
+        clearTimeout(timeout);
+        try {
+          resolve(read(study, chart));
+        } catch (error) {
+          reject(error);
+        } finally {
+          chart.delete();
+        }
+      });
+    });
+  });
+}
+
+/**
+ * Fetch the plot values of a Pine indicator by loading it as a Study.
+ * Study periods are keyed by the indicator's plot names (see PineIndicator#plots),
+ * falling back to `plot_N` for untitled or duplicate plots.
+ * @param {string} scriptId - e.g. 'PUB;xxxxx' or 'STD;RSI'
+ * @param {string} symbol - e.g. 'BINANCE:BTCUSDT'
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {number} [options.range=100] - Number of bars
+ * @param {number} [options.to] - Last bar timestamp (unix seconds). Default: now
+ * @param {Object} [options.params] - Indicator input overrides { "paramName": value }
+ * @returns {Promise<{indicator: import('../tradingview-api-reference/src/classes/PineIndicator'), periods: Object[]}>}
+ *   `periods` are newest first, each with `$time` and one key per plot
+ */
+async function fetchIndicatorValues(scriptId, symbol, options = {}) {
+  return loadIndicatorStudy(scriptId, symbol, options, 'Indicator values', study => ({
+    indicator: study.instance,
+    periods: study.periods,
+  }));
+}
+
+/**
+ * Fetch the drawings (labels, lines, boxes, tables...) a Pine indicator makes.
+ * Drawing x positions in `graphic` are indexes into `bars` (newest first), as the
+ * Study's graphic parser resolves them against the chart.
+ * @param {string} scriptId - e.g. 'PUB;xxxxx'
+ * @param {string} symbol - e.g. 'BINANCE:BTCUSDT'
+ * @param {Object} [options] - Same as fetchIndicatorValues
+ * @returns {Promise<{indicator: Object, graphic: import('../tradingview-api-reference/src/chart/graphicParser').GraphicData,
+ *   bars: Array<{time:number,open:number,high:number,low:number,close:number}>}>}
+ */
+async function fetchIndicatorGraphics(scriptId, symbol, options = {}) {
+  return loadIndicatorStudy(scriptId, symbol, options, 'Indicator graphics', (study, chart) => ({
+    indicator: study.instance,
+    ...readGraphic(study, chart),
+  }));
+}
+
+/**
+ * Run a built-in (non-Pine) study such as Volume or Volume Profile.
+ * @param {InstanceType<typeof TradingView.BuiltInIndicator>} indicator - With its options set
+ * @param {string} symbol - e.g. 'BINANCE:BTCUSDT'
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {number} [options.range=100] - Number of bars
+ * @param {number} [options.to] - Last bar timestamp (unix seconds). Default: now
+ * @returns {Promise<{periods: Object[], graphic: Object, bars: Object[]}>}
+ *   `periods` are plot rows (`$time`, `plot_0`...), newest first; `graphic` and `bars` as in fetchIndicatorGraphics
+ */
+async function fetchBuiltInStudy(indicator, symbol, options = {}) {
+  return loadIndicatorStudy(indicator, symbol, options, 'Built-in study', (study, chart) => ({
+    periods: study.periods,
+    ...readGraphic(study, chart),
+  }));
+}
+
+/** Study drawings (tables with their cells read) and the chart bars their x positions index */
+function readGraphic(study, chart) {
+  const { tables, raw, ...graphic } = study.graphic;
+  return {
+    graphic: { ...graphic, tables: tables.map(t => ({ ...t, cells: t.cells() })) },
+    bars: chart.periods.map(p => ({
+      time: p.time, open: p.open, high: p.max, low: p.min, close: p.close, volume: p.volume,
+    })),
+  };
+}
+
 /**
  * Run a deep backtest via the history-data server.
  * Supports backtesting over any date range (up to 2M bars). Premium only.
@@ -255,7 +530,9 @@ async function fetchDeepBacktest(scriptId, symbol, options = {}) {
   applyParams(indicator, params);
 
   // Deep backtesting uses a dedicated history-data server
-  const historyClient = new TradingView.Client({ token: session, signature, server: 'history-data' });
+  const historyClient = new TradingView.Client({
+    token: session, signature, endpoint: _wsEndpoint, ...trafficOptions('history-data'),
+  });
 
   return new Promise((resolve, reject) => {
     let resolved = false;
@@ -343,8 +620,9 @@ async function detectPlan() {
  * Close the WebSocket client gracefully.
  */
 async function close() {
-  if (_client) {
-    await _client.end();
+  if (_clientReady) {
+    const client = await _clientReady.catch(() => null);
+    if (client) await client.end();
     _client = null;
     _clientReady = null;
   }
@@ -352,11 +630,18 @@ async function close() {
 
 module.exports = {
   getClient,
+  createClient,
   getCredentials,
   detectPlan,
   fetchChartData,
   fetchStrategyReport,
+  fetchIndicatorValues,
+  fetchIndicatorGraphics,
+  fetchBuiltInStudy,
   fetchDeepBacktest,
   close,
+  useMockServer,
+  recordTraffic,
+  replayTraffic,
   TradingView,
 };
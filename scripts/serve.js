@@ -0,0 +1,42 @@
+/**
+ * Start the REST API server (lib/server.js).
+ *
+ * Usage:
+ *   TV_API_KEY=secret node scripts/serve.js          # listens on PORT or 3000
+ *   TV_API_KEY=secret node scripts/serve.js 8080
+ *   npm run serve
+ */
+const { createServer, DEFAULT_PORT } = require('../lib/server');
+const { close } = require('../lib/ws-client');
+const { closeStore } = require('../lib/results-store');
+
+function serve(port = process.env.PORT || DEFAULT_PORT) {
+  const app = createServer();
+  const server = app.listen(port, () => {
+    console.log(`TradingView skills API listening on http://localhost:${server.address().port}`);
+  });
+
+  const shutdown = async () => {
+    console.log('Shutting down...');
+    server.close();
+    await close();
+    await closeStore();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  return server;
+}
+
+// CLI usage
+if (require.main === module) {
+  try {
+    serve(process.argv[2]);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { serve };
@@ -19,7 +19,11 @@ const { close } = require('../../lib/ws-client');
  *   "max"    — all available history (deep backtest, Premium only)
  *   { from: "YYYY-MM-DD", to: "YYYY-MM-DD" } — custom date range (deep backtest, Premium only)
  *   1000     — raw bar count (backward compat)
+ * @param {number} [options.to] - Last bar (unix seconds) of a preset or bar-count range; default now
  * @param {Object} [options.params] - Strategy parameter overrides (any key format: name, inline, in_X)
+ * @param {string} [options.chartType] - Backtest on Renko, Heikin Ashi, Kagi, ... bars (regular mode only)
+ * @param {Object} [options.chartInputs] - Chart type inputs, e.g. { style: 'Traditional', boxSize: 50 }
+ * @param {boolean|Object} [options.extendedMetrics] - Attach CAGR, Calmar, MAR, Ulcer index, SQN, ... (see lib/metrics)
  * @returns {Promise<{success:boolean, message:string, mode?:string, report?:Object}>}
  */
 async function backtest(scriptId, symbol, options) {
@@ -27,19 +31,24 @@ async function backtest(scriptId, symbol, options) {
 }
 
 async function main() {
-  const scriptId = process.argv[2];
-  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
-  const timeframe = process.argv[4] || 'D';
-  const range = process.argv[5] || 'chart';
-  const paramsJson = process.argv[6];
+  const withMetrics = process.argv.includes('--metrics');
+  const args = process.argv.filter(a => a !== '--metrics');
+  const scriptId = args[2];
+  const symbol = args[3] || 'BINANCE:BTCUSDT';
+  const timeframe = args[4] || 'D';
+  const range = args[5] || 'chart';
+  const paramsJson = args[6];
+  const chartType = args[7];
+  const chartInputsJson = args[8];
 
   if (!scriptId) {
     console.log(JSON.stringify({
       success: false,
-      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [range] [paramsJson]\n' +
+      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [range] [paramsJson] [chartType] [chartInputsJson] [--metrics]\n' +
         '  Range presets: "chart", "7d", "30d", "90d", "365d", "max"\n' +
         '  Date range:    \'{"from":"2025-01-01","to":"2025-06-01"}\'\n' +
         '  Raw bars:      1000\n' +
+        '  Chart type:    Renko \'{"style":"Traditional","boxSize":50}\'\n' +
         '  Example: node index.js STD;RSI%1Strategy CME_MINI:NQ1! 1 chart',
     }, null, 2));
     return;
@@ -53,8 +62,10 @@ async function main() {
     parsedRange = parseInt(range, 10);
   }
 
-  const options = { timeframe, range: parsedRange };
+  const options = { timeframe, range: parsedRange, extendedMetrics: withMetrics };
   if (paramsJson) options.params = JSON.parse(paramsJson);
+  if (chartType) options.chartType = chartType;
+  if (chartInputsJson) options.chartInputs = JSON.parse(chartInputsJson);
 
   try {
     const result = await backtest(scriptId, symbol, options);
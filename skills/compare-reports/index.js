@@ -0,0 +1,108 @@
+const fs = require('fs');
+const { diffReports, tradesFromCsv } = require('../../lib/report-diff');
+const { getRun, closeStore } = require('../../lib/results-store');
+const { formatNumber } = require('../../lib/html');
+
+/**
+ * Load one side of a comparison.
+ * @param {string|Object} source - Report object, skill result with `report`, saved run,
+ *   `run:<id>` (results database), a `.json` file of any of those, or a TradingView trade list `.csv`
+ * @param {string} [timeZone] - For CSV exports
+ * @returns {Promise<{trades:Object[], performance?:Object}>}
+ */
+async function loadReport(source, timeZone) {
+  let report = source;
+  if (typeof source === 'string') {
+    if (source.startsWith('run:')) {
+      report = await getRun(source.slice(4));
+      if (!report) throw new Error(`Run "${source.slice(4)}" not found`);
+    } else if (/\.csv$/i.test(source)) {
+      return { trades: tradesFromCsv(fs.readFileSync(source, 'utf-8'), { timeZone }) };
+    } else {
+      report = JSON.parse(fs.readFileSync(source, 'utf-8'));
+    }
+  }
+  if (report?.report) report = report.report;
+  if (!Array.isArray(report?.trades)) throw new Error('Expected a report with trades');
+  return report;
+}
+
+/**
+ * Trade-by-trade diff of two backtest reports: trades are aligned by side and entry time
+ * and classified as matched / changed / added / removed, the net profit difference is
+ * attributed to each group, and the performance summaries are diffed. See lib/report-diff.js.
+ *
+ * Use it for a parameter change, two script versions, or WebSocket vs Strategy Tester UI
+ * (pass the UI's "List of trades" CSV export).
+ *
+ * @param {string|Object} reportA - Baseline: report, backtest result, saved run, 'run:<id>', .json or .csv file
+ * @param {string|Object} reportB - Compared against the baseline (same forms)
+ * @param {Object} [options]
+ * @param {string[]} [options.labels=['A', 'B']] - Names used in the message
+ * @param {number} [options.timeTolerance=0] - Max entry time difference (ms) for trades to align
+ * @param {number} [options.tolerance=1e-6] - Price / quantity / profit tolerance (0.01 suits rounded CSV exports)
+ * @param {boolean} [options.compareSignals=true] - Count different signal names as a change
+ * @param {boolean} [options.differencesOnly=false] - Leave matched trades out of `trades`
+ * @param {string} [options.timeZone='UTC'] - Chart time zone of CSV exports
+ * @returns {Promise<{success:boolean, message:string, summary?:Object, attribution?:Object, trades?:Object[], performance?:Object[]}>}
+ */
+async function compareReports(reportA, reportB, options = {}) {
+  const { labels = ['A', 'B'], timeZone, ...diffOptions } = options;
+
+  try {
+    const [a, b] = [await loadReport(reportA, timeZone), await loadReport(reportB, timeZone)];
+    const diff = diffReports(a, b, diffOptions);
+    const { summary, attribution } = diff;
+    const signed = v => `${v > 0 ? '+' : ''}${formatNumber(v)}`;
+
+    return {
+      success: true,
+      message: `${labels[0]} → ${labels[1]}: ${summary.matched} matched, ${summary.changed} changed, `
+        + `${summary.added} added, ${summary.removed} removed; net profit ${signed(attribution.netProfitDelta)} `
+        + `(changed ${signed(attribution.changed)}, added ${signed(attribution.added)}, `
+        + `removed ${signed(attribution.removed)}, unexplained ${signed(attribution.unexplained)})`,
+      labels,
+      ...diff,
+      performance: diff.performance.filter(p => p.delta !== 0),
+    };
+  } catch (error) {
+    return { success: false, message: 'Error comparing reports', error: error.message };
+  }
+}
+
+async function main() {
+  // CLI: node index.js <reportA> <reportB> [timeToleranceMs] [timeZone] [tolerance]
+  const [reportA, reportB] = process.argv.slice(2, 4);
+  const timeTolerance = parseInt(process.argv[4]) || 0;
+  const timeZone = process.argv[5] || 'UTC';
+  const tolerance = parseFloat(process.argv[6]) || undefined;
+
+  if (!reportA || !reportB) {
+    console.log(JSON.stringify({
+      success: false,
+      message: 'Usage: node index.js <reportA> <reportB> [timeToleranceMs] [timeZone] [tolerance]\n'
+        + '  Reports: a .json report / backtest result / saved run, run:<id>, or a TradingView trade list .csv\n'
+        + '  Example: node index.js before.json after.json\n'
+        + '  Example: node index.js ws-report.json "List of trades.csv" 0 America/New_York 0.01',
+    }, null, 2));
+    return;
+  }
+
+  try {
+    const result = await compareReports(reportA, reportB, {
+      labels: [reportA, reportB],
+      timeTolerance,
+      timeZone,
+      tolerance,
+      differencesOnly: true,
+    });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
+  } finally {
+    await closeStore();
+  }
+}
+
+module.exports = { compareReports };
+if (require.main === module) main();
@@ -1,4 +1,6 @@
 const { fetchDeepBacktest, close } = require('../../lib/ws-client');
+const { shouldSave, saveResults, runFromReport } = require('../../lib/results-store');
+const { extendedMetrics } = require('../../lib/metrics');
 
 /**
  * Run a deep backtest over a custom date range.
@@ -12,10 +14,12 @@ const { fetchDeepBacktest, close } = require('../../lib/ws-client');
  * @param {string|number} [options.from] - Start date as 'YYYY-MM-DD' or unix timestamp
  * @param {string|number} [options.to] - End date as 'YYYY-MM-DD' or unix timestamp
  * @param {Object} [options.params] - Strategy parameter overrides { "paramName": value }
- * @returns {Promise<{success:boolean, message:string, report?:Object}>}
+ * @param {boolean} [options.save] - Store the run in the results database (default: TV_SAVE_RESULTS)
+ * @param {boolean|Object} [options.extendedMetrics] - Attach CAGR, Calmar, SQN, ... (see lib/metrics)
+ * @returns {Promise<{success:boolean, message:string, report?:Object, saved?:Object, extendedMetrics?:Object}>}
  */
 async function deepBacktest(scriptId, symbol = 'BINANCE:BTCUSDT', options = {}) {
-  const { timeframe = 'D', params } = options;
+  const { timeframe = 'D', params, save } = options;
 
   // Parse date strings to unix timestamps
   // 'to' dates use end-of-day (23:59:59) to match TradingView's date picker behavior
@@ -31,9 +35,17 @@ async function deepBacktest(scriptId, symbol = 'BINANCE:BTCUSDT', options = {})
   try {
     const report = await fetchDeepBacktest(scriptId, symbol, { timeframe, from, to, params });
 
+    const saved = shouldSave(save)
+      ? await saveResults(runFromReport({
+        kind: 'deep-backtest', scriptId, symbol, timeframe, range: { from, to }, params,
+      }, report))
+      : undefined;
+
     return {
       success: true,
       message: `Deep backtest completed: ${report.trades?.length || 0} trades`,
+      saved,
+      extendedMetrics: options.extendedMetrics ? extendedMetrics(report, options.extendedMetrics) : undefined,
       report: {
         performance: report.performance || {},
         trades: report.trades || [],
@@ -49,24 +61,26 @@ async function deepBacktest(scriptId, symbol = 'BINANCE:BTCUSDT', options = {})
 }
 
 async function main() {
-  const scriptId = process.argv[2];
-  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
-  const timeframe = process.argv[4] || 'D';
-  const from = process.argv[5];
-  const to = process.argv[6];
-  const paramsJson = process.argv[7];
+  const withMetrics = process.argv.includes('--metrics');
+  const args = process.argv.filter(a => a !== '--metrics');
+  const scriptId = args[2];
+  const symbol = args[3] || 'BINANCE:BTCUSDT';
+  const timeframe = args[4] || 'D';
+  const from = args[5];
+  const to = args[6];
+  const paramsJson = args[7];
 
   if (!scriptId) {
     console.log(JSON.stringify({
       success: false,
-      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [from] [to] [paramsJson]\n' +
+      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [from] [to] [paramsJson] [--metrics]\n' +
         '  Example: node index.js STD;RSI%1Strategy CME_MINI:NQ1! 1 2025-01-01 2025-02-17\n' +
         '  Dates: YYYY-MM-DD or unix timestamp. Premium plan required.',
     }, null, 2));
     return;
   }
 
-  const options = { timeframe };
+  const options = { timeframe, extendedMetrics: withMetrics };
   if (from) options.from = from;
   if (to) options.to = to;
   if (paramsJson) options.params = JSON.parse(paramsJson);
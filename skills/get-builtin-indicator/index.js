@@ -0,0 +1,219 @@
+const { fetchBuiltInStudy, close, TradingView } = require('../../lib/ws-client');
+const { toDrawings } = require('../get-indicator-graphics');
+
+/** Volume profile modes → built-in study type */
+const VOLUME_PROFILE_TYPES = {
+  fixed: 'VbPFixed@tv-basicstudies-241!',
+  sessions: 'VbPSessions@tv-volumebyprice-53',
+  visible: 'VbPVisible@tv-volumebyprice-53',
+};
+
+const ROWS_LAYOUTS = { rows: 'Number Of Rows', ticks: 'Ticks Per Row' };
+const VOLUME_MODES = { 'up/down': 'Up/Down', total: 'Total', delta: 'Delta' };
+
+/**
+ * Run a built-in (non-Pine) TradingView study and return its plots and drawings.
+ * Options are checked against the study's defaults (see BuiltInIndicator#setOption):
+ * unknown keys and wrongly typed values are rejected.
+ *
+ * @param {string} type - e.g. 'Volume@tv-basicstudies-241', 'VbPFixed@tv-basicstudies-241!'
+ * @param {string} [symbol='BINANCE:BTCUSDT']
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {number} [options.range=100] - Number of bars
+ * @param {number} [options.to] - Last bar timestamp (unix seconds). Default: now
+ * @param {Object} [options.options] - Study options, e.g. { rows: 48, vaVolume: 70 }
+ * @returns {Promise<{success:boolean, message:string, options?:Object, values?:Object[], graphics?:Object}>}
+ *   `values` are oldest first ({time, plot_0, ...}); `graphics` as in get-indicator-graphics
+ */
+async function getBuiltInIndicator(type, symbol = 'BINANCE:BTCUSDT', options = {}) {
+  const { timeframe = 'D', range = 100, to } = options;
+
+  try {
+    const indicator = new TradingView.BuiltInIndicator(type);
+    Object.entries(options.options || {}).forEach(([key, value]) => indicator.setOption(key, value));
+
+    const { periods, graphic, bars } = await fetchBuiltInStudy(indicator, symbol, { timeframe, range, to });
+    const values = periods.slice().reverse().map(({ $time, ...plots }) => ({ time: $time, ...plots }));
+    const graphics = toDrawings(graphic, bars);
+    const drawings = Object.values(graphics).reduce((sum, list) => sum + list.length, 0);
+
+    return {
+      success: true,
+      message: `${type}: ${values.length} values, ${drawings} drawings`,
+      type,
+      symbol,
+      timeframe,
+      options: indicator.options,
+      values,
+      graphics,
+    };
+  } catch (error) {
+    return { success: false, message: 'Error running built-in indicator', error: error.message };
+  }
+}
+
+/**
+ * Volume profile levels, computed headlessly: the histogram rows of TradingView's
+ * Volume Profile study plus the point of control and value area of each profile.
+ *
+ * @param {string} [symbol='BINANCE:BTCUSDT']
+ * @param {Object} [options]
+ * @param {'fixed'|'sessions'|'visible'} [options.mode='fixed'] - One profile over a date range, or one per session
+ * @param {string} [options.timeframe='60'] - Bars the profile is built from
+ * @param {number} [options.range=500] - Bars loaded; must cover `from`
+ * @param {string|number} [options.from] - Profile start, 'YYYY-MM-DD' or unix seconds (fixed/visible). Default: first loaded bar
+ * @param {string|number} [options.to] - Profile end, 'YYYY-MM-DD' (end of day) or unix seconds (fixed/visible). Default: now
+ * @param {'rows'|'ticks'} [options.rowsLayout='rows'] - `rows` is a row count, or ticks per row
+ * @param {number} [options.rows=24]
+ * @param {'up/down'|'total'|'delta'} [options.volume='up/down']
+ * @param {number} [options.valueArea=70] - Value area, % of the profile's volume
+ * @returns {Promise<{success:boolean, message:string, profiles?:Array<{time1:number, time2:number, volume:number,
+ *   poc:number, valueAreaHigh:number, valueAreaLow:number, rows:Object[]}>}>}
+ *   Profiles oldest first, rows lowest price first
+ */
+async function getVolumeProfile(symbol = 'BINANCE:BTCUSDT', options = {}) {
+  const {
+    mode = 'fixed', timeframe = '60', range = 500, rowsLayout = 'rows', rows = 24,
+    volume = 'up/down', valueArea = 70,
+  } = options;
+
+  try {
+    const type = VOLUME_PROFILE_TYPES[mode];
+    if (!type) throw new Error(`Unknown mode "${mode}" (${Object.keys(VOLUME_PROFILE_TYPES).join(', ')})`);
+    if (!ROWS_LAYOUTS[rowsLayout]) throw new Error(`Unknown rowsLayout "${rowsLayout}" (rows, ticks)`);
+    if (!VOLUME_MODES[String(volume).toLowerCase()]) throw new Error(`Unknown volume "${volume}" (up/down, total, delta)`);
+    if (!Number.isInteger(rows) || rows < 1) throw new Error(`rows must be a positive integer, got ${rows}`);
+    if (!(valueArea > 0 && valueArea <= 100)) throw new Error(`valueArea must be a percentage (0-100], got ${valueArea}`);
+
+    const from = toTimestamp(options.from);
+    const to = toTimestamp(options.to, true);
+    const studyOptions = {
+      rowsLayout: ROWS_LAYOUTS[rowsLayout],
+      rows,
+      volume: VOLUME_MODES[String(volume).toLowerCase()],
+      vaVolume: valueArea,
+    };
+    if (mode === 'fixed') {
+      studyOptions.first_bar_time = from ? from * 1000 : NaN;
+      studyOptions.last_bar_time = (to || Math.floor(Date.now() / 1000)) * 1000;
+    }
+    if (mode === 'visible') {
+      studyOptions.first_visible_bar_time = from ? from * 1000 : NaN;
+      studyOptions.last_visible_bar_time = (to || Math.floor(Date.now() / 1000)) * 1000;
+    }
+
+    const result = await getBuiltInIndicator(type, symbol, {
+      timeframe, range, to, options: studyOptions,
+    });
+    if (!result.success) return result;
+
+    const profiles = profileLevels(result.graphics.horizHists, valueArea);
+    const last = profiles[profiles.length - 1];
+    return {
+      success: true,
+      message: last
+        ? `${profiles.length} profile(s), last POC ${last.poc}, value area ${last.valueAreaLow} - ${last.valueAreaHigh}`
+        : 'No volume profile in the loaded bars',
+      symbol,
+      timeframe,
+      mode,
+      options: result.options,
+      profiles,
+    };
+  } catch (error) {
+    return { success: false, message: 'Error getting volume profile', error: error.message };
+  }
+}
+
+/** 'YYYY-MM-DD' (end of day when `endOfDay`) or unix seconds → unix seconds */
+function toTimestamp(value, endOfDay = false) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value === 'number') return value;
+  if (/^\d+$/.test(value)) return Number(value);
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new Error(`Invalid date "${value}" (YYYY-MM-DD or unix seconds)`);
+  if (endOfDay) d.setUTCHours(23, 59, 59, 0);
+  return Math.floor(d.getTime() / 1000);
+}
+
+/**
+ * Group histogram rows into profiles and find each one's POC and value area.
+ * The value area grows from the POC row, adding whichever neighbouring row holds more
+ * volume, until it holds `valueArea` % of the profile's volume.
+ * @param {Array<{time1:number, time2:number, priceLow:number, priceHigh:number, rate:number[]}>} hists
+ * @param {number} valueArea - Percent
+ */
+function profileLevels(hists, valueArea) {
+  const groups = new Map();
+  hists.forEach((h) => {
+    const key = `${h.time1}-${h.time2}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(h);
+  });
+
+  const round = v => Math.round(v * 100) / 100;
+  return [...groups.values()].map((group) => {
+    const rows = group
+      .map((h) => {
+        const row = { priceLow: h.priceLow, priceHigh: h.priceHigh, volume: round(h.rate.reduce((s, r) => s + Math.abs(r), 0)) };
+        if (h.rate.length === 2) [row.up, row.down] = h.rate;
+        return row;
+      })
+      .sort((a, b) => a.priceLow - b.priceLow);
+
+    const total = rows.reduce((s, r) => s + r.volume, 0);
+    const poc = rows.reduce((best, r, i) => (r.volume > rows[best].volume ? i : best), 0);
+    let low = poc;
+    let high = poc;
+    let inArea = rows[poc].volume;
+    while (inArea < (total * valueArea) / 100 && (low > 0 || high < rows.length - 1)) {
+      const below = low > 0 ? rows[low - 1].volume : -1;
+      const above = high < rows.length - 1 ? rows[high + 1].volume : -1;
+      if (above >= below) inArea += rows[++high].volume;
+      else inArea += rows[--low].volume;
+    }
+
+    return {
+      time1: group[0].time1,
+      time2: group[0].time2,
+      volume: round(total),
+      poc: round((rows[poc].priceLow + rows[poc].priceHigh) / 2),
+      pocVolume: rows[poc].volume,
+      valueAreaHigh: rows[high].priceHigh,
+      valueAreaLow: rows[low].priceLow,
+      rows,
+    };
+  }).sort((a, b) => (a.time1 ?? 0) - (b.time1 ?? 0));
+}
+
+async function main() {
+  // CLI: node index.js [symbol] [timeframe] [mode] [from] [to] [rows]
+  //      node index.js --type <builtInType> [symbol] [timeframe] [range] [options JSON]
+  const args = process.argv.slice(2);
+
+  try {
+    let result;
+    if (args[0] === '--type') {
+      const [, type, symbol = 'BINANCE:BTCUSDT', timeframe = 'D', range, studyOptions] = args;
+      result = await getBuiltInIndicator(type, symbol, {
+        timeframe,
+        range: parseInt(range) || 100,
+        options: studyOptions ? JSON.parse(studyOptions) : undefined,
+      });
+    } else {
+      const [symbol = 'BINANCE:BTCUSDT', timeframe = '60', mode = 'fixed', from, to, rows] = args;
+      result = await getVolumeProfile(symbol, {
+        timeframe, mode, from, to, rows: rows ? parseInt(rows) : undefined,
+      });
+    }
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { getBuiltInIndicator, getVolumeProfile, VOLUME_PROFILE_TYPES };
+if (require.main === module) main();
@@ -1,14 +1,24 @@
 const { fetchChartData, close } = require('../../lib/ws-client');
 const { getSymbolInfo } = require('../../lib/chart-utils');
+const { getBars, shouldUseCache } = require('../../lib/bar-cache');
+const { resolveChartType } = require('../../lib/chart-types');
 
 /**
  * Get OHLCV chart data.
  * - WebSocket mode (default): pass symbol string as first arg
  * - Playwright mode (backward compat): pass a Playwright page as first arg
  *
+ * With `cache: true` (or TV_BAR_CACHE=1) bars come from the local bar store (lib/bar-cache),
+ * which only downloads the bars it is missing; `source` says if the store was synced.
+ * With `chartType` the bars are Renko bricks, Kagi lines, P&F columns... built by TradingView
+ * from the candles (see lib/chart-types for each type's inputs); these aren't cached.
+ *
  * @param {string|Page} symbolOrPage - Symbol (e.g. 'BINANCE:BTCUSDT') or Playwright page
- * @param {number|Object} [countOrOptions=100] - Number of bars, or options object { count, timeframe }
- * @returns {Promise<{success:boolean, message:string, data?:Array, count?:number, symbol?:string, timeframe?:string}>}
+ * @param {number|Object} [countOrOptions=100] - Number of bars, or options object
+ *   { count, timeframe, cache, maxAge, session, adjustment, chartType, chartInputs }
+ *   (maxAge, session and adjustment only with the cache)
+ * @returns {Promise<{success:boolean, message:string, data?:Array, count?:number, symbol?:string, timeframe?:string,
+ *   source?:string, chartType?:string, chartInputs?:Object}>}
  */
 async function getChartData(symbolOrPage, countOrOptions = 100) {
   // Detect Playwright page by checking for .evaluate method
@@ -23,6 +33,37 @@ async function getChartDataWS(symbol = 'NASDAQ:AAPL', countOrOptions = 100) {
   const { count = 100, timeframe = 'D' } = options;
 
   try {
+    if (options.chartType) {
+      if (options.cache) throw new Error('The bar cache stores regular candles only; drop `cache` to fetch a chartType');
+      const { type, inputs } = resolveChartType(options.chartType, options.chartInputs);
+      const data = await fetchChartData(symbol, {
+        timeframe, range: count, chartType: type, chartInputs: inputs,
+      });
+      return {
+        success: true,
+        message: `Retrieved ${data.length} ${type} bars`,
+        data,
+        count: data.length,
+        symbol,
+        timeframe,
+        chartType: type,
+        chartInputs: inputs,
+      };
+    }
+
+    if (shouldUseCache(options.cache)) {
+      const { bars, source } = await getBars(symbol, { ...options, count, timeframe });
+      return {
+        success: true,
+        message: `Retrieved ${bars.length} bars (${source === 'cache' ? 'from cache' : 'cache synced'})`,
+        data: bars,
+        count: bars.length,
+        symbol,
+        timeframe,
+        source,
+      };
+    }
+
     const data = await fetchChartData(symbol, { timeframe, range: count });
     return {
       success: true,
@@ -92,13 +133,17 @@ async function getChartDataPlaywright(page, count = 100) {
 }
 
 async function main() {
-  // CLI: node index.js [symbol] [timeframe] [count]
+  // CLI: node index.js [symbol] [timeframe] [count] [chartType] [chartInputs JSON]
   const symbol = process.argv[2] || 'NASDAQ:AAPL';
   const timeframe = process.argv[3] || 'D';
   const count = parseInt(process.argv[4]) || 100;
+  const chartType = process.argv[5];
 
   try {
-    const result = await getChartData(symbol, { count, timeframe });
+    const chartInputs = process.argv[6] ? JSON.parse(process.argv[6]) : undefined;
+    const result = await getChartData(symbol, {
+      count, timeframe, chartType, chartInputs,
+    });
     console.log(JSON.stringify(result, null, 2));
   } catch (error) {
     console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
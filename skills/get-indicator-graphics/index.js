@@ -0,0 +1,165 @@
+const { fetchIndicatorGraphics, close } = require('../../lib/ws-client');
+
+const GRAPHIC_TYPES = ['labels', 'lines', 'boxes', 'tables', 'polygons', 'horizLines', 'horizHists'];
+
+/**
+ * Read the drawings a Pine indicator makes (label.new, line.new, box.new, table.new,
+ * polylines, volume-profile histograms) as structured data. Bar positions are resolved
+ * to bar open times and `abovebar`/`belowbar` labels to the bar's high/low, so e.g. the
+ * support/resistance boxes of an invite-only indicator can be used directly.
+ *
+ * @param {string} scriptId - e.g. 'PUB;xxxxx' or 'USER;xxxxx' (needs access to the script)
+ * @param {string} [symbol='BINANCE:BTCUSDT']
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {number} [options.range=300] - Number of bars to run the indicator on
+ * @param {number} [options.to] - Last bar timestamp (unix seconds). Default: now
+ * @param {Object} [options.params] - Input overrides { "paramName": value }
+ * @param {string[]|string} [options.types] - Only these drawing types, e.g. ['boxes', 'labels'] or 'boxes,labels'
+ * @returns {Promise<{success:boolean, message:string, counts?:Object<string, number>, labels?:Object[], boxes?:Object[]}>}
+ *   A time is null when the drawing points outside the loaded bars
+ */
+async function getIndicatorGraphics(scriptId, symbol = 'BINANCE:BTCUSDT', options = {}) {
+  const {
+    timeframe = 'D', range = 300, to, params,
+  } = options;
+
+  try {
+    if (!scriptId) throw new Error('scriptId is required');
+    const types = options.types
+      ? (Array.isArray(options.types) ? options.types : options.types.split(',')).map(t => t.trim())
+      : GRAPHIC_TYPES;
+    const unknown = types.filter(t => !GRAPHIC_TYPES.includes(t));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown graphic type(s): ${unknown.join(', ')} (${GRAPHIC_TYPES.join(', ')})`);
+    }
+
+    const { indicator, graphic, bars } = await fetchIndicatorGraphics(scriptId, symbol, {
+      timeframe, range, to, params,
+    });
+    const drawings = toDrawings(graphic, bars);
+
+    const result = {
+      success: true,
+      message: '',
+      indicator: { id: scriptId, name: indicator.description, shortName: indicator.shortDescription },
+      symbol,
+      timeframe,
+      counts: {},
+    };
+    types.forEach((type) => {
+      result[type] = drawings[type];
+      result.counts[type] = drawings[type].length;
+    });
+    const total = Object.values(result.counts).reduce((sum, n) => sum + n, 0);
+    result.message = `${total} drawings from ${indicator.shortDescription || scriptId}`;
+
+    return result;
+  } catch (error) {
+    return { success: false, message: 'Error getting indicator graphics', error: error.message };
+  }
+}
+
+/**
+ * Resolve parsed graphics to times and prices.
+ * @param {import('../../tradingview-api-reference/src/chart/graphicParser').GraphicData} graphic
+ *   Parsed drawings, x positions indexing `bars`
+ * @param {Array<{time:number, high:number, low:number}>} bars - Chart bars, newest first
+ */
+function toDrawings(graphic, bars) {
+  const time = x => bars[x]?.time ?? null;
+  const labelPrice = (l) => {
+    if (l.yLoc === 'abovebar') return bars[l.x]?.high ?? null;
+    if (l.yLoc === 'belowbar') return bars[l.x]?.low ?? null;
+    return l.y;
+  };
+
+  return {
+    labels: graphic.labels.map(l => ({
+      id: l.id,
+      time: time(l.x),
+      price: labelPrice(l),
+      yLoc: l.yLoc,
+      text: l.text,
+      style: l.style,
+      color: l.color,
+      textColor: l.textColor,
+      size: l.size,
+      textAlign: l.textAlign,
+      toolTip: l.toolTip,
+    })),
+    lines: graphic.lines.map(l => ({
+      id: l.id,
+      time1: time(l.x1),
+      price1: l.y1,
+      time2: time(l.x2),
+      price2: l.y2,
+      extend: l.extend,
+      style: l.style,
+      color: l.color,
+      width: l.width,
+    })),
+    boxes: graphic.boxes.map(({ x1, y1, x2, y2, ...b }) => ({
+      id: b.id,
+      time1: time(x1),
+      time2: time(x2),
+      top: Math.max(y1, y2),
+      bottom: Math.min(y1, y2),
+      ...b,
+    })),
+    tables: graphic.tables.map(t => ({
+      ...t,
+      cells: Array.from(t.cells, row => Array.from(row || [], cell => cell || null)),
+    })),
+    polygons: graphic.polygons.map(p => ({
+      id: p.id,
+      points: p.points.map(pt => ({ time: time(pt.index), price: pt.level })),
+    })),
+    horizLines: graphic.horizLines.map(h => ({
+      id: h.id,
+      price: h.level,
+      time1: time(h.startIndex),
+      time2: time(h.endIndex),
+      extendLeft: h.extendLeft,
+      extendRight: h.extendRight,
+    })),
+    horizHists: graphic.horizHists.map(h => ({
+      id: h.id,
+      priceLow: h.priceLow,
+      priceHigh: h.priceHigh,
+      time1: time(h.firstBarTime),
+      time2: time(h.lastBarTime),
+      rate: h.rate,
+    })),
+  };
+}
+
+async function main() {
+  // CLI: node index.js <scriptId> [symbol] [timeframe] [range] [types]
+  const scriptId = process.argv[2];
+  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
+  const timeframe = process.argv[4] || 'D';
+  const range = parseInt(process.argv[5]) || 300;
+  const types = process.argv[6];
+
+  if (!scriptId) {
+    console.log(JSON.stringify({
+      success: false,
+      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [range] [types]\n'
+        + '  Example: node index.js STD;Zig_Zag BINANCE:BTCUSDT 60 500 lines,labels',
+    }, null, 2));
+    return;
+  }
+
+  try {
+    const result = await getIndicatorGraphics(scriptId, symbol, { timeframe, range, types });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { getIndicatorGraphics, toDrawings, GRAPHIC_TYPES };
+if (require.main === module) main();
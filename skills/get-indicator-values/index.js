@@ -0,0 +1,108 @@
+const { fetchIndicatorValues, close } = require('../../lib/ws-client');
+
+/**
+ * Run a Pine indicator on a symbol and return its plot series.
+ * Loads the script as a chart Study (lib/ws-client#fetchIndicatorValues); columns are
+ * named after the indicator's plots (e.g. 'RSI', 'RSIbased_MA').
+ *
+ * @param {string} scriptId - e.g. 'STD;RSI' or 'PUB;xxxxx'
+ * @param {string} [symbol='BINANCE:BTCUSDT']
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {number} [options.range=100] - Number of bars
+ * @param {number} [options.to] - Last bar timestamp (unix seconds). Default: now
+ * @param {Object} [options.params] - Input overrides { "RSI Length": 21 } (see lib/params#applyParams)
+ * @param {'json'|'csv'} [options.format='json'] - 'csv' adds a `csv` string (time, date, one column per plot)
+ * @returns {Promise<{success:boolean, message:string, columns?:string[], values?:Object[], csv?:string}>}
+ *   `values` are oldest first: [{time, <plot>: number, ...}]
+ */
+async function getIndicatorValues(scriptId, symbol = 'BINANCE:BTCUSDT', options = {}) {
+  const {
+    timeframe = 'D', range = 100, to, params, format = 'json',
+  } = options;
+
+  try {
+    if (!scriptId) throw new Error('scriptId is required');
+    if (!['json', 'csv'].includes(format)) throw new Error(`Unknown format "${format}" (json or csv)`);
+
+    const { indicator, periods } = await fetchIndicatorValues(scriptId, symbol, {
+      timeframe, range, to, params,
+    });
+
+    // Plot order from the metadata, then any column the study fell back to plot_N for
+    const columns = [...new Set([
+      ...Object.values(indicator.plots),
+      ...periods.flatMap(p => Object.keys(p)),
+    ])].filter(c => c !== '$time' && periods.some(p => c in p));
+
+    const values = periods.slice().reverse().map(({ $time, ...plots }) => {
+      const row = { time: $time };
+      columns.forEach((c) => { row[c] = plots[c] ?? null; });
+      return row;
+    });
+
+    const result = {
+      success: true,
+      message: `${values.length} values for ${columns.length} plots of ${indicator.shortDescription || scriptId}`,
+      indicator: {
+        id: scriptId,
+        name: indicator.description,
+        shortName: indicator.shortDescription,
+        plots: indicator.plots,
+      },
+      symbol,
+      timeframe,
+      count: values.length,
+      columns,
+      values,
+    };
+
+    if (format === 'csv') {
+      const header = ['time', 'date', ...columns].join(',');
+      const rows = values.map(v => [
+        v.time,
+        new Date(v.time * 1000).toISOString(),
+        ...columns.map(c => v[c] ?? ''),
+      ].join(','));
+      result.csv = [header, ...rows].join('\n');
+    }
+
+    return result;
+  } catch (error) {
+    return { success: false, message: 'Error getting indicator values', error: error.message };
+  }
+}
+
+async function main() {
+  // CLI: node index.js <scriptId> [symbol] [timeframe] [range] [params JSON] [json|csv]
+  const scriptId = process.argv[2];
+  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
+  const timeframe = process.argv[4] || 'D';
+  const range = parseInt(process.argv[5]) || 100;
+  const format = process.argv[7] || 'json';
+
+  if (!scriptId) {
+    console.log(JSON.stringify({
+      success: false,
+      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [range] [params JSON] [json|csv]\n'
+        + '  Example: node index.js STD;RSI BINANCE:BTCUSDT D 200 \'{"RSI Length":21}\' csv',
+    }, null, 2));
+    return;
+  }
+
+  try {
+    const params = process.argv[6] ? JSON.parse(process.argv[6]) : undefined;
+    const result = await getIndicatorValues(scriptId, symbol, {
+      timeframe, range, params, format,
+    });
+    if (result.success && format === 'csv') console.log(result.csv);
+    else console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { getIndicatorValues };
+if (require.main === module) main();
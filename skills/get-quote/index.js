@@ -1,4 +1,5 @@
 const { getClient, close } = require('../../lib/ws-client');
+const { normalizeQuote } = require('../../lib/stream');
 
 /**
  * Get real-time quote data for a symbol (price, volume, bid/ask, fundamentals).
@@ -52,33 +53,7 @@ async function getQuote(symbol = 'BINANCE:BTCUSDT', options = {}) {
             success: true,
             message: `Quote for ${symbol}`,
             symbol,
-            quote: {
-              lastPrice: data.lp,
-              change: data.ch,
-              changePercent: data.chp,
-              volume: data.volume,
-              open: data.open_price,
-              high: data.high_price,
-              low: data.low_price,
-              prevClose: data.prev_close_price,
-              bid: data.bid,
-              ask: data.ask,
-              description: data.description,
-              exchange: data.exchange,
-              type: data.type,
-              currency: data.currency_code,
-              isTradable: data.is_tradable,
-              session: data.current_session,
-              // Fundamentals (stocks)
-              marketCap: data.market_cap_basic,
-              peRatio: data.price_earnings_ttm,
-              eps: data.earnings_per_share_basic_ttm,
-              beta: data.beta_1_year,
-              dividendYield: data.dividends_yield,
-              sector: data.sector,
-              industry: data.industry,
-              country: data.country_code,
-            },
+            quote: normalizeQuote(data),
           });
         }
       });
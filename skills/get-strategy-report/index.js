@@ -1,4 +1,5 @@
 const { fetchStrategyReport, close } = require('../../lib/ws-client');
+const { extendedMetrics } = require('../../lib/metrics');
 
 /**
  * Get strategy backtest report.
@@ -7,8 +8,9 @@ const { fetchStrategyReport, close } = require('../../lib/ws-client');
  *
  * @param {string|Page} scriptIdOrPage - Script ID (e.g. 'PUB;xxxxx') or Playwright page
  * @param {string|Object} [symbolOrTab] - Symbol for WS mode, or tab name for Playwright mode
- * @param {Object} [options] - { timeframe, range } for WS mode
- * @returns {Promise<{success:boolean, message:string, report?:Object}>}
+ * @param {Object} [options] - { timeframe, range, extendedMetrics } for WS mode; `extendedMetrics: true`
+ *   (or its options object) attaches CAGR, Calmar, SQN, ... computed by lib/metrics
+ * @returns {Promise<{success:boolean, message:string, report?:Object, extendedMetrics?:Object}>}
  */
 async function getStrategyReport(scriptIdOrPage, symbolOrTab, options) {
   if (scriptIdOrPage && typeof scriptIdOrPage.evaluate === 'function') {
@@ -26,6 +28,7 @@ async function getStrategyReportWS(scriptId, symbol = 'BINANCE:BTCUSDT', options
     const result = {
       success: true,
       message: 'Strategy report retrieved via WebSocket',
+      extendedMetrics: options.extendedMetrics ? extendedMetrics(report, options.extendedMetrics) : undefined,
       report: {
         performance: report.performance || {},
         trades: report.trades || [],
@@ -124,21 +127,23 @@ async function getStrategyReportPlaywright(page, tab = 'overview') {
 }
 
 async function main() {
-  // CLI: node index.js <scriptId> [symbol] [timeframe]
-  const scriptId = process.argv[2];
-  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
-  const timeframe = process.argv[4] || 'D';
+  // CLI: node index.js <scriptId> [symbol] [timeframe] [--metrics]
+  const withMetrics = process.argv.includes('--metrics');
+  const args = process.argv.filter(a => a !== '--metrics');
+  const scriptId = args[2];
+  const symbol = args[3] || 'BINANCE:BTCUSDT';
+  const timeframe = args[4] || 'D';
 
   if (!scriptId) {
     console.log(JSON.stringify({
       success: false,
-      message: 'Usage: node index.js <scriptId> [symbol] [timeframe]\n  Example: node index.js STD;Stochastic_RSI BINANCE:BTCUSDT D',
+      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [--metrics]\n  Example: node index.js STD;Stochastic_RSI BINANCE:BTCUSDT D',
     }, null, 2));
     return;
   }
 
   try {
-    const result = await getStrategyReport(scriptId, symbol, { timeframe });
+    const result = await getStrategyReport(scriptId, symbol, { timeframe, extendedMetrics: withMetrics });
     console.log(JSON.stringify(result, null, 2));
   } catch (error) {
     console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
@@ -0,0 +1,107 @@
+const { backtest } = require('../../lib/backtest');
+const { reportCapital } = require('../../lib/metrics');
+const { simulateTrades, METHODS } = require('../../lib/monte-carlo');
+const { close } = require('../../lib/ws-client');
+
+/**
+ * Monte Carlo risk of a strategy: resample its backtest's trades (shuffled, or
+ * bootstrapped with replacement, optionally skipping trades) and report the
+ * distribution of max drawdown, final equity and longest losing streak, plus the
+ * probability of ruin for an account size. See lib/monte-carlo.js.
+ *
+ * @param {string|Object} scriptIdOrReport - Strategy ID (runs a backtest first), or a report with `trades`
+ * @param {string} [symbol='BINANCE:BTCUSDT'] - Backtest symbol
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D'] - Backtest timeframe
+ * @param {string|number|Object} [options.range='chart'] - Backtest range (see backtest)
+ * @param {Object} [options.params] - Strategy parameter overrides
+ * @param {number} [options.accountSize] - Default: the strategy's initial capital
+ * @param {number} [options.runs=1000]
+ * @param {'shuffle'|'bootstrap'} [options.method='shuffle']
+ * @param {number} [options.skipProbability=0] - Chance (0-1) that a trade is not taken
+ * @param {number} [options.ruinPercent=100] - Loss (% of the account) that counts as ruin
+ * @param {number[]} [options.percentiles=[5, 25, 50, 75, 95]]
+ * @param {number} [options.seed] - Fix to reproduce a simulation
+ * @param {boolean} [options.includeSamples=false] - Return every run's values too
+ * @returns {Promise<{success:boolean, message:string, simulation?:Object}>}
+ */
+async function monteCarlo(scriptIdOrReport, symbol = 'BINANCE:BTCUSDT', options = {}) {
+  const {
+    timeframe = 'D', range = 'chart', params, ...simulation
+  } = options;
+
+  const fromBacktest = typeof scriptIdOrReport === 'string';
+
+  try {
+    let report = scriptIdOrReport;
+    if (fromBacktest) {
+      const result = await backtest(scriptIdOrReport, symbol, { timeframe, range, params });
+      if (!result.success) return result;
+      ({ report } = result);
+    }
+    if (!Array.isArray(report?.trades)) throw new Error('Expected a strategy ID or a report with trades');
+
+    // Trades come newest first; open trades have no exit yet
+    const profits = report.trades
+      .filter(t => Number.isFinite(t.exit?.time) && Number.isFinite(t.profit?.v))
+      .sort((a, b) => a.exit.time - b.exit.time)
+      .map(t => t.profit.v);
+    const accountSize = simulation.accountSize ?? reportCapital(report);
+    if (!accountSize) throw new Error('accountSize is required (the report has no net profit % to derive it from)');
+
+    const result = simulateTrades(profits, { ...simulation, accountSize });
+    const dd = result.maxDrawdownPercent.percentiles;
+    return {
+      success: true,
+      message: `${result.runs} ${result.method} runs of ${result.trades} trades: `
+        + `max drawdown ${dd.p50 ?? result.maxDrawdownPercent.mean}% median, `
+        + `${dd.p95 ?? result.maxDrawdownPercent.max}% at the 95th percentile, `
+        + `${(result.probabilityOfRuin * 100).toFixed(2)}% risk of ruin`,
+      ...(fromBacktest && { scriptId: scriptIdOrReport, symbol, timeframe }),
+      simulation: result,
+    };
+  } catch (error) {
+    return { success: false, message: 'Monte Carlo simulation error', error: error.message };
+  }
+}
+
+async function main() {
+  // CLI: node index.js <scriptId> [symbol] [timeframe] [range] [runs] [method] [skipProbability] [accountSize]
+  const scriptId = process.argv[2];
+  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
+  const timeframe = process.argv[4] || 'D';
+  const range = process.argv[5] || 'chart';
+  const runs = parseInt(process.argv[6]) || 1000;
+  const method = process.argv[7] || 'shuffle';
+  const skipProbability = parseFloat(process.argv[8]) || 0;
+  const accountSize = parseFloat(process.argv[9]) || undefined;
+
+  if (!scriptId) {
+    console.log(JSON.stringify({
+      success: false,
+      message: 'Usage: node index.js <scriptId> [symbol] [timeframe] [range] [runs] [method] [skipProbability] [accountSize]\n'
+        + `  Methods: ${METHODS.join(', ')}\n`
+        + '  Example: node index.js STD;RSI%1Strategy BINANCE:BTCUSDT D 365d 5000 bootstrap 0.1 10000',
+    }, null, 2));
+    return;
+  }
+
+  try {
+    const result = await monteCarlo(scriptId, symbol, {
+      timeframe,
+      range: /^\d+$/.test(range) ? parseInt(range, 10) : range,
+      runs,
+      method,
+      skipProbability,
+      accountSize,
+    });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { monteCarlo };
+if (require.main === module) main();
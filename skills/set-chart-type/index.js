@@ -1,8 +1,6 @@
 const { launchBrowser, openChart, closeBrowser } = require('../../lib/browser');
 const { fetchChartData, close } = require('../../lib/ws-client');
-
-// WebSocket-supported custom chart types
-const WS_CHART_TYPES = ['HeikinAshi', 'Renko', 'LineBreak', 'Kagi', 'PointAndFigure', 'Range'];
+const { resolveChartType } = require('../../lib/chart-types');
 
 /**
  * Set chart type.
@@ -11,18 +9,23 @@ const WS_CHART_TYPES = ['HeikinAshi', 'Renko', 'LineBreak', 'Kagi', 'PointAndFig
  *
  * @param {Page|string} pageOrType - Playwright page or chart type string
  * @param {string} [chartTypeOrSymbol] - Chart type (Playwright) or symbol (WebSocket)
+ * @param {Object} [inputs] - WebSocket mode: chart type inputs, validated by lib/chart-types
  * @returns {Promise<{success:boolean, message:string}>}
  */
-async function setChartType(pageOrType, chartTypeOrSymbol) {
+async function setChartType(pageOrType, chartTypeOrSymbol, inputs) {
   if (pageOrType && typeof pageOrType.evaluate === 'function') {
     return setChartTypePlaywright(pageOrType, chartTypeOrSymbol || 'Candles');
   }
-  return setChartTypeWS(pageOrType || 'HeikinAshi', chartTypeOrSymbol || 'NASDAQ:AAPL');
+  return setChartTypeWS(pageOrType || 'HeikinAshi', chartTypeOrSymbol || 'NASDAQ:AAPL', inputs);
 }
 
-async function setChartTypeWS(chartType, symbol) {
-  if (!WS_CHART_TYPES.includes(chartType)) {
-    return { success: false, message: `Chart type "${chartType}" not supported via WebSocket. Supported: ${WS_CHART_TYPES.join(', ')}` };
+async function setChartTypeWS(chartType, symbol, inputs) {
+  let custom;
+  try {
+    custom = resolveChartType(chartType, inputs);
+  } catch (error) {
+    // Unknown type (the message lists the supported ones) or an invalid input such as a bad boxSize
+    return { success: false, message: error.message, error: error.message };
   }
   try {
     const { getClient } = require('../../lib/ws-client');
@@ -30,25 +33,27 @@ async function setChartTypeWS(chartType, symbol) {
     const chart = new client.Session.Chart();
 
     return new Promise((resolve, reject) => {
-      let resolved = false;
+      let done = false;
       const timeout = setTimeout(() => {
-        if (!resolved) { resolved = true; chart.delete(); reject(new Error('Timeout')); }
+        if (!done) { done = true; chart.delete(); reject(new Error('Timeout')); }
       }, 15000);
 
       chart.onError((...err) => {
-        if (!resolved) { resolved = true; clearTimeout(timeout); chart.delete(); reject(new Error(err.join(' '))); }
+        if (!done) { done = true; clearTimeout(timeout); chart.delete(); reject(new Error(err.join(' '))); }
       });
 
       chart.onUpdate(() => {
-        if (!resolved && chart.periods.length > 0) {
-          resolved = true;
+        if (!done && chart.periods.length > 0) {
+          done = true;
           clearTimeout(timeout);
           chart.delete();
-          resolve({ success: true, message: `Chart type set to ${chartType}`, chartType, symbol });
+          resolve({
+            success: true, message: `Chart type set to ${custom.type}`, chartType: custom.type, chartInputs: custom.inputs, symbol,
+          });
         }
       });
 
-      chart.setMarket(symbol, { timeframe: 'D', range: 1, type: chartType });
+      chart.setMarket(symbol, { timeframe: 'D', range: 1, ...custom });
     });
   } catch (error) {
     return { success: false, message: 'Error setting chart type', error: error.message };
@@ -0,0 +1,94 @@
+const { close } = require('../../lib/ws-client');
+const { streamBars } = require('../../lib/stream');
+
+/**
+ * Watch live bars for a while: backfill history, then collect every closed bar and the
+ * forming bar's updates. Uses one ChartSession (lib/stream#streamBars); for a
+ * long-running feed driving signal logic, use streamBars directly.
+ *
+ * @param {string} symbol - e.g. 'BINANCE:BTCUSDT'
+ * @param {Object} [options]
+ * @param {string} [options.timeframe='D']
+ * @param {number} [options.backfill=100] - Historical bars loaded first
+ * @param {number} [options.duration=60] - Seconds to watch
+ * @param {number} [options.maxCloses] - Stop early after this many closed bars
+ * @param {(event: {type: string, bar: Object}) => void} [options.onEvent] - Called for each bar event as it arrives
+ * @param {AbortSignal} [options.signal] - Stop watching early
+ * @returns {Promise<{success:boolean, message:string, bars?:Array, closes?:Array, updates?:number, forming?:Object}>}
+ *   `bars` are oldest first and end with the forming bar
+ */
+async function watchBars(symbol = 'BINANCE:BTCUSDT', options = {}) {
+  const {
+    timeframe = 'D', backfill = 100, duration = 60, maxCloses = Infinity, onEvent, signal,
+  } = options;
+
+  try {
+    const controller = new AbortController();
+    if (signal?.aborted) controller.abort();
+    else signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    const stream = streamBars(symbol, timeframe, { backfill, signal: controller.signal });
+    const closes = [];
+    let updates = 0;
+    const timer = setTimeout(() => controller.abort(), duration * 1000);
+
+    stream.on('barUpdate', (bar) => {
+      updates++;
+      if (onEvent) onEvent({ type: 'barUpdate', bar });
+    });
+    stream.on('barClose', (bar) => {
+      closes.push(bar);
+      if (onEvent) onEvent({ type: 'barClose', bar });
+      if (closes.length >= maxCloses) controller.abort();
+    });
+
+    await Promise.all([
+      stream.ready,
+      new Promise((resolve) => { if (stream.closed) resolve(); else stream.once('close', resolve); }),
+    ]).finally(() => clearTimeout(timer));
+
+    const bars = stream.bars;
+    return {
+      success: true,
+      message: `${closes.length} bars closed, ${updates} forming-bar updates`,
+      symbol,
+      timeframe,
+      bars,
+      closes,
+      updates,
+      forming: bars[bars.length - 1],
+    };
+  } catch (error) {
+    return { success: false, message: 'Error streaming bars', error: error.message };
+  }
+}
+
+async function main() {
+  // CLI: node index.js [symbol] [timeframe] [seconds] [backfill]
+  // Prints one JSON line per bar event, then a summary. Ctrl+C stops early.
+  const symbol = process.argv[2] || 'BINANCE:BTCUSDT';
+  const timeframe = process.argv[3] || '1';
+  const duration = parseFloat(process.argv[4]) || 60;
+  const backfill = parseInt(process.argv[5]) || 100;
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  try {
+    const result = await watchBars(symbol, {
+      timeframe,
+      duration,
+      backfill,
+      signal: controller.signal,
+      onEvent: ({ type, bar }) => console.log(JSON.stringify({ type, ...bar })),
+    });
+    const { bars, ...summary } = result;
+    console.log(JSON.stringify({ ...summary, barCount: bars?.length }, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { watchBars };
+if (require.main === module) main();
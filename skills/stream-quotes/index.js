@@ -0,0 +1,90 @@
+const { close } = require('../../lib/ws-client');
+const { streamQuotes } = require('../../lib/stream');
+
+/**
+ * Watch live quotes for a while and return every update.
+ * Uses one QuoteSession for all symbols (lib/stream#streamQuotes); for a long-running
+ * feed, use streamQuotes directly.
+ *
+ * @param {string[]} symbols - e.g. ['BINANCE:BTCUSDT', 'NASDAQ:AAPL']
+ * @param {Object} [options]
+ * @param {string[]|'all'} [options.fields] - Normalized fields (default: lastPrice, bid, ask, volume, change, changePercent)
+ * @param {number} [options.duration=10] - Seconds to watch
+ * @param {number} [options.maxUpdates] - Stop early after this many updates
+ * @param {string} [options.session='regular'] - 'regular' or 'extended'
+ * @param {(update: Object) => void} [options.onUpdate] - Called for each update as it arrives
+ * @param {AbortSignal} [options.signal] - Stop watching early
+ * @returns {Promise<{success:boolean, message:string, updates?:Object[], quotes?:Object, errors?:Object[]}>}
+ */
+async function watchQuotes(symbols, options = {}) {
+  const {
+    fields, duration = 10, maxUpdates = Infinity, session = 'regular', onUpdate, signal,
+  } = options;
+
+  try {
+    const list = [].concat(symbols || []);
+    if (list.length === 0) throw new Error('At least one symbol is required');
+
+    const controller = new AbortController();
+    signal?.addEventListener('abort', () => controller.abort(), { once: true });
+    const stream = streamQuotes(list, fields, { session, signal: controller.signal });
+    const updates = [];
+    const errors = [];
+    const timer = setTimeout(() => controller.abort(), duration * 1000);
+
+    stream.on('symbolError', (error) => {
+      errors.push(error);
+      if (stream.symbols.length === 0) controller.abort();
+    });
+    stream.on('data', (update) => {
+      updates.push(update);
+      if (onUpdate) onUpdate(update);
+      if (updates.length >= maxUpdates) controller.abort();
+    });
+
+    await Promise.all([
+      stream.ready,
+      new Promise((resolve) => { if (stream.closed) resolve(); else stream.once('close', resolve); }),
+    ]).finally(() => clearTimeout(timer));
+
+    return {
+      success: updates.length > 0 || errors.length < list.length,
+      message: `${updates.length} updates for ${list.length - errors.length}/${list.length} symbols`,
+      symbols: list,
+      updates,
+      quotes: stream.quotes,
+      errors,
+    };
+  } catch (error) {
+    return { success: false, message: 'Error streaming quotes', error: error.message };
+  }
+}
+
+async function main() {
+  // CLI: node index.js [symbols] [seconds] [fields]
+  // Prints one JSON line per update, then a summary. Ctrl+C stops early.
+  const symbols = (process.argv[2] || 'BINANCE:BTCUSDT,BINANCE:ETHUSDT').split(',');
+  const duration = parseFloat(process.argv[3]) || 10;
+  const fields = process.argv[4] ? (process.argv[4] === 'all' ? 'all' : process.argv[4].split(',')) : undefined;
+
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+
+  try {
+    const result = await watchQuotes(symbols, {
+      fields,
+      duration,
+      signal: controller.signal,
+      onUpdate: ({ symbol, time, changes }) => console.log(JSON.stringify({ symbol, time, ...changes })),
+    });
+    const { updates, ...summary } = result;
+    console.log(JSON.stringify({ ...summary, updateCount: updates?.length }, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Unexpected error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { watchQuotes };
+if (require.main === module) main();
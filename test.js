@@ -0,0 +1,31 @@
+/**
+ * Offline test suite: runs test/*.test.js against the local mock TradingView server
+ * (test/mock-server) — no account, network or browser needed.
+ *
+ * Usage:
+ *   npm test
+ *   node test.js backtest optimize     # Only files whose name contains one of the words
+ */
+const fs = require('fs');
+const path = require('path');
+const { run } = require('node:test');
+const { spec } = require('node:test/reporters');
+
+const TEST_DIR = path.join(__dirname, 'test');
+
+const filters = process.argv.slice(2);
+const files = fs.readdirSync(TEST_DIR)
+  .filter(f => f.endsWith('.test.js'))
+  .filter(f => filters.length === 0 || filters.some(word => f.includes(word)))
+  .sort()
+  .map(f => path.join(TEST_DIR, f));
+
+if (files.length === 0) {
+  console.error(`No test files match: ${filters.join(', ')}`);
+  process.exit(1);
+}
+
+run({ files, timeout: 120000 })
+  .on('test:fail', () => { process.exitCode = 1; })
+  .compose(spec)
+  .pipe(process.stdout);
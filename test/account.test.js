@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { getUserInfo } = require('../skills/get-user-info');
+const { getIndicatorDetails } = require('../skills/get-indicator-details');
+const { getStrategyParams } = require('../lib/params');
+const { getConnectionLimit } = require('../lib/pool');
+const { detectPlan, TradingView } = require('../lib/ws-client');
+
+describe('account and indicators', () => {
+  useMockServer();
+
+  it('decodes the user and membership from the auth token', async () => {
+    const result = await getUserInfo();
+    assert.equal(result.success, true);
+    assert.equal(result.user.username, 'mockuser');
+    assert.equal(result.user.plan, 'pro_premium');
+    assert.equal(result.user.limits.maxConnections, 2);
+    assert.equal(await detectPlan(), 'pro_premium');
+    assert.equal(await getConnectionLimit(), 2);
+  });
+
+  it('rejects an unknown session', async () => {
+    await assert.rejects(TradingView.getUser('expired-session'), /Wrong or expired sessionid/);
+  });
+
+  it('gets indicator details', async () => {
+    const result = await getIndicatorDetails('STD;RSI');
+    assert.equal(result.success, true);
+    assert.equal(result.indicator.shortDescription, 'RSI');
+    assert.deepEqual(result.indicator.plots, { plot_0: 'RSI', plot_1: 'RSIbased_MA' });
+  });
+
+  it('lists strategy parameters without hidden inputs', async () => {
+    const params = await getStrategyParams('STD;RSI%1Strategy');
+    assert.deepEqual(params.map(p => p.name), ['Length', 'overSold', 'overBought', 'Order size', 'Trade direction']);
+    assert.deepEqual(params[4].options, ['both', 'long', 'short']);
+  });
+
+  it('reports an unknown script', async () => {
+    const result = await getIndicatorDetails('PUB;doesnotexist');
+    assert.equal(result.success, false);
+    assert.match(result.error, /Inexistent or unsupported indicator/);
+  });
+});
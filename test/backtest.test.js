@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { backtest } = require('../lib/backtest');
+const { deepBacktest } = require('../skills/deep-backtest');
+const { getStrategyReport } = require('../skills/get-strategy-report');
+const { strategyBacktest } = require('../workflows/strategy-backtest');
+
+const SCRIPT = 'STD;RSI%1Strategy';
+
+describe('backtests', () => {
+  const mock = useMockServer();
+
+  it('runs a regular backtest from a compressed strategy report', async () => {
+    const result = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500 });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.mode, 'regular');
+    assert.equal(result.report.tradeCount, 6);
+    assert.equal(result.report.currency, 'USDT');
+    // Trades arrive oldest first on the wire and are returned newest first
+    const [newest, , , , , oldest] = result.report.trades;
+    assert.ok(newest.entry.time > oldest.entry.time);
+    assert.equal(result.report.history.equity.length, 6);
+  });
+
+  it('sends parameter overrides as study inputs', async () => {
+    const base = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500 });
+    const tuned = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500, params: { Length: '21' } });
+    assert.equal(tuned.success, true, tuned.error);
+    assert.notEqual(tuned.report.performance.all.netProfit, base.report.performance.all.netProfit);
+
+    const study = mock.server.received.filter(p => p.m === 'create_study').pop();
+    assert.deepEqual(study.p[5].in_0, { v: 21, f: false, t: 'integer' });
+  });
+
+  it('routes "max" to a deep backtest on the history-data server', async () => {
+    const result = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 'max' });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.mode, 'deep');
+    assert.equal(result.report.tradeCount, 6);
+    assert.ok(mock.server.received.some(p => p.server === 'history-data' && p.m === 'request_history_data'));
+  });
+
+  it('runs the deep-backtest skill over a date range', async () => {
+    const result = await deepBacktest(SCRIPT, 'BINANCE:ETHUSDT', { from: '2024-01-01', to: '2024-06-30' });
+    assert.equal(result.success, true, result.error);
+    const request = mock.server.received.filter(p => p.m === 'request_history_data').pop();
+    assert.deepEqual(request.p[5], { from_to: { from: 1704067200, to: 1719791999 } });
+  });
+
+  it('reports an unknown symbol', async () => {
+    const result = await getStrategyReport(SCRIPT, 'NOPE:NOPE', { range: 100 });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Symbol error/);
+  });
+
+  it('runs the strategy-backtest workflow across symbols', async () => {
+    const result = await strategyBacktest(SCRIPT, ['BINANCE:BTCUSDT', 'NASDAQ:AAPL'], ['D', '240'], { range: 300 });
+    assert.equal(result.success, true);
+    assert.equal(result.strategy.name, 'RSI Strategy');
+    assert.equal(result.tests.length, 4);
+    assert.ok(result.tests.every(t => !t.error && t.tradeCount === 6));
+    assert.equal(result.summary.successful, 4);
+  });
+
+  it('attaches extended metrics derived from trades and equity', async () => {
+    const result = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500, extendedMetrics: { initialCapital: 10000 } });
+    assert.equal(result.success, true, result.error);
+    const m = result.extendedMetrics;
+    const profits = result.report.trades.map(t => t.profit.v);
+    const netProfit = profits.reduce((s, p) => s + p, 0);
+
+    assert.deepEqual(m.period, { from: 1704067200000, to: 1711843200000 });
+    assert.equal(m.years, 0.25);
+    const cagr = ((1 + netProfit / 10000) ** (1 / (90 / 365.25)) - 1) * 100;
+    assert.equal(m.cagr, Math.round(cagr * 100) / 100);
+    // The one loss (-1100) comes right after a new equity high
+    assert.equal(m.maxDrawdown, 1100);
+    assert.equal(m.recoveryFactor, Math.round((netProfit / 1100) * 100) / 100);
+    assert.equal(m.mar, m.calmar, 'less than 36 months of trades');
+    assert.equal(m.expectancy, Math.round((netProfit / 6) * 100) / 100);
+    // 49 of the range's 90 days in a trade
+    assert.equal(m.exposure, Math.round((49 / 90) * 10000) / 100);
+    assert.deepEqual([m.maxConsecutiveWins, m.maxConsecutiveLosses], [3, 1]);
+    assert.ok(m.ulcerIndex > 0 && m.ulcerIndex < m.maxDrawdownPercent);
+    assert.ok(m.sqn > 0);
+
+    const plain = await getStrategyReport(SCRIPT, 'BINANCE:BTCUSDT', { range: 100 });
+    assert.equal(plain.extendedMetrics, undefined);
+    const report = await getStrategyReport(SCRIPT, 'BINANCE:BTCUSDT', { range: 100, extendedMetrics: true });
+    assert.ok(Math.abs(report.extendedMetrics.initialCapital - 10000) < 1, 'inferred from netProfitPercent');
+    const deep = await deepBacktest(SCRIPT, 'BINANCE:ETHUSDT', { from: '2024-01-01', to: '2024-06-30', extendedMetrics: true });
+    assert.equal(deep.extendedMetrics.maxConsecutiveWins, 3);
+  });
+});
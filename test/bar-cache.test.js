@@ -0,0 +1,137 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { syncBars, getBars, getBarStore } = require('../lib/bar-cache');
+const { getChartData } = require('../skills/get-chart-data');
+const { dataExport } = require('../workflows/data-export');
+const { syncUniverse, barStoreStatus } = require('../workflows/sync-bars');
+
+const DAY = 86400;
+const today = Math.floor(Date.now() / 1000 / DAY) * DAY;
+
+/** Bar count of every series the clients created since `from` */
+const seriesRequests = (mock, from) => mock.server.received.slice(from)
+  .filter(p => p.m === 'create_series')
+  .map(p => p.p[5]);
+
+const contiguous = (bars) => bars.every((b, i) => i === 0 || b.time - bars[i - 1].time === DAY);
+
+describe('bar cache', () => {
+  const mock = useMockServer({ endTime: today - 3 * DAY });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-bars-'));
+
+  before(() => { process.env.TV_BARS_DIR = dir; });
+  after(() => {
+    delete process.env.TV_BARS_DIR;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('stores a first sync and serves fresh bars from the store', async () => {
+    const { series, fetched } = await syncBars('BINANCE:BTCUSDT', { count: 50 });
+    assert.equal(fetched, 50);
+    assert.equal(series.bars.length, 50);
+    assert.equal(series.bars[49].time, today - 3 * DAY);
+    assert.ok(contiguous(series.bars));
+
+    const sent = mock.server.received.length;
+    const result = await getChartData('BINANCE:BTCUSDT', { count: 20, cache: true });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.source, 'cache');
+    assert.equal(result.count, 20);
+    assert.equal(result.data[0].time, today - 3 * DAY, 'newest first, like fetchChartData');
+    assert.equal(mock.server.received.length, sent);
+  });
+
+  it('downloads only the new bars once the store is stale', async () => {
+    mock.server.setEndTime(today);
+    const sent = mock.server.received.length;
+    const { bars, source, fetched } = await getBars('BINANCE:BTCUSDT', { count: 50, maxAge: 0 });
+    assert.equal(source, 'sync');
+    assert.ok(fetched <= 5, `fetched ${fetched} bars`);
+    assert.ok(seriesRequests(mock, sent).every(range => range <= 5));
+    assert.equal(bars[0].time, today);
+
+    const stored = getBarStore().read({ symbol: 'BINANCE:BTCUSDT', timeframe: 'D' });
+    assert.equal(stored.bars.length, 53);
+    assert.ok(contiguous(stored.bars));
+  });
+
+  it('extends the head when more bars are asked for', async () => {
+    const sent = mock.server.received.length;
+    const { series } = await syncBars('BINANCE:BTCUSDT', { count: 80 });
+    assert.equal(series.bars.length, 80);
+    assert.ok(contiguous(series.bars));
+    const [, head] = seriesRequests(mock, sent);
+    assert.deepEqual(head, ['bar_count', today - 52 * DAY - 1, 27]);
+  });
+
+  it('fills a hole the tail cannot reach with a second walk', async () => {
+    mock.server.setEndTime(today + 100 * DAY);
+    const sent = mock.server.received.length;
+    const { series, gaps, added } = await syncBars('BINANCE:BTCUSDT', { count: 20, maxBars: 60 });
+    assert.deepEqual(gaps, []);
+    assert.equal(added, 100);
+    assert.equal(series.bars.length, 180);
+    assert.ok(contiguous(series.bars));
+    // One load covering the hole, ending just before the tail's oldest bar
+    const fill = seriesRequests(mock, sent).at(-1);
+    assert.deepEqual(fill, ['bar_count', today + 41 * DAY - 1, 41]);
+  });
+
+  it('keeps the stored bars and reports the gap it cannot close', async () => {
+    mock.server.setEndTime(today + 200 * DAY);
+    const { series, gaps, fetched } = await syncBars('BINANCE:BTCUSDT', { count: 20, maxBars: 20 });
+    assert.equal(fetched, 40);
+    const gap = { from: today + 100 * DAY, to: today + 161 * DAY };
+    assert.deepEqual(gaps, [gap]);
+    assert.deepEqual(series.gaps, [gap]);
+    assert.equal(series.bars.length, 220);
+    assert.equal(series.bars[0].time, today - 79 * DAY);
+    assert.ok(contiguous(series.bars.filter(b => b.time <= gap.from)));
+    assert.ok(contiguous(series.bars.filter(b => b.time >= gap.to)));
+    assert.equal(series.bars.at(-1).time, today + 200 * DAY);
+
+    // The hole is stored, so the cache still reports it
+    const cached = await getBars('BINANCE:BTCUSDT', { count: 20, maxAge: 3600 });
+    assert.equal(cached.source, 'cache');
+    assert.deepEqual(cached.gaps, [gap]);
+  });
+
+  it('walks a stored gap again on the next sync', async () => {
+    const sent = mock.server.received.length;
+    const { series, gaps, added } = await syncBars('BINANCE:BTCUSDT', { count: 20, maxBars: 100 });
+    assert.deepEqual(gaps, []);
+    assert.deepEqual(series.gaps, []);
+    assert.equal(added, 60);
+    assert.equal(series.bars.length, 280);
+    assert.ok(contiguous(series.bars));
+    // One load covering the stored hole, ending just before its far end
+    assert.deepEqual(seriesRequests(mock, sent).at(-1), ['bar_count', today + 161 * DAY - 1, 61]);
+    assert.deepEqual(getBarStore().read({ symbol: 'BINANCE:BTCUSDT', timeframe: 'D' }).gaps, []);
+    mock.server.setEndTime(today);
+  });
+
+  it('exports from the cache', async () => {
+    const result = await dataExport('BINANCE:ETHUSDT', {
+      count: 30, format: 'json', outputDir: dir, cache: true,
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.barCount, 30);
+    const exported = JSON.parse(fs.readFileSync(result.file, 'utf-8'));
+    assert.ok(exported.bars[0].time < exported.bars[29].time);
+  });
+
+  it('syncs a symbol universe and lists the store', async () => {
+    const result = await syncUniverse(['NASDAQ:AAPL', 'NOPE:NOPE'], { timeframes: ['D', '60'], count: 10 });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.results.map(r => r.success), [true, true, false, false]);
+    assert.equal(result.results[1].bars, 10);
+
+    const status = barStoreStatus();
+    const symbols = status.series.map(s => `${s.symbol} ${s.timeframe}`).sort();
+    assert.deepEqual(symbols, ['BINANCE:BTCUSDT D', 'BINANCE:ETHUSDT D', 'NASDAQ:AAPL 60', 'NASDAQ:AAPL D']);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { DEFAULT_END_TIME } = require('./mock-server');
+const { getBuiltInIndicator, getVolumeProfile } = require('../skills/get-builtin-indicator');
+
+const DAY = 86400;
+const HOUR = 3600;
+
+describe('built-in indicators', () => {
+  const mock = useMockServer();
+
+  it('computes a fixed-range volume profile with POC and value area', async () => {
+    const from = DEFAULT_END_TIME - 2 * DAY;
+    const sent = mock.server.received.length;
+    const result = await getVolumeProfile('BINANCE:BTCUSDT', {
+      timeframe: '60', range: 200, from, to: DEFAULT_END_TIME, rows: 12, valueArea: 70,
+    });
+    assert.equal(result.success, true, result.error);
+
+    const study = mock.server.received.slice(sent).find(p => p.m === 'create_study');
+    assert.equal(study.p[4], 'VbPFixed@tv-basicstudies-241!');
+    assert.deepEqual(
+      [study.p[5].rows, study.p[5].first_bar_time, study.p[5].last_bar_time],
+      [12, from * 1000, DEFAULT_END_TIME * 1000],
+    );
+
+    assert.equal(result.profiles.length, 1);
+    const [profile] = result.profiles;
+    assert.deepEqual([profile.time1, profile.time2], [from, DEFAULT_END_TIME]);
+    assert.equal(profile.rows.length, 12);
+    assert.ok(profile.rows.every((r, i) => i === 0 || r.priceLow >= profile.rows[i - 1].priceLow));
+    assert.ok(profile.rows.every(r => Math.abs(r.up + r.down - r.volume) < 0.02));
+
+    const top = profile.rows.reduce((a, b) => (b.volume > a.volume ? b : a));
+    assert.equal(profile.poc, Math.round(((top.priceLow + top.priceHigh) / 2) * 100) / 100);
+    assert.ok(profile.valueAreaLow <= profile.poc && profile.poc <= profile.valueAreaHigh);
+    const inArea = profile.rows
+      .filter(r => r.priceLow >= profile.valueAreaLow && r.priceHigh <= profile.valueAreaHigh)
+      .reduce((s, r) => s + r.volume, 0);
+    assert.ok(inArea >= profile.volume * 0.7 - 0.01, `${inArea} of ${profile.volume}`);
+    assert.ok(inArea < profile.volume);
+  });
+
+  it('builds one profile per session', async () => {
+    const result = await getVolumeProfile('NASDAQ:AAPL', { mode: 'sessions', timeframe: '60', range: 72 });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.profiles.length, 4);
+    assert.deepEqual(result.profiles.slice(1).map(p => p.time1), [
+      DEFAULT_END_TIME - 2 * DAY, DEFAULT_END_TIME - DAY, DEFAULT_END_TIME,
+    ]);
+    assert.equal(result.profiles[2].time2, DEFAULT_END_TIME - HOUR);
+  });
+
+  it('runs any built-in study with typed options', async () => {
+    const result = await getBuiltInIndicator('Volume@tv-basicstudies-241', 'BINANCE:ETHUSDT', {
+      range: 10, options: { length: 50 },
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.values.length, 10);
+    assert.equal(result.values[9].time, DEFAULT_END_TIME);
+    assert.equal(typeof result.values[9].plot_0, 'number');
+    assert.deepEqual(result.options, { length: 50, col_prev_close: false });
+
+    const wrongType = await getBuiltInIndicator('Volume@tv-basicstudies-241', 'BINANCE:ETHUSDT', { options: { length: '50' } });
+    assert.match(wrongType.error, /Wrong 'length' value type 'string' \(must be 'number'\)/);
+    const denied = await getBuiltInIndicator('Volume@tv-basicstudies-241', 'BINANCE:ETHUSDT', { options: { rows: 10 } });
+    assert.match(denied.error, /Option 'rows' is denied/);
+  });
+
+  it('validates volume profile options', async () => {
+    assert.match((await getVolumeProfile('BINANCE:BTCUSDT', { mode: 'daily' })).error, /Unknown mode "daily"/);
+    assert.match((await getVolumeProfile('BINANCE:BTCUSDT', { volume: 'buy' })).error, /Unknown volume "buy"/);
+    assert.match((await getVolumeProfile('BINANCE:BTCUSDT', { valueArea: 170 })).error, /valueArea must be a percentage/);
+    assert.match((await getVolumeProfile('BINANCE:BTCUSDT', { from: 'last week' })).error, /Invalid date "last week"/);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const wsClient = require('../lib/ws-client');
+const { backtest } = require('../lib/backtest');
+
+const { readCassette } = wsClient.TradingView.cassette;
+const SCRIPT = 'STD;RSI%1Strategy';
+
+describe('traffic cassettes', () => {
+  const mock = useMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-cassettes-'));
+  let recorded;
+  let cassettes;
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('records every packet of a backtest, without the auth token', async () => {
+    wsClient.recordTraffic(dir);
+    try {
+      recorded = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500 });
+    } finally {
+      wsClient.recordTraffic(null);
+      await wsClient.close();
+    }
+    assert.equal(recorded.success, true, recorded.error);
+
+    cassettes = fs.readdirSync(dir).map(f => path.join(dir, f));
+    assert.equal(cassettes.length, 1);
+    const { header, entries } = readCassette(cassettes[0]);
+    assert.equal(header.server, 'prodata');
+    assert.equal(header.authenticated, true);
+
+    const auth = entries.find(e => e.m === 'set_auth_token');
+    assert.equal(auth.dir, 'out');
+    assert.match(auth.raw, /<redacted>/);
+    assert.ok(entries.some(e => e.dir === 'in' && e.m === 'du'));
+    assert.ok(entries.some(e => e.dir === 'out' && e.m === 'create_study'));
+  });
+
+  it('replays a cassette into the same report without the WebSocket server', async () => {
+    const studies = () => mock.server.received.filter(p => p.m === 'create_study').length;
+    const created = studies();
+    wsClient.replayTraffic(cassettes);
+    try {
+      const replayed = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500 });
+      assert.equal(replayed.success, true, replayed.error);
+      assert.deepEqual(replayed.report, recorded.report);
+    } finally {
+      wsClient.replayTraffic(null);
+      await wsClient.close();
+    }
+    assert.equal(studies(), created);
+  });
+});
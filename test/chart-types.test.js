@@ -0,0 +1,108 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { resolveChartType } = require('../lib/chart-types');
+const { backtest } = require('../lib/backtest');
+const { getChartData } = require('../skills/get-chart-data');
+const { dataExport } = require('../workflows/data-export');
+const { setChartType } = require('../skills/set-chart-type');
+
+const SCRIPT = 'STD;RSI%1Strategy';
+
+describe('chart types', () => {
+  const mock = useMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-export-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('fetches Renko bricks with a fixed box size', async () => {
+    const sent = mock.server.received.length;
+    const result = await getChartData('BINANCE:BTCUSDT', {
+      count: 300, timeframe: '60', chartType: 'renko', chartInputs: { boxSize: '250' },
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.chartType, 'Renko');
+    assert.deepEqual(result.chartInputs, {
+      style: 'Traditional', boxSize: 250, atrLength: 14, source: 'close', sources: 'Close', wicks: true,
+    });
+    assert.ok(result.data.length > 10);
+    assert.ok(result.data.every(b => Math.abs(Math.abs(b.close - b.open) - 250) < 0.02));
+    assert.ok(result.data.every((b, i) => i === 0 || b.time < result.data[i - 1].time), 'unique times, newest first');
+
+    const packets = mock.server.received.slice(sent);
+    const init = JSON.parse(packets.find(p => p.m === 'resolve_symbol').p[2].slice(1));
+    assert.equal(init.type, 'BarSetRenko@tv-prostudies-40!');
+    assert.equal(init.inputs.boxSize, 250);
+    assert.equal(init.symbol.symbol, 'BINANCE:BTCUSDT');
+  });
+
+  it('validates type-specific inputs', async () => {
+    assert.deepEqual(resolveChartType('pnf', { reversalAmount: 2 }).inputs, {
+      style: 'ATR', boxSize: 1, atrLength: 14, reversalAmount: 2, sources: 'Close', oneStepBackBuilding: false,
+    });
+    assert.deepEqual(resolveChartType('HeikinAshi'), { type: 'HeikinAshi', inputs: {} });
+    assert.throws(() => resolveChartType('Bricks'), /Unknown chart type "Bricks"/);
+    assert.throws(() => resolveChartType('Kagi', { boxSize: 5 }), /Kagi has no input\(s\) boxSize/);
+    assert.throws(() => resolveChartType('Renko', { style: 'Percent' }), /"Percent" is not one of ATR, Traditional/);
+    assert.throws(() => resolveChartType('LineBreak', { lb: 2.5 }), /expected an integer/);
+    assert.throws(() => resolveChartType('Range', { range: 0 }), /must be greater than 0/);
+    assert.throws(() => resolveChartType('Renko', { wicks: 'yes' }), /expected a boolean/);
+
+    const sent = mock.server.received.length;
+    const result = await getChartData('BINANCE:BTCUSDT', { chartType: 'Renko', chartInputs: { boxSize: -1 } });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Renko boxSize: must be greater than 0/);
+    assert.equal(mock.server.received.length, sent, 'nothing sent for invalid inputs');
+  });
+
+  it('sets a chart type with its inputs', async () => {
+    const sent = mock.server.received.length;
+    const result = await setChartType('Renko', 'BINANCE:BTCUSDT', { boxSize: 50 });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.message, 'Chart type set to Renko');
+    assert.equal(result.chartType, 'Renko');
+    assert.equal(result.chartInputs.boxSize, 50);
+
+    const init = mock.server.received.slice(sent).find(p => p.m === 'resolve_symbol').p[2];
+    assert.equal(JSON.parse(init.slice(1)).type, 'BarSetRenko@tv-prostudies-40!');
+    assert.equal(JSON.parse(init.slice(1)).inputs.boxSize, 50);
+
+    const invalid = await setChartType('Renko', 'BINANCE:BTCUSDT', { boxSize: -1 });
+    assert.equal(invalid.success, false);
+    assert.match(invalid.message, /Renko boxSize: must be greater than 0/);
+    const unknown = await setChartType('Bricks', 'BINANCE:BTCUSDT');
+    assert.match(unknown.message, /Unknown chart type "Bricks"\. Supported: HeikinAshi, Renko/);
+  });
+
+  it('backtests a strategy on a chart type', async () => {
+    const result = await backtest(SCRIPT, 'BINANCE:BTCUSDT', {
+      range: 500, chartType: 'HeikinAshi',
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.chartType, 'HeikinAshi');
+    const init = mock.server.received.filter(p => p.m === 'resolve_symbol').pop().p[2];
+    assert.equal(JSON.parse(init.slice(1)).type, 'BarSetHeikenAshi@tv-basicstudies-60!');
+
+    const deep = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 'max', chartType: 'Renko' });
+    assert.equal(deep.success, false);
+    assert.match(deep.message, /Deep backtests run on regular candles only/);
+  });
+
+  it('exports bricks with their chart type', async () => {
+    const result = await dataExport('BINANCE:ETHUSDT', {
+      timeframe: '60', count: 200, format: 'json', outputDir: dir, chartType: 'Renko', chartInputs: { style: 'ATR', atrLength: 10 },
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.chartType, 'Renko');
+    assert.match(path.basename(result.file), /^BINANCE_ETHUSDT_60_Renko_\d+\.json$/);
+
+    const exported = JSON.parse(fs.readFileSync(result.file, 'utf-8'));
+    assert.equal(exported.chartType, 'Renko');
+    assert.equal(exported.chartInputs.atrLength, 10);
+    const [first] = exported.bars;
+    const box = Math.abs(first.close - first.open);
+    assert.ok(exported.bars.every(b => Math.abs(Math.abs(b.close - b.open) - box) < 0.02));
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { diffReports, tradesFromCsv } = require('../lib/report-diff');
+const { backtest } = require('../lib/backtest');
+const { compareReports } = require('../skills/compare-reports');
+
+const SCRIPT = 'STD;RSI%1Strategy';
+const HOUR = 3600000;
+const T0 = Date.UTC(2024, 0, 2, 14, 30);
+
+/** Report trade, newest-first order is up to the caller */
+const trade = (side, hours, exitHours, entryPrice, exitPrice, profit, quantity = 1) => ({
+  entry: { type: side, name: side === 'long' ? 'LE' : 'SE', value: entryPrice, time: T0 + hours * HOUR },
+  exit: { name: 'X', value: exitPrice, time: T0 + exitHours * HOUR },
+  quantity,
+  profit: { v: profit, p: 0 },
+});
+
+describe('compare reports', () => {
+  useMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-compare-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('aligns trades by side and entry time and attributes the P&L difference', () => {
+    const a = {
+      trades: [
+        trade('short', 30, 32, 110, 105, 5),
+        trade('long', 20, 22, 100, 98, -2),
+        trade('long', 10, 12, 100, 104, 4),
+        trade('long', 0, 2, 100, 101, 1),
+        trade('long', 0, 3, 100, 103, 3),
+      ],
+      performance: { all: { netProfit: 11, totalTrades: 5 }, maxStrategyDrawDown: 2 },
+    };
+    const b = {
+      trades: [
+        trade('long', 40, 41, 90, 96, 6),
+        trade('short', 30, 33, 110, 101, 9),
+        trade('long', 10, 12, 100, 104, 4),
+        trade('long', 0, 2, 100, 101, 1),
+        trade('long', 0, 3, 100, 103, 3),
+      ],
+      performance: { all: { netProfit: 23, totalTrades: 5 }, maxStrategyDrawDown: 0 },
+    };
+
+    const diff = diffReports(a, b);
+    assert.deepEqual(diff.summary, {
+      tradesA: 5, tradesB: 5, matched: 3, changed: 1, added: 1, removed: 1, identical: false,
+    });
+    assert.deepEqual(diff.trades.map(r => r.status), ['matched', 'matched', 'matched', 'removed', 'changed', 'added']);
+    assert.deepEqual(diff.trades[4].changes, {
+      exitTime: { a: T0 + 32 * HOUR, b: T0 + 33 * HOUR },
+      exitPrice: { a: 105, b: 101 },
+      profit: { a: 5, b: 9 },
+    });
+    assert.deepEqual(diff.attribution, {
+      netProfitDelta: 12, changed: 4, added: 6, removed: 2, unexplained: 0,
+    });
+    assert.deepEqual(diff.performance.find(p => p.metric === 'netProfit'), {
+      metric: 'netProfit', a: 11, b: 23, delta: 12, deltaPercent: 109.09,
+    });
+    assert.deepEqual(diff.performance.find(p => p.metric === 'maxStrategyDrawDown').delta, -2);
+
+    // A one-hour shift only aligns with a tolerance
+    const shifted = { trades: [trade('long', 1, 2, 100, 101, 1)] };
+    const base = { trades: [trade('long', 0, 2, 100, 101, 1)] };
+    assert.equal(diffReports(base, shifted).summary.added, 1);
+    const aligned = diffReports(base, shifted, { timeTolerance: HOUR });
+    assert.equal(aligned.summary.changed, 1);
+    assert.deepEqual(Object.keys(aligned.trades[0].changes), ['entryTime']);
+    assert.equal(diffReports(a, a, { differencesOnly: true }).trades.length, 0);
+    assert.equal(diffReports(a, a).summary.identical, true);
+  });
+
+  it('reads a TradingView trade list export in the chart time zone', () => {
+    const csv = [
+      'Trade #,Type,Date and time,Signal,Price USD,Position size (qty),Position size (value),Net P&L USD,Net P&L %,Run-up USD,Run-up %,Drawdown USD,Drawdown %,Cumulative P&L USD,Cumulative P&L %',
+      '2,Exit short,2024-07-01 10:15,Open,2330.5,2,4661,-12.4,-0.27,3,0.06,-20,-0.43,37.6,0.38',
+      '2,Entry short,2024-07-01 09:45,Short,2324.3,2,4648.6,-12.4,-0.27,3,0.06,-20,-0.43,37.6,0.38',
+      '1,Exit long,2024-01-02 16:00,EOD,2075,2,4150,50,1.22,60,1.46,-4,-0.1,50,0.5',
+      '1,Entry long,2024-01-02 09:30,Long,2050,2,4100,50,1.22,60,1.46,-4,-0.1,50,0.5',
+    ].join('\n');
+
+    const trades = tradesFromCsv(csv, { timeZone: 'America/New_York' });
+    assert.equal(trades.length, 2);
+    assert.deepEqual(trades[1], {
+      entry: { type: 'long', name: 'Long', value: 2050, time: Date.UTC(2024, 0, 2, 14, 30) },
+      exit: { name: 'EOD', value: 2075, time: Date.UTC(2024, 0, 2, 21, 0) },
+      quantity: 2,
+      profit: { v: 50, p: 1.22 },
+    });
+    // Summer time is UTC-4; the open trade has no exit
+    assert.equal(trades[0].entry.time, Date.UTC(2024, 6, 1, 13, 45));
+    assert.equal(trades[0].exit, undefined);
+
+    assert.throws(() => tradesFromCsv('time,open,high\n1,2,3'), /Not a TradingView trade list/);
+  });
+
+  it('diffs two backtests of the same strategy', async () => {
+    const before = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500 });
+    const tuned = await backtest(SCRIPT, 'BINANCE:BTCUSDT', { range: 500, params: { Length: '21' } });
+    assert.equal(before.success, true, before.error);
+
+    const file = path.join(dir, 'before.json');
+    fs.writeFileSync(file, JSON.stringify(before));
+    const result = await compareReports(file, tuned, { labels: ['Length 14', 'Length 21'] });
+    assert.equal(result.success, true, result.error);
+    // The mock scales winning trades by the parameters; the loser is unchanged
+    assert.equal(result.summary.matched, 1);
+    assert.equal(result.summary.changed, 5);
+    assert.ok(result.trades.filter(r => r.status === 'changed').every(r => Object.keys(r.changes).join() === 'profit'));
+    const { attribution } = result;
+    assert.equal(attribution.added + attribution.removed, 0);
+    assert.ok(Math.abs(attribution.changed + attribution.unexplained - attribution.netProfitDelta) < 0.02);
+    assert.match(result.message, /^Length 14 → Length 21: 1 matched, 5 changed, 0 added, 0 removed; net profit [+-][\d.]+/);
+    assert.ok(result.performance.every(p => p.delta !== 0));
+
+    const missing = await compareReports('run:does-not-exist', tuned);
+    assert.equal(missing.success, false);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Shared setup for the offline test suite: every test file runs in its own process
+ * against its own mock TradingView server (test/mock-server).
+ */
+
+const { before, after } = require('node:test');
+const { startMockServer, MOCK_SESSION } = require('./mock-server');
+
+// Never pick up real credentials from the environment or cookie files
+process.env.TV_SESSION = MOCK_SESSION;
+process.env.TV_SIGNATURE = '';
+delete process.env.TV_SAVE_RESULTS;
+delete process.env.DATABASE_URL;
+
+const wsClient = require('../lib/ws-client');
+
+/**
+ * Start a mock server before the file's tests and route all TradingView traffic to it;
+ * close the shared client and the server afterwards.
+ * @param {Object} [options] - startMockServer options
+ * @returns {{ server: Awaited<ReturnType<typeof startMockServer>> }} Filled in once `before` has run
+ */
+function useMockServer(options) {
+  const context = { server: null };
+
+  before(async () => {
+    context.server = await startMockServer(options);
+    wsClient.useMockServer(context.server.url);
+  });
+
+  after(async () => {
+    await wsClient.close();
+    wsClient.useMockServer(null);
+    await context.server.close();
+  });
+
+  return context;
+}
+
+module.exports = { useMockServer };
@@ -0,0 +1,71 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { DEFAULT_END_TIME } = require('./mock-server');
+const { getIndicatorGraphics } = require('../skills/get-indicator-graphics');
+const { getChartData } = require('../skills/get-chart-data');
+
+const DAY = 86400;
+const SCRIPT = 'PUB;mockZones';
+
+describe('indicator graphics', () => {
+  useMockServer();
+
+  it('resolves drawings to bar times and prices', async () => {
+    const result = await getIndicatorGraphics(SCRIPT, 'BINANCE:BTCUSDT', { range: 50 });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.counts, {
+      labels: 3, lines: 1, boxes: 2, tables: 1, polygons: 1, horizLines: 1, horizHists: 0,
+    });
+
+    const { data: bars } = await getChartData('BINANCE:BTCUSDT', { count: 50 });
+    const bar = time => bars.find(b => b.time === time);
+
+    const [buy, sell, r1] = result.labels;
+    assert.equal(buy.time, DEFAULT_END_TIME - 12 * DAY);
+    assert.equal(buy.price, bar(buy.time).low);
+    assert.equal(sell.price, bar(DEFAULT_END_TIME - 4 * DAY).high);
+    assert.deepEqual([r1.time, r1.price, r1.style], [DEFAULT_END_TIME, 43500, 'label_left']);
+
+    assert.deepEqual(result.lines[0], {
+      id: 1,
+      time1: DEFAULT_END_TIME - 20 * DAY,
+      price1: 40100.5,
+      time2: DEFAULT_END_TIME - 6 * DAY,
+      price2: 41850.25,
+      extend: 'right',
+      style: 'dashed',
+      color: 4280391411,
+      width: 2,
+    });
+
+    const [resistance, support] = result.boxes;
+    assert.deepEqual(
+      [resistance.text, resistance.time1, resistance.time2, resistance.top, resistance.bottom],
+      ['Resistance', DEFAULT_END_TIME - 15 * DAY, DEFAULT_END_TIME, 43500, 43100],
+    );
+    assert.equal(support.bottom, 40200);
+
+    assert.deepEqual(result.tables[0].cells.map(row => row.map(c => c.text)), [['Resistance', '43500'], ['Support', '40600']]);
+    assert.deepEqual(result.polygons[0].points[1], { time: DEFAULT_END_TIME - 7 * DAY, price: 42200 });
+    assert.deepEqual(result.horizLines[0], {
+      id: 1, price: 42000, time1: DEFAULT_END_TIME - 30 * DAY, time2: DEFAULT_END_TIME, extendLeft: false, extendRight: true,
+    });
+  });
+
+  it('filters by drawing type', async () => {
+    const result = await getIndicatorGraphics(SCRIPT, 'BINANCE:BTCUSDT', { types: 'boxes,labels' });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.counts, { boxes: 2, labels: 3 });
+    assert.equal(result.lines, undefined);
+  });
+
+  it('rejects unknown types and scripts', async () => {
+    const badType = await getIndicatorGraphics(SCRIPT, 'BINANCE:BTCUSDT', { types: ['boxes', 'arrows'] });
+    assert.equal(badType.success, false);
+    assert.match(badType.error, /Unknown graphic type\(s\): arrows/);
+
+    const badScript = await getIndicatorGraphics('PUB;nope', 'BINANCE:BTCUSDT');
+    assert.equal(badScript.success, false);
+  });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { DEFAULT_END_TIME } = require('./mock-server');
+const { getIndicatorValues } = require('../skills/get-indicator-values');
+
+describe('indicator values', () => {
+  const mock = useMockServer();
+
+  it('returns named plot series, oldest first', async () => {
+    const result = await getIndicatorValues('STD;RSI', 'BINANCE:BTCUSDT', { range: 30 });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.columns, ['RSI', 'RSIbased_MA']);
+    assert.equal(result.count, 30);
+    assert.equal(result.values[29].time, DEFAULT_END_TIME);
+    assert.ok(result.values.every((v, i) => i === 0 || v.time - result.values[i - 1].time === 86400));
+    assert.ok(result.values.every(v => typeof v.RSI === 'number' && typeof v.RSIbased_MA === 'number'));
+  });
+
+  it('applies params and exports CSV', async () => {
+    const sent = mock.server.received.length;
+    const result = await getIndicatorValues('STD;RSI', 'NASDAQ:AAPL', {
+      timeframe: '60', range: 10, params: { 'RSI Length': '21' }, format: 'csv',
+    });
+    assert.equal(result.success, true, result.error);
+    const study = mock.server.received.slice(sent).find(p => p.m === 'create_study');
+    assert.equal(study.p[5].in_0.v, 21);
+
+    const lines = result.csv.split('\n');
+    assert.equal(lines[0], 'time,date,RSI,RSIbased_MA');
+    assert.equal(lines.length, 11);
+    const [time, , rsi] = lines[10].split(',');
+    assert.equal(Number(time), result.values[9].time);
+    assert.equal(Number(rsi), result.values[9].RSI);
+  });
+
+  it('reports unknown params and scripts', async () => {
+    const badParam = await getIndicatorValues('STD;RSI', 'BINANCE:BTCUSDT', { params: { Nope: 1 } });
+    assert.equal(badParam.success, false);
+    assert.match(badParam.error, /Nope/);
+
+    const badScript = await getIndicatorValues('STD;Nope', 'BINANCE:BTCUSDT');
+    assert.equal(badScript.success, false);
+  });
+});
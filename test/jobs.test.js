@@ -0,0 +1,89 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../lib/jobs');
+
+const readJob = (dir, id) => JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), 'utf-8'));
+
+describe('job queue', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-jobs-'));
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('runs jobs in order and records their results', async () => {
+    const ran = [];
+    const queue = createJobQueue({
+      handlers: {
+        echo: async (params) => { ran.push(params.n); return { success: true, n: params.n }; },
+        fail: async () => ({ success: false, message: 'no data' }),
+      },
+    });
+    const first = queue.submit('echo', { n: 1 }, { account: 'a' });
+    const second = queue.submit('echo', { n: 2 }, { account: 'a' });
+    const failed = queue.submit('fail', {}, { account: 'a' });
+    await queue.idle();
+
+    assert.deepEqual(ran, [1, 2]);
+    assert.equal(queue.get(first.id).status, 'done');
+    assert.deepEqual(queue.get(second.id).result, { success: true, n: 2 });
+    assert.equal(queue.get(failed.id).status, 'failed');
+    assert.equal(queue.get(failed.id).error, 'no data');
+    assert.deepEqual(queue.list().map(j => j.id), [failed.id, second.id, first.id]);
+    assert.equal(queue.list()[0].result, undefined);
+    assert.throws(() => queue.submit('nope', {}), /Unknown job type "nope"\. Use: echo, fail/);
+  });
+
+  it('fails a job whose result cannot be recorded', async (t) => {
+    const dir = path.join(tmpDir, 'unwritable');
+    const logged = t.mock.method(console, 'error', () => {});
+    const queue = createJobQueue({
+      dir,
+      handlers: {
+        // The job directory disappears under the running job, so its result can't be persisted
+        vanish: async () => { fs.rmSync(dir, { recursive: true, force: true }); return { success: true }; },
+      },
+    });
+    const lost = queue.submit('vanish', {}, { account: 'a' });
+    await queue.idle();
+
+    assert.equal(queue.get(lost.id).status, 'failed');
+    assert.match(queue.get(lost.id).error, /ENOENT/);
+    assert.match(logged.mock.calls[0].arguments[0], new RegExp(`^\\[jobs\\] Job ${lost.id} \\(vanish\\) failed: ENOENT`));
+    assert.equal(queue.stats().running, 0);
+  });
+
+  it('reloads persisted jobs after a restart', async () => {
+    const dir = path.join(tmpDir, 'restart');
+    // The first process dies while its job is running: the handler never returns
+    const crashed = createJobQueue({
+      dir,
+      handlers: { sweep: () => new Promise(() => {}), report: () => new Promise(() => {}) },
+    });
+    const interrupted = crashed.submit('sweep', { n: 1 }, { account: 'a' });
+    const queued = crashed.submit('sweep', { n: 2 }, { account: 'a' });
+    const orphan = crashed.submit('report', {}, { account: 'b' });
+    const cancelled = crashed.submit('sweep', { n: 3 }, { account: 'c' });
+    crashed.cancel(cancelled.id);
+    assert.equal(readJob(dir, interrupted.id).status, 'running');
+    assert.equal(readJob(dir, queued.id).status, 'queued');
+
+    const runs = [];
+    const restarted = createJobQueue({
+      dir,
+      handlers: { sweep: async (params, { job }) => { runs.push([params.n, job.attempts]); return { success: true }; } },
+    });
+    await restarted.idle();
+
+    // Interrupted and queued jobs run again; the interrupted one counts a second attempt
+    assert.deepEqual(runs.sort(), [[1, 2], [2, 1]]);
+    assert.equal(restarted.get(interrupted.id).status, 'done');
+    assert.equal(readJob(dir, queued.id).status, 'done');
+    assert.equal(restarted.get(orphan.id).status, 'failed');
+    assert.equal(restarted.get(orphan.id).error, 'No handler for job type "report"');
+    assert.equal(restarted.get(cancelled.id).status, 'cancelled');
+    assert.deepEqual(restarted.stats(), {
+      concurrency: 1, perAccount: 1, queued: 0, running: 0, done: 2, failed: 1, cancelled: 1,
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { getQuote } = require('../skills/get-quote');
+const { getChartData } = require('../skills/get-chart-data');
+const { getMarketInfo } = require('../skills/get-market-info');
+const { getTechnicalAnalysis } = require('../skills/get-technical-analysis');
+const { searchMarket } = require('../skills/search-market');
+const { fetchMoreData } = require('../skills/fetch-more-data');
+const { marketResearch } = require('../workflows/market-research');
+
+describe('market data', () => {
+  const mock = useMockServer();
+
+  it('gets a quote', async () => {
+    const result = await getQuote('BINANCE:BTCUSDT');
+    assert.equal(result.success, true);
+    assert.equal(result.quote.lastPrice, 43250.5);
+    assert.equal(result.quote.currency, 'USDT');
+  });
+
+  it('rejects an unknown quote symbol', async () => {
+    await assert.rejects(getQuote('NOPE:NOPE'), /Quote error: Market error/);
+  });
+
+  it('gets chart bars, newest first', async () => {
+    const result = await getChartData('BINANCE:BTCUSDT', { count: 50, timeframe: '60' });
+    assert.equal(result.success, true);
+    assert.equal(result.count, 50);
+    const times = result.data.map(b => b.time);
+    assert.ok(times.every((t, i) => i === 0 || times[i - 1] - t === 3600));
+    for (const bar of result.data) assert.ok(bar.low <= bar.open && bar.open <= bar.high);
+  });
+
+  it('reports an unknown chart symbol', async () => {
+    const result = await getChartData('NOPE:NOPE', { count: 10 });
+    assert.equal(result.success, false);
+    assert.match(result.error, /Symbol error/);
+  });
+
+  it('gets market info', async () => {
+    const result = await getMarketInfo('NASDAQ:AAPL');
+    assert.equal(result.success, true);
+    assert.equal(result.info.description, 'Apple Inc.');
+    assert.equal(result.info.exchange, 'NASDAQ');
+  });
+
+  it('gets technical analysis', async () => {
+    const result = await getTechnicalAnalysis('BINANCE:BTCUSDT');
+    assert.equal(result.success, true);
+    assert.equal(result.analysis['1D'].raw.All, 1.04);
+    assert.equal(result.analysis['1D'].overall, 'Strong Buy');
+  });
+
+  it('searches symbols', async () => {
+    const result = await searchMarket('BTC', { filter: 'crypto' });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.results.map(r => r.id), ['BINANCE:BTCUSDT']);
+  });
+
+  it('fetches older bars with fetchMore', async () => {
+    const result = await fetchMoreData('BINANCE:BTCUSDT', { initialRange: 20, additional: 30 });
+    assert.equal(result.success, true);
+    assert.equal(result.totalBars, 50);
+    assert.ok(mock.server.received.some(p => p.m === 'request_more_data'));
+  });
+
+  it('runs the market-research workflow', async () => {
+    const result = await marketResearch('AAPL');
+    assert.equal(result.success, true);
+    assert.equal(result.symbol, 'NASDAQ:AAPL');
+    assert.equal(result.price.last, 187.44);
+    assert.equal(result.fundamentals.sector, 'Electronic Technology');
+  });
+});
@@ -0,0 +1,706 @@
+/**
+ * Local stand-in for TradingView, so skills and workflows can be tested offline.
+ *
+ * One port serves both sides:
+ *   - WebSocket (`/socket.io/websocket`) speaking the `~m~` framing from protocol.js:
+ *     chart sessions (symbols, series incl. Renko / Heikin Ashi, request_more_data,
+ *     Pine/built-in studies with `du` + `study_completed`, compressed strategy reports),
+ *     quote sessions with realtime updates and history (deep backtest) sessions.
+ *   - HTTP under /<subdomain>/<path>, matching how lib/ws-client#useMockServer rewrites
+ *     https://<subdomain>.tradingview.com/<path>: getUser (www), getIndicator / indicator
+ *     search (pine-facade, www), getTA (scanner) and symbol search (symbol-search).
+ *
+ * Responses come from the recorded fixtures in ./fixtures. Bars are generated from each
+ * symbol's `basePrice` as a pure function of bar time, so every request — including
+ * fetchMore() pages and reconnects — sees the same history.
+ *
+ * Usage:
+ *   node test/mock-server 8080                 # Then run any script with:
+ *   TV_MOCK_URL=http://127.0.0.1:8080 TV_SESSION=mock-session node skills/get-quote/index.js BINANCE:BTCUSDT
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const protocol = require('../../tradingview-api-reference/src/protocol');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/** Session cookie the mock accepts unless told otherwise */
+const MOCK_SESSION = 'mock-session';
+
+/**
+ * Delay before serving the home page (ms). The Client only emits `logged` for a server
+ * packet that arrives before its getUser() call returns — true against TradingView,
+ * whose home page is far slower than the socket hello — so the mock keeps that order.
+ */
+const USER_PAGE_DELAY = 100;
+
+/** Interval of the realtime last-bar updates sent to charts with studies (ms) */
+const TICK_INTERVAL = 100;
+
+/** Default time of the latest bar (2025-01-01); a series with an earlier reference time ends there instead */
+const DEFAULT_END_TIME = 1735689600;
+
+const TIMEFRAME_SECONDS = {
+  D: 86400, '1D': 86400, W: 604800, '1W': 604800, M: 2592000, '1M': 2592000,
+};
+
+/** symbol_search/v3 `search_type` → fixture types */
+const SEARCH_TYPES = { crypto: ['spot', 'crypto'], stock: ['stock', 'fund', 'dr'] };
+
+function loadFixtures(dir) {
+  const json = (name) => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8'));
+  return {
+    userPage: fs.readFileSync(path.join(dir, 'user.html'), 'utf-8'),
+    indicators: json('indicators.json'),
+    symbols: json('symbols.json'),
+    quotes: json('quotes.json'),
+    scan: json('scan.json'),
+    search: json('symbol-search.json'),
+    strategyReport: json('strategy-report.json'),
+    graphics: json('graphics.json'),
+  };
+}
+
+function timeframeSeconds(timeframe) {
+  if (TIMEFRAME_SECONDS[timeframe]) return TIMEFRAME_SECONDS[timeframe];
+  return (parseInt(timeframe, 10) || 1440) * 60;
+}
+
+/** OHLCV of the bar opening at `time` — a pure function, so pages and re-sends line up */
+function barAt(basePrice, time, tfSeconds) {
+  const price = (t) => basePrice * (1 + 0.08 * Math.sin(t / (tfSeconds * 17)) + 0.03 * Math.sin(t / (tfSeconds * 5)));
+  const open = price(time - tfSeconds);
+  const close = price(time);
+  const round = (v) => Math.round(v * 100) / 100;
+  return [
+    time,
+    round(open),
+    round(Math.max(open, close) * 1.004),
+    round(Math.min(open, close) * 0.996),
+    round(close),
+    1000 + ((time / tfSeconds) % 500),
+  ];
+}
+
+/**
+ * Bars of a custom chart type (`{type, inputs}` of the chart's symbol init) built from
+ * `rows` (candles, oldest first). Heikin Ashi and Renko are computed — Renko with a
+ * fixed (Traditional) box or an ATR(atrLength) box over the candles, one brick per box
+ * the close moves, a reversal needing two; bricks opened by the same candle get its time
+ * plus 1, 2... so times stay unique. The other BarSet types pass the candles through.
+ */
+function chartTypeBars({ type, inputs = {} }, rows) {
+  const round = (v) => Math.round(v * 100) / 100;
+  if (type.startsWith('BarSetHeikenAshi')) {
+    const out = [];
+    rows.forEach(([time, open, high, low, close, volume], i) => {
+      const haClose = (open + high + low + close) / 4;
+      const haOpen = i === 0 ? (open + close) / 2 : (out[i - 1][1] + out[i - 1][4]) / 2;
+      out.push([time, round(haOpen), round(Math.max(high, haOpen)), round(Math.min(low, haOpen)), round(haClose), volume]);
+    });
+    return out;
+  }
+  if (!type.startsWith('BarSetRenko') || rows.length === 0) return rows;
+
+  let box = inputs.boxSize;
+  if (inputs.style !== 'Traditional') {
+    const length = Math.min(inputs.atrLength || 14, rows.length - 1) || 1;
+    const ranges = rows.slice(-length).map(([, , high, low], i, list) => {
+      const prev = rows[rows.length - list.length + i - 1];
+      return prev ? Math.max(high - low, Math.abs(high - prev[4]), Math.abs(low - prev[4])) : high - low;
+    });
+    box = round(ranges.reduce((s, r) => s + r, 0) / ranges.length);
+  }
+
+  const bricks = [];
+  let top = rows[0][4];
+  let bottom = rows[0][4];
+  rows.forEach(([time, , , , close, volume]) => {
+    let k = 0;
+    const brick = (open, close) => bricks.push([time + k++, round(open), round(Math.max(open, close)), round(Math.min(open, close)), round(close), volume]);
+    while (close >= top + box) {
+      brick(top, top + box);
+      bottom = top;
+      top += box;
+    }
+    while (close <= bottom - box) {
+      brick(bottom, bottom - box);
+      top = bottom;
+      bottom -= box;
+    }
+  });
+  return bricks;
+}
+
+/**
+ * Volume-by-price histograms (`hhists`) of a VbP* built-in study over `rows` (bars,
+ * oldest first): one profile for the bars inside first/last(_visible)_bar_time (ms), or
+ * one per UTC day for the session types. Each bar's volume is spread evenly over the
+ * rows its range touches, as up volume if it closed up and down volume otherwise.
+ * Bar positions are offsets from the last bar, like the graphics fixtures.
+ */
+function volumeProfile(type, inputs, rows) {
+  const first = inputs.first_bar_time ?? inputs.first_visible_bar_time;
+  const last = inputs.last_bar_time ?? inputs.last_visible_bar_time;
+  const groups = new Map();
+  rows.forEach(([time], i) => {
+    if (first && time * 1000 < first) return;
+    if (last && time * 1000 > last) return;
+    const key = type.startsWith('VbPSessions') ? time - (time % 86400) : 0;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+
+  const count = inputs.rows || 24;
+  const round = (v) => Math.round(v * 100) / 100;
+  const hhists = [];
+  for (const indexes of groups.values()) {
+    const low = Math.min(...indexes.map(i => rows[i][3]));
+    const high = Math.max(...indexes.map(i => rows[i][2]));
+    const step = (high - low) / count;
+    const rates = Array.from({ length: count }, () => [0, 0]);
+    for (const i of indexes) {
+      const [, open, barHigh, barLow, close, volume] = rows[i];
+      const from = Math.min(count - 1, Math.floor((barLow - low) / step));
+      const to = Math.min(count - 1, Math.floor((barHigh - low) / step));
+      for (let r = from; r <= to; r++) rates[r][close >= open ? 0 : 1] += volume / (to - from + 1);
+    }
+    rates.forEach((rate, r) => hhists.push({
+      id: hhists.length + 1,
+      priceLow: round(low + r * step),
+      priceHigh: round(low + (r + 1) * step),
+      firstBarTime: indexes[0] - (rows.length - 1),
+      lastBarTime: indexes[indexes.length - 1] - (rows.length - 1),
+      rate: rate.map(round),
+    }));
+  }
+  return hhists;
+}
+
+/** Stable 32-bit FNV-1a hash */
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Zip `text` as a single entry named '' — the layout of TradingView's `dataCompressed`
+ * (protocol.parseCompressed reads file ''). Built by hand: JSZip skips nameless entries.
+ * @returns {string} Base64
+ */
+function zipNameless(text) {
+  const data = Buffer.from(text);
+  const compressed = zlib.deflateRawSync(data);
+  const crc = zlib.crc32(data);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4); // version needed
+  local.writeUInt16LE(8, 8); // deflate
+  local.writeUInt16LE(0x21, 12); // 1980-01-01
+  local.writeUInt32LE(crc, 14);
+  local.writeUInt32LE(compressed.length, 18);
+  local.writeUInt32LE(data.length, 22);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4); // version made by
+  central.writeUInt16LE(20, 6); // version needed
+  central.writeUInt16LE(8, 10);
+  central.writeUInt16LE(0x21, 14);
+  central.writeUInt32LE(crc, 16);
+  central.writeUInt32LE(compressed.length, 20);
+  central.writeUInt32LE(data.length, 24);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(central.length, 12);
+  end.writeUInt32LE(local.length + compressed.length, 16);
+
+  return Buffer.concat([local, compressed, central, end]).toString('base64');
+}
+
+/** Parse a `={...}` symbol init (resolve_symbol, quote keys, history requests) */
+function parseSymbolInit(value) {
+  if (typeof value !== 'string' || !value.startsWith('=')) return { symbol: value };
+  const init = JSON.parse(value.slice(1));
+  // Chart types / replay wrap the symbol init one level down
+  return typeof init.symbol === 'object' ? init.symbol : init;
+}
+
+/**
+ * Start the mock server.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port (0 = any free port)
+ * @param {string} [options.fixturesDir] - Fixture directory (default: ./fixtures)
+ * @param {string[]} [options.sessions=['mock-session']] - Accepted `sessionid` cookies; others get the logged-out redirect
+ * @param {number} [options.userPageDelay=100] - Home page latency (ms), see USER_PAGE_DELAY
+ * @param {number} [options.endTime] - Time of the latest bar (default: DEFAULT_END_TIME)
+ * @param {boolean} [options.hello=true] - Greet new WebSockets; without the hello, logins hang
+ * @returns {Promise<{url: string, port: number, received: Object[], connections: () => number,
+ *   dropConnections: () => void, setEndTime: (time: number) => void, close: () => Promise<void>}>}
+ *   `received` logs every client packet as {server, m, p}; `dropConnections()` severs
+ *   all WebSockets (for reconnect tests); `setEndTime()` moves the latest bar, as if
+ *   new bars had been printed.
+ */
+async function startMockServer(options = {}) {
+  const {
+    port = 0, sessions = [MOCK_SESSION], userPageDelay = USER_PAGE_DELAY, hello = true,
+  } = options;
+  const fixtures = loadFixtures(options.fixturesDir || FIXTURES_DIR);
+  const received = [];
+  let endTime = options.endTime || DEFAULT_END_TIME;
+
+  // --- HTTP ---
+
+  const app = express();
+  app.use(express.json());
+
+  app.get('/pine-facade/pine-facade/translate/:id/:version', (req, res) => {
+    const indicator = fixtures.indicators[req.params.id];
+    if (!indicator) {
+      res.json({ success: false, reason: `no such script: ${req.params.id}` });
+      return;
+    }
+    res.json(indicator);
+  });
+
+  const indicatorList = () => Object.entries(fixtures.indicators).map(([id, { result }]) => ({
+    scriptIdPart: id,
+    scriptName: result.metaInfo.description,
+    version: result.metaInfo.pine.version,
+    extra: { kind: result.metaInfo.isTVScriptStrategy ? 'strategy' : 'study' },
+  }));
+
+  app.get('/pine-facade/pine-facade/list', (req, res) => {
+    res.json(req.query.filter === 'saved' ? [] : indicatorList());
+  });
+
+  app.get('/www/pubscripts-suggest-json', (req, res) => {
+    res.json({ results: [] });
+  });
+
+  app.post('/scanner/global/scan', (req, res) => {
+    const tickers = req.body?.symbols?.tickers || [];
+    res.json({
+      totalCount: tickers.length,
+      data: tickers.filter(t => fixtures.scan[t]).map(t => ({ s: t, d: fixtures.scan[t] })),
+    });
+  });
+
+  app.get('/symbol-search/symbol_search/v3', (req, res) => {
+    const text = String(req.query.text || '').toUpperCase();
+    const exchange = String(req.query.exchange || '').toUpperCase();
+    const type = req.query.search_type;
+    const symbols = fixtures.search
+      .filter(s => !text || s.symbol.includes(text) || s.description.toUpperCase().includes(text)
+        || (s.keywords || []).includes(text))
+      .filter(s => !exchange || (s.prefix || s.exchange).toUpperCase() === exchange)
+      .filter(s => !type || (SEARCH_TYPES[type] || [type]).includes(s.type))
+      .map(({ keywords, ...s }) => s);
+    res.json({ symbols_remaining: 0, symbols: symbols.slice(Number(req.query.start) || 0) });
+  });
+
+  // Any other www page is the home page: logged in (with auth_token) for a known
+  // session, otherwise the redirect TradingView sends logged-out visitors
+  app.get(/^\/www(\/.*)?$/, (req, res) => {
+    const cookie = /(?:^|;\s*)sessionid=([^;]+)/.exec(req.get('cookie') || '');
+    if (!cookie || !sessions.includes(cookie[1])) {
+      res.redirect(302, 'https://www.tradingview.com/');
+      return;
+    }
+    setTimeout(() => res.type('html').send(fixtures.userPage), userPageDelay);
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ success: false, reason: `mock: no route for ${req.method} ${req.path}` });
+  });
+
+  const httpServer = http.createServer(app);
+
+  // --- WebSocket ---
+
+  const wss = new WebSocketServer({ server: httpServer, path: '/socket.io/websocket' });
+
+  /** Strategy report for a set of inputs, scaled so different parameters rank differently */
+  function compressedReport(inputs) {
+    const values = Object.keys(inputs || {}).filter(k => k.startsWith('in_')).sort()
+      .map(k => JSON.stringify(inputs[k].v)).join(',');
+    const factor = 0.5 + (hash(values) % 1001) / 1000;
+    const scale = (v) => (typeof v === 'number' ? Math.round(v * factor * 100) / 100 : v);
+
+    const report = JSON.parse(JSON.stringify(fixtures.strategyReport));
+    for (const perf of [report.performance.all, report.performance.long, report.performance.short]) {
+      for (const key of ['netProfit', 'netProfitPercent', 'grossProfit', 'grossProfitPercent', 'avgTrade', 'avgTradePercent', 'avgWinTrade', 'largestWinTrade']) {
+        perf[key] = scale(perf[key]);
+      }
+      perf.profitFactor = scale(perf.profitFactor);
+    }
+    for (const trade of report.trades) {
+      if (trade.tp.v > 0) trade.tp.v = scale(trade.tp.v);
+    }
+    let cumulative = 0;
+    for (const trade of report.trades) {
+      cumulative += trade.tp.v;
+      trade.cp.v = Math.round(cumulative * 100) / 100;
+    }
+    report.equity = report.trades.map(t => t.cp.v);
+
+    return zipNameless(JSON.stringify({ report }));
+  }
+
+  wss.on('connection', (ws, req) => {
+    const server = new URL(req.url, 'http://mock').searchParams.get('server') || 'data';
+    /** chart session → {symbols: {ser_N: fixture}, series: {fixture, timeframe, end, count, oldest, last, live}} */
+    const charts = {};
+    /** quote session → {keys: Set of symbol keys, ticker, step} */
+    const quoteSessions = {};
+
+    const send = (m, p) => {
+      if (ws.readyState === ws.OPEN) ws.send(protocol.formatWSPacket({ m, p }));
+    };
+
+    const bars = (fixture, timeframe, end, count) => {
+      const tf = timeframeSeconds(timeframe);
+      const last = Math.floor(end / tf) * tf;
+      return Array.from({ length: count }, (_, i) => barAt(fixture.basePrice, last - (count - 1 - i) * tf, tf));
+    };
+
+    /** The series' `count` bars, oldest first, in its chart type when it has one */
+    // A chart type's range counts its own bars (bricks, ...), so build them from enough candles
+    const seriesBars = (series, count) => {
+      if (!series.fixture.chartType) return bars(series.fixture, series.timeframe, series.end, count);
+      const rows = bars(series.fixture, series.timeframe, series.end, Math.max(count, 500));
+      return chartTypeBars(series.fixture.chartType, rows).slice(-count);
+    };
+
+    function sendSeries(cs, chart, count) {
+      const { series } = chart;
+      const rows = seriesBars(series, count);
+      series.oldest = rows[0]?.[0];
+      series.last = rows[rows.length - 1]?.[0];
+      send('timescale_update', [cs, {
+        $prices: { node: 'mock', s: rows.map((v, i) => ({ i, v })), ns: { d: '', indexes: [] }, t: 's1' },
+      }, { index: rows.length - 1, zoffset: 0, changes: [], marks: [], index_diff: [] }]);
+      send('series_completed', [cs, 's1', 'streaming']);
+    }
+
+    function sendStudy(cs, chart, stId, type, inputs) {
+      if (String(type).startsWith('StrategyScript')) {
+        const indicator = fixtures.indicators[inputs?.pineId];
+        if (!indicator) {
+          send('study_error', [cs, stId, 'st1', 'Script error', `mock: no such script ${inputs?.pineId}`]);
+          return;
+        }
+        const d = JSON.stringify({ dataCompressed: compressedReport(inputs) });
+        send('du', [cs, { [stId]: { node: 'mock', st: [], ns: { d, indexes: 'nochange' } } }]);
+        send('study_completed', [cs, stId, 'st1_mock']);
+        tick(cs, chart);
+        return;
+      }
+
+      const rows = chart.series ? seriesBars(chart.series, chart.series.count) : [];
+      if (type.startsWith('VbP')) {
+        const hhists = volumeProfile(type, inputs || {}, rows);
+        const ns = rows.length > 0 ? graphicsCmds({ hhists }, rows.length - 1) : { d: '', indexes: [] };
+        send('du', [cs, { [stId]: { node: 'mock', st: [], ns } }]);
+        send('study_completed', [cs, stId, 'st1_mock']);
+        tick(cs, chart);
+        return;
+      }
+
+      // Indicator plots: one row per loaded bar, v = [time, ...plots]
+      const plotCount = type.startsWith('Script')
+        ? (fixtures.indicators[inputs?.pineId]?.result.metaInfo.plots.length ?? -1)
+        : 1;
+      if (plotCount < 0) {
+        send('study_error', [cs, stId, 'st1', 'Script error', `mock: no such script ${inputs?.pineId}`]);
+        return;
+      }
+      const tf = chart.series ? timeframeSeconds(chart.series.timeframe) : 86400;
+      const st = rows.map(([time], i) => ({
+        i,
+        v: [time, ...Array.from({ length: plotCount }, (_, j) => Math.round((50 + 40 * Math.sin(time / (tf * (7 + j)))) * 100) / 100)],
+      }));
+      const drawings = fixtures.graphics[inputs?.pineId];
+      const ns = drawings && st.length > 0
+        ? graphicsCmds(drawings, st.length - 1)
+        : { d: '', indexes: st.map(r => r.i) };
+      send('du', [cs, { [stId]: { node: 'mock', st, ns } }]);
+      send('study_completed', [cs, stId, 'st1_mock']);
+      tick(cs, chart);
+    }
+
+    /**
+     * Pine drawings as TradingView sends them: `graphicsCmds.create` groups, with every
+     * x position an index into `indexes` (the bar indexes the drawings refer to).
+     * Fixture positions are bar offsets from the last loaded bar (0 = last, -1 = previous).
+     */
+    function graphicsCmds(drawings, lastIndex) {
+      const indexes = [];
+      const xPos = (offset) => {
+        const i = lastIndex + offset;
+        if (!indexes.includes(i)) indexes.push(i);
+        return indexes.indexOf(i);
+      };
+      const create = {};
+      for (const [type, items] of Object.entries(drawings)) {
+        create[type] = [{ data: items.map((item) => {
+          const drawing = { ...item };
+          ['x', 'x1', 'x2', 'startIndex', 'endIndex', 'firstBarTime', 'lastBarTime'].forEach((k) => {
+            if (k in drawing) drawing[k] = xPos(drawing[k]);
+          });
+          if (drawing.points) drawing.points = drawing.points.map(pt => ({ ...pt, index: xPos(pt.index) }));
+          return drawing;
+        }) }];
+      }
+      return { d: JSON.stringify({ graphicsCmds: { create } }), indexes };
+    }
+
+    /**
+     * Realtime updates of the forming bar, as TradingView streams them: its close and
+     * volume move on every tick, and a live series (no reference time) gets a new bar for
+     * each period setEndTime() moved past. Clients that watch the chart's `update` event
+     * (the optimizer) also see study data through these.
+     */
+    function tick(cs, chart) {
+      if (chart.ticker || chart.series?.fixture.chartType) return;
+      chart.step = 0;
+      chart.ticker = setInterval(() => {
+        const { series } = chart;
+        if (!series) return;
+        const tf = timeframeSeconds(series.timeframe);
+        const rows = [];
+        if (series.live) {
+          while (series.last + tf <= endTime) {
+            rows.push({ i: series.count - 1, v: barAt(series.fixture.basePrice, series.last, tf) }); // Final values
+            series.last += tf;
+            series.count += 1;
+          }
+        }
+        chart.step += 1;
+        const [time, open, high, low, , volume] = barAt(series.fixture.basePrice, series.last, tf);
+        const close = Math.round((low + (high - low) * (0.5 + 0.5 * Math.sin(chart.step))) * 100) / 100;
+        rows.push({ i: series.count - 1, v: [time, open, high, low, close, volume + chart.step] });
+        send('du', [cs, { $prices: { node: 'mock', s: rows } }]);
+      }, TICK_INTERVAL);
+    }
+
+    /**
+     * Realtime quote updates: every TICK_INTERVAL each subscribed symbol gets a partial
+     * `qsd` with the fields that move (last price, bid/ask, volume, change), like
+     * TradingView sends after the first full snapshot.
+     */
+    function quoteTick(qs) {
+      const session = quoteSessions[qs];
+      if (!session || session.ticker) return;
+      session.ticker = setInterval(() => {
+        session.step += 1;
+        for (const key of session.keys) {
+          const quote = fixtures.quotes[parseSymbolInit(key).symbol];
+          const move = Math.round(quote.lp * 0.001 * Math.sin(session.step) * 100) / 100;
+          const lp = Math.round((quote.lp + move) * 100) / 100;
+          const ch = Math.round((lp - quote.prev_close_price) * 100) / 100;
+          send('qsd', [qs, {
+            n: key,
+            s: 'ok',
+            v: {
+              lp,
+              bid: Math.round((lp - 0.01) * 100) / 100,
+              ask: lp,
+              volume: Math.round((quote.volume + session.step) * 100) / 100,
+              ch,
+              chp: Math.round((ch / quote.prev_close_price) * 10000) / 100,
+            },
+          }]);
+        }
+      }, TICK_INTERVAL);
+    }
+
+    const handlers = {
+      quote_create_session([qs]) { quoteSessions[qs] = { keys: new Set(), ticker: null, step: 0 }; },
+      quote_delete_session([qs]) {
+        clearInterval(quoteSessions[qs]?.ticker);
+        delete quoteSessions[qs];
+      },
+      quote_remove_symbols([qs, ...keys]) {
+        keys.forEach(key => quoteSessions[qs]?.keys.delete(key));
+      },
+
+      chart_create_session([cs]) { charts[cs] = { symbols: {}, series: null, studies: {} }; },
+      chart_delete_session([cs]) {
+        clearInterval(charts[cs]?.ticker);
+        delete charts[cs];
+      },
+
+      resolve_symbol([cs, serId, init]) {
+        const { symbol } = parseSymbolInit(init);
+        const fixture = fixtures.symbols[symbol];
+        if (!charts[cs]) return;
+        if (!fixture) {
+          send('symbol_error', [cs, serId, 'invalid symbol']);
+          return;
+        }
+        const { type, inputs } = init.startsWith('=') ? JSON.parse(init.slice(1)) : {};
+        charts[cs].symbols[serId] = type ? { ...fixture, chartType: { type, inputs } } : fixture;
+        send('symbol_resolved', [cs, serId, fixture.infos]);
+      },
+
+      create_series([cs, , , serId, timeframe, range]) {
+        const chart = charts[cs];
+        const fixture = chart?.symbols[serId];
+        if (!fixture) return;
+        const [, end, count] = Array.isArray(range) ? range : [null, endTime, range];
+        chart.series = {
+          fixture, timeframe, end: Math.min(end || endTime, endTime), count: Number(count) || 100, live: !end || end >= endTime,
+        };
+        sendSeries(cs, chart, chart.series.count);
+        tick(cs, chart);
+      },
+
+      modify_series([cs, , , serId, timeframe]) {
+        const chart = charts[cs];
+        const fixture = chart?.symbols[serId];
+        if (!fixture || !chart.series) return;
+        Object.assign(chart.series, { fixture, timeframe });
+        sendSeries(cs, chart, chart.series.count);
+      },
+
+      request_more_data([cs, , count]) {
+        const series = charts[cs]?.series;
+        if (!series || series.fixture.chartType) return;
+        const tf = timeframeSeconds(series.timeframe);
+        const rows = Array.from({ length: count }, (_, i) => barAt(series.fixture.basePrice, series.oldest - (count - i) * tf, tf));
+        series.oldest = rows[0][0];
+        series.count += count;
+        send('timescale_update', [cs, { $prices: { node: 'mock', s: rows.map((v, i) => ({ i: i - count, v })) } }]);
+      },
+
+      create_study([cs, stId, , , type, inputs]) {
+        const chart = charts[cs];
+        if (!chart) return;
+        chart.studies[stId] = { type, inputs };
+        return sendStudy(cs, chart, stId, type, inputs);
+      },
+
+      modify_study([cs, stId, , inputs]) {
+        const chart = charts[cs];
+        const study = chart?.studies[stId];
+        if (!study) return;
+        study.inputs = inputs;
+        return sendStudy(cs, chart, stId, study.type, inputs);
+      },
+
+      remove_study([cs, stId]) { delete charts[cs]?.studies[stId]; },
+
+      quote_add_symbols([qs, ...keys]) {
+        for (const key of keys) {
+          const { symbol } = parseSymbolInit(key);
+          const quote = fixtures.quotes[symbol];
+          if (quote) {
+            send('qsd', [qs, { n: key, s: 'ok', v: quote }]);
+            send('quote_completed', [qs, key]);
+            if (quoteSessions[qs]) {
+              quoteSessions[qs].keys.add(key);
+              quoteTick(qs);
+            }
+          } else {
+            send('qsd', [qs, { n: key, s: 'error', errmsg: 'invalid symbol', v: {} }]);
+          }
+        }
+      },
+
+      request_history_data([hs, reqId, init, , , , type, inputs]) {
+        const { symbol } = parseSymbolInit(init);
+        if (!fixtures.symbols[symbol]) {
+          send('request_error', [hs, 'symbol_error', `invalid symbol ${symbol}`]);
+          return;
+        }
+        if (!fixtures.indicators[inputs?.pineId] || !String(type).startsWith('StrategyScript')) {
+          send('request_error', [hs, 'study_error', `mock: no such strategy ${inputs?.pineId}`]);
+          return;
+        }
+        const d = JSON.stringify({ dataCompressed: compressedReport(inputs) });
+        send('request_data', [hs, reqId, { ns: { d } }]);
+      },
+    };
+
+    ws.on('message', (data) => {
+      protocol.parseWSPacket(data.toString()).forEach((packet) => {
+        if (!packet || typeof packet !== 'object' || !packet.m) return; // Heartbeat echoes
+        received.push({ server, m: packet.m, p: packet.p });
+        const handler = handlers[packet.m];
+        if (handler) Promise.resolve(handler(packet.p || [])).catch((error) => send('critical_error', [packet.p?.[0], 'mock_error', error.message]));
+      });
+    });
+
+    ws.on('close', () => {
+      Object.values(charts).forEach(chart => clearInterval(chart.ticker));
+      Object.values(quoteSessions).forEach(session => clearInterval(session.ticker));
+    });
+
+    // Server hello: the first packet is what logs the client in
+    if (hello) {
+      ws.send(protocol.formatWSPacket({
+        session_id: `mock_${Date.now()}`, timestamp: Math.floor(Date.now() / 1000), release: 'mock', protocol: 'json',
+      }));
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(port, '127.0.0.1', resolve);
+  });
+  const actualPort = httpServer.address().port;
+
+  return {
+    url: `http://127.0.0.1:${actualPort}`,
+    port: actualPort,
+    received,
+    connections: () => wss.clients.size,
+    dropConnections() {
+      wss.clients.forEach(ws => ws.terminate());
+    },
+    setEndTime(time) {
+      endTime = time;
+    },
+    close() {
+      wss.clients.forEach(ws => ws.terminate());
+      return new Promise((resolve) => {
+        wss.close(() => httpServer.close(() => resolve()));
+      });
+    },
+  };
+}
+
+async function main() {
+  const port = parseInt(process.argv[2], 10) || 0;
+  const mock = await startMockServer({ port });
+  console.log(JSON.stringify({
+    success: true,
+    message: 'Mock TradingView server running (Ctrl+C to stop)',
+    url: mock.url,
+    env: { TV_MOCK_URL: mock.url, TV_SESSION: MOCK_SESSION },
+  }, null, 2));
+  process.on('SIGINT', () => mock.close().then(() => process.exit(0)));
+}
+
+module.exports = {
+  MOCK_SESSION,
+  DEFAULT_END_TIME,
+  barAt,
+  startMockServer,
+};
+if (require.main === module) main();
@@ -0,0 +1,93 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { simulateTrades } = require('../lib/monte-carlo');
+const { monteCarlo } = require('../skills/monte-carlo');
+const { monteCarloReport } = require('../workflows/monte-carlo');
+
+const SCRIPT = 'STD;RSI%1Strategy';
+const PROFITS = [300, -200, 150, -400, -100, 500, 250, -300, 200, 100];
+
+describe('monte carlo', () => {
+  useMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-mc-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('shuffles trade order: same final equity, different drawdowns', () => {
+    const result = simulateTrades(PROFITS, { accountSize: 5000, runs: 500, seed: 7 });
+    assert.deepEqual(result.original, {
+      maxDrawdown: 550, maxDrawdownPercent: 10.38, finalEquity: 5500, longestLosingStreak: 2, ruined: false,
+    });
+    assert.equal(result.finalEquity.min, 5500);
+    assert.equal(result.finalEquity.max, 5500);
+    // All four losers in a row is the worst case
+    assert.ok(result.maxDrawdown.max <= 1000);
+    assert.ok(result.longestLosingStreak.max <= 4);
+
+    const dd = result.maxDrawdownPercent.percentiles;
+    assert.ok(dd.p5 <= dd.p25 && dd.p25 <= dd.p50 && dd.p50 <= dd.p75 && dd.p75 <= dd.p95);
+    assert.equal(result.maxDrawdown.histogram.reduce((s, b) => s + b.count, 0), 500);
+
+    assert.deepEqual(simulateTrades(PROFITS, { accountSize: 5000, runs: 500, seed: 7 }), result, 'seeded runs repeat');
+  });
+
+  it('bootstraps with skipped trades and estimates ruin', () => {
+    const small = simulateTrades(PROFITS, {
+      accountSize: 600, runs: 1000, method: 'bootstrap', skipProbability: 0.2, seed: 1, includeSamples: true,
+    });
+    assert.ok(small.finalEquity.min < small.finalEquity.max);
+    assert.ok(small.probabilityOfRuin > 0 && small.probabilityOfRuin < 1);
+    assert.equal(small.samples.length, 1000);
+    // Ruin counts any point at or below the ruin level, not just the final equity
+    assert.ok(small.samples.filter(s => s.finalEquity <= 0).length / 1000 <= small.probabilityOfRuin);
+
+    const halfRuin = simulateTrades(PROFITS, { accountSize: 600, runs: 1000, method: 'bootstrap', ruinPercent: 50, seed: 1 });
+    assert.ok(halfRuin.probabilityOfRuin >= small.probabilityOfRuin);
+    assert.equal(halfRuin.ruinLevel, 300);
+
+    const large = simulateTrades(PROFITS, { accountSize: 1e6, runs: 200, method: 'bootstrap', seed: 1 });
+    assert.equal(large.probabilityOfRuin, 0);
+
+    assert.throws(() => simulateTrades(PROFITS, { accountSize: 1000, method: 'jackknife' }), /Unknown method "jackknife"/);
+    assert.throws(() => simulateTrades(PROFITS, { accountSize: 1000, skipProbability: 1 }), /skipProbability must be in \[0, 1\)/);
+    assert.throws(() => simulateTrades(PROFITS, { accountSize: 1000, percentiles: [50, 101] }), /percentiles must be numbers in \[0, 100\], got \[50,101\]/);
+    assert.throws(() => simulateTrades(PROFITS, { accountSize: 1000, percentiles: 95 }), /percentiles must be numbers/);
+    assert.throws(() => simulateTrades(PROFITS, { accountSize: 1000, bins: 0 }), /bins must be a positive integer, got 0/);
+    assert.throws(() => simulateTrades(PROFITS, { accountSize: 1000, bins: 2.5 }), /bins must be a positive integer/);
+    assert.throws(() => simulateTrades([], { accountSize: 1000 }), /No closed trades/);
+  });
+
+  it('simulates a strategy backtest', async () => {
+    const result = await monteCarlo(SCRIPT, 'BINANCE:BTCUSDT', {
+      range: 500, runs: 300, method: 'bootstrap', seed: 3,
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.scriptId, SCRIPT);
+    assert.equal(result.simulation.trades, 6);
+    assert.ok(Math.abs(result.simulation.accountSize - 10000) < 1, 'initial capital of the strategy');
+    assert.match(result.message, /300 bootstrap runs of 6 trades: max drawdown [\d.]+% median/);
+
+    const fromReport = await monteCarlo({ trades: [] }, undefined, { accountSize: 1000 });
+    assert.equal(fromReport.success, false);
+    assert.match(fromReport.error, /No closed trades/);
+  });
+
+  it('writes scenario samples and histograms', async () => {
+    const result = await monteCarloReport(SCRIPT, {
+      range: 500, runs: 200, skipProbability: 0.25, accountSize: 5000, seed: 11, outputDir: dir,
+    });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.scenarios.map(s => s.name), ['shuffle', 'bootstrap', 'bootstrap, 25% skipped']);
+    assert.equal(result.files.csv.length, 3);
+
+    const lines = fs.readFileSync(result.files.csv[2], 'utf-8').trim().split('\n');
+    assert.equal(lines[0], 'run,maxDrawdown,maxDrawdownPercent,finalEquity,longestLosingStreak');
+    assert.equal(lines.length, 201);
+    const html = fs.readFileSync(result.files.html, 'utf-8');
+    assert.match(html, /<h2>bootstrap, 25% skipped — [\d.]+% risk of ruin<\/h2>/);
+    assert.equal((html.match(/class="hist"/g) || []).length, 9);
+  });
+});
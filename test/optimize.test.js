@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { optimizeStrategy } = require('../workflows/optimize-strategy');
+
+const SCRIPT = 'STD;RSI%1Strategy';
+const PARAM_RANGES = { Length: [7, 14, 21], overSold: [25, 30] };
+
+describe('optimizer', () => {
+  const mock = useMockServer();
+  let journalDir;
+
+  before(() => { journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-journal-')); });
+  after(() => fs.rmSync(journalDir, { recursive: true, force: true }));
+
+  it('sweeps a grid and ranks the combos', async () => {
+    const progress = [];
+    const result = await optimizeStrategy(SCRIPT, {
+      paramRanges: PARAM_RANGES, range: 300, journalDir, onProgress: (p) => progress.push(p),
+    });
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.totalCombinations, 6);
+    assert.equal(result.successfulRuns, 6);
+    assert.equal(result.concurrency, 2); // max_connections from the mock's auth token
+    const profits = result.ranked.map(r => r.netProfit);
+    assert.deepEqual(profits, [...profits].sort((a, b) => b - a));
+    assert.equal(new Set(profits).size, 6);
+    assert.deepEqual(progress.at(-1), { ...progress.at(-1), done: 6, total: 6, failed: 0 });
+  });
+
+  it('resumes a journaled sweep without re-running combos', async () => {
+    const dir = path.join(journalDir, 'resume');
+    const options = { paramRanges: PARAM_RANGES, range: 300, journalDir: dir, concurrency: 1 };
+    const full = await optimizeStrategy(SCRIPT, options);
+    assert.equal(full.success, true, full.message);
+
+    // Cut the journal down to the header and the first 3 results, as if the sweep had died there
+    const file = path.join(dir, `${full.runId}.jsonl`);
+    const lines = fs.readFileSync(file, 'utf-8').split('\n');
+    fs.writeFileSync(file, lines.slice(0, 4).join('\n') + '\n');
+
+    const sent = mock.server.received.length;
+    const result = await optimizeStrategy(SCRIPT, options);
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.runId, full.runId);
+    assert.equal(result.resumedRuns, 3);
+    assert.equal(result.successfulRuns, 6);
+    assert.equal(mock.server.received.slice(sent).filter(p => p.m === 'create_study').length, 3);
+    assert.deepEqual(result.ranked.map(r => r.params), full.ranked.map(r => r.params));
+
+    // A wider space is a different sweep with its own journal
+    const wider = await optimizeStrategy(SCRIPT, {
+      ...options, paramRanges: { ...PARAM_RANGES, Length: [7, 14, 21, 28] },
+    });
+    assert.equal(wider.success, true, wider.message);
+    assert.notEqual(wider.runId, result.runId);
+    assert.equal(wider.resumedRuns, 0);
+  });
+
+  it('rejects malformed ranking options before any backtest', async () => {
+    const sent = mock.server.received.length;
+    const run = (options) => optimizeStrategy(SCRIPT, {
+      paramRanges: PARAM_RANGES, range: 300, journal: false, ...options,
+    });
+    assert.match((await run({ objectives: { netProfit: 0 } })).message, /At least one objective with a positive weight/);
+    assert.match((await run({ pareto: [] })).message, /Pareto front requires at least one metric/);
+    assert.match((await run({ pareto: [{ metric: 'netProfit', direction: 'up' }] })).message, /Invalid Pareto direction "up"/);
+    assert.ok(!mock.server.received.slice(sent).some(p => p.m === 'create_study'));
+  });
+
+  it('stops when cancelled', async () => {
+    const controller = new AbortController();
+    const result = await optimizeStrategy(SCRIPT, {
+      paramRanges: { Length: [5, 6, 7, 8, 9, 10, 11, 12] },
+      range: 300,
+      journalDir,
+      concurrency: 1,
+      signal: controller.signal,
+      onProgress: ({ done }) => { if (done === 2) controller.abort(); },
+    });
+    assert.equal(result.success, false);
+    assert.equal(result.cancelled, true);
+    assert.ok(result.completedRuns < 8);
+  });
+
+  it('runs a random search within its evaluation budget', async () => {
+    const result = await optimizeStrategy(SCRIPT, {
+      paramRanges: { Length: { min: 5, max: 30, step: 1 }, overBought: [65, 70, 75] },
+      range: 300,
+      journal: false,
+      search: 'random',
+      maxEvaluations: 5,
+      seed: 42,
+    });
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.totalCombinations, 5);
+    assert.equal(result.search.strategy, 'random');
+  });
+
+  it('resumes an interrupted search without a seed', async () => {
+    const dir = path.join(journalDir, 'unseeded');
+    const options = {
+      paramRanges: { Length: { min: 5, max: 30, step: 1 } },
+      range: 300,
+      journalDir: dir,
+      search: 'random',
+      maxEvaluations: 6,
+      concurrency: 1,
+    };
+    const controller = new AbortController();
+    const interrupted = await optimizeStrategy(SCRIPT, {
+      ...options, signal: controller.signal, onProgress: ({ done }) => { if (done === 3) controller.abort(); },
+    });
+    assert.equal(interrupted.cancelled, true);
+
+    // Same sweep, same journal: the recorded seed retraces the search
+    const resumed = await optimizeStrategy(SCRIPT, options);
+    assert.equal(resumed.success, true, resumed.message);
+    assert.equal(resumed.runId, interrupted.runId);
+    assert.equal(resumed.resumedRuns, interrupted.completedRuns);
+    assert.equal(resumed.totalCombinations, 6);
+    const header = JSON.parse(fs.readFileSync(path.join(dir, `${resumed.runId}.jsonl`), 'utf-8').split('\n')[0]);
+    assert.equal(resumed.search.seed, header.options.seed);
+  });
+
+  it('runs genetic and TPE searches without repeating a combo', async () => {
+    for (const search of ['genetic', 'tpe']) {
+      const result = await optimizeStrategy(SCRIPT, {
+        paramRanges: { Length: { min: 5, max: 30, step: 1 }, overBought: [65, 70, 75] },
+        range: 300,
+        journal: false,
+        search,
+        maxEvaluations: 8,
+        seed: 7,
+        searchOptions: search === 'genetic' ? { populationSize: 4 } : { initialSamples: 4 },
+      });
+      assert.equal(result.success, true, result.message);
+      assert.equal(result.search.strategy, search);
+      assert.equal(result.totalCombinations, 8);
+      assert.equal(new Set(result.ranked.map(r => JSON.stringify(r.params))).size, result.ranked.length);
+    }
+  });
+});
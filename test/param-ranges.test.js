@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getParamValues, buildParamSpace, spaceSize, generateComboAtIndex, iterateCombos,
+} = require('../lib/param-ranges');
+
+const INT = { id: 'in_0', name: 'Length', type: 'integer' };
+const FLOAT = { id: 'in_1', name: 'Multiplier', type: 'float' };
+const BOOL = { id: 'in_2', name: 'Use Filter', type: 'bool' };
+const MA = { id: 'in_3', name: 'MA Type', type: 'text', options: ['EMA', 'SMA', 'WMA'] };
+const SESSION = { id: 'in_4', name: 'Session', type: 'session' };
+
+describe('param ranges', () => {
+  it('expands the numeric modes', () => {
+    assert.deepEqual(getParamValues(INT, { mode: 'single', start: 5, end: 20, increment: 5 }), [5, 10, 15, 20]);
+    assert.deepEqual(getParamValues(INT, { min: 1, max: 4 }), [1, 2, 3, 4]);
+    assert.deepEqual(getParamValues(INT, {
+      type: 'integer', start: 1, end: 10, increment: 1, avoidRanges: [{ start: 3, end: 8 }],
+    }), [1, 2, 9, 10]);
+    assert.deepEqual(getParamValues(INT, {
+      mode: 'clustered', clusters: [{ start: 40, end: 50, increment: 10 }, { start: 5, end: 7, increment: 1 }],
+    }), [5, 6, 7, 40, 50]);
+    assert.deepEqual(getParamValues(INT, { mode: 'specific', specificValues: ['7', 14, 21.6] }), [7, 14, 21]);
+    assert.deepEqual(getParamValues(INT, { mode: 'locked', lockedValue: 14 }), [14]);
+    assert.deepEqual(getParamValues(INT, [7, 14]), [7, 14]);
+    assert.deepEqual(getParamValues(INT, 9), [9]);
+
+    assert.throws(() => getParamValues(INT, { mode: 'single', start: 10, end: 5 }), /invalid range/);
+    assert.throws(() => getParamValues(INT, { mode: 'clustered' }), /clustered mode requires clusters/);
+    assert.throws(() => getParamValues(INT, { mode: 'locked' }), /locked mode requires lockedValue/);
+    assert.throws(() => getParamValues(INT, { mode: 'warp' }), /unknown range mode "warp"/);
+    assert.throws(() => getParamValues(MA, { min: 1, max: 3 }), /single ranges only apply to integer\/float/);
+  });
+
+  it('applies avoid ranges in single mode only', () => {
+    const clusters = [{ start: 1, end: 5, increment: 1 }];
+    assert.deepEqual(getParamValues(INT, {
+      mode: 'clustered', clusters, avoidRanges: [{ start: 2, end: 4 }],
+    }), [1, 2, 3, 4, 5]);
+  });
+
+  it('rounds float ranges to 4 decimals like the extension', () => {
+    assert.deepEqual(getParamValues(FLOAT, { type: 'float', start: 0.1, end: 0.5, increment: 0.1 }), [0.1, 0.2, 0.3, 0.4, 0.5]);
+    assert.deepEqual(getParamValues(FLOAT, { start: 1, end: 1.00015, increment: 0.00005 }), [1, 1.0001, 1.0002]);
+  });
+
+  it('reads checkbox and dropdown specs by type first', () => {
+    assert.deepEqual(getParamValues(BOOL, { type: 'checkbox', mode: 'single', values: ['true', 'false'] }), [true, false]);
+    assert.deepEqual(getParamValues(BOOL, { type: 'checkbox', mode: 'locked', lockedValue: 'false' }), [false]);
+    assert.deepEqual(getParamValues(BOOL, { values: [true, false] }), [true, false]);
+
+    assert.deepEqual(getParamValues(MA, { type: 'dropdown', values: 'EMA, sma' }), ['EMA', 'SMA']);
+    assert.deepEqual(getParamValues(MA, { type: 'dropdown', mode: 'locked', lockedValue: 'WMA' }), ['WMA']);
+    assert.deepEqual(getParamValues(MA, { type: 'dropdown', mode: 'clustered', values: ['SMA'] }), ['SMA']);
+    assert.throws(() => getParamValues(MA, { type: 'dropdown', values: 'EMA, HMA' }), /"HMA" is not one of/);
+    assert.throws(() => getParamValues(BOOL, { type: 'dropdown', values: ['true'] }), /range type "dropdown" does not match/);
+    assert.throws(() => getParamValues(BOOL, { type: 'checkbox' }), /requires a non-empty specificValues/);
+  });
+
+  it('builds session start × end combinations', () => {
+    const spec = {
+      type: 'session',
+      mode: 'single',
+      sessionStartFrom: '0930',
+      sessionStartTo: '10:30',
+      sessionStartIncrement: 30,
+      sessionEndFrom: '1000',
+      sessionEndTo: '1100',
+      sessionEndIncrement: 60,
+    };
+    assert.deepEqual(getParamValues(SESSION, spec), ['0930-1000', '0930-1100', '1000-1100', '1030-1100']);
+    assert.deepEqual(getParamValues(SESSION, { sessionStartFrom: '0800', sessionEndFrom: '1600' }), ['0800-1600']);
+    assert.throws(() => getParamValues(INT, { type: 'session' }), /range type "session" does not match/);
+  });
+
+  it('generates combos lazily in grid order', () => {
+    const space = buildParamSpace([INT, MA, BOOL], { Length: [7, 14], in_3: { values: 'EMA, SMA' }, 'Use Filter': [true, false] });
+    assert.deepEqual(space.map(p => p.key), ['in_0', 'in_3', 'in_2']);
+    assert.equal(spaceSize(space), 8);
+    assert.deepEqual(generateComboAtIndex(space, 0), { in_0: 7, in_3: 'EMA', in_2: true });
+    assert.deepEqual(generateComboAtIndex(space, 1), { in_0: 7, in_3: 'EMA', in_2: false });
+    assert.deepEqual(generateComboAtIndex(space, 7), { in_0: 14, in_3: 'SMA', in_2: false });
+    assert.deepEqual([...iterateCombos(space, { start: 2, end: 4 })].map(c => c.in_3), ['SMA', 'SMA']);
+    assert.throws(() => buildParamSpace([INT], { Lenght: [1] }), /Unknown parameter "Lenght"/);
+  });
+});
@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { createClientPool, runPool } = require('../lib/pool');
+const { createClient } = require('../lib/ws-client');
+
+/** Poll until `condition` holds, for up to 2s */
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.ok(condition());
+}
+
+describe('connection pool', () => {
+  useMockServer();
+
+  it('aborts timed-out attempts before retrying them', async () => {
+    const signals = [];
+    const results = await runPool(['a', 'b'], (item, attempt, signal) => {
+      signals.push(signal);
+      // 'a' hangs on its first attempt and only settles once told to give up
+      if (item === 'a' && attempt === 0) {
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+      }
+      return Promise.resolve(`${item}${attempt}`);
+    }, { timeout: 50, retries: 1, retryDelay: 1 });
+
+    assert.deepEqual(results, ['a1', 'b0']);
+    assert.equal(signals.length, 3);
+    assert.equal(signals[0].aborted, true);
+    assert.match(signals[0].reason.message, /Job timed out/);
+    assert.ok(signals.slice(1).every(s => !s.aborted));
+  });
+
+  it('replaces a released client on request', async () => {
+    const pool = createClientPool({ size: 1 });
+    const first = await pool.acquire();
+    pool.release(first);
+    assert.equal(await pool.acquire(), first);
+
+    pool.release(first, { replace: true });
+    const second = await pool.acquire();
+    assert.notEqual(second, first);
+    assert.equal(second.isOpen, true);
+    pool.release(second);
+    await pool.close();
+  });
+});
+
+describe('client login', () => {
+  const mock = useMockServer({ hello: false });
+
+  it('ends a client whose login times out', async () => {
+    const pending = createClient({ server: 'data', reconnect: true, loginTimeout: 500 });
+    await assert.rejects(pending, /login timed out \(0\.5s\)/);
+    await waitFor(() => mock.server.connections() === 0);
+  });
+});
@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getMetric, metricDirection, normalizeObjectives, applyConstraints, compositeScores, paretoFront, rankResults,
+} = require('../lib/ranking');
+
+const result = (id, netProfit, maxDrawdownPercent, totalTrades, performance = {}) => ({
+  id, netProfit, maxDrawdownPercent, totalTrades, performance,
+});
+
+const RESULTS = [
+  result('a', 1000, 30, 40, { sharpeRatio: 1.2 }),
+  result('b', 800, 10, 25, { sharpeRatio: 1.5 }),
+  result('c', 600, 12, 60, { sharpeRatio: 0.9 }),
+  result('d', 400, 5, 35),
+  result('e', 300, 20, 50, { sharpeRatio: 0.4 }),
+];
+const ids = list => list.map(r => r.id);
+
+describe('ranking', () => {
+  it('reads metrics from the result, then its performance', () => {
+    assert.equal(getMetric(RESULTS[0], 'netProfit'), 1000);
+    assert.equal(getMetric(RESULTS[0], 'sharpeRatio'), 1.2);
+    assert.equal(getMetric(RESULTS[3], 'sharpeRatio'), undefined);
+    assert.equal(getMetric({ netProfit: NaN }, 'netProfit'), undefined);
+    assert.equal(metricDirection('maxDrawdownPercent'), 'min');
+    assert.equal(metricDirection('grossLoss'), 'min');
+    assert.equal(metricDirection('profitFactor'), 'max');
+  });
+
+  it('applies inclusive constraints and rejects missing metrics', () => {
+    const { passed, rejected } = applyConstraints(RESULTS, {
+      totalTrades: { min: 35 }, maxDrawdownPercent: { max: 20 },
+    });
+    assert.deepEqual(ids(passed), ['c', 'd', 'e']);
+    assert.deepEqual(ids(rejected), ['a', 'b']);
+    assert.deepEqual(ids(applyConstraints(RESULTS, { sharpeRatio: { min: 0 } }).rejected), ['d']);
+    assert.equal(applyConstraints(RESULTS).passed.length, 5);
+    assert.throws(() => applyConstraints(RESULTS, { totalTrades: 30 }), /Invalid constraint for totalTrades/);
+    assert.throws(() => applyConstraints(RESULTS, { totalTrades: {} }), /expected \{ min\?, max\? \}/);
+  });
+
+  it('normalizes objectives and scores them between 0 and 1', () => {
+    assert.deepEqual(normalizeObjectives({ netProfit: 2, maxDrawdownPercent: 1 }), [
+      { metric: 'netProfit', weight: 2, direction: 'max' },
+      { metric: 'maxDrawdownPercent', weight: 1, direction: 'min' },
+    ]);
+    assert.deepEqual(normalizeObjectives(['totalTrades', { metric: 'avgBarsInTrade', direction: 'min' }]), [
+      { metric: 'totalTrades', weight: 1, direction: 'max' },
+      { metric: 'avgBarsInTrade', weight: 1, direction: 'min' },
+    ]);
+    assert.throws(() => normalizeObjectives({ netProfit: -1 }), /Invalid objective/);
+    assert.throws(() => normalizeObjectives([{ metric: 'netProfit', direction: 'up' }]), /Invalid objective direction "up"/);
+
+    // Net profit: 1000 → 1, 300 → 0; drawdown: 5% → 1, 30% → 0
+    const scores = compositeScores(RESULTS, { netProfit: 1, maxDrawdownPercent: 1 });
+    const expected = [
+      (1 + 0) / 2,
+      (5 / 7 + 20 / 25) / 2,
+      (3 / 7 + 18 / 25) / 2,
+      (1 / 7 + 1) / 2,
+      (0 + 10 / 25) / 2,
+    ];
+    scores.forEach((s, i) => assert.ok(Math.abs(s - expected[i]) < 1e-12, `${s} vs ${expected[i]}`));
+
+    // A missing metric scores 0 for its term; equal values count as best
+    assert.equal(compositeScores(RESULTS, { sharpeRatio: 1 })[3], 0);
+    assert.deepEqual(compositeScores([RESULTS[0], { ...RESULTS[0] }], { netProfit: 1 }), [1, 1]);
+    assert.throws(() => compositeScores(RESULTS, { netProfit: 0 }), /At least one objective with a positive weight/);
+  });
+
+  it('finds the Pareto front', () => {
+    // Profit vs drawdown: c is dominated by b (less profit, more drawdown), e by b and d
+    assert.deepEqual(ids(paretoFront(RESULTS, ['netProfit', 'maxDrawdownPercent'])), ['a', 'b', 'd']);
+    // Explicit directions: maximizing drawdown flips the front
+    assert.deepEqual(ids(paretoFront(RESULTS, ['netProfit', { metric: 'maxDrawdownPercent', direction: 'max' }])), ['a']);
+    // Results missing a metric are left out
+    assert.deepEqual(ids(paretoFront(RESULTS, ['sharpeRatio', 'totalTrades'])), ['b', 'a', 'c']);
+    assert.deepEqual(ids(paretoFront([RESULTS[0], { ...RESULTS[0], id: 'a2' }], ['netProfit'])), ['a', 'a2']);
+    assert.throws(() => paretoFront(RESULTS, []), /at least one metric/);
+    assert.throws(() => paretoFront(RESULTS, 'netProfit'), /at least one metric/);
+    assert.throws(() => paretoFront(RESULTS, ['netProfit', { direction: 'min' }]), /Invalid Pareto metric \{"direction":"min"\}/);
+    assert.throws(() => paretoFront(RESULTS, [{ metric: 'netProfit', direction: 'up' }]), /Invalid Pareto direction "up" for netProfit/);
+  });
+
+  it('sorts lower-is-better metrics ascending and combines everything', () => {
+    assert.deepEqual(ids(rankResults(RESULTS).ranked), ['a', 'b', 'c', 'd', 'e']);
+    assert.deepEqual(ids(rankResults(RESULTS, { sortBy: 'maxDrawdownPercent' }).ranked), ['d', 'b', 'c', 'e', 'a']);
+    assert.deepEqual(ids(rankResults(RESULTS, { sortBy: 'sharpeRatio' }).ranked), ['b', 'a', 'c', 'e', 'd']);
+
+    const ranking = rankResults(RESULTS, {
+      sortBy: 'netProfit',
+      constraints: { totalTrades: { min: 30 } },
+      objectives: { netProfit: 1, maxDrawdownPercent: 1 },
+    });
+    assert.deepEqual(ids(ranking.ranked), ['a', 'c', 'd', 'e']);
+    assert.deepEqual(ids(ranking.rejected), ['b']);
+    assert.deepEqual(ids(ranking.composite), ['c', 'd', 'a', 'e']);
+    assert.ok(ranking.composite.every((r, i) => i === 0 || r.score <= ranking.composite[i - 1].score));
+    assert.deepEqual(ids(ranking.pareto), ['a', 'c', 'd']);
+
+    assert.equal(rankResults(RESULTS).pareto, undefined);
+    assert.deepEqual(ids(rankResults(RESULTS, { pareto: ['netProfit', 'totalTrades'] }).pareto), ['a', 'c']);
+  });
+});
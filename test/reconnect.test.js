@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { getClient } = require('../lib/ws-client');
+const { getQuote } = require('../skills/get-quote');
+
+const once = (register) => new Promise(resolve => register(resolve));
+
+describe('reconnection', () => {
+  const mock = useMockServer();
+
+  it('reconnects the shared client and restores live sessions', async () => {
+    const client = await getClient();
+    const chart = new client.Session.Chart();
+    chart.setMarket('BINANCE:ETHUSDT', { timeframe: '60', range: 10 });
+    await once(cb => chart.onUpdate(() => chart.periods.length === 10 && cb()));
+
+    const created = mock.server.received.filter(p => p.m === 'chart_create_session').length;
+    const reconnected = once(cb => client.onReconnected(cb));
+    mock.server.dropConnections();
+    await reconnected;
+
+    // The chart session is recreated on the new socket and its series reloaded
+    await once(cb => chart.onUpdate(() => chart.periods.length === 10 && cb()));
+    assert.equal(mock.server.received.filter(p => p.m === 'chart_create_session').length, created + 1);
+    assert.equal(chart.infos.full_name, 'BINANCE:ETHUSDT');
+    chart.delete();
+
+    // Same client object, still usable by skills
+    assert.equal(await getClient(), client);
+    assert.equal((await getQuote('BINANCE:ETHUSDT')).quote.lastPrice, 2318.4);
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { checkSnapshot, metricTolerance } = require('../lib/regression');
+const { snapshot, verify, loadConfig } = require('../workflows/regression');
+
+const T0 = Date.UTC(2024, 0, 8, 0, 0);
+const DAY = 86400000;
+
+const report = (profits, netProfit) => ({
+  trades: profits.map((v, i) => ({
+    entry: { type: 'long', name: 'LE', value: 100, time: T0 + i * DAY },
+    exit: { name: 'LX', value: 100 + v, time: T0 + i * DAY + 3600000 },
+    quantity: 1,
+    profit: { v, p: v },
+  })).reverse(),
+  performance: { all: { netProfit, totalTrades: profits.length }, maxStrategyDrawDown: 4 },
+});
+
+describe('regression', () => {
+  const mock = useMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-regression-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('passes identical reports and describes drift', () => {
+    const recorded = report([5, -4, 6], 7);
+    assert.deepEqual(checkSnapshot(recorded, report([5, -4, 6], 7)).lines, []);
+    assert.equal(checkSnapshot(recorded, report([5, -4, 6], 7)).pass, true);
+
+    const drifted = report([5, -4, 6.05, 2], 9.05);
+    const check = checkSnapshot(recorded, drifted, { metrics: ['netProfit', 'totalTrades'] });
+    assert.equal(check.pass, false);
+    assert.deepEqual(check.trades, {
+      tradesA: 3, tradesB: 4, matched: 2, changed: 1, added: 1, removed: 0, identical: false,
+    });
+    assert.deepEqual(check.lines, [
+      'netProfit: 7 → 9.05 (+2.05, tolerance 0)',
+      'totalTrades: 3 → 4 (+1, tolerance 0)',
+      '~ long 2024-01-10 00:00: exitPrice 106 → 106.05, profit 6 → 6.05',
+      '+ long 2024-01-11 00:00 @ 100, profit 2',
+    ]);
+
+    // Tolerances: metrics only, trades still have to match
+    const within = checkSnapshot(recorded, report([5, -4, 6], 7.05), { metricTolerance: { netProfit: '1%' } });
+    assert.equal(within.pass, true);
+    assert.equal(metricTolerance({ default: 0.5 }, 'sharpeRatio', 2), 0.5);
+    assert.equal(metricTolerance('10%', 'netProfit', -250), 25);
+    assert.throws(() => metricTolerance('lots', 'netProfit', 1), /Invalid tolerance for netProfit/);
+  });
+
+  it('records snapshots and verifies reruns against them', async () => {
+    const configPath = path.join(dir, 'regression.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      defaults: { range: 500, to: '2024-04-01' },
+      cases: [
+        { name: 'rsi default', scriptId: 'STD;RSI%1Strategy' },
+        { name: 'rsi-21', scriptId: 'STD;RSI%1Strategy', params: { Length: 21 }, metricTolerance: { default: 0.01 } },
+      ],
+    }));
+
+    const recorded = await snapshot(configPath);
+    assert.equal(recorded.success, true, JSON.stringify(recorded.cases));
+    assert.deepEqual(recorded.cases.map(c => [path.basename(c.file), c.trades]), [['rsi_default.json', 6], ['rsi-21.json', 6]]);
+    const file = JSON.parse(fs.readFileSync(recorded.cases[0].file, 'utf-8'));
+    assert.deepEqual(file.case, {
+      scriptId: 'STD;RSI%1Strategy', symbol: 'BINANCE:BTCUSDT', timeframe: 'D', range: 500, to: '2024-04-01',
+    });
+    assert.deepEqual(file.range, { bars: 500, to: 1711929600 });
+
+    const clean = await verify(configPath);
+    assert.equal(clean.success, true, clean.output);
+    assert.equal(clean.output, '✓ rsi default\n✓ rsi-21\n\n2 passed, 0 failed');
+
+    // Simulate a data revision: one recorded trade and the net profit differ
+    const last = file.report.trades.length - 1;
+    file.report.trades[last].profit.v += 100;
+    file.report.performance.all.netProfit += 100;
+    fs.writeFileSync(recorded.cases[0].file, JSON.stringify(file));
+    fs.rmSync(recorded.cases[1].file);
+
+    const drifted = await verify(configPath);
+    assert.equal(drifted.success, false);
+    assert.deepEqual(drifted.cases.map(c => c.status), ['fail', 'missing']);
+    assert.match(drifted.output, /^✗ rsi default \(fail\)\n {4}netProfit: [\d.]+ → [\d.]+ \(-100, tolerance 0\)\n {4}~ long 2024-01-06 00:00: profit [\d.]+ → [\d.]+\n✗ rsi-21 \(missing\)\n {4}no snapshot at .*rsi-21\.json; run "snapshot" first\n\n0 passed, 2 failed$/);
+
+    const only = await verify(configPath, { cases: ['rsi-21'] });
+    assert.equal(only.cases.length, 1);
+    await assert.rejects(verify(configPath, { cases: ['nope'] }), /Unknown case: nope/);
+  });
+
+  it('pins an open-ended case to the bars it was recorded on', async () => {
+    const configPath = path.join(dir, 'open.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      snapshotDir: 'open', cases: [{ name: 'rsi chart', scriptId: 'STD;RSI%1Strategy' }],
+    }));
+
+    const before = Math.floor(Date.now() / 1000) - 86400;
+    const recorded = await snapshot(configPath);
+    assert.equal(recorded.success, true, JSON.stringify(recorded.cases));
+    const { range } = JSON.parse(fs.readFileSync(recorded.cases[0].file, 'utf-8'));
+    assert.equal(range.bars, 20000); // "chart" on a daily chart
+    assert.ok(range.to >= before && range.to <= Math.floor(Date.now() / 1000) - 86400, 'up to the last closed bar');
+
+    const sent = mock.server.received.length;
+    const clean = await verify(configPath);
+    assert.equal(clean.success, true, clean.output);
+    const [series] = mock.server.received.slice(sent).filter(p => p.m === 'create_series');
+    assert.deepEqual(series.p[5], ['bar_count', range.to, 20000]);
+
+    assert.throws(() => loadConfig({ cases: [{ name: 'all', scriptId: 'STD;RSI%1Strategy', range: 'max' }] }),
+      /Case "all": range "max" grows with every new bar; use a date range/);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parameterSensitivity, neighbourhoodStability, heatmapMatrix, heatmapToCsv, heatmapToHtml,
+} = require('../lib/robustness');
+const { robustnessReport } = require('../workflows/robustness-report');
+
+const combo = (fast, slow, netProfit) => ({ params: { in_0: fast, in_1: slow }, netProfit });
+
+// Fast × Slow: Slow = 1 is a plateau, Slow = 2 has a lone spike at Fast = 10
+const RESULTS = [
+  combo(5, 1, 100), combo(10, 1, 110), combo(15, 1, 105),
+  combo(5, 2, 0), combo(10, 2, 200), combo(15, 2, -50),
+  { params: { in_0: 20, in_1: 1 }, error: 'Study error' },
+];
+const NAMES = { in_0: 'Fast', in_1: 'Slow' };
+
+describe('robustness', () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-robustness-'));
+  after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+  it('ranks parameters by how much they move the metric', () => {
+    const [fast, slow] = parameterSensitivity(RESULTS, 'netProfit', { names: NAMES });
+    assert.equal(fast.name, 'Fast');
+    assert.equal(fast.spread, 155 - 27.5);
+    assert.deepEqual(fast.values, [
+      { value: 5, mean: 50, best: 100, count: 2 },
+      { value: 10, mean: 155, best: 200, count: 2 },
+      { value: 15, mean: 27.5, best: 105, count: 2 },
+      // Only a failed run tested Fast = 20
+      { value: 20, mean: null, best: null, count: 0 },
+    ]);
+    assert.equal(slow.key, 'in_1');
+    assert.equal(slow.spread, 55);
+    assert.ok(Math.abs(fast.share + slow.share - 1) < 1e-12);
+    assert.ok(Math.abs(slow.share - 55 / 182.5) < 1e-12);
+  });
+
+  it('ranks a plateau above a spike', () => {
+    const stability = neighbourhoodStability(RESULTS, 'netProfit', { top: 3, names: NAMES });
+    assert.deepEqual(stability.map(s => s.paramsNamed), [
+      { Fast: 10, Slow: 1 }, { Fast: 10, Slow: 2 }, { Fast: 15, Slow: 1 },
+    ]);
+
+    const [plateau, spike] = stability;
+    assert.equal(plateau.robustScore, (110 + 100 + 105 + 200) / 4);
+    assert.ok(plateau.degradation < 0);
+    assert.deepEqual(spike.neighbours, [
+      { param: 'Fast', value: 5, metric: 0 },
+      { param: 'Fast', value: 15, metric: -50 },
+      { param: 'Slow', value: 1, metric: 110 },
+    ]);
+    assert.equal(spike.neighbourMean, 20);
+    assert.equal(spike.worstNeighbour, -50);
+    assert.equal(spike.degradation, 0.9);
+    assert.equal(spike.robustScore, 65);
+  });
+
+  it('builds heatmaps that aggregate over other parameters', () => {
+    const matrix = heatmapMatrix(RESULTS, 'netProfit', 'Fast', 'in_1', { names: NAMES });
+    assert.deepEqual(matrix.x, { key: 'in_0', name: 'Fast', values: [5, 10, 15, 20] });
+    assert.deepEqual(matrix.cells, [[100, 110, 105, null], [0, 200, -50, null]]);
+    assert.equal(matrix.min, -50);
+    assert.equal(matrix.max, 200);
+
+    // A third parameter is folded into each cell: best respects the metric direction
+    const swept = [
+      { params: { in_0: 1, in_1: 1, in_2: 0 }, netProfit: 10, maxDrawdownPercent: 4 },
+      { params: { in_0: 1, in_1: 1, in_2: 1 }, netProfit: 30, maxDrawdownPercent: 8 },
+      { params: { in_0: 2, in_1: 1, in_2: 0 }, netProfit: 5, maxDrawdownPercent: 2 },
+      { params: { in_0: 1, in_1: 2, in_2: 0 }, netProfit: 7, maxDrawdownPercent: 6 },
+    ];
+    assert.deepEqual(heatmapMatrix(swept, 'netProfit', 'in_0', 'in_1').cells, [[30, 5], [7, null]]);
+    assert.deepEqual(heatmapMatrix(swept, 'netProfit', 'in_0', 'in_1', { aggregate: 'mean' }).cells, [[20, 5], [7, null]]);
+    const drawdown = heatmapMatrix(swept, 'maxDrawdownPercent', 'in_0', 'in_1');
+    assert.equal(drawdown.direction, 'min');
+    assert.deepEqual(drawdown.cells, [[4, 2], [6, null]]);
+
+    assert.throws(() => heatmapMatrix(RESULTS, 'netProfit', 'Fast', 'Length', { names: NAMES }),
+      /Unknown parameter "Length"\. Available: Fast, Slow/);
+    assert.throws(() => heatmapMatrix(RESULTS, 'netProfit', 'Fast', 'in_0', { names: NAMES }), /two different parameters/);
+    assert.throws(() => heatmapMatrix(RESULTS, 'netProfit', 'in_0', 'in_1', { aggregate: 'worst' }), /Unknown aggregate "worst"/);
+  });
+
+  it('renders heatmaps as CSV and HTML', () => {
+    const matrix = heatmapMatrix(RESULTS.slice(0, 6), 'netProfit', 'Fast', 'in_1', { names: { in_0: 'Fast', in_1: 'Slow, "long"' } });
+    assert.equal(heatmapToCsv(matrix), [
+      '"Slow, ""long"" \\ Fast",5,10,15',
+      '1,100,110,105',
+      '2,0,200,-50',
+      '',
+    ].join('\n'));
+
+    const html = heatmapToHtml(matrix, { subtitle: 'BINANCE:BTCUSDT <D>' });
+    assert.match(html, /<h1>netProfit: Slow, &quot;long&quot; × Fast<\/h1>/);
+    assert.match(html, /BINANCE:BTCUSDT &lt;D&gt; · Best netProfit per cell \(higher is better\)/);
+    assert.equal(html.match(/<td /g).length, 6);
+    assert.doesNotMatch(html, /<script/);
+  });
+
+  it('writes the report files', () => {
+    const outputDir = path.join(tmpDir, 'reports');
+    const report = robustnessReport(RESULTS, { names: NAMES, top: 3, outputDir });
+    assert.equal(report.success, true);
+    assert.deepEqual(report.robustBest.params, { in_0: 10, in_1: 1 });
+    assert.deepEqual([report.heatmap.x.name, report.heatmap.y.name], ['Fast', 'Slow']);
+    assert.equal(report.files.csv, path.join(outputDir, 'robustness_netProfit_Fast_Slow.csv'));
+    assert.equal(fs.readFileSync(report.files.csv, 'utf-8'), heatmapToCsv(report.heatmap));
+    assert.ok(fs.existsSync(report.files.html));
+
+    const empty = robustnessReport(RESULTS, { metric: 'sharpeRatio' });
+    assert.equal(empty.success, false);
+    assert.match(empty.message, /No successful results with metric "sharpeRatio"/);
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createRng, randomSearch, geneticSearch, tpeSearch,
+} = require('../lib/search');
+
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+// 20 × 20 × 3 = 1200 combos, one peak at (13, 6, 'b')
+const SPACE = [
+  { key: 'in_0', values: range(20) },
+  { key: 'in_1', values: range(20) },
+  { key: 'in_2', values: ['a', 'b', 'c'] },
+];
+const peak = c => -((c.in_0 - 13) ** 2) - ((c.in_1 - 6) ** 2) - (c.in_2 === 'b' ? 0 : 25);
+
+/** Objective that records every combo it is asked to score */
+function recorder(score = peak) {
+  const seen = [];
+  const batches = [];
+  const objective = async (combos) => {
+    seen.push(...combos);
+    batches.push(combos.length);
+    return combos.map(score);
+  };
+  return { seen, batches, objective };
+}
+
+const keys = combos => combos.map(c => JSON.stringify(c));
+const best = combos => Math.max(...combos.map(peak));
+
+describe('search strategies', () => {
+  it('seeds a reproducible generator', () => {
+    const a = createRng(42);
+    const b = createRng(42);
+    const draws = range(5).map(() => a());
+    assert.deepEqual(range(5).map(() => b()), draws);
+    assert.ok(draws.every(x => x >= 0 && x < 1));
+    const c = createRng(43);
+    assert.notDeepEqual(range(5).map(() => c()), draws);
+  });
+
+  for (const [name, search] of [['random', randomSearch], ['genetic', geneticSearch], ['tpe', tpeSearch]]) {
+    it(`${name}: stays within its budget and never repeats a combo`, async () => {
+      const { seen, objective } = recorder();
+      const stats = await search(SPACE, objective, { budget: 60, batchSize: 8, rng: createRng(7) });
+      assert.equal(stats.evaluations, 60);
+      assert.equal(seen.length, 60);
+      assert.equal(new Set(keys(seen)).size, 60);
+
+      const again = recorder();
+      await search(SPACE, again.objective, { budget: 60, batchSize: 8, rng: createRng(7) });
+      assert.deepEqual(keys(again.seen), keys(seen));
+    });
+  }
+
+  it('covers a space smaller than the budget exactly once', async () => {
+    const small = [{ key: 'in_0', values: [1, 2, 3] }, { key: 'in_1', values: [true, false] }];
+    for (const search of [randomSearch, geneticSearch, tpeSearch]) {
+      const { seen, objective } = recorder(() => 1);
+      await search(small, objective, { budget: 50, batchSize: 4, rng: createRng(1) });
+      assert.equal(seen.length, 6);
+      assert.equal(new Set(keys(seen)).size, 6);
+    }
+  });
+
+  it('genetic: evaluates a generation per batch and climbs towards the peak', async () => {
+    const { seen, batches, objective } = recorder();
+    const stats = await geneticSearch(SPACE, objective, { budget: 150, populationSize: 15, rng: createRng(3) });
+    assert.ok(stats.generations > 1);
+    assert.ok(batches.every(n => n <= 15));
+    assert.ok(best(seen.slice(-50)) > best(seen.slice(0, 15)), 'later generations beat the first');
+    assert.ok(best(seen) >= -2);
+  });
+
+  it('tpe: proposes better combos than its random warm-up', async () => {
+    const { seen, objective } = recorder();
+    await tpeSearch(SPACE, objective, { budget: 80, initialSamples: 20, rng: createRng(5) });
+    const warmUp = seen.slice(0, 20);
+    const proposed = seen.slice(20);
+    const mean = list => list.reduce((sum, c) => sum + peak(c), 0) / list.length;
+    assert.ok(mean(proposed) > mean(warmUp));
+    assert.ok(best(seen) >= -2);
+  });
+
+  it('keeps searching when runs fail', async () => {
+    // Failed runs (no score) count against the budget but never look promising
+    for (const search of [geneticSearch, tpeSearch]) {
+      const { seen, objective } = recorder(() => NaN);
+      const stats = await search(SPACE, objective, { budget: 40, batchSize: 5, rng: createRng(11) });
+      assert.equal(stats.evaluations, 40);
+      assert.equal(new Set(keys(seen)).size, 40);
+    }
+  });
+});
@@ -0,0 +1,146 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { createServer } = require('../lib/server');
+const { createJobQueue } = require('../lib/jobs');
+const { backtest } = require('../lib/backtest');
+const { optimizeStrategy } = require('../workflows/optimize-strategy');
+
+const API_KEY = 'test-key';
+
+describe('REST API', () => {
+  useMockServer();
+  let tmpDir;
+  let listener;
+  let baseUrl;
+
+  const call = async (method, route, body, key = API_KEY) => {
+    const res = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...(key ? { 'x-api-key': key } : {}) },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-server-'));
+    // Same handlers as the server's own, with sweep journals kept out of runs/
+    const queue = createJobQueue({
+      dir: path.join(tmpDir, 'jobs'),
+      handlers: {
+        backtest: ({ scriptId, symbol, ...options }) => backtest(scriptId, symbol, options),
+        optimize: ({ scriptId, ...options }, { signal, progress }) => optimizeStrategy(scriptId, {
+          ...options, journalDir: path.join(tmpDir, 'runs'), signal, onProgress: progress,
+        }),
+      },
+    });
+    const app = createServer({ apiKey: API_KEY, queue });
+    await new Promise((resolve) => { listener = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${listener.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => listener.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function waitForJob(id) {
+    for (let i = 0; i < 600; i++) {
+      const { body } = await call('GET', `/jobs/${id}`);
+      if (['done', 'failed', 'cancelled'].includes(body.job.status)) return body.job;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Job ${id} did not finish`);
+  }
+
+  it('requires the API key', async () => {
+    assert.equal((await call('GET', '/health', undefined, null)).status, 200);
+    assert.equal((await call('GET', '/quote/BINANCE:BTCUSDT', undefined, null)).status, 401);
+    assert.equal((await call('GET', '/quote/BINANCE:BTCUSDT', undefined, 'wrong')).status, 401);
+  });
+
+  it('serves market data', async () => {
+    const quote = await call('GET', '/quote/BINANCE:BTCUSDT');
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.quote.lastPrice, 43250.5);
+
+    const bars = await call('GET', '/chart-data?symbol=NASDAQ:AAPL&timeframe=60&count=25');
+    assert.equal(bars.status, 200);
+    assert.equal(bars.body.count, 25);
+
+    const params = await call('GET', `/indicators/${encodeURIComponent('STD;RSI%1Strategy')}/params`);
+    assert.equal(params.body.params.length, 5);
+  });
+
+  it('validates input and maps skill failures to 502', async () => {
+    assert.equal((await call('GET', '/chart-data?symbol=NASDAQ:AAPL&timeframe=7X')).status, 400);
+    assert.equal((await call('POST', '/optimize', { scriptId: 'STD;RSI%1Strategy' })).status, 400);
+    assert.equal((await call('GET', '/chart-data?symbol=NOPE:NOPE')).status, 502);
+  });
+
+  it('rejects malformed optimizer options before queueing a job', async () => {
+    const sweep = { scriptId: 'STD;RSI%1Strategy', paramRanges: { Length: [7, 14] } };
+    const cases = [
+      [{ range: { to: 1700000000 } }, /"range" must be/],
+      [{ to: '2024-01-01' }, /"to" must be a non-negative integer/],
+      [{ sortBy: 42 }, /"sortBy" must be a non-empty string/],
+      [{ seed: 1.5 }, /"seed" must be a non-negative integer/],
+      [{ save: 'yes' }, /"save" must be true or false/],
+      [{ pareto: [] }, /Pareto front requires at least one metric/],
+      [{ pareto: [{ metric: 'netProfit', direction: 'up' }] }, /Invalid Pareto direction "up"/],
+      [{ objectives: { netProfit: 0 } }, /At least one objective with a positive weight/],
+    ];
+    const jobCount = async () => (await call('GET', '/jobs')).body.jobs.length;
+    const jobsBefore = await jobCount();
+    for (const [options, message] of cases) {
+      const response = await call('POST', '/optimize', { ...sweep, ...options });
+      assert.equal(response.status, 400, JSON.stringify(options));
+      assert.match(response.body.message, message);
+    }
+    assert.equal(await jobCount(), jobsBefore);
+  });
+
+  it('backtests inline and as a job', async () => {
+    const inline = await call('POST', '/backtest', { scriptId: 'STD;RSI%1Strategy', range: 300 });
+    assert.equal(inline.status, 200);
+    assert.equal(inline.body.report.tradeCount, 6);
+
+    const queued = await call('POST', '/backtest', { scriptId: 'STD;RSI%1Strategy', range: 300, async: true });
+    assert.equal(queued.status, 202);
+    const job = await waitForJob(queued.body.job.id);
+    assert.equal(job.status, 'done');
+    assert.equal(job.result.report.tradeCount, 6);
+  });
+
+  it('runs a queued optimization with progress', async () => {
+    const queued = await call('POST', '/optimize', {
+      scriptId: 'STD;RSI%1Strategy', range: 300, paramRanges: { Length: [7, 14, 21] },
+    });
+    assert.equal(queued.status, 202);
+    const job = await waitForJob(queued.body.job.id);
+    assert.equal(job.status, 'done', job.error);
+    assert.equal(job.result.successfulRuns, 3);
+    assert.equal(job.progress.done, 3);
+    assert.equal(job.progress.percent, 100);
+  });
+
+  it('fixes a search seed when the job is submitted', async () => {
+    const queued = await call('POST', '/optimize', {
+      scriptId: 'STD;RSI%1Strategy', range: 300, paramRanges: { Length: [7, 14, 21, 28] }, search: 'random', maxEvaluations: 2,
+    });
+    assert.equal(queued.status, 202);
+    const { seed } = queued.body.job.params;
+    assert.ok(Number.isInteger(seed));
+    // Persisted with the job, so a restart replays the same sweep
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, 'jobs', `${queued.body.job.id}.json`), 'utf-8'));
+    assert.equal(stored.params.seed, seed);
+
+    const job = await waitForJob(queued.body.job.id);
+    assert.equal(job.status, 'done', job.error);
+    assert.equal(job.result.search.seed, seed);
+  });
+});
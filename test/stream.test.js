@@ -0,0 +1,169 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const { useMockServer } = require('./helpers');
+const { DEFAULT_END_TIME } = require('./mock-server');
+const { streamQuotes, streamBars } = require('../lib/stream');
+const { watchQuotes } = require('../skills/stream-quotes');
+const { watchBars } = require('../skills/stream-bars');
+
+const DAY = 86400;
+
+/** Let packets in flight reach the mock */
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+/** Live quote keys of the mock's quote sessions, from the packets it received */
+const subscribed = (mock) => {
+  const keys = new Set();
+  for (const { m, p } of mock.server.received) {
+    if (m === 'quote_add_symbols') p.slice(1).forEach(k => keys.add(JSON.parse(k.slice(1)).symbol));
+    if (m === 'quote_remove_symbols') p.slice(1).forEach(k => keys.delete(JSON.parse(k.slice(1)).symbol));
+  }
+  return [...keys].sort();
+};
+
+describe('quote streams', () => {
+  const mock = useMockServer();
+
+  it('iterates normalized partial updates from one quote session', async () => {
+    const stream = streamQuotes(['BINANCE:BTCUSDT', 'BINANCE:ETHUSDT'], ['lastPrice', 'bid', 'ask', 'changePercent']);
+    const seen = {};
+    for await (const { symbol, changes, quote } of stream) {
+      assert.ok(Object.keys(changes).every(k => ['lastPrice', 'bid', 'ask', 'changePercent'].includes(k)));
+      assert.ok(Object.keys(changes).length > 0);
+      seen[symbol] = (seen[symbol] || 0) + 1;
+      assert.equal(typeof quote.lastPrice, 'number');
+      if (seen['BINANCE:BTCUSDT'] >= 3 && seen['BINANCE:ETHUSDT'] >= 3) break;
+    }
+    assert.equal(stream.closed, true);
+    await settle();
+    assert.equal(mock.server.received.filter(p => p.m === 'quote_create_session').length, 1);
+    assert.deepEqual(subscribed(mock), []);
+  });
+
+  it('adds and removes symbols on the fly', async () => {
+    const stream = streamQuotes(['BINANCE:BTCUSDT']);
+    await once(stream, 'loaded');
+    stream.add('NASDAQ:AAPL');
+    const [loaded] = await once(stream, 'loaded');
+    assert.equal(loaded, 'NASDAQ:AAPL');
+    assert.deepEqual(stream.symbols, ['BINANCE:BTCUSDT', 'NASDAQ:AAPL']);
+
+    stream.remove('BINANCE:BTCUSDT');
+    await settle();
+    assert.deepEqual(subscribed(mock), ['NASDAQ:AAPL']);
+    const [update] = await once(stream, 'data');
+    assert.equal(update.symbol, 'NASDAQ:AAPL');
+
+    stream.add('BINANCE:BTCUSDT');
+    await settle();
+    assert.deepEqual(subscribed(mock), ['BINANCE:BTCUSDT', 'NASDAQ:AAPL']);
+    stream.close();
+    await settle();
+    assert.deepEqual(subscribed(mock), []);
+  });
+
+  it('closes when the signal aborts', async () => {
+    const controller = new AbortController();
+    const stream = streamQuotes(['BINANCE:ETHUSDT'], 'all', { signal: controller.signal });
+    const [first] = await once(stream, 'data');
+    assert.equal(first.quote.description, 'Ethereum / TetherUS');
+    controller.abort();
+    assert.equal(stream.closed, true);
+    assert.deepEqual(await stream[Symbol.asyncIterator]().next(), { done: true, value: undefined });
+    await settle();
+    assert.ok(mock.server.received.some(p => p.m === 'quote_delete_session'));
+  });
+
+  it('reports unknown symbols and keeps streaming the rest', async () => {
+    const result = await watchQuotes(['NOPE:NOPE', 'NASDAQ:AAPL'], { duration: 5, maxUpdates: 3 });
+    assert.equal(result.success, true);
+    assert.equal(result.updates.length, 3);
+    assert.deepEqual(result.errors.map(e => e.symbol), ['NOPE:NOPE']);
+    assert.equal(result.quotes['NASDAQ:AAPL'].bid, result.updates[2].quote.bid);
+  });
+
+  it('rejects unknown fields', () => {
+    assert.throws(() => streamQuotes(['NASDAQ:AAPL'], ['price']), /Unknown quote field\(s\): price/);
+  });
+});
+
+describe('bar streams', () => {
+  const mock = useMockServer();
+
+  it('backfills history, then updates the forming bar', async () => {
+    const stream = streamBars('BINANCE:BTCUSDT', 'D', { backfill: 20 });
+    const backfill = await stream.ready;
+    assert.equal(backfill.length, 20);
+    assert.equal(backfill[19].time, DEFAULT_END_TIME);
+
+    const [first] = await once(stream, 'barUpdate');
+    const [second] = await once(stream, 'barUpdate');
+    assert.equal(first.time, DEFAULT_END_TIME);
+    assert.equal(second.time, DEFAULT_END_TIME);
+    assert.notEqual(first.volume, second.volume);
+    assert.deepEqual(stream.bars[19], second);
+    stream.close();
+  });
+
+  it('emits a close for every finished period, in order, before the new bar', async () => {
+    const stream = streamBars('BINANCE:BTCUSDT', 'D', { backfill: 20 });
+    await stream.ready;
+    mock.server.setEndTime(DEFAULT_END_TIME + 2 * DAY);
+
+    const events = [];
+    for await (const event of stream) {
+      events.push(event);
+      if (event.bar.time === DEFAULT_END_TIME + 2 * DAY) break;
+    }
+    const closes = events.filter(e => e.type === 'barClose').map(e => e.bar.time);
+    assert.deepEqual(closes, [DEFAULT_END_TIME, DEFAULT_END_TIME + DAY]);
+    assert.equal(events[events.length - 1].type, 'barUpdate');
+
+    const { bars } = stream;
+    assert.equal(bars.length, 20);
+    assert.ok(bars.every((b, i) => i === 0 || b.time - bars[i - 1].time === DAY));
+    assert.equal(stream.closed, true);
+    await settle();
+    assert.ok(mock.server.received.some(p => p.m === 'chart_delete_session'));
+  });
+
+  it('settles when closed before the backfill arrives', async () => {
+    const aborted = streamBars('BINANCE:BTCUSDT', 'D', { signal: AbortSignal.abort() });
+    assert.deepEqual(await aborted.ready, []);
+    const events = [];
+    for await (const event of aborted) events.push(event);
+    assert.deepEqual(events, []);
+
+    const stream = streamBars('BINANCE:BTCUSDT', 'D', { backfill: 20 });
+    stream.close();
+    assert.deepEqual(await stream.ready, []);
+
+    const controller = new AbortController();
+    controller.abort();
+    const result = await watchBars('BINANCE:BTCUSDT', { duration: 10, signal: controller.signal });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.bars, []);
+    assert.equal(result.forming, undefined);
+  });
+
+  it('watches bars until enough have closed', async () => {
+    const end = DEFAULT_END_TIME + 2 * DAY;
+    mock.server.setEndTime(end);
+    setTimeout(() => mock.server.setEndTime(end + 3600), 300);
+    const result = await watchBars('BINANCE:ETHUSDT', {
+      timeframe: '60', backfill: 5, duration: 10, maxCloses: 1,
+    });
+    assert.equal(result.success, true, result.error);
+    assert.deepEqual(result.closes.map(b => b.time), [end]);
+    assert.equal(result.forming.time, end + 3600);
+    assert.ok(result.updates > 0);
+  });
+
+  it('fails on an unknown symbol', async () => {
+    const stream = streamBars('NOPE:NOPE', 'D');
+    const [error] = await Promise.all([once(stream, 'error').then(([e]) => e), assert.rejects(stream.ready, /Symbol error/)]);
+    assert.match(error.message, /Symbol error/);
+    assert.equal(stream.closed, true);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { useMockServer } = require('./helpers');
+const { renderTearsheet, monthlyReturns } = require('../lib/tearsheet');
+const { tearsheet } = require('../workflows/tearsheet');
+
+const SCRIPT = 'STD;RSI%1Strategy';
+const DAY = 86400000;
+const JAN = Date.UTC(2024, 0, 1);
+
+describe('tearsheet', () => {
+  useMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tv-tearsheet-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('computes monthly returns from the equity at the start of each month', () => {
+    const trade = (day, v) => ({ exit: { time: JAN + day * DAY }, profit: { v } });
+    const rows = monthlyReturns([trade(5, 500), trade(20, 500), trade(40, -1100), trade(370, 220)], 10000);
+    assert.equal(rows.length, 2);
+    assert.equal(rows[0].year, 2024);
+    assert.equal(rows[0].months[0], 10);
+    assert.equal(rows[0].months[1], -10);
+    assert.equal(rows[0].months[2], null);
+    assert.equal(rows[0].total, -1);
+    assert.equal(rows[1].months[0], 2.2222222222222223);
+  });
+
+  it('writes a self-contained page for a backtest', async () => {
+    const result = await tearsheet(SCRIPT, {
+      range: 500, params: { Length: 21 }, outputDir: dir,
+    });
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.summary.totalTrades, 6);
+    assert.match(result.message, /Tearsheet for RSI Strategy on BINANCE:BTCUSDT D: 6 trades/);
+
+    const html = fs.readFileSync(result.file, 'utf-8');
+    assert.equal((html.match(/<svg /g) || []).length, 2, 'equity and drawdown charts');
+    assert.match(html, /<h2>Monthly returns<\/h2>/);
+    assert.match(html, /<tr><th><\/th><th>All<\/th><th>Long<\/th><th>Short<\/th><\/tr>/);
+    assert.equal((html.match(/<tr class="(win|loss)">/g) || []).length, 6);
+    assert.match(html, /<tr class="changed"><th>Length<\/th><td>21<\/td><td>14<\/td><\/tr>/);
+    assert.match(html, /<tr><th>overSold<\/th><td>30<\/td><td>30<\/td><\/tr>/);
+    assert.doesNotMatch(html, /<(script|link|img)\b/, 'no scripts or external assets');
+    assert.doesNotMatch(html, /(src|href)="https?:/);
+  });
+
+  it('lists only the most recent trades when asked', () => {
+    const trades = Array.from({ length: 5 }, (_, i) => ({
+      entry: { type: 'long', name: 'Long', value: 100, time: JAN + i * DAY },
+      exit: { value: 101, time: JAN + (i + 1) * DAY },
+      quantity: 1,
+      profit: { v: 1, p: 1 },
+    })).reverse();
+    const html = renderTearsheet({ title: 'Demo', report: { trades, performance: {} } }, { initialCapital: 100, maxTrades: 2 });
+    assert.match(html, /<h2>Trades \(last 2 of 5\)<\/h2>/);
+    assert.match(html, /<tr class="win"><td>4<\/td>/);
+    assert.match(html, /<p class="meta">Default parameters.<\/p>/);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMockServer } = require('./helpers');
+const { walkForward, buildWindows, walkForwardEfficiency } = require('../workflows/walk-forward');
+
+const SCRIPT = 'STD;RSI%1Strategy';
+const DAY = 86400;
+const FROM = Date.UTC(2024, 0, 1) / 1000;
+
+describe('walk-forward', () => {
+  const mock = useMockServer();
+
+  it('splits a range into rolling and anchored windows', () => {
+    const rolling = buildWindows(FROM, FROM + 100 * DAY, { inSampleDays: 60, outOfSampleDays: 30 });
+    assert.deepEqual(rolling.map(w => [w.inSample.from, w.inSample.to, w.outOfSample.from, w.outOfSample.to]), [
+      [FROM, FROM + 60 * DAY, FROM + 60 * DAY, FROM + 90 * DAY],
+      [FROM + 30 * DAY, FROM + 90 * DAY, FROM + 90 * DAY, FROM + 100 * DAY],
+    ]);
+
+    const anchored = buildWindows(FROM, FROM + 100 * DAY, {
+      inSampleDays: 60, outOfSampleDays: 20, stepDays: 30, anchored: true,
+    });
+    assert.deepEqual(anchored.map(w => [w.inSample.from, w.inSample.to, w.outOfSample.to]), [
+      [FROM, FROM + 60 * DAY, FROM + 80 * DAY],
+      [FROM, FROM + 90 * DAY, FROM + 100 * DAY],
+    ]);
+
+    assert.deepEqual(buildWindows(FROM, FROM + 50 * DAY, { inSampleDays: 60, outOfSampleDays: 30 }), []);
+    assert.throws(() => buildWindows(FROM, FROM + DAY, { inSampleDays: 60, outOfSampleDays: 0 }), /must be positive/);
+    assert.throws(() => buildWindows(FROM, FROM + 100 * DAY, { inSampleDays: 60, outOfSampleDays: 30, stepDays: 15 }),
+      /stepDays \(15\) must be at least outOfSampleDays \(30\)/);
+  });
+
+  it('rejects bad dates without throwing', async () => {
+    const options = { paramRanges: { Length: [7, 14] } };
+    const invalid = await walkForward(SCRIPT, { ...options, from: 'someday' });
+    assert.equal(invalid.success, false);
+    assert.match(invalid.message, /^Invalid date range: someday → now/);
+
+    const reversed = await walkForward(SCRIPT, { ...options, from: '2024-06-01', to: '2024-01-01' });
+    assert.match(reversed.message, /Start date 2024-06-01 must be before end date 2024-01-01/);
+
+    const short = await walkForward(SCRIPT, { ...options, from: '2024-01-01', to: '2024-02-01' });
+    assert.match(short.message, /too short for a 365-day in-sample window/);
+  });
+
+  it('optimizes each in-sample window and scores it out of sample', async () => {
+    const result = await walkForward(SCRIPT, {
+      from: '2024-01-01',
+      to: '2024-03-30',
+      paramRanges: { Length: [7, 14] },
+      inSampleDays: 60,
+      outOfSampleDays: 15,
+      stepDays: 15,
+      optimizer: { journal: false },
+    });
+    assert.equal(result.success, true, result.message);
+    assert.equal(result.outOfSampleMode, 'deep'); // the mock account is Premium
+    assert.deepEqual(result.config, {
+      inSampleDays: 60, outOfSampleDays: 15, stepDays: 15, anchored: false, sortBy: 'netProfit',
+    });
+    assert.deepEqual(result.windows.map(w => [w.inSample.from, w.outOfSample.from, w.outOfSample.to]), [
+      ['2024-01-01', '2024-03-01', '2024-03-16'],
+      ['2024-01-16', '2024-03-16', '2024-03-30'],
+    ]);
+    assert.ok(result.windows.every(w => w.params && w.outOfSample.performance), JSON.stringify(result.windows));
+    assert.equal(result.summary.scoredWindows, 2);
+
+    // Each OOS window is a deep backtest over its exact dates
+    const deepRequests = mock.server.received.filter(m => m.m === 'request_history_data');
+    assert.deepEqual(deepRequests.map(m => m.p[5].from_to), [
+      { from: FROM + 60 * DAY, to: FROM + 75 * DAY - 1 },
+      { from: FROM + 75 * DAY, to: FROM + 90 * DAY - 2 },
+    ]);
+
+    // The stitched equity curve runs through every OOS trade, window by window
+    const { equityCurve, summary } = result;
+    assert.equal(summary.outOfSampleTrades, 12);
+    assert.deepEqual(equityCurve.map(p => p.window), [0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1]);
+    assert.ok(equityCurve.every((p, i) => p.equity === (i > 0 ? equityCurve[i - 1].equity : 0) + p.profit));
+    assert.equal(equityCurve.at(-1).equity, summary.outOfSampleNetProfit);
+    // OOS windows follow each other without overlap, so the total is each window's trades once
+    assert.ok(deepRequests.every((m, i) => i === 0 || m.p[5].from_to.from === deepRequests[i - 1].p[5].from_to.to + 1));
+    const windowTotal = (index) => equityCurve.filter(p => p.window === index).reduce((sum, p) => sum + p.profit, 0);
+    assert.equal(summary.outOfSampleNetProfit, windowTotal(0) + windowTotal(1));
+    assert.equal(summary.outOfSampleNetProfit, 2 * 7351); // the mock answers every window with the same six trades
+    assert.equal(summary.walkForwardEfficiency, summary.annualizedOutOfSampleReturn / summary.annualizedInSampleReturn);
+  });
+
+  it('has no efficiency without a positive in-sample return', () => {
+    assert.equal(walkForwardEfficiency(40, 20), 0.5);
+    assert.equal(walkForwardEfficiency(40, -20), -0.5);
+    assert.equal(walkForwardEfficiency(0, 20), null);
+    assert.equal(walkForwardEfficiency(-40, -20), null);
+    assert.equal(walkForwardEfficiency(null, 20), null);
+    assert.equal(walkForwardEfficiency(40, null), null);
+  });
+});
@@ -9,3 +9,4 @@ module.exports.Client = Client;
 module.exports.BuiltInIndicator = BuiltInIndicator;
 module.exports.PineIndicator = PineIndicator;
 module.exports.PinePermManager = PinePermManager;
+module.exports.cassette = require('./src/cassette');
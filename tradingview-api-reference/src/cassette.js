@@ -0,0 +1,254 @@
+const fs = require('fs');
+const { EventEmitter } = require('events');
+
+const protocol = require('./protocol');
+
+/**
+ * @typedef {Object} CassetteHeader First line of a cassette
+ * @prop {1} cassette Format version
+ * @prop {string} server Server type the client connected to
+ * @prop {boolean} authenticated If the client logged in with a token
+ * @prop {string} startedAt Recording start (ISO date)
+ */
+
+/**
+ * @typedef {Object} CassetteEntry One recorded packet (or connection event)
+ * @prop {number} t Milliseconds since the recording started
+ * @prop {'in' | 'out' | 'event'} dir Received, sent, or a connection event
+ * @prop {string | null} [session] Session ID the packet belongs to
+ * @prop {string | null} [m] Packet type ('ping' for heartbeats)
+ * @prop {string} [raw] Raw `~m~` framed packet
+ * @prop {'open' | 'close'} [event] Connection event
+ */
+
+/** Session, study and replay request IDs made by utils.genSessionID */
+const generatedIdRgx = /^[a-z]+(?:_[a-z]+)?_[A-Za-z0-9]{12}$/;
+
+/**
+ * Split a websocket message into its raw `~m~len~m~` packets
+ * @param {string} str Websocket raw data
+ * @returns {string[]} Raw packets
+ */
+function splitPackets(str) {
+  const packets = [];
+  const header = /~m~(\d+)~m~/g;
+  let match = header.exec(str);
+  while (match) {
+    const start = match.index + match[0].length;
+    const end = start + Number(match[1]);
+    packets.push(str.slice(match.index, end));
+    header.lastIndex = end;
+    match = header.exec(str);
+  }
+  return packets;
+}
+
+/**
+ * Describe a raw packet
+ * @param {string} raw Raw packet
+ * @returns {{ m: string | null, session: string | null, packet: {} | number | null }}
+ */
+function describePacket(raw) {
+  const [packet] = protocol.parseWSPacket(raw);
+  if (typeof packet === 'number') return { m: 'ping', session: null, packet };
+  if (!packet || !packet.m) return { m: null, session: null, packet: packet || null };
+  const session = Array.isArray(packet.p) && typeof packet.p[0] === 'string' ? packet.p[0] : null;
+  return { m: packet.m, session, packet };
+}
+
+/**
+ * Create a recorder appending packets to a JSONL cassette
+ * @param {string} file Cassette path
+ * @param {{ server: string, authenticated: boolean }} meta Header fields
+ * @returns {{
+ *  write: (dir: 'in' | 'out', data: string) => void,
+ *  event: (event: 'open' | 'close') => void,
+ *  close: () => Promise<void>,
+ * }} Recorder
+ */
+function createRecorder(file, meta) {
+  const started = Date.now();
+  const stream = fs.createWriteStream(file, { flags: 'w' });
+  const line = (obj) => stream.write(`${JSON.stringify(obj)}\n`);
+
+  line({
+    cassette: 1,
+    server: meta.server,
+    authenticated: meta.authenticated,
+    startedAt: new Date(started).toISOString(),
+  });
+
+  return {
+    write(dir, data) {
+      splitPackets(data).forEach((packet) => {
+        const { m, session } = describePacket(packet);
+        // Never write the user's auth token to disk
+        const raw = m === 'set_auth_token'
+          ? protocol.formatWSPacket({ m, p: ['<redacted>'] })
+          : packet;
+        line({
+          t: Date.now() - started, dir, session, m, raw,
+        });
+      });
+    },
+    event(event) {
+      line({ t: Date.now() - started, dir: 'event', event });
+    },
+    close() {
+      return new Promise((cb) => stream.end(cb));
+    },
+  };
+}
+
+/**
+ * Read a cassette
+ * @param {string} file Cassette path
+ * @returns {{ header: CassetteHeader, entries: CassetteEntry[] }} Cassette
+ */
+function readCassette(file) {
+  const lines = fs.readFileSync(file, 'utf-8').split('\n').filter((l) => l.trim());
+  const [header, ...entries] = lines.map((l) => JSON.parse(l));
+  if (!header || header.cassette !== 1) throw new Error(`Not a cassette: ${file}`);
+  return { header, entries };
+}
+
+/**
+ * Stand-in for the WebSocket that plays a cassette back, for Client's `replay` option.
+ *
+ * Received packets are delivered in recorded order, and a packet recorded after a sent one
+ * waits until the client sends a packet of the same type, so the replay follows the
+ * client's own pace instead of the clock. Session and study IDs differ between runs: the
+ * recorded IDs are mapped to the client's as its sent packets are matched.
+ */
+class ReplayTransport extends EventEmitter {
+  CONNECTING = 0;
+
+  OPEN = 1;
+
+  CLOSED = 3;
+
+  readyState = 0;
+
+  /** @type {CassetteHeader} */
+  header;
+
+  #entries;
+
+  #position = 0;
+
+  /** Client packets not yet matched to a recorded one */
+  #unmatched = [];
+
+  /** Recorded ID → live ID */
+  #ids = new Map();
+
+  #pumping = false;
+
+  #ended = false;
+
+  #firstMessage;
+
+  /** Resolves once the first recorded packet was delivered */
+  firstMessage;
+
+  /**
+   * @param {string | { header: CassetteHeader, entries: CassetteEntry[] }} cassette
+   *  Cassette path or readCassette() result
+   */
+  constructor(cassette) {
+    super();
+    const { header, entries } = typeof cassette === 'string' ? readCassette(cassette) : cassette;
+    this.header = header;
+    this.#entries = entries.filter((e) => e.dir === 'in' || e.dir === 'out');
+    this.firstMessage = new Promise((cb) => { this.#firstMessage = cb; });
+
+    setImmediate(() => {
+      if (this.readyState !== this.CONNECTING) return;
+      this.readyState = this.OPEN;
+      this.emit('open');
+      this.#pump();
+    });
+  }
+
+  /** If every recorded packet was replayed */
+  get finished() {
+    return this.#position >= this.#entries.length;
+  }
+
+  /** @param {string} data Raw data sent by the client */
+  send(data) {
+    if (this.readyState !== this.OPEN) return;
+    splitPackets(data).forEach((raw) => this.#unmatched.push(describePacket(raw)));
+    this.#pump();
+  }
+
+  close() {
+    if (this.readyState === this.CLOSED) return;
+    this.readyState = this.CLOSED;
+    setImmediate(() => this.emit('close'));
+  }
+
+  /** Pair a recorded sent packet with the client's and learn the ID mapping */
+  #match(entry) {
+    const i = this.#unmatched.findIndex((p) => p.m === entry.m);
+    if (i < 0) return false;
+    const [live] = this.#unmatched.splice(i, 1);
+    const recorded = describePacket(entry.raw).packet;
+    if (recorded && Array.isArray(recorded.p) && Array.isArray(live.packet.p)) {
+      recorded.p.forEach((value, n) => {
+        const liveValue = live.packet.p[n];
+        if (typeof value === 'string' && generatedIdRgx.test(value) && typeof liveValue === 'string') {
+          this.#ids.set(value, liveValue);
+        }
+      });
+    }
+    return true;
+  }
+
+  #deliver(entry) {
+    let { raw } = entry;
+    if (this.#ids.size > 0) {
+      let payload = raw.replace(/^~m~\d+~m~/, '');
+      this.#ids.forEach((live, recorded) => { payload = payload.split(recorded).join(live); });
+      raw = protocol.formatWSPacket(payload);
+    }
+    this.emit('message', raw);
+    this.#firstMessage();
+  }
+
+  /** Replay until the next recorded sent packet the client hasn't sent yet */
+  #pump() {
+    if (this.#pumping) return;
+    this.#pumping = true;
+
+    const step = () => {
+      while (this.readyState === this.OPEN && !this.finished) {
+        const entry = this.#entries[this.#position];
+        if (entry.dir === 'out') {
+          if (!this.#match(entry)) break;
+          this.#position += 1;
+        } else {
+          this.#position += 1;
+          this.#deliver(entry);
+          // One packet per tick, like separate socket reads
+          setImmediate(step);
+          return;
+        }
+      }
+      this.#pumping = false;
+      if (this.finished && !this.#ended) {
+        this.#ended = true;
+        this.emit('end');
+      }
+    };
+
+    step();
+  }
+}
+
+module.exports = {
+  splitPackets,
+  createRecorder,
+  readCassette,
+  ReplayTransport,
+};
@@ -11,6 +11,12 @@ module.exports = (client) => class HistorySession {
     /** Parent client */
     #client = client;
 
+    /**
+     * Request still waiting for its data, re-sent after a reconnection
+     * @type {Array | null}
+     */
+    #pendingRequest = null;
+
     #callbacks = {
       historyLoaded: [],
 
@@ -47,9 +53,17 @@ module.exports = (client) => class HistorySession {
     constructor() {
       this.#client.sessions[this.#historySessionID] = {
         type: 'history',
+        restore: () => {
+          this.#client.send('history_create_session', [this.#historySessionID]);
+          if (this.#pendingRequest) this.#client.send('request_history_data', this.#pendingRequest);
+        },
         onData: async (packet) => {
           if (global.TW_DEBUG) console.log('§90§30§106 HISTORY SESSION §0 DATA', packet);
 
+          if (['request_data', 'request_error', 'critical_error'].includes(packet.type)) {
+            this.#pendingRequest = null;
+          }
+
           if (packet.type === 'request_data') {
             const data = packet.data[2];
             if (data.ns && data.ns.d) {
@@ -137,7 +151,7 @@ module.exports = (client) => class HistorySession {
       const from = options.from || Math.floor(new Date(2010, 1, 1) / 1000);
       const to = options.to || Math.floor(Date.now() / 1000);
 
-      this.#client.send('request_history_data', [
+      this.#pendingRequest = [
         this.#historySessionID,
         0,
         `=${JSON.stringify(symbolInit)}`,
@@ -147,7 +161,8 @@ module.exports = (client) => class HistorySession {
         indicator.type,
         getInputs(indicator),
         [],
-      ]);
+      ];
+      this.#client.send('request_history_data', this.#pendingRequest);
     }
 
     /**
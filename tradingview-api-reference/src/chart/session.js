@@ -38,6 +38,7 @@ const ChartTypes = {
  * @typedef {Object} ChartSessionBridge
  * @prop {string} sessionID
  * @prop {StudyListeners} studyListeners
+ * @prop {Object<string, () => void>} studyRestorers Study ID → re-send its create_study packet
  * @prop {Object<number, number>} indexes
  * @prop {import('../client').SendPacket} send
 */
@@ -130,6 +131,18 @@ module.exports = (client) => class ChartSession {
   /** @type {StudyListeners} */
   #studyListeners = {};
 
+  /** @type {Object<string, () => void>} */
+  #studyRestorers = {};
+
+  /**
+   * Last market set, replayed after a reconnection
+   * @type {{ symbol: string, options: Object } | null}
+   */
+  #market = null;
+
+  /** Last timezone set, replayed after a reconnection */
+  #timezone = null;
+
   /**
    * Table of periods values indexed by timestamp
    * @type {Object<number, PricePeriod[]>}
@@ -183,6 +196,7 @@ module.exports = (client) => class ChartSession {
   constructor() {
     this.#client.sessions[this.#chartSessionID] = {
       type: 'chart',
+      restore: () => this.#restore(),
       onData: (packet) => {
         if (global.TW_DEBUG) console.log('§90§30§106 CHART SESSION §0 DATA', packet);
 
@@ -292,6 +306,18 @@ module.exports = (client) => class ChartSession {
     this.#client.send('chart_create_session', [this.#chartSessionID]);
   }
 
+  /** Recreate the session on a new connection: market, series, timezone, then studies */
+  #restore() {
+    this.#client.send('chart_create_session', [this.#chartSessionID]);
+    this.#seriesCreated = false;
+    this.#replayMode = false;
+    this.#replayOKCB = {};
+
+    if (this.#market) this.setMarket(this.#market.symbol, this.#market.options);
+    if (this.#timezone) this.setTimezone(this.#timezone);
+    Object.values(this.#studyRestorers).forEach((restore) => restore());
+  }
+
   #seriesCreated = false;
 
   #currentSeries = 0;
@@ -310,6 +336,11 @@ module.exports = (client) => class ChartSession {
     const calcRange = !reference ? range : ['bar_count', reference, range];
 
     this.#periods = {};
+    if (this.#market) {
+      this.#market.options = {
+        ...this.#market.options, timeframe, range, to: reference,
+      };
+    }
 
     this.#client.send(`${this.#seriesCreated ? 'modify' : 'create'}_series`, [
       this.#chartSessionID,
@@ -340,6 +371,7 @@ module.exports = (client) => class ChartSession {
    */
   setMarket(symbol, options = {}) {
     this.#periods = {};
+    this.#market = { symbol, options };
 
     if (this.#replayMode) {
       this.#replayMode = false;
@@ -402,6 +434,7 @@ module.exports = (client) => class ChartSession {
    */
   setTimezone(timezone) {
     this.#periods = {};
+    this.#timezone = timezone;
     this.#client.send('switch_timezone', [this.#chartSessionID, timezone]);
   }
 
@@ -536,6 +569,7 @@ module.exports = (client) => class ChartSession {
   #chartSession = {
     sessionID: this.#chartSessionID,
     studyListeners: this.#studyListeners,
+    studyRestorers: this.#studyRestorers,
     indexes: {},
     send: (t, p) => this.#client.send(t, p),
   };
@@ -150,6 +150,8 @@ const studyConstructor = (chartSession) => class ChartStudy {
 
   #studyListeners = chartSession.studyListeners;
 
+  #studyRestorers = chartSession.studyRestorers;
+
   /**
    * Table of periods values indexed by timestamp
    * @type {Object<number, {}[]>}
@@ -360,7 +362,8 @@ const studyConstructor = (chartSession) => class ChartStudy {
       }
     };
 
-    chartSession.send('create_study', [
+    // After a reconnection, recreate the study with its current indicator
+    this.#studyRestorers[this.#studID] = () => chartSession.send('create_study', [
       chartSession.sessionID,
       `${this.#studID}`,
       'st1',
@@ -368,6 +371,8 @@ const studyConstructor = (chartSession) => class ChartStudy {
       this.instance.type,
       getInputs(this.instance),
     ]);
+
+    this.#studyRestorers[this.#studID]();
   }
 
   /**
@@ -431,6 +436,7 @@ const studyConstructor = (chartSession) => class ChartStudy {
       this.#studID,
     ]);
     delete this.#studyListeners[this.#studID];
+    delete this.#studyRestorers[this.#studID];
   }
 };
 
@@ -2,6 +2,7 @@ const WebSocket = require('ws');
 
 const misc = require('./miscRequests');
 const protocol = require('./protocol');
+const { createRecorder, ReplayTransport } = require('./cassette');
 
 const quoteSessionGenerator = require('./quote/session');
 const chartSessionGenerator = require('./chart/session');
@@ -9,8 +10,10 @@ const historySessionGenerator = require('./chart/history');
 
 /**
  * @typedef {Object} Session
- * @prop {'quote' | 'chart' | 'replay'} type Session type
+ * @prop {'quote' | 'chart' | 'replay' | 'history'} type Session type
  * @prop {(data: {}) => null} onData When there is a data
+ * @prop {() => void} [restore] Re-send the packets that recreate the session
+ *  (called after a reconnection)
  */
 
 /** @typedef {Object<string, Session>} SessionList Session list */
@@ -30,11 +33,19 @@ const historySessionGenerator = require('./chart/history');
 
 /**
  * @typedef { 'connected' | 'disconnected'
+ *  | 'reconnecting' | 'reconnected'
  *  | 'logged' | 'ping' | 'data'
  *  | 'error' | 'event'
  * } ClientEvent
  */
 
+/**
+ * @typedef {Object} ReconnectOptions
+ * @prop {number} [retries] Max attempts in a row (Default: Infinity)
+ * @prop {number} [delay] First retry delay in ms, doubled on each attempt (Default: 1000)
+ * @prop {number} [maxDelay] Max retry delay in ms (Default: 30000)
+ */
+
 /** @class */
 module.exports = class Client {
   #ws;
@@ -51,12 +62,35 @@ module.exports = class Client {
     return this.#ws.readyState === this.#ws.OPEN;
   }
 
+  /** @type {ClientOptions} */
+  #options;
+
+  /** @type {ReconnectOptions | null} */
+  #reconnect = null;
+
+  #reconnectAttempt = 0;
+
+  #reconnectTimer = null;
+
+  /** If end() was called */
+  #closing = false;
+
+  /** If the client lost its connection and is trying to get it back */
+  get isReconnecting() {
+    return this.#reconnectAttempt > 0 && !this.#closing;
+  }
+
   /** @type {SessionList} */
   #sessions = {};
 
+  /** @type {ReturnType<createRecorder> | null} */
+  #recorder = null;
+
   #callbacks = {
     connected: [],
     disconnected: [],
+    reconnecting: [],
+    reconnected: [],
     logged: [],
     ping: [],
     data: [],
@@ -97,6 +131,25 @@ module.exports = class Client {
     this.#callbacks.disconnected.push(cb);
   }
 
+  /**
+   * When the connection was lost and a reconnection is scheduled
+   * @param {(attempt: number, delay: number) => void} cb Callback
+   * @event onReconnecting
+   */
+  onReconnecting(cb) {
+    this.#callbacks.reconnecting.push(cb);
+  }
+
+  /**
+   * When the client is connected and logged in again,
+   * with every live session recreated
+   * @param {(attempt: number) => void} cb Callback
+   * @event onReconnected
+   */
+  onReconnected(cb) {
+    this.#callbacks.reconnected.push(cb);
+  }
+
   /**
    * @typedef {Object} SocketSession
    * @prop {string} session_id Socket session ID
@@ -161,7 +214,7 @@ module.exports = class Client {
     protocol.parseWSPacket(str).forEach((packet) => {
       if (global.TW_DEBUG) console.log('§90§30§107 CLIENT §0 PACKET', packet);
       if (typeof packet === 'number') { // Ping
-        this.#ws.send(protocol.formatWSPacket(`~h~${packet}`));
+        this.#write(protocol.formatWSPacket(`~h~${packet}`));
         this.#handleEvent('ping', packet);
         return;
       }
@@ -207,7 +260,7 @@ module.exports = class Client {
   sendQueue() {
     while (this.isOpen && this.#logged && this.#sendQueue.length > 0) {
       const packet = this.#sendQueue.shift();
-      this.#ws.send(packet);
+      this.#write(packet);
       if (global.TW_DEBUG) console.log('§90§30§107 > §0', packet);
     }
   }
@@ -218,7 +271,15 @@ module.exports = class Client {
    * @prop {string} [signature] User auth token signature (in 'sessionid_sign' cookie)
    * @prop {boolean} [DEBUG] Enable debug mode
    * @prop {'data' | 'prodata' | 'widgetdata' | 'history-data'} [server] Server type
+   * @prop {string} [endpoint] Base URL replacing wss://{server}.tradingview.com
+   *  (e.g. a local mock server: ws://127.0.0.1:8080). The server type is sent as ?server=
    * @prop {string} [location] Auth page location (For france: https://fr.tradingview.com/)
+   * @prop {boolean | ReconnectOptions} [reconnect] Reconnect automatically when the
+   *  connection drops, then log in again and recreate every live session (Default: false)
+   * @prop {string} [record] Record every packet sent and received to this JSONL cassette
+   *  (auth token redacted)
+   * @prop {string | { header: {}, entries: {}[] }} [replay] Play a recorded cassette back
+   *  instead of connecting: no network, no login (see cassette.js ReplayTransport)
    */
 
   /**
@@ -228,50 +289,142 @@ module.exports = class Client {
   constructor(clientOptions = {}) {
     if (clientOptions.DEBUG) global.TW_DEBUG = clientOptions.DEBUG;
 
-    const server = clientOptions.server || 'data';
-    this.#ws = new WebSocket(`wss://${server}.tradingview.com/socket.io/websocket?type=chart`, {
-      origin: 'https://www.tradingview.com',
-    });
+    this.#options = clientOptions;
+    if (clientOptions.reconnect) {
+      this.#reconnect = {
+        retries: Infinity,
+        delay: 1000,
+        maxDelay: 30000,
+        ...(typeof clientOptions.reconnect === 'object' ? clientOptions.reconnect : {}),
+      };
+    }
 
-    if (clientOptions.token) {
-      misc.getUser(
-        clientOptions.token,
-        clientOptions.signature ? clientOptions.signature : '',
-        clientOptions.location ? clientOptions.location : 'https://tradingview.com',
-      ).then((user) => {
-        this.#sendQueue.unshift(protocol.formatWSPacket({
-          m: 'set_auth_token',
-          p: [user.authToken],
-        }));
-        this.#logged = true;
-        this.sendQueue();
-      }).catch((err) => {
-        this.#handleError('Credentials error:', err.message);
+    if (clientOptions.record) {
+      this.#recorder = createRecorder(clientOptions.record, {
+        server: clientOptions.server || 'data',
+        authenticated: !!clientOptions.token,
+      });
+    }
+
+    this.#connect();
+  }
+
+  /** Send raw data, through the recorder when recording */
+  #write(data) {
+    if (this.#recorder) this.#recorder.write('out', data);
+    this.#ws.send(data);
+  }
+
+  /** Log in: queue the auth token packet first, then flush the queue */
+  #authenticate() {
+    const { token, signature, location } = this.#options;
+
+    if (this.#ws instanceof ReplayTransport) {
+      // Log in the way the recorded client did, without requesting a token
+      if (!this.#ws.header.authenticated) return this.#setAuthToken('unauthorized_user_token');
+      return this.#ws.firstMessage.then(() => this.#setAuthToken('<redacted>'));
+    }
+
+    if (!token) return this.#setAuthToken('unauthorized_user_token');
+
+    return misc.getUser(
+      token,
+      signature || '',
+      location || 'https://tradingview.com',
+    ).then((user) => this.#setAuthToken(user.authToken));
+  }
+
+  /** Send the auth token before anything queued */
+  #setAuthToken(authToken) {
+    this.#sendQueue.unshift(protocol.formatWSPacket({
+      m: 'set_auth_token',
+      p: [authToken],
+    }));
+    this.#logged = true;
+    this.sendQueue();
+    return Promise.resolve();
+  }
+
+  #connect() {
+    const server = this.#options.server || 'data';
+    const url = this.#options.endpoint
+      ? `${this.#options.endpoint}/socket.io/websocket?type=chart&server=${server}`
+      : `wss://${server}.tradingview.com/socket.io/websocket?type=chart`;
+    const ws = this.#options.replay
+      ? new ReplayTransport(this.#options.replay)
+      : new WebSocket(url, {
+        origin: 'https://www.tradingview.com',
+      });
+    this.#ws = ws;
+
+    const attempt = this.#reconnectAttempt;
+    if (attempt > 0) {
+      // Sessions are rebuilt from their current state, so
+      // packets queued while offline would only duplicate it
+      this.#sendQueue = [];
+      Object.values(this.#sessions).forEach((session) => {
+        if (session.restore) session.restore();
       });
-    } else {
-      this.#sendQueue.unshift(protocol.formatWSPacket({
-        m: 'set_auth_token',
-        p: ['unauthorized_user_token'],
-      }));
-      this.#logged = true;
-      this.sendQueue();
     }
 
-    this.#ws.on('open', () => {
+    const opened = new Promise((cb) => { ws.once('open', cb); });
+
+    this.#authenticate().then(() => opened).then(() => {
+      if (attempt === 0 || ws !== this.#ws) return;
+      this.#reconnectAttempt = 0;
+      this.#handleEvent('reconnected', attempt);
+    }).catch((err) => {
+      this.#handleError('Credentials error:', err.message);
+      // A failed re-login is retried like a failed connection
+      if (attempt > 0 && ws.readyState === ws.OPEN) ws.close();
+    });
+
+    ws.on('open', () => {
+      if (this.#recorder) this.#recorder.event('open');
       this.#handleEvent('connected');
       this.sendQueue();
     });
 
-    this.#ws.on('close', () => {
+    ws.on('close', () => {
+      if (this.#recorder) this.#recorder.event('close');
+      if (ws !== this.#ws) return;
       this.#logged = false;
       this.#handleEvent('disconnected');
+      this.#scheduleReconnect();
     });
 
-    this.#ws.on('error', (err) => {
+    ws.on('error', (err) => {
       this.#handleError('WebSocket error:', err.message);
     });
 
-    this.#ws.on('message', (data) => this.#parsePacket(typeof data === 'string' ? data : data.toString()));
+    ws.on('message', (data) => {
+      const str = typeof data === 'string' ? data : data.toString();
+      if (this.#recorder) this.#recorder.write('in', str);
+      this.#parsePacket(str);
+    });
+  }
+
+  #scheduleReconnect() {
+    if (!this.#reconnect || this.#closing || this.#reconnectTimer) return;
+    if (this.#options.replay) return; // A cassette plays once
+
+    if (this.#reconnectAttempt >= this.#reconnect.retries) {
+      this.#handleError('Reconnection failed:', `gave up after ${this.#reconnectAttempt} attempts`);
+      this.#reconnectAttempt = 0;
+      return;
+    }
+
+    this.#reconnectAttempt += 1;
+    const delay = Math.min(
+      this.#reconnect.maxDelay,
+      this.#reconnect.delay * 2 ** (this.#reconnectAttempt - 1),
+    );
+    this.#handleEvent('reconnecting', this.#reconnectAttempt, delay);
+
+    this.#reconnectTimer = setTimeout(() => {
+      this.#reconnectTimer = null;
+      if (!this.#closing) this.#connect();
+    }, delay);
   }
 
   /** @type {ClientBridge} */
@@ -293,8 +446,14 @@ module.exports = class Client {
    */
   end() {
     return new Promise((cb) => {
+      this.#closing = true;
+      clearTimeout(this.#reconnectTimer);
+      this.#reconnectTimer = null;
       if (this.#ws.readyState) this.#ws.close();
-      cb();
+      if (!this.#recorder) return cb();
+      const recorder = this.#recorder;
+      this.#recorder = null;
+      return recorder.close().then(cb);
     });
   }
 };
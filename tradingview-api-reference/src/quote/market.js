@@ -121,12 +121,17 @@ module.exports = (quoteSession) => class QuoteMarket {
 
   /** Close this listener */
   close() {
-    if (this.#symbolListeners[this.#symbolKey].length <= 1) {
+    const listeners = this.#symbolListeners[this.#symbolKey];
+    if (!listeners) return;
+    delete listeners[this.#symbolListenerID];
+
+    // Unsubscribe with the last listener, so a new Market for the symbol subscribes again
+    if (!listeners.some(Boolean)) {
       quoteSession.send('quote_remove_symbols', [
         quoteSession.sessionID,
         this.#symbolKey,
       ]);
+      delete this.#symbolListeners[this.#symbolKey];
     }
-    delete this.#symbolListeners[this.#symbolKey][this.#symbolListenerID];
   }
 };
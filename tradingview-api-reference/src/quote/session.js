@@ -75,6 +75,7 @@ module.exports = (client) => class QuoteSession {
   constructor(options = {}) {
     this.#client.sessions[this.#sessionID] = {
       type: 'quote',
+      restore: () => this.#restore(),
       onData: (packet) => {
         if (global.TW_DEBUG) console.log('§90§30§102 QUOTE SESSION §0 DATA', packet);
 
@@ -98,13 +99,27 @@ module.exports = (client) => class QuoteSession {
       },
     };
 
-    const fields = (options.customFields && options.customFields.length > 0
+    this.#fields = (options.customFields && options.customFields.length > 0
       ? options.customFields
       : getQuoteFields(options.fields)
     );
 
     this.#client.send('quote_create_session', [this.#sessionID]);
-    this.#client.send('quote_set_fields', [this.#sessionID, ...fields]);
+    this.#client.send('quote_set_fields', [this.#sessionID, ...this.#fields]);
+  }
+
+  /** @type {quoteField[]} */
+  #fields = [];
+
+  /** Recreate the session on a new connection, with its fields and open markets */
+  #restore() {
+    this.#client.send('quote_create_session', [this.#sessionID]);
+    this.#client.send('quote_set_fields', [this.#sessionID, ...this.#fields]);
+
+    Object.entries(this.#symbolListeners).forEach(([symbolKey, listeners]) => {
+      if (!listeners.some(Boolean)) return;
+      this.#client.send('quote_add_symbols', [this.#sessionID, symbolKey]);
+    });
   }
 
   /** @type {QuoteSessionBridge} */
@@ -1,17 +1,22 @@
 /**
  * Data Export Workflow
  * Export OHLCV data to CSV or JSON files. Supports extended history via fetchMore.
+ * With `cache: true` (or TV_BAR_CACHE=1) bars come from the local bar store, which
+ * only downloads what it is missing (see lib/bar-cache.js). With `chartType` it exports
+ * Renko bricks, Kagi lines, ... instead of candles (see lib/chart-types.js).
  *
  * Usage:
  *   node workflows/data-export.js BINANCE:BTCUSDT D 500 csv
  *   node workflows/data-export.js NASDAQ:AAPL 60 1000 json
  *   node workflows/data-export.js BINANCE:ETHUSDT D 2000 csv   # Uses fetchMore for >300 bars
+ *   node workflows/data-export.js BINANCE:BTCUSDT 60 500 csv Renko '{"style":"Traditional","boxSize":100}'
  */
 const fs = require('fs');
 const path = require('path');
 const { getChartData } = require('../skills/get-chart-data');
 const { fetchMoreData } = require('../skills/fetch-more-data');
 const { close } = require('../lib/ws-client');
+const { getBars, shouldUseCache } = require('../lib/bar-cache');
 
 async function dataExport(symbol, options = {}) {
   const {
@@ -23,9 +28,24 @@ async function dataExport(symbol, options = {}) {
   } = options;
 
   let bars;
+  let chartType;
 
-  // Use fetchMore for large requests (>300 bars)
-  if (count > 300) {
+  if (options.chartType) {
+    // TradingView sends `count` bricks/columns in one go; they aren't cached
+    const result = await getChartData(symbol, {
+      timeframe, count, chartType: options.chartType, chartInputs: options.chartInputs,
+    });
+    if (!result.success) return result;
+    bars = result.data;
+    chartType = { type: result.chartType, inputs: result.chartInputs };
+  } else if (shouldUseCache(options.cache)) {
+    try {
+      ({ bars } = await getBars(symbol, { timeframe, count }));
+    } catch (error) {
+      return { success: false, message: 'Error reading bar cache', error: error.message };
+    }
+  } else if (count > 300) {
+    // Use fetchMore for large requests (>300 bars)
     const initialRange = 100;
     const additional = count - initialRange;
     const result = await fetchMoreData(symbol, { timeframe, initialRange, additional });
@@ -42,7 +62,8 @@ async function dataExport(symbol, options = {}) {
 
   // Generate filename
   const safeName = symbol.replace(':', '_');
-  const outFile = filename || `${safeName}_${timeframe}_${bars.length}.${format}`;
+  const typeSuffix = chartType ? `_${chartType.type}` : '';
+  const outFile = filename || `${safeName}_${timeframe}${typeSuffix}_${bars.length}.${format}`;
   const outPath = path.resolve(outputDir, outFile);
 
   if (format === 'csv') {
@@ -56,6 +77,7 @@ async function dataExport(symbol, options = {}) {
     fs.writeFileSync(outPath, JSON.stringify({
       symbol,
       timeframe,
+      ...(chartType && { chartType: chartType.type, chartInputs: chartType.inputs }),
       exportedAt: new Date().toISOString(),
       count: bars.length,
       bars: bars.map(bar => ({
@@ -74,6 +96,7 @@ async function dataExport(symbol, options = {}) {
     file: outPath,
     symbol,
     timeframe,
+    chartType: chartType?.type,
     format,
     barCount: bars.length,
     dateRange: { from: firstDate, to: lastDate },
@@ -85,9 +108,13 @@ async function main() {
   const timeframe = process.argv[3] || 'D';
   const count = parseInt(process.argv[4]) || 500;
   const format = process.argv[5] || 'csv';
+  const chartType = process.argv[6];
 
   try {
-    const result = await dataExport(symbol, { timeframe, count, format });
+    const chartInputs = process.argv[7] ? JSON.parse(process.argv[7]) : undefined;
+    const result = await dataExport(symbol, {
+      timeframe, count, format, chartType, chartInputs,
+    });
     console.log(JSON.stringify(result, null, 2));
   } catch (error) {
     console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
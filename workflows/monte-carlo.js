@@ -0,0 +1,206 @@
+/**
+ * Monte Carlo Workflow
+ * Stress-test a strategy beyond its one backtest path: run the backtest once, resample
+ * its trades under several scenarios and compare the distributions of max drawdown,
+ * final equity and longest losing streak, and the probability of ruin.
+ *
+ * Scenarios: the trades shuffled, bootstrapped with replacement, and (with a skip
+ * probability) bootstrapped with trades randomly not taken. With an output directory
+ * each scenario's runs are written as CSV, and the histograms as one self-contained HTML.
+ *
+ * Usage:
+ *   node workflows/monte-carlo.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D 365d
+ *   node workflows/monte-carlo.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D 365d 5000 0.1 10000 ./reports
+ *   node workflows/monte-carlo.js "PUB;abc123" CME_MINI:NQ1! 60 chart 2000 0 25000 ./reports 50   # Ruin = -50%
+ */
+const fs = require('fs');
+const path = require('path');
+const { backtest } = require('../lib/backtest');
+const { close } = require('../lib/ws-client');
+const { escapeHtml, formatNumber, renderPage } = require('../lib/html');
+const { monteCarlo } = require('../skills/monte-carlo');
+
+const DISTRIBUTIONS = {
+  maxDrawdownPercent: 'Max drawdown %',
+  finalEquity: 'Final equity',
+  longestLosingStreak: 'Longest losing streak',
+};
+
+/**
+ * Run the Monte Carlo scenarios for a strategy.
+ *
+ * @param {string} scriptId - Strategy script ID
+ * @param {Object} [options]
+ * @param {string} [options.symbol='BINANCE:BTCUSDT']
+ * @param {string} [options.timeframe='D']
+ * @param {string|number|Object} [options.range='chart'] - Backtest range (see backtest)
+ * @param {Object} [options.params] - Strategy parameter overrides
+ * @param {number} [options.runs=1000] - Runs per scenario
+ * @param {number} [options.skipProbability=0] - Adds a bootstrap scenario skipping trades with this chance
+ * @param {number} [options.accountSize] - Default: the strategy's initial capital
+ * @param {number} [options.ruinPercent=100] - Loss (% of the account) that counts as ruin
+ * @param {number} [options.seed] - Same seed for every scenario. Default: current time
+ * @param {string} [options.outputDir] - Write CSV + HTML here (omit to skip files)
+ */
+async function monteCarloReport(scriptId, options = {}) {
+  const {
+    symbol = 'BINANCE:BTCUSDT',
+    timeframe = 'D',
+    range = 'chart',
+    params,
+    runs = 1000,
+    skipProbability = 0,
+    accountSize,
+    ruinPercent = 100,
+    seed = Date.now(),
+    outputDir,
+  } = options;
+
+  const run = await backtest(scriptId, symbol, { timeframe, range, params });
+  if (!run.success) return run;
+
+  const scenarios = [
+    { name: 'shuffle', method: 'shuffle', skipProbability: 0 },
+    { name: 'bootstrap', method: 'bootstrap', skipProbability: 0 },
+  ];
+  if (skipProbability > 0) {
+    scenarios.push({ name: `bootstrap, ${formatNumber(skipProbability * 100)}% skipped`, method: 'bootstrap', skipProbability });
+  }
+
+  const results = [];
+  for (const scenario of scenarios) {
+    const result = await monteCarlo(run.report, symbol, {
+      runs,
+      method: scenario.method,
+      skipProbability: scenario.skipProbability,
+      accountSize,
+      ruinPercent,
+      seed,
+      includeSamples: Boolean(outputDir),
+    });
+    if (!result.success) return result;
+    results.push({ ...scenario, simulation: result.simulation });
+  }
+
+  const [first] = results;
+  const report = {
+    success: true,
+    message: `${scenarios.length} scenarios × ${runs} runs of ${first.simulation.trades} trades`,
+    scriptId,
+    symbol,
+    timeframe,
+    accountSize: first.simulation.accountSize,
+    seed,
+    original: first.simulation.original,
+    scenarios: results.map(({ name, method, simulation }) => ({
+      name,
+      method,
+      skipProbability: simulation.skipProbability,
+      probabilityOfRuin: simulation.probabilityOfRuin,
+      maxDrawdown: simulation.maxDrawdown.percentiles,
+      maxDrawdownPercent: simulation.maxDrawdownPercent.percentiles,
+      finalEquity: simulation.finalEquity.percentiles,
+      longestLosingStreak: simulation.longestLosingStreak.percentiles,
+    })),
+  };
+
+  if (outputDir) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const safe = s => String(s).trim().replace(/[^\w-]+/g, '_');
+    const base = path.resolve(outputDir, `montecarlo_${safe(scriptId)}_${safe(symbol)}_${safe(timeframe)}`);
+    report.files = { csv: [], html: `${base}.html` };
+    results.forEach(({ name, simulation }) => {
+      const file = `${base}_${safe(name)}.csv`;
+      const header = 'run,maxDrawdown,maxDrawdownPercent,finalEquity,longestLosingStreak';
+      const rows = simulation.samples.map((s, i) => [i + 1, s.maxDrawdown, s.maxDrawdownPercent, s.finalEquity, s.longestLosingStreak].join(','));
+      fs.writeFileSync(file, `${[header, ...rows].join('\n')}\n`);
+      report.files.csv.push(file);
+    });
+    fs.writeFileSync(report.files.html, monteCarloHtml(report, results));
+  }
+
+  return report;
+}
+
+/**
+ * Histograms and percentile tables of every scenario as a self-contained page.
+ * @param {Object} report - monteCarloReport result (without files)
+ * @param {Array<{name:string, simulation:Object}>} results
+ */
+function monteCarloHtml(report, results) {
+  const percentileKeys = Object.keys(results[0].simulation.maxDrawdownPercent.percentiles);
+
+  const histogram = (hist) => {
+    const most = Math.max(...hist.map(b => b.count));
+    return `<div class="hist">${hist.map(b => `<div class="bar" style="height:${Math.round((b.count / most) * 100)}%" title="${escapeHtml(`${formatNumber(b.from)} – ${formatNumber(b.to)}: ${b.count}`)}"></div>`).join('')}</div>
+<div class="axis"><span>${formatNumber(hist[0].from)}</span><span>${formatNumber(hist[hist.length - 1].to)}</span></div>`;
+  };
+
+  const sections = results.map(({ name, simulation }) => {
+    const rows = Object.entries(DISTRIBUTIONS).map(([key, label]) => `<tr><th>${escapeHtml(label)}</th>${
+      percentileKeys.map(p => `<td>${formatNumber(simulation[key].percentiles[p])}</td>`).join('')}<td>${formatNumber(simulation.original[key])}</td></tr>`).join('\n');
+    const charts = Object.entries(DISTRIBUTIONS).map(([key, label]) => `<figure><figcaption>${escapeHtml(label)}</figcaption>${histogram(simulation[key].histogram)}</figure>`).join('\n');
+    return `<h2>${escapeHtml(name)} — ${formatNumber(simulation.probabilityOfRuin * 100)}% risk of ruin</h2>
+<table>
+<tr><th></th>${percentileKeys.map(p => `<th>${escapeHtml(p)}</th>`).join('')}<th>backtest</th></tr>
+${rows}
+</table>
+<div class="charts">${charts}</div>`;
+  }).join('\n');
+
+  return renderPage({
+    title: `Monte Carlo — ${report.scriptId}`,
+    body: `<h1>Monte Carlo — ${escapeHtml(report.scriptId)}</h1>
+<div class="meta">${escapeHtml(`${report.symbol} · ${report.timeframe} · account ${formatNumber(report.accountSize)} · ${results[0].simulation.runs} runs per scenario · seed ${report.seed}`)}</div>
+${sections}`,
+    style: `
+  .charts { display: flex; gap: 24px; flex-wrap: wrap; margin-top: 8px; }
+  figure { margin: 0; width: 260px; }
+  figcaption { font-size: 12px; color: #616e7c; margin-bottom: 4px; }
+  .hist { display: flex; align-items: flex-end; height: 100px; gap: 1px; border-bottom: 1px solid #9aa5b1; }
+  .bar { flex: 1; background: #4c8bf5; min-height: 1px; }
+  .axis { display: flex; justify-content: space-between; font-size: 11px; color: #616e7c; }
+`,
+  });
+}
+
+async function main() {
+  const scriptId = process.argv[2];
+  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
+  const timeframe = process.argv[4] || 'D';
+  const range = process.argv[5] || 'chart';
+  const runs = parseInt(process.argv[6]) || 1000;
+  const skipProbability = parseFloat(process.argv[7]) || 0;
+  const accountSize = parseFloat(process.argv[8]) || undefined;
+  const outputDir = process.argv[9] || 'reports';
+  const ruinPercent = parseFloat(process.argv[10]) || 100;
+
+  if (!scriptId) {
+    console.log(JSON.stringify({
+      success: false,
+      message: 'Usage: node workflows/monte-carlo.js <scriptId> [symbol] [timeframe] [range] [runs] [skipProbability] [accountSize] [outputDir] [ruinPercent]',
+    }, null, 2));
+    return;
+  }
+
+  try {
+    const result = await monteCarloReport(scriptId, {
+      symbol,
+      timeframe,
+      range: /^\d+$/.test(range) ? parseInt(range, 10) : range,
+      runs,
+      skipProbability,
+      accountSize,
+      ruinPercent,
+      outputDir,
+    });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { monteCarloReport };
+if (require.main === module) main();
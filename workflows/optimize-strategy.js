@@ -1,109 +1,72 @@
 /**
  * Optimize Strategy Workflow
  * Backtest a strategy across parameter ranges to find optimal settings.
- * Generates all combinations of parameter values and runs backtests for each.
+ * Parameter ranges use the extension's range DSL (lib/param-ranges.js).
+ * By default tests every combination of parameter values (grid search); for larger
+ * spaces, random, genetic or TPE search explores a fixed budget of combos instead.
+ * Backtests are spread across a pool of WebSocket connections (bounded by the plan's max_connections).
+ * Every result is journaled to runs/<runId>.jsonl, so rerunning the same sweep (or
+ * passing --resume <runId>) skips combos that already completed.
  *
  * Usage:
  *   node workflows/optimize-strategy.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D '{"RSI Length":[7,14,21]}'
  *   node workflows/optimize-strategy.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D '{"RSI Length":[7,14,21],"RSI Upper Band":[70,80]}'
  *   node workflows/optimize-strategy.js "PUB;abc123" NQ1! 1 '{"Fast":[5,8,13],"Slow":[21,34,55]}'
+ *   node workflows/optimize-strategy.js "PUB;abc123" NQ1! 1 '{"Fast":[5,8,13],"Slow":[21,34,55]}' netProfit 4
+ *   node workflows/optimize-strategy.js "PUB;abc123" NQ1! 1 '{"Fast":{"min":2,"max":30},"Slow":{"min":10,"max":200,"step":5}}' netProfit 4 genetic 150
+ *   node workflows/optimize-strategy.js "PUB;abc123" NQ1! 1 '{"Fast":[5,8,13]}' --constraints '{"totalTrades":{"min":30},"maxDrawdownPercent":{"max":20}}' --objectives '{"netProfit":1,"maxDrawdownPercent":1}'
+ *   node workflows/optimize-strategy.js --resume 3f9a1c2b7d4e
  */
-const { getClient, getCredentials, TradingView, close } = require('../lib/ws-client');
+const crypto = require('crypto');
+const { getCredentials, TradingView, close } = require('../lib/ws-client');
+const { getConnectionLimit, createClientPool, runPool } = require('../lib/pool');
+const { createRunId, openJournal, readJournal } = require('../lib/journal');
+const { SEARCH_STRATEGIES, createRng } = require('../lib/search');
+const { buildParamSpace, spaceSize, iterateCombos } = require('../lib/param-ranges');
+const {
+  rankResults, metricDirection, applyConstraints, compositeScores, paretoFront,
+} = require('../lib/ranking');
+const { shouldSave, saveResults } = require('../lib/results-store');
 const { getIndicatorDetails } = require('../skills/get-indicator-details');
 
-/**
- * Build a map from human-readable input names to their in_XX IDs.
- * Allows users to pass {"Stop Ticks": 50} instead of {"in_20": 50}.
- * @param {Object} inputs - The indicator's inputs object (keyed by in_XX)
- * @returns {Object<string, string>} Map of name → in_XX id
- */
-function buildNameToIdMap(inputs) {
-  const map = {};
-  for (const [id, input] of Object.entries(inputs)) {
-    if (input.name) {
-      map[input.name] = id;
-      // Also map trimmed version (some names have leading spaces like "  Sunday")
-      map[input.name.trim()] = id;
-    }
-  }
-  return map;
-}
-
-/**
- * Resolve parameter keys from human-readable names to in_XX IDs.
- * Accepts either format: {"Stop Ticks": 50} or {"in_20": 50}.
- * @param {Object} params - Parameters with name or ID keys
- * @param {Object<string, string>} nameToId - Name-to-ID map from buildNameToIdMap
- * @returns {Object} Parameters with in_XX keys
- */
-function resolveParamIds(params, nameToId) {
-  const resolved = {};
-  for (const [key, value] of Object.entries(params)) {
-    if (key.startsWith('in_')) {
-      // Already an ID
-      resolved[key] = value;
-    } else if (nameToId[key]) {
-      resolved[nameToId[key]] = value;
-    } else if (nameToId[key.trim()]) {
-      resolved[nameToId[key.trim()]] = value;
-    } else {
-      throw new Error(`Unknown parameter "${key}". Use get-indicator-details to list available parameters.`);
-    }
-  }
-  return resolved;
-}
-
-/**
- * Generate all combinations from parameter ranges.
- * @param {Object<string, any[]>} ranges - { "Param Name": [val1, val2, ...], ... }
- * @returns {Object[]} Array of param combinations
- */
-function generateCombinations(ranges) {
-  const keys = Object.keys(ranges);
-  if (keys.length === 0) return [{}];
-
-  const combos = [];
-  const values = keys.map(k => ranges[k]);
-
-  function recurse(depth, current) {
-    if (depth === keys.length) {
-      combos.push({ ...current });
-      return;
-    }
-    for (const val of values[depth]) {
-      current[keys[depth]] = val;
-      recurse(depth + 1, current);
-    }
-  }
-
-  recurse(0, {});
-  return combos;
-}
-
 /**
  * Run a single backtest with specific parameters.
+ * Resolves with an `{ params, error }` result for deterministic failures (chart/study
+ * errors, no trades before the timeout). Rejects when the socket closed mid-run so
+ * the pool can retry the combo on a fresh client.
+ *
  * @param {string} scriptId - Script ID
  * @param {Object} indicator - Indicator template (unused, kept for compat)
  * @param {string} symbol - Market symbol
  * @param {string} timeframe - Timeframe
  * @param {Object} params - Parameters with in_XX keys (already resolved)
  * @param {number} range - Bar range
+ * @param {Object} [options]
+ * @param {Object} options.client - Logged-in WebSocket client (from lib/pool.js)
+ * @param {number} [options.timeout=30000] - Time to wait for trades (ms)
+ * @param {number} [options.to] - Last bar timestamp (unix seconds). Default: now
+ * @param {AbortSignal} [options.signal] - Abandon the run: deletes the chart and rejects
  */
-async function runSingleBacktest(scriptId, indicator, symbol, timeframe, params, range) {
+async function runSingleBacktest(scriptId, indicator, symbol, timeframe, params, range, options = {}) {
+  const {
+    client, timeout = 30000, to, signal,
+  } = options;
   const { session, signature } = getCredentials();
 
   // Clone the indicator for this run
   const ind = await TradingView.getIndicator(scriptId, 'last', session, signature);
   ind.setType('StrategyScript@tv-scripting-101!');
 
-  // Apply parameters (must use in_XX keys — use resolveParamIds() before calling this)
+  // Apply parameters (in_XX keys — buildParamSpace resolves input names)
   for (const [key, value] of Object.entries(params)) {
     ind.setOption(key, value);
   }
 
-  const client = await getClient();
-
-  return new Promise((resolve) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
     const chart = new client.Session.Chart();
     let study;
     let resolved = false;
@@ -112,9 +75,18 @@ async function runSingleBacktest(scriptId, indicator, symbol, timeframe, params,
       if (!resolved) {
         resolved = true;
         chart.delete();
-        resolve({ params, error: 'Timeout (no trades)' });
+        if (!client.isOpen) reject(new Error('WebSocket connection lost'));
+        else resolve({ params, error: 'Timeout (no trades)' });
       }
-    }, 30000);
+    }, timeout);
+
+    signal?.addEventListener('abort', () => {
+      if (resolved) return;
+      resolved = true;
+      clearTimeout(timer);
+      chart.delete();
+      reject(signal.reason);
+    }, { once: true });
 
     chart.onError((...err) => {
       if (!resolved) {
@@ -146,11 +118,12 @@ async function runSingleBacktest(scriptId, indicator, symbol, timeframe, params,
           sharpeRatio: report.performance?.sharpeRatio,
           sortinoRatio: report.performance?.sortinoRatio,
           avgTrade: perf.avgTrade,
+          performance: perf,
         });
       }
     });
 
-    chart.setMarket(symbol, { timeframe, range });
+    chart.setMarket(symbol, { timeframe, range, to });
 
     chart.onSymbolLoaded(() => {
       study = new chart.Study(ind);
@@ -172,7 +145,24 @@ async function optimizeStrategy(scriptId, options = {}) {
     timeframe = 'D',
     paramRanges = {},
     range = 1000,
+    to,
     sortBy = 'netProfit',
+    concurrency,
+    timeout = 30000,
+    retries = 2,
+    journal: useJournal = true,
+    journalDir,
+    search = 'grid',
+    maxEvaluations = 100,
+    seed,
+    searchOptions = {},
+    objectives,
+    constraints,
+    pareto,
+    includeResults = false,
+    save,
+    signal,
+    onProgress,
   } = options;
 
   if (!scriptId) {
@@ -183,10 +173,9 @@ async function optimizeStrategy(scriptId, options = {}) {
     return { success: false, message: 'Parameter ranges required. Format: {"Param Name": [val1, val2, ...]}' };
   }
 
-  // 1. Get indicator details and build name→ID map
+  // 1. Get indicator details
   let strategyName = scriptId;
   let defaults = {};
-  let nameToId = {};
   try {
     const details = await getIndicatorDetails(scriptId);
     if (details.success) {
@@ -199,92 +188,317 @@ async function optimizeStrategy(scriptId, options = {}) {
     // Continue with scriptId as name
   }
 
-  // 2. Load indicator template and build name→ID map for param resolution
+  // 2. Load indicator template for param resolution
   const { session, signature } = getCredentials();
   let indicator;
   try {
     indicator = await TradingView.getIndicator(scriptId, 'last', session, signature);
-    nameToId = buildNameToIdMap(indicator.inputs);
   } catch (error) {
     return { success: false, message: 'Failed to load script', error: error.message };
   }
 
-  // 3. Resolve parameter names to in_XX IDs and generate combinations
-  let resolvedRanges;
+  // 3. Resolve parameter names to in_XX IDs and expand each range spec to type-checked values
+  let space;
   try {
-    resolvedRanges = resolveParamIds(paramRanges, nameToId);
+    space = buildParamSpace(indicator.inputs, paramRanges);
   } catch (error) {
     return { success: false, message: error.message };
   }
-  const combinations = generateCombinations(resolvedRanges);
+  const totalSpace = spaceSize(space);
+
+  // Fail fast on malformed ranking options, before any backtest runs: rank an empty set
+  try {
+    if (objectives) compositeScores([], objectives);
+    if (constraints) applyConstraints([], constraints);
+    if (pareto) paretoFront([], pareto);
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+
+  const searchFn = search === 'grid' ? null : SEARCH_STRATEGIES[search];
+  if (search !== 'grid' && !searchFn) {
+    return { success: false, message: `Unknown search "${search}". Use: grid, ${Object.keys(SEARCH_STRATEGIES).join(', ')}` };
+  }
+
+  // Reverse map (in_XX → name) for readable output
+  const idToName = Object.fromEntries(space.map(p => [p.key, p.name]));
+
+  // 4. Open the run journal — combos that completed in an earlier run are not re-run
+  // A window ending in the past (`to`) is a different sweep than the same bar count up to now,
+  // and so is a different param space or search (a search's path depends on its settings)
+  const runId = options.runId || createRunId({
+    scriptId,
+    symbol,
+    timeframe,
+    range: to ? { bars: range, to } : range,
+    space,
+    search: searchFn ? {
+      search, maxEvaluations, seed: seed ?? null, searchOptions, sortBy,
+    } : 'grid',
+  });
 
-  // Also build a reverse map (in_XX → name) for readable output
-  const idToName = {};
-  for (const [name, id] of Object.entries(nameToId)) {
-    if (!idToName[id]) idToName[id] = name;
+  // Without an explicit seed, a rerun reuses the seed its journal recorded: the search
+  // retraces the same path, so the combos that already completed are picked up
+  let searchSeed;
+  if (searchFn) {
+    const recorded = seed === undefined && useJournal ? readJournal(runId, { dir: journalDir }) : null;
+    searchSeed = seed ?? recorded?.header?.options?.seed ?? Date.now();
   }
 
-  // 4. Run backtests sequentially (WS sessions share a single client)
+  const journal = useJournal
+    ? openJournal(runId, {
+      scriptId,
+      paramNames: idToName,
+      options: {
+        symbol, timeframe, paramRanges, range, to, sortBy, search, maxEvaluations, seed: searchSeed, searchOptions, objectives,
+        constraints, pareto,
+      },
+    }, { dir: journalDir })
+    : null;
+
+  // 5. Run backtests in parallel across a pool of connections (one chart per client)
+  const connectionLimit = await getConnectionLimit();
+  const poolSize = Math.max(1, Math.min(concurrency || connectionLimit, connectionLimit));
+  const pool = createClientPool({ size: poolSize });
+
   const results = [];
-  for (let i = 0; i < combinations.length; i++) {
-    const combo = combinations[i];
-    try {
-      const result = await runSingleBacktest(scriptId, indicator, symbol, timeframe, combo, range);
-      // Add human-readable param names to the result
-      result.paramsNamed = {};
-      for (const [id, val] of Object.entries(result.params)) {
-        result.paramsNamed[idToName[id] || id] = val;
+  let resumedCount = 0;
+  let failedCount = 0;
+
+  // Objective for search strategies: the sortBy metric (negated when lower is better),
+  // -Infinity for failed/empty runs
+  const sign = metricDirection(sortBy) === 'min' ? -1 : 1;
+  const score = (r) => (!r.error && r.totalTrades > 0 && Number.isFinite(r[sortBy]) ? sign * r[sortBy] : -Infinity);
+
+  // Progress target: every combo for grid, the evaluation budget for searches
+  const progressTotal = searchFn ? Math.min(maxEvaluations, totalSpace) : totalSpace;
+  let best = null;
+  function reportProgress(result) {
+    if (result.error) failedCount++;
+    else if (score(result) > -Infinity && (!best || score(result) > score(best))) best = result;
+    if (!onProgress) return;
+    onProgress({
+      done: results.length,
+      total: progressTotal,
+      resumed: resumedCount,
+      failed: failedCount,
+      best: best ? { params: best.params, [sortBy]: best[sortBy] } : null,
+    });
+  }
+
+  /**
+   * Backtest combos (journal hits are reused), results in source order.
+   * `combos` may be a lazy iterable — it is consumed only as pool slots free up.
+   */
+  async function evaluate(combos) {
+    function* jobs() {
+      for (const combo of combos) yield { combo, prior: journal && journal.completed(combo) };
+    }
+
+    const batch = await runPool(jobs(), async ({ combo, prior }, attempt, attemptSignal) => {
+      if (prior) {
+        resumedCount++;
+        return prior;
       }
-      results.push(result);
-    } catch (error) {
-      results.push({ params: combo, error: error.message });
+      const client = await pool.acquire();
+      try {
+        return await runSingleBacktest(scriptId, indicator, symbol, timeframe, combo, range, {
+          client, timeout, to, signal: attemptSignal,
+        });
+      } finally {
+        // A timed-out attempt may have left the client mid-request: replace it
+        pool.release(client, { replace: attemptSignal.aborted });
+      }
+    }, {
+      concurrency: poolSize,
+      // Backstop for hung HTTP/login calls — runSingleBacktest enforces `timeout` itself
+      timeout: timeout + 15000,
+      retries,
+      onFailure: ({ combo }, error) => ({ params: combo, error: error.message }),
+      onResult: (result, { prior }) => {
+        if (journal && !prior) journal.append(result);
+        results.push(result);
+        reportProgress(result);
+      },
+      signal,
+    });
+
+    // Completed combos are journaled, so resubmitting the same sweep picks up from here
+    if (signal?.aborted) throw Object.assign(new Error('Optimization cancelled'), { name: 'AbortError' });
+    return batch;
+  }
+
+  let searchInfo;
+  try {
+    if (searchFn) {
+      const budget = Math.min(maxEvaluations, totalSpace);
+      const stats = await searchFn(space, async (combos) => (await evaluate(combos)).map(score), {
+        ...searchOptions,
+        budget,
+        batchSize: searchOptions.batchSize || poolSize,
+        rng: createRng(searchSeed),
+      });
+      searchInfo = { strategy: search, budget, seed: searchSeed, ...stats };
+    } else {
+      await evaluate(iterateCombos(space));
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+    return {
+      success: false,
+      cancelled: true,
+      message: `Optimization cancelled after ${results.length}/${progressTotal} configurations`,
+      runId: journal ? runId : undefined,
+      completedRuns: results.length,
+    };
+  } finally {
+    await pool.close();
+  }
+
+  // Add human-readable param names to each result
+  for (const result of results) {
+    result.paramsNamed = {};
+    for (const [id, val] of Object.entries(result.params)) {
+      result.paramsNamed[idToName[id] || id] = val;
     }
   }
 
-  // 5. Rank results
+  // 6. Rank results
   const successful = results.filter(r => !r.error && r.totalTrades > 0);
   const failed = results.filter(r => r.error);
 
-  // Sort by the requested metric
-  const sorted = [...successful].sort((a, b) => {
-    const aVal = a[sortBy] ?? -Infinity;
-    const bVal = b[sortBy] ?? -Infinity;
-    return bVal - aVal;
-  });
+  // Sort by the requested metric, after hard constraints; optionally composite + Pareto
+  const ranking = rankResults(successful, { sortBy, constraints, objectives, pareto });
+  const sorted = ranking.ranked;
+
+  // 7. Optionally store the sweep (one parent run + one row per successful combo)
+  let saved;
+  if (shouldSave(save)) {
+    const summary = (r) => ({
+      ...r.performance,
+      netProfit: r.netProfit,
+      netProfitPercent: r.netProfitPercent,
+      totalTrades: r.totalTrades,
+      percentProfitable: r.percentProfitable,
+      profitFactor: r.profitFactor,
+      avgTrade: r.avgTrade,
+      maxDrawdown: r.maxDrawdown,
+      maxDrawdownPercent: r.maxDrawdownPercent,
+      sharpeRatio: r.sharpeRatio,
+      sortinoRatio: r.sortinoRatio,
+    });
+    const parentId = crypto.randomUUID();
+    const base = { scriptId, symbol, timeframe, range: to ? { bars: range, to } : range };
+    const stored = await saveResults([
+      {
+        ...base,
+        id: parentId,
+        kind: 'optimize',
+        params: sorted[0]?.params,
+        performance: sorted[0] ? summary(sorted[0]) : {},
+        meta: { runId: journal ? runId : undefined, paramRanges, sortBy, search, totalCombinations: results.length },
+      },
+      ...successful.map(r => ({ ...base, parentId, kind: 'optimize-combo', params: r.params, performance: summary(r) })),
+    ]);
+    saved = stored.error ? stored : { id: parentId, backend: stored.backend, combos: stored.ids.length - 1 };
+  }
 
   return {
     success: true,
-    message: `Optimization complete: ${successful.length}/${combinations.length} configurations produced results`,
+    message: `Optimization complete: ${successful.length}/${results.length} configurations produced results`,
     strategy: {
       id: scriptId,
       name: strategyName,
     },
+    runId: journal ? runId : undefined,
     symbol,
     timeframe,
     defaults,
     paramRanges,
-    totalCombinations: combinations.length,
+    totalCombinations: results.length,
+    searchSpace: totalSpace,
+    search: searchInfo || { strategy: 'grid' },
+    concurrency: poolSize,
+    resumedRuns: resumedCount,
     successfulRuns: successful.length,
     failedRuns: failed.length,
+    rejectedRuns: constraints ? ranking.rejected.length : undefined,
     ranked: sorted.slice(0, 20).map((r, i) => ({
       rank: i + 1,
       ...r,
     })),
+    composite: ranking.composite
+      ? ranking.composite.slice(0, 20).map((r, i) => ({ rank: i + 1, ...r }))
+      : undefined,
+    pareto: ranking.pareto,
+    results: includeResults ? results : undefined,
+    saved,
     best: sorted[0] || null,
     worst: sorted[sorted.length - 1] || null,
     errors: failed.length > 0 ? failed.slice(0, 5) : undefined,
   };
 }
 
+/**
+ * Pull `--name value` flags out of an argv list.
+ * @returns {{flags: Object<string, string>, positional: string[]}}
+ */
+function parseFlags(argv) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) flags[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  return { flags, positional };
+}
+
 async function main() {
-  const scriptId = process.argv[2] || 'STD;RSI%1Strategy';
-  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
-  const timeframe = process.argv[4] || 'D';
-  const paramRanges = process.argv[5] ? JSON.parse(process.argv[5]) : { 'RSI Length': [7, 14, 21] };
-  const sortBy = process.argv[6] || 'netProfit';
+  const { flags, positional: args } = parseFlags(process.argv.slice(2));
+
+  // --resume <runId>: rerun a journaled sweep with its original options
+  if ('resume' in flags) {
+    const runId = flags.resume;
+    try {
+      const journal = runId && readJournal(runId);
+      if (!journal || !journal.header) {
+        console.log(JSON.stringify({ success: false, message: `No journal found for run "${runId}"` }, null, 2));
+        return;
+      }
+      const result = await optimizeStrategy(journal.header.scriptId, { ...journal.header.options, runId });
+      console.log(JSON.stringify(result, null, 2));
+    } catch (error) {
+      console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+    } finally {
+      await close();
+    }
+    return;
+  }
+
+  const scriptId = args[0] || 'STD;RSI%1Strategy';
+  const symbol = args[1] || 'BINANCE:BTCUSDT';
+  const timeframe = args[2] || 'D';
+  const paramRanges = args[3] ? JSON.parse(args[3]) : { 'RSI Length': [7, 14, 21] };
+  const sortBy = args[4] || 'netProfit';
+  const concurrency = parseInt(args[5], 10) || undefined;
+  const search = args[6] || 'grid';
+  const maxEvaluations = parseInt(args[7], 10) || undefined;
+  const seed = parseInt(args[8], 10) || undefined;
 
   try {
-    const result = await optimizeStrategy(scriptId, { symbol, timeframe, paramRanges, sortBy });
+    const result = await optimizeStrategy(scriptId, {
+      symbol,
+      timeframe,
+      paramRanges,
+      sortBy,
+      concurrency,
+      search,
+      maxEvaluations,
+      seed,
+      objectives: flags.objectives ? JSON.parse(flags.objectives) : undefined,
+      constraints: flags.constraints ? JSON.parse(flags.constraints) : undefined,
+      pareto: flags.pareto ? flags.pareto.split(',') : undefined,
+    });
     console.log(JSON.stringify(result, null, 2));
   } catch (error) {
     console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
@@ -293,5 +507,5 @@ async function main() {
   }
 }
 
-module.exports = { optimizeStrategy, buildNameToIdMap, resolveParamIds };
+module.exports = { optimizeStrategy };
 if (require.main === module) main();
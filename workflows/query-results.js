@@ -0,0 +1,69 @@
+/**
+ * Query Results Workflow
+ * Read back runs stored in the results database (Postgres via DATABASE_URL, or the
+ * local file store under data/results/). Runs are stored when a backtest or sweep is
+ * called with `save: true`, or when TV_SAVE_RESULTS=1.
+ *
+ * Usage:
+ *   node workflows/query-results.js best "STD;RSI%1Strategy"                        # Best runs by netProfit
+ *   node workflows/query-results.js best "STD;RSI%1Strategy" BINANCE:BTCUSDT profitFactor 5
+ *   node workflows/query-results.js list "STD;RSI%1Strategy"                        # Most recent runs
+ *   node workflows/query-results.js show 3c0e6a0e-8f0e-4d1e-9a57-4f0b3f1a2c9d       # Full run with trades + equity
+ *   node workflows/query-results.js combos 3c0e6a0e-8f0e-4d1e-9a57-4f0b3f1a2c9d     # Best combos of a saved sweep
+ */
+const { getStore, bestRuns, listRuns, getRun, closeStore } = require('../lib/results-store');
+
+async function queryResults(command, options = {}) {
+  const {
+    scriptId, symbol, timeframe, kind, id, metric = 'netProfit', limit,
+  } = options;
+  const store = getStore();
+  const source = { backend: store.backend, location: store.location };
+
+  switch (command) {
+    case 'best': {
+      const runs = await bestRuns({ scriptId, symbol, timeframe, kind, metric, limit });
+      return { success: true, message: `${runs.length} runs ranked by ${metric}`, ...source, runs };
+    }
+    case 'list': {
+      const runs = await listRuns({ scriptId, symbol, timeframe, kind, limit });
+      return { success: true, message: `${runs.length} runs`, ...source, runs };
+    }
+    case 'show': {
+      const run = id && await getRun(id);
+      if (!run) return { success: false, message: `Run "${id}" not found`, ...source };
+      return { success: true, message: `Run ${id}: ${run.kind}, ${run.trades.length} trades`, ...source, run };
+    }
+    case 'combos': {
+      const runs = await bestRuns({ parentId: id, metric, limit });
+      return { success: true, message: `${runs.length} combos of sweep ${id} ranked by ${metric}`, ...source, runs };
+    }
+    default:
+      return { success: false, message: `Unknown command "${command}". Use: best, list, show, combos` };
+  }
+}
+
+async function main() {
+  const command = process.argv[2] || 'list';
+  const arg = process.argv[3];
+  const options = ['show', 'combos'].includes(command)
+    ? { id: arg, metric: process.argv[4], limit: parseInt(process.argv[5], 10) || undefined }
+    : {
+      scriptId: arg,
+      symbol: process.argv[4],
+      metric: process.argv[5],
+      limit: parseInt(process.argv[6], 10) || undefined,
+    };
+
+  try {
+    const result = await queryResults(command, options);
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+  } finally {
+    await closeStore();
+  }
+}
+
+module.exports = { queryResults };
+if (require.main === module) main();
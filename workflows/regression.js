@@ -0,0 +1,211 @@
+/**
+ * Regression Workflow
+ * Golden-snapshot tests for strategies. A config file lists backtest cases; `snapshot`
+ * records each case's report next to the config, and `verify` reruns them and fails with
+ * a readable diff when trades or key metrics drift beyond tolerance — a TradingView data
+ * revision, or an edit to the script that wasn't meant to change its results.
+ *
+ * `snapshot` records the bars each case ran on (bar count and last bar, or the date
+ * range), and `verify` reruns on exactly those, so new bars don't show up as drift.
+ * A case without `to` is pinned to the last closed bar when it is recorded.
+ *
+ * Usage:
+ *   node workflows/regression.js snapshot regression.json                 # Record every case
+ *   node workflows/regression.js snapshot regression.json rsi-btc-daily   # Re-record one case
+ *   node workflows/regression.js verify regression.json                   # Exit code 1 on drift
+ *   node workflows/regression.js verify regression.json --json            # Full result as JSON
+ */
+const fs = require('fs');
+const path = require('path');
+const { backtest } = require('../lib/backtest');
+const { timeframeSeconds } = require('../lib/bar-cache');
+const { checkSnapshot, DEFAULT_METRICS } = require('../lib/regression');
+const { close } = require('../lib/ws-client');
+
+/** Case fields that are backtest settings; the rest of a case (tolerances, metrics) drives the check */
+const RUN_FIELDS = ['scriptId', 'symbol', 'timeframe', 'range', 'to', 'params', 'chartType', 'chartInputs'];
+
+/**
+ * Read and normalize a regression config.
+ *
+ * @param {string|Object} configOrPath - Config object or path to its JSON file
+ * @returns {{snapshotDir:string, cases:Object[]}} Cases with the defaults applied
+ */
+function loadConfig(configOrPath) {
+  const fromFile = typeof configOrPath === 'string';
+  const config = fromFile ? JSON.parse(fs.readFileSync(configOrPath, 'utf-8')) : configOrPath;
+  const baseDir = fromFile ? path.dirname(path.resolve(configOrPath)) : process.cwd();
+
+  if (!Array.isArray(config.cases) || config.cases.length === 0) throw new Error('Config has no cases');
+  const defaults = {
+    symbol: 'BINANCE:BTCUSDT', timeframe: 'D', range: 'chart', metrics: DEFAULT_METRICS, ...config.defaults,
+  };
+  const seen = new Set();
+  const cases = config.cases.map((c, i) => {
+    if (!c.name) throw new Error(`Case ${i + 1} has no name`);
+    if (!c.scriptId) throw new Error(`Case "${c.name}" has no scriptId`);
+    if (seen.has(c.name)) throw new Error(`Duplicate case name "${c.name}"`);
+    seen.add(c.name);
+    const merged = { ...defaults, ...c };
+    if (String(merged.range).toLowerCase() === 'max') {
+      throw new Error(`Case "${c.name}": range "max" grows with every new bar; use a date range`);
+    }
+    return merged;
+  });
+
+  return { snapshotDir: path.resolve(baseDir, config.snapshotDir || 'snapshots'), cases };
+}
+
+/** Cases named in `names` (all when empty); unknown names are an error */
+function selectCases(cases, names = []) {
+  const unknown = names.filter(n => !cases.some(c => c.name === n));
+  if (unknown.length > 0) throw new Error(`Unknown case: ${unknown.join(', ')}`);
+  return names.length > 0 ? cases.filter(c => names.includes(c.name)) : cases;
+}
+
+const snapshotFile = (dir, name) => path.join(dir, `${String(name).trim().replace(/[^\w-]+/g, '_')}.json`);
+
+/**
+ * Run one case's backtest; `to` may be a date string or unix seconds.
+ * With `pinned` (a snapshot's recorded `{bars, to}` or `{from, to}`), runs on those bars instead.
+ */
+function runCase(c, pinned) {
+  let { range } = c;
+  let to = typeof c.to === 'string' ? Math.floor(Date.parse(c.to) / 1000) : c.to;
+  if (pinned?.bars && pinned.to) ({ bars: range, to } = pinned);
+  else if (pinned?.from && pinned.to) range = { from: pinned.from, to: pinned.to };
+  return backtest(c.scriptId, c.symbol, {
+    timeframe: c.timeframe, range, to, params: c.params, chartType: c.chartType, chartInputs: c.chartInputs,
+  });
+}
+
+/** Last closed bar at or before now: one bar back, so the forming bar is left out */
+const lastClosedBar = (timeframe) => Math.floor(Date.now() / 1000) - timeframeSeconds(timeframe);
+
+/**
+ * Record the report of each case.
+ *
+ * @param {string|Object} configOrPath - Regression config (see loadConfig)
+ * @param {Object} [options]
+ * @param {string[]} [options.cases] - Case names to record (default: all)
+ * @returns {Promise<{success:boolean, message:string, snapshotDir:string, cases:Object[]}>}
+ */
+async function snapshot(configOrPath, options = {}) {
+  const config = loadConfig(configOrPath);
+  const cases = selectCases(config.cases, options.cases);
+  fs.mkdirSync(config.snapshotDir, { recursive: true });
+
+  const results = [];
+  for (const c of cases) {
+    const run = await runCase(c.to === undefined ? { ...c, to: lastClosedBar(c.timeframe) } : c);
+    if (!run.success) {
+      results.push({ name: c.name, error: run.error || run.message });
+      continue;
+    }
+    const file = snapshotFile(config.snapshotDir, c.name);
+    const { performance, trades, currency, settings } = run.report;
+    fs.writeFileSync(file, `${JSON.stringify({
+      name: c.name,
+      case: Object.fromEntries(RUN_FIELDS.filter(k => c[k] !== undefined).map(k => [k, c[k]])),
+      recordedAt: new Date().toISOString(),
+      mode: run.mode,
+      range: run.range,
+      report: { performance, trades, currency, settings },
+    }, null, 2)}\n`);
+    results.push({ name: c.name, file, trades: trades.length });
+  }
+
+  const failed = results.filter(r => r.error).length;
+  return {
+    success: failed === 0,
+    message: `Recorded ${results.length - failed} of ${results.length} cases in ${config.snapshotDir}`,
+    snapshotDir: config.snapshotDir,
+    cases: results,
+  };
+}
+
+/**
+ * Rerun each case and compare it with its snapshot.
+ *
+ * @param {string|Object} configOrPath - Regression config (see loadConfig)
+ * @param {Object} [options]
+ * @param {string[]} [options.cases] - Case names to verify (default: all)
+ * @returns {Promise<{success:boolean, message:string, passed:number, failed:number, cases:Object[], output:string}>}
+ *   `success` is false when any case drifted, has no snapshot or failed to run; `output` is the readable report
+ */
+async function verify(configOrPath, options = {}) {
+  const config = loadConfig(configOrPath);
+  const cases = selectCases(config.cases, options.cases);
+
+  const results = [];
+  for (const c of cases) {
+    const file = snapshotFile(config.snapshotDir, c.name);
+    if (!fs.existsSync(file)) {
+      results.push({ name: c.name, status: 'missing', lines: [`no snapshot at ${file}; run "snapshot" first`] });
+      continue;
+    }
+    const recorded = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const run = await runCase(c, recorded.range);
+    if (!run.success) {
+      results.push({ name: c.name, status: 'error', lines: [run.error || run.message] });
+      continue;
+    }
+    const check = checkSnapshot(recorded.report, run.report, {
+      metrics: c.metrics,
+      metricTolerance: c.metricTolerance,
+      tolerance: c.tolerance,
+      timeTolerance: c.timeTolerance,
+    });
+    results.push({
+      name: c.name, status: check.pass ? 'pass' : 'fail', recordedAt: recorded.recordedAt, ...check,
+    });
+  }
+
+  const passed = results.filter(r => r.status === 'pass').length;
+  const failed = results.length - passed;
+  const output = results.map((r) => {
+    const head = r.status === 'pass' ? `✓ ${r.name}` : `✗ ${r.name} (${r.status})`;
+    return [head, ...r.lines.map(line => `    ${line}`)].join('\n');
+  }).concat(`\n${passed} passed, ${failed} failed`).join('\n');
+
+  return {
+    success: failed === 0,
+    message: `${passed} passed, ${failed} failed`,
+    passed,
+    failed,
+    cases: results,
+    output,
+  };
+}
+
+async function main() {
+  const json = process.argv.includes('--json');
+  const args = process.argv.filter(a => a !== '--json');
+  const command = args[2];
+  const configPath = args[3] || 'regression.json';
+  const names = args.slice(4);
+
+  if (!['snapshot', 'verify'].includes(command)) {
+    console.log(JSON.stringify({
+      success: false,
+      message: 'Usage: node workflows/regression.js <snapshot|verify> [config.json] [case...] [--json]',
+    }, null, 2));
+    return;
+  }
+
+  try {
+    const result = command === 'snapshot'
+      ? await snapshot(configPath, { cases: names })
+      : await verify(configPath, { cases: names });
+    console.log(command === 'verify' && !json ? result.output : JSON.stringify(result, null, 2));
+    if (!result.success) process.exitCode = 1;
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+    process.exitCode = 1;
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { snapshot, verify, loadConfig };
+if (require.main === module) main();
@@ -0,0 +1,123 @@
+/**
+ * Robustness Report Workflow
+ * Check whether an optimizer's best settings sit on a stable plateau or a lone spike.
+ * Reads every result of a sweep from its run journal (runs/<runId>.jsonl) and reports:
+ *   - per-parameter sensitivity (which parameters move the metric most)
+ *   - neighbourhood stability of the top combos (metric change at ±1 step)
+ *   - a 2-D heatmap for two parameters, written as CSV + self-contained HTML (to ./reports by default)
+ *
+ * Usage:
+ *   node workflows/robustness-report.js 3f9a1c2b7d4e
+ *   node workflows/robustness-report.js 3f9a1c2b7d4e profitFactor
+ *   node workflows/robustness-report.js 3f9a1c2b7d4e netProfit "Fast" "Slow" ./reports
+ */
+const fs = require('fs');
+const path = require('path');
+const { readJournal } = require('../lib/journal');
+const {
+  parameterSensitivity, neighbourhoodStability, heatmapMatrix, heatmapToCsv, heatmapToHtml,
+} = require('../lib/robustness');
+
+/**
+ * Build a robustness report from optimizer results.
+ *
+ * @param {Object[]} results - Full result set (optimizeStrategy `includeResults`, or a journal)
+ * @param {Object} [options]
+ * @param {string} [options.metric='netProfit']
+ * @param {string} [options.xParam] - Heatmap column parameter (default: most sensitive)
+ * @param {string} [options.yParam] - Heatmap row parameter (default: second most sensitive)
+ * @param {'best'|'mean'} [options.aggregate='best'] - Heatmap cell aggregation over other parameters
+ * @param {number} [options.top=10] - Top combos to check for neighbourhood stability
+ * @param {Object<string, string>} [options.names] - in_XX → name
+ * @param {string} [options.outputDir] - Write heatmap CSV + HTML here (omit to skip files)
+ * @param {string} [options.filePrefix='robustness'] - Output file name prefix
+ * @param {string} [options.subtitle] - Shown under the HTML title
+ */
+function robustnessReport(results, options = {}) {
+  const {
+    metric = 'netProfit',
+    aggregate = 'best',
+    top = 10,
+    names,
+    outputDir,
+    filePrefix = 'robustness',
+    subtitle,
+  } = options;
+
+  const sensitivity = parameterSensitivity(results, metric, { names });
+  if (sensitivity.every(p => p.values.every(v => v.count === 0))) {
+    return { success: false, message: `No successful results with metric "${metric}"` };
+  }
+  const stability = neighbourhoodStability(results, metric, { top, names });
+
+  const report = {
+    success: true,
+    message: `Robustness report for ${results.length} results (${metric})`,
+    metric,
+    sensitivity: sensitivity.map(p => ({
+      name: p.name,
+      key: p.key,
+      spread: p.spread,
+      share: p.share,
+      values: p.values,
+    })),
+    stability,
+    robustBest: stability[0] || null,
+  };
+
+  // Heatmap needs two swept parameters
+  const swept = sensitivity.filter(p => p.values.length > 1);
+  const xParam = options.xParam || swept[0]?.name;
+  const yParam = options.yParam || swept.find(p => p.name !== xParam && p.key !== xParam)?.name;
+  if (xParam && yParam) {
+    const matrix = heatmapMatrix(results, metric, xParam, yParam, { aggregate, names });
+    report.heatmap = matrix;
+
+    if (outputDir) {
+      fs.mkdirSync(outputDir, { recursive: true });
+      const safe = (s) => String(s).trim().replace(/[^\w-]+/g, '_');
+      const base = path.resolve(outputDir, `${safe(filePrefix)}_${safe(metric)}_${safe(matrix.x.name)}_${safe(matrix.y.name)}`);
+      fs.writeFileSync(`${base}.csv`, heatmapToCsv(matrix));
+      fs.writeFileSync(`${base}.html`, heatmapToHtml(matrix, { subtitle }));
+      report.files = { csv: `${base}.csv`, html: `${base}.html` };
+    }
+  }
+
+  return report;
+}
+
+async function main() {
+  const runId = process.argv[2];
+  const metric = process.argv[3] || 'netProfit';
+  const xParam = process.argv[4];
+  const yParam = process.argv[5];
+  const outputDir = process.argv[6] || 'reports';
+
+  try {
+    const journal = runId && readJournal(runId);
+    if (!journal) {
+      console.log(JSON.stringify({ success: false, message: `No journal found for run "${runId}"` }, null, 2));
+      return;
+    }
+    const { header } = journal;
+    const result = robustnessReport([...journal.results.values()], {
+      metric,
+      xParam,
+      yParam,
+      outputDir,
+      names: header?.paramNames,
+      filePrefix: runId,
+      subtitle: header
+        ? `${header.scriptId} · ${header.options?.symbol} · ${header.options?.timeframe} · run ${runId}`
+        : `run ${runId}`,
+    });
+    // The full matrix is in the files — keep stdout readable
+    if (result.heatmap) result.heatmap = { x: result.heatmap.x.name, y: result.heatmap.y.name, min: result.heatmap.min, max: result.heatmap.max };
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+  }
+}
+
+module.exports = { robustnessReport };
+if (require.main === module) main();
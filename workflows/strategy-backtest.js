@@ -10,9 +10,10 @@
 const { getStrategyReport } = require('../skills/get-strategy-report');
 const { getIndicatorDetails } = require('../skills/get-indicator-details');
 const { close } = require('../lib/ws-client');
+const { shouldSave, saveResults, runFromReport } = require('../lib/results-store');
 
 async function strategyBacktest(scriptId, symbols, timeframes, options = {}) {
-  const { range = 1000 } = options;
+  const { range = 1000, save } = options;
   const results = { scriptId, tests: [], summary: {} };
 
   // 1. Get indicator details
@@ -43,6 +44,11 @@ async function strategyBacktest(scriptId, symbols, timeframes, options = {}) {
             performance: r.performance,
             tradeCount: r.tradeCount,
           };
+          if (shouldSave(save)) {
+            test.saved = await saveResults(runFromReport({
+              kind: 'strategy-backtest', scriptId, symbol, timeframe, range,
+            }, r));
+          }
           results.tests.push(test);
         } else {
           results.tests.push({ symbol, timeframe, error: report.message || 'No report data' });
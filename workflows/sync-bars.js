@@ -0,0 +1,110 @@
+/**
+ * Sync Bars Workflow
+ * Keep the local OHLCV bar store (lib/bar-cache.js) up to date for a symbol universe.
+ * Each series only downloads its new bars, plus older ones until it holds `count` bars.
+ * Run it from cron to keep getChartData / data-export (with the cache on) fresh.
+ *
+ * Usage:
+ *   node workflows/sync-bars.js BINANCE:BTCUSDT,NASDAQ:AAPL D 2000
+ *   node workflows/sync-bars.js universe.txt D,60,240 5000     # One symbol per line (# comments)
+ *   node workflows/sync-bars.js status                        # List stored series
+ */
+const fs = require('fs');
+const { close } = require('../lib/ws-client');
+const { syncBars, getBarStore } = require('../lib/bar-cache');
+
+const isoTime = (time) => (time == null ? null : new Date(time * 1000).toISOString());
+
+/**
+ * Read a universe: comma-separated symbols, or a file with one symbol per line.
+ * @param {string} arg
+ * @returns {string[]}
+ */
+function parseUniverse(arg) {
+  const text = fs.existsSync(arg) ? fs.readFileSync(arg, 'utf-8') : arg.replace(/,/g, '\n');
+  return text.split('\n')
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Sync every symbol × timeframe, one series at a time.
+ * @param {string[]} symbols
+ * @param {Object} [options]
+ * @param {string[]} [options.timeframes=['D']]
+ * @param {number} [options.count=1000] - Bars each series should hold
+ * @param {string} [options.session='regular']
+ * @param {string} [options.adjustment='splits']
+ */
+async function syncUniverse(symbols, options = {}) {
+  const {
+    timeframes = ['D'], count = 1000, session = 'regular', adjustment = 'splits',
+  } = options;
+  const results = [];
+
+  for (const symbol of symbols) {
+    for (const timeframe of timeframes) {
+      try {
+        const { series, fetched, added, gaps } = await syncBars(symbol, {
+          timeframe, count, session, adjustment,
+        });
+        const { bars } = series;
+        results.push({
+          symbol,
+          timeframe,
+          success: true,
+          bars: bars.length,
+          fetched,
+          added,
+          from: isoTime(bars[0]?.time),
+          to: isoTime(bars[bars.length - 1]?.time),
+          ...(gaps.length > 0 ? { gaps: gaps.map(gap => ({ from: isoTime(gap.from), to: isoTime(gap.to) })) } : {}),
+        });
+      } catch (error) {
+        results.push({ symbol, timeframe, success: false, error: error.message });
+      }
+    }
+  }
+
+  const failed = results.filter(r => !r.success).length;
+  const gaps = results.filter(r => r.gaps).length;
+  return {
+    success: failed < results.length,
+    message: `Synced ${results.length - failed}/${results.length} series` +
+      `${gaps > 0 ? ` (${gaps} with a gap in the stored bars)` : ''}`,
+    location: getBarStore().location,
+    results,
+  };
+}
+
+/** Stored series, without their bars */
+function barStoreStatus() {
+  const store = getBarStore();
+  const series = store.list().map(s => ({ ...s, from: isoTime(s.from), to: isoTime(s.to) }));
+  return {
+    success: true,
+    message: `${series.length} stored series`,
+    location: store.location,
+    series,
+  };
+}
+
+async function main() {
+  const universe = process.argv[2] || 'BINANCE:BTCUSDT,BINANCE:ETHUSDT';
+  const timeframes = (process.argv[3] || 'D').split(',');
+  const count = parseInt(process.argv[4]) || 1000;
+
+  try {
+    const result = universe === 'status'
+      ? barStoreStatus()
+      : await syncUniverse(parseUniverse(universe), { timeframes, count });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { syncUniverse, barStoreStatus, parseUniverse };
+if (require.main === module) main();
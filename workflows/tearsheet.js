@@ -0,0 +1,147 @@
+/**
+ * Tearsheet Workflow
+ * Backtest a strategy and write the result as one self-contained HTML file — equity and
+ * drawdown curves (inline SVG), monthly returns, the all/long/short breakdown, the
+ * parameter set used and the trade list — that opens offline and can be shared with
+ * people who don't read JSON. See lib/tearsheet.js.
+ *
+ * Usage:
+ *   node workflows/tearsheet.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D 365d
+ *   node workflows/tearsheet.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D 365d '{"Length":21}' ./reports
+ *   node workflows/tearsheet.js "PUB;abc123" CME_MINI:NQ1! 60 chart '{}' ./reports
+ */
+const fs = require('fs');
+const path = require('path');
+const { backtest } = require('../lib/backtest');
+const { buildKeyMap } = require('../lib/params');
+const { renderTearsheet } = require('../lib/tearsheet');
+const { close } = require('../lib/ws-client');
+const { getIndicatorDetails } = require('../skills/get-indicator-details');
+
+/**
+ * Backtest a strategy and write its tearsheet.
+ *
+ * @param {string} scriptId - Strategy script ID
+ * @param {Object} [options]
+ * @param {string} [options.symbol='BINANCE:BTCUSDT']
+ * @param {string} [options.timeframe='D']
+ * @param {string|number|Object} [options.range='chart'] - Backtest range (see backtest)
+ * @param {Object} [options.params] - Strategy parameter overrides
+ * @param {string} [options.outputDir='reports']
+ * @param {string} [options.filename] - Default: tearsheet_<script>_<symbol>_<timeframe>.html
+ * @param {number} [options.maxTrades=1000] - Trades listed in the page (the most recent ones)
+ * @returns {Promise<{success:boolean, message:string, file?:string, summary?:Object}>}
+ */
+async function tearsheet(scriptId, options = {}) {
+  const {
+    symbol = 'BINANCE:BTCUSDT',
+    timeframe = 'D',
+    range = 'chart',
+    params,
+    outputDir = 'reports',
+    filename,
+    maxTrades,
+  } = options;
+
+  const run = await backtest(scriptId, symbol, {
+    timeframe, range, params, extendedMetrics: true,
+  });
+  if (!run.success) return run;
+
+  // Name and parameter set; the tearsheet is still useful without them
+  let name = scriptId;
+  let inputs = [];
+  try {
+    const details = await getIndicatorDetails(scriptId);
+    if (details.success) {
+      name = details.indicator.shortDescription || details.indicator.description || scriptId;
+      inputs = details.indicator.inputs.filter(i => !i.isHidden);
+    }
+  } catch (e) {
+    // Fall back to the script ID and the overrides alone
+  }
+
+  const keyMap = buildKeyMap(Object.fromEntries(inputs.map(i => [i.id, i])));
+  const overrides = new Map(Object.entries(params || {}).map(([key, value]) => [keyMap.get(key.trim()) || key, value]));
+  const paramRows = inputs.map(i => ({
+    name: (i.name || i.id).trim(),
+    value: overrides.has(i.id) ? overrides.get(i.id) : i.value,
+    defaultValue: i.value,
+  }));
+  // Overrides the details didn't list (e.g. details unavailable)
+  overrides.forEach((value, key) => {
+    if (!inputs.some(i => i.id === key)) paramRows.push({ name: key, value });
+  });
+
+  const rangeLabel = typeof range === 'object' && range !== null
+    ? [range.from, range.to].filter(Boolean).join(' → ')
+    : String(range);
+
+  const html = renderTearsheet({
+    title: name,
+    scriptId,
+    symbol,
+    timeframe,
+    range: rangeLabel,
+    params: paramRows,
+    report: run.report,
+    extendedMetrics: run.extendedMetrics,
+  }, { maxTrades });
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const safe = s => String(s).trim().replace(/[^\w-]+/g, '_');
+  const file = path.resolve(outputDir, filename || `tearsheet_${safe(scriptId)}_${safe(symbol)}_${safe(timeframe)}.html`);
+  fs.writeFileSync(file, html);
+
+  const all = run.report.performance?.all || {};
+  return {
+    success: true,
+    message: `Tearsheet for ${name} on ${symbol} ${timeframe}: ${all.totalTrades ?? 0} trades → ${file}`,
+    file,
+    scriptId,
+    symbol,
+    timeframe,
+    summary: {
+      netProfit: all.netProfit,
+      netProfitPercent: all.netProfitPercent,
+      totalTrades: all.totalTrades,
+      profitFactor: all.profitFactor,
+      maxDrawdownPercent: run.extendedMetrics?.maxDrawdownPercent,
+    },
+  };
+}
+
+async function main() {
+  const scriptId = process.argv[2];
+  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
+  const timeframe = process.argv[4] || 'D';
+  const range = process.argv[5] || 'chart';
+  const paramsJson = process.argv[6];
+  const outputDir = process.argv[7] || 'reports';
+
+  if (!scriptId) {
+    console.log(JSON.stringify({
+      success: false,
+      message: 'Usage: node workflows/tearsheet.js <scriptId> [symbol] [timeframe] [range] [paramsJson] [outputDir]',
+    }, null, 2));
+    return;
+  }
+
+  try {
+    const result = await tearsheet(scriptId, {
+      symbol,
+      timeframe,
+      range: /^\d+$/.test(range) ? parseInt(range, 10) : range,
+      params: paramsJson ? JSON.parse(paramsJson) : undefined,
+      outputDir,
+    });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { tearsheet };
+if (require.main === module) main();
@@ -0,0 +1,303 @@
+/**
+ * Walk-Forward Analysis Workflow
+ * Guard against overfitting by optimizing on rolling in-sample (IS) windows and
+ * scoring each winner on the out-of-sample (OOS) window that follows it.
+ *
+ *   |---- IS 1 ----|-- OOS 1 --|
+ *        |---- IS 2 ----|-- OOS 2 --|
+ *             |---- IS 3 ----|-- OOS 3 --|
+ *
+ * In-sample windows run through the optimizer (a chart loaded with the window's bars,
+ * ending at the window's last day). Out-of-sample windows run as a deep backtest over
+ * the exact dates on Premium, or as a regular chart backtest ending at the window's
+ * last day otherwise. OOS trades from every window are stitched into one equity curve.
+ *
+ * Walk-forward efficiency (WFE) = annualized OOS return / annualized IS return.
+ * Around 0.5 or better suggests the parameters generalize; near 0 or negative means
+ * the in-sample results were mostly curve fitting. It is null when the IS return is
+ * zero or negative, where the ratio means nothing.
+ *
+ * Usage:
+ *   node workflows/walk-forward.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D 2022-01-01 2025-01-01 '{"Length":[7,14,21]}'
+ *   node workflows/walk-forward.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D 2022-01-01 2025-01-01 '{"Length":[7,14,21]}' 365 90
+ *   node workflows/walk-forward.js "PUB;abc123" NQ1! 60 2024-01-01 2025-01-01 '{"Fast":[5,8,13]}' 120 30 profitFactor anchored
+ *   node workflows/walk-forward.js "STD;RSI%1Strategy" BINANCE:BTCUSDT D 2022-01-01 2025-01-01 '{"Length":[7,14,21]}' 365 90 netProfit rolling 30
+ */
+const { fetchStrategyReport, fetchDeepBacktest, detectPlan, close } = require('../lib/ws-client');
+const { parseRange, daysToBars, timeframeToMinutes, PLAN_BAR_LIMITS } = require('../lib/backtest');
+const { optimizeStrategy } = require('./optimize-strategy');
+
+const DAY = 86400;
+
+/**
+ * Split a date range into consecutive in-sample/out-of-sample windows.
+ * Each OOS window starts where its IS window ends. Windows advance by `stepDays`
+ * (no less than the OOS length, so OOS windows never overlap); the last OOS window
+ * is clipped to `to`.
+ *
+ * @param {number} from - Range start (unix seconds)
+ * @param {number} to - Range end (unix seconds)
+ * @param {Object} options
+ * @param {number} options.inSampleDays - IS window length in days
+ * @param {number} options.outOfSampleDays - OOS window length in days
+ * @param {number} [options.stepDays] - Days between windows, at least outOfSampleDays (default: outOfSampleDays)
+ * @param {boolean} [options.anchored=false] - Keep every IS window starting at `from` (expanding)
+ * @returns {{index: number, inSample: {from: number, to: number}, outOfSample: {from: number, to: number}}[]}
+ */
+function buildWindows(from, to, options) {
+  const { inSampleDays, outOfSampleDays, stepDays = outOfSampleDays, anchored = false } = options;
+  if (!(inSampleDays > 0) || !(outOfSampleDays > 0) || !(stepDays > 0)) {
+    throw new Error('inSampleDays, outOfSampleDays and stepDays must be positive');
+  }
+  if (stepDays < outOfSampleDays) {
+    // Overlapping OOS windows would count the trades they share twice in the stitched curve
+    throw new Error(`stepDays (${stepDays}) must be at least outOfSampleDays (${outOfSampleDays}) so out-of-sample windows don't overlap`);
+  }
+
+  const windows = [];
+  for (let oosStart = from + inSampleDays * DAY; oosStart < to; oosStart += stepDays * DAY) {
+    windows.push({
+      index: windows.length,
+      inSample: { from: anchored ? from : oosStart - inSampleDays * DAY, to: oosStart },
+      outOfSample: { from: oosStart, to: Math.min(oosStart + outOfSampleDays * DAY, to) },
+    });
+  }
+  return windows;
+}
+
+/**
+ * Annualize a return over a window.
+ * @param {number} returnPct - Net return over the window
+ * @param {number} seconds - Window length
+ * @returns {number|null}
+ */
+function annualize(returnPct, seconds) {
+  if (!Number.isFinite(returnPct) || seconds <= 0) return null;
+  return returnPct * (365 * DAY) / seconds;
+}
+
+const isoDate = (ts) => new Date(ts * 1000).toISOString().slice(0, 10);
+
+/** OOS / IS annualized return, or null without a positive IS return to compare against */
+const walkForwardEfficiency = (isAnnual, oosAnnual) => (isAnnual > 0 && oosAnnual !== null ? oosAnnual / isAnnual : null);
+
+/**
+ * Run a walk-forward analysis.
+ *
+ * @param {string} scriptId - Strategy script ID
+ * @param {Object} options
+ * @param {string} [options.symbol='BINANCE:BTCUSDT']
+ * @param {string} [options.timeframe='D']
+ * @param {string|number} options.from - Start date ('YYYY-MM-DD' or unix seconds)
+ * @param {string|number} [options.to] - End date (default: now)
+ * @param {Object} options.paramRanges - Optimizer parameter ranges (see optimize-strategy)
+ * @param {number} [options.inSampleDays=365] - In-sample window length
+ * @param {number} [options.outOfSampleDays=90] - Out-of-sample window length
+ * @param {number} [options.stepDays] - Days between windows (default: outOfSampleDays)
+ * @param {boolean} [options.anchored=false] - Expanding IS windows that all start at `from`
+ * @param {string} [options.sortBy='netProfit'] - Metric used to pick each window's winner
+ * @param {Object} [options.optimizer] - Extra optimizeStrategy options (concurrency, search, maxEvaluations, ...)
+ */
+async function walkForward(scriptId, options = {}) {
+  const {
+    symbol = 'BINANCE:BTCUSDT',
+    timeframe = 'D',
+    paramRanges = {},
+    inSampleDays = 365,
+    outOfSampleDays = 90,
+    stepDays,
+    anchored = false,
+    sortBy = 'netProfit',
+    optimizer = {},
+  } = options;
+
+  if (!scriptId) {
+    return { success: false, message: 'Script ID required' };
+  }
+  if (!options.from) {
+    return { success: false, message: 'Start date required (options.from)' };
+  }
+  if (Object.keys(paramRanges).length === 0) {
+    return { success: false, message: 'Parameter ranges required. Format: {"Param Name": [val1, val2, ...]}' };
+  }
+
+  let windows;
+  let from;
+  let to;
+  try {
+    ({ from, to } = parseRange({ from: options.from, to: options.to }, timeframe));
+    if (!Number.isFinite(from) || !Number.isFinite(to)) {
+      throw new Error(`Invalid date range: ${options.from} → ${options.to ?? 'now'}. Use YYYY-MM-DD or unix seconds`);
+    }
+    if (from >= to) throw new Error(`Start date ${isoDate(from)} must be before end date ${isoDate(to)}`);
+    windows = buildWindows(from, to, { inSampleDays, outOfSampleDays, stepDays, anchored });
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+  if (windows.length === 0) {
+    return {
+      success: false,
+      message: `Range ${isoDate(from)} → ${isoDate(to)} is too short for a ${inSampleDays}-day in-sample window`,
+    };
+  }
+
+  // In-sample windows load on a regular chart — make sure the longest one fits the plan
+  const plan = await detectPlan();
+  const deep = plan === 'pro_premium';
+  const barLimit = timeframeToMinutes(timeframe) >= 1440 ? 20000 : (PLAN_BAR_LIMITS[plan] || 5000);
+  const longestInSample = Math.max(...windows.map(w => (w.inSample.to - w.inSample.from) / DAY));
+  const longestBars = daysToBars(longestInSample, timeframe);
+  if (longestBars > barLimit) {
+    return {
+      success: false,
+      message: `In-sample window needs ~${longestBars} ${timeframe} bars but your plan loads at most ${barLimit}. ` +
+        'Use a shorter inSampleDays, a higher timeframe, or a rolling (non-anchored) window.',
+    };
+  }
+
+  const results = [];
+  const equityCurve = [];
+  let equity = 0;
+
+  for (const window of windows) {
+    const { inSample, outOfSample } = window;
+    const label = `${isoDate(inSample.from)} → ${isoDate(inSample.to)} | OOS → ${isoDate(outOfSample.to)}`;
+    const entry = {
+      index: window.index,
+      inSample: { from: isoDate(inSample.from), to: isoDate(inSample.to) },
+      outOfSample: { from: isoDate(outOfSample.from), to: isoDate(outOfSample.to) },
+    };
+    results.push(entry);
+
+    // 1. Optimize on the in-sample window
+    const inSampleBars = daysToBars((inSample.to - inSample.from) / DAY, timeframe);
+    const opt = await optimizeStrategy(scriptId, {
+      ...optimizer,
+      symbol,
+      timeframe,
+      paramRanges,
+      sortBy,
+      range: inSampleBars,
+      to: inSample.to,
+    });
+    if (!opt.success || !opt.best) {
+      entry.error = `In-sample optimization failed (${label}): ${opt.message}`;
+      continue;
+    }
+    const best = opt.best;
+    entry.params = best.paramsNamed;
+    entry.inSample.bars = inSampleBars;
+    entry.inSample.performance = {
+      [sortBy]: best[sortBy],
+      netProfit: best.netProfit,
+      netProfitPercent: best.netProfitPercent,
+      totalTrades: best.totalTrades,
+      profitFactor: best.profitFactor,
+    };
+
+    // 2. Score the winner on the out-of-sample window. Windows are [from, to): the next
+    // one starts at `to`, so stop a second earlier to keep that bar out of this one
+    let report;
+    try {
+      report = deep
+        ? await fetchDeepBacktest(scriptId, symbol, {
+          timeframe, from: outOfSample.from, to: outOfSample.to - 1, params: best.params,
+        })
+        : await fetchStrategyReport(scriptId, symbol, {
+          timeframe,
+          range: daysToBars((outOfSample.to - outOfSample.from) / DAY, timeframe),
+          to: outOfSample.to - 1,
+          params: best.params,
+        });
+    } catch (error) {
+      entry.error = `Out-of-sample backtest failed (${label}): ${error.message}`;
+      continue;
+    }
+
+    const perf = report.performance?.all || {};
+    entry.outOfSample.performance = {
+      [sortBy]: perf[sortBy],
+      netProfit: perf.netProfit,
+      netProfitPercent: perf.netProfitPercent,
+      totalTrades: perf.totalTrades,
+      profitFactor: perf.profitFactor,
+      maxDrawdown: report.performance?.maxStrategyDrawDown,
+    };
+
+    const isAnnual = annualize(best.netProfitPercent, inSample.to - inSample.from);
+    const oosAnnual = annualize(perf.netProfitPercent, outOfSample.to - outOfSample.from);
+    entry.efficiency = walkForwardEfficiency(isAnnual, oosAnnual);
+
+    // 3. Stitch OOS trades into one equity curve (trades come newest first)
+    const trades = [...(report.trades || [])].sort((a, b) => (a.exit?.time || 0) - (b.exit?.time || 0));
+    for (const trade of trades) {
+      const profit = trade.profit?.v || 0;
+      equity += profit;
+      equityCurve.push({ time: trade.exit?.time, window: window.index, profit, equity });
+    }
+  }
+
+  // 4. Aggregate: WFE over all windows = total annualized OOS return / total annualized IS return
+  const scored = results.filter(r => r.outOfSample.performance);
+  const sum = (list, fn) => list.reduce((acc, r) => acc + (fn(r) || 0), 0);
+  const span = (w) => w.to - w.from;
+  const isAnnual = annualize(
+    sum(scored, r => r.inSample.performance.netProfitPercent),
+    sum(scored, r => span(windows[r.index].inSample))
+  );
+  const oosAnnual = annualize(
+    sum(scored, r => r.outOfSample.performance.netProfitPercent),
+    sum(scored, r => span(windows[r.index].outOfSample))
+  );
+
+  return {
+    success: true,
+    message: `Walk-forward complete: ${scored.length}/${windows.length} windows scored out-of-sample`,
+    strategy: scriptId,
+    symbol,
+    timeframe,
+    range: { from: isoDate(from), to: isoDate(to) },
+    config: { inSampleDays, outOfSampleDays, stepDays: stepDays || outOfSampleDays, anchored, sortBy },
+    outOfSampleMode: deep ? 'deep' : 'regular',
+    summary: {
+      windows: windows.length,
+      scoredWindows: scored.length,
+      profitableWindows: scored.filter(r => r.outOfSample.performance.netProfit > 0).length,
+      outOfSampleNetProfit: equity,
+      outOfSampleTrades: equityCurve.length,
+      annualizedInSampleReturn: isAnnual,
+      annualizedOutOfSampleReturn: oosAnnual,
+      walkForwardEfficiency: walkForwardEfficiency(isAnnual, oosAnnual),
+    },
+    windows: results,
+    equityCurve,
+  };
+}
+
+async function main() {
+  const scriptId = process.argv[2] || 'STD;RSI%1Strategy';
+  const symbol = process.argv[3] || 'BINANCE:BTCUSDT';
+  const timeframe = process.argv[4] || 'D';
+  const from = process.argv[5] || '2022-01-01';
+  const to = process.argv[6] || undefined;
+  const paramRanges = process.argv[7] ? JSON.parse(process.argv[7]) : { 'RSI Length': [7, 14, 21] };
+  const inSampleDays = parseInt(process.argv[8], 10) || 365;
+  const outOfSampleDays = parseInt(process.argv[9], 10) || 90;
+  const sortBy = process.argv[10] || 'netProfit';
+  const anchored = process.argv[11] === 'anchored';
+  const stepDays = parseInt(process.argv[12], 10) || undefined;
+
+  try {
+    const result = await walkForward(scriptId, {
+      symbol, timeframe, from, to, paramRanges, inSampleDays, outOfSampleDays, stepDays, sortBy, anchored,
+    });
+    console.log(JSON.stringify(result, null, 2));
+  } catch (error) {
+    console.log(JSON.stringify({ success: false, message: 'Workflow error', error: error.message }, null, 2));
+  } finally {
+    await close();
+  }
+}
+
+module.exports = { walkForward, buildWindows, walkForwardEfficiency };
+if (require.main === module) main();